@@ -0,0 +1,240 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  ApiKey: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  Student: {
+    findAll: jest.fn(),
+  },
+  User: {},
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { ApiKey, Student } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const logger = require('../../utils/logger');
+const app = require('../../index');
+
+const adminId = '550e8400-e29b-41d4-a716-446655440099';
+const adminToken = generateToken({ id: adminId, email: 'admin@example.com', role: 'admin', name: 'Admin', surname: 'User' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+const keyId = '550e8400-e29b-41d4-a716-446655440500';
+
+// Mimics a Sequelize instance of ApiKey
+const buildApiKey = (data) => {
+  const apiKey = {
+    id: keyId,
+    revoked_at: null,
+    expires_at: null,
+    last_used_at: null,
+    ...data,
+    reload: jest.fn().mockResolvedValue(undefined),
+  };
+  apiKey.toJSON = () => {
+    const { reload, toJSON, ...values } = apiKey;
+    return values;
+  };
+  return apiKey;
+};
+
+describe('API Key Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.create.mockImplementation(async data => buildApiKey(data));
+    ApiKey.update.mockResolvedValue([1]);
+  });
+
+  describe('POST /api/api-keys', () => {
+    it('should create a key and return it once', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'grading-import', scopes: ['grades:read', 'grades:write'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.key).toMatch(/^sk_/);
+      expect(response.body.api_key).toMatchObject({
+        name: 'grading-import',
+        scopes: ['grades:read', 'grades:write'],
+        created_by: adminId,
+        active: true,
+      });
+      expect(response.body.api_key.key_hash).toBeUndefined();
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'script', scopes: ['grades:everything'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown scopes: grades:everything');
+    });
+
+    it('should reject an expiry in the past', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'script', scopes: ['grades:read'], expires_at: '2020-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require api_keys:manage', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'script', scopes: ['grades:read'] });
+
+      expect(response.status).toBe(403);
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('using a key', () => {
+    let key;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'grading-import', scopes: ['students:read'] });
+      key = response.body.key;
+      ApiKey.findOne.mockResolvedValue(await ApiKey.create.mock.results[0].value);
+      jest.clearAllMocks();
+      ApiKey.update.mockResolvedValue([1]);
+    });
+
+    it('should authenticate requests with X-API-Key and log the service account', async () => {
+      Student.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/students')
+        .set('X-API-Key', key);
+
+      expect(response.status).toBe(200);
+      expect(logger.debug).toHaveBeenCalledWith('Retrieved 0 students', { requestedBy: 'service-account:grading-import' });
+      expect(ApiKey.update).toHaveBeenCalledWith({ last_used_at: expect.any(Date) }, { where: { id: keyId } });
+    });
+
+    it('should deny permissions outside the key scopes', async () => {
+      const response = await request(app)
+        .post('/api/students')
+        .set('X-API-Key', key)
+        .send({ user_id: adminId, name: 'Test', age: 20, group: 1 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let keys manage API keys', async () => {
+      const response = await request(app)
+        .get('/api/api-keys')
+        .set('X-API-Key', key);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This endpoint is not available to API keys.');
+    });
+
+    it('should reject revoked keys', async () => {
+      ApiKey.findOne.mockResolvedValue(buildApiKey({ name: 'grading-import', revoked_at: new Date() }));
+
+      const response = await request(app)
+        .get('/api/students')
+        .set('X-API-Key', key);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('API key has been revoked.');
+    });
+  });
+
+  describe('GET /api/api-keys', () => {
+    it('should list keys without their hashes', async () => {
+      ApiKey.findAll.mockResolvedValue([buildApiKey({ name: 'grading-import', prefix: 'abcd1234', scopes: [] })]);
+
+      const response = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(ApiKey.findAll.mock.calls[0][0].attributes).toEqual({ exclude: ['key_hash'] });
+    });
+  });
+
+  describe('DELETE /api/api-keys/:id', () => {
+    it('should revoke the key', async () => {
+      const apiKey = buildApiKey({ name: 'grading-import' });
+      apiKey.reload.mockImplementation(async () => { apiKey.revoked_at = new Date(); });
+      ApiKey.findByPk.mockResolvedValue(apiKey);
+
+      const response = await request(app)
+        .delete(`/api/api-keys/${keyId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('API key revoked successfully');
+      expect(response.body.api_key.active).toBe(false);
+      expect(ApiKey.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { id: keyId, revoked_at: null } }
+      );
+    });
+
+    it('should return 404 for unknown keys', async () => {
+      ApiKey.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/api-keys/${keyId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
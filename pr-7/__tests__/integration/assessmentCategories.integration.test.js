@@ -0,0 +1,290 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  AssessmentCategory: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    sum: jest.fn(),
+    create: jest.fn(),
+  },
+  Subject: {
+    findByPk: jest.fn(),
+  },
+  Grade: {
+    count: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { AssessmentCategory, Subject, Grade } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const categoryId = '550e8400-e29b-41d4-a716-446655440050';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+
+const mockSubject = { id: subjectId, subject_name: 'Mathematics' };
+
+const buildCategory = (overrides = {}) => {
+  const category = {
+    id: categoryId,
+    subject_id: subjectId,
+    name: 'Exam',
+    weight: 60,
+    subject: mockSubject,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: category.id,
+      subject_id: category.subject_id,
+      name: category.name,
+      weight: category.weight,
+    }),
+  };
+  return category;
+};
+
+describe('Assessment Category Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subject.findByPk.mockResolvedValue(mockSubject);
+    AssessmentCategory.sum.mockResolvedValue(null);
+  });
+
+  describe('GET /api/subjects/:id/categories', () => {
+    it('should list the categories with their weight total', async () => {
+      AssessmentCategory.findAll.mockResolvedValue([
+        buildCategory(),
+        buildCategory({ id: '550e8400-e29b-41d4-a716-446655440051', name: 'Homework', weight: 30 }),
+      ]);
+
+      const response = await request(app)
+        .get(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subject).toEqual({ id: subjectId, subject_name: 'Mathematics' });
+      expect(response.body.weight_total).toBe(90);
+      expect(response.body.count).toBe(2);
+      expect(AssessmentCategory.findAll.mock.calls[0][0].where).toEqual({ subject_id: subjectId });
+    });
+
+    it('should return 404 for an unknown subject', async () => {
+      Subject.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/subjects/:id/categories', () => {
+    it('should create a category', async () => {
+      AssessmentCategory.findOne.mockResolvedValue(null);
+      AssessmentCategory.sum.mockResolvedValue(30);
+      AssessmentCategory.create.mockResolvedValue(buildCategory());
+
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Exam', weight: 60 });
+
+      expect(response.status).toBe(201);
+      expect(AssessmentCategory.create).toHaveBeenCalledWith({ subject_id: subjectId, name: 'Exam', weight: 60 });
+    });
+
+    it('should reject weights adding up to more than 100', async () => {
+      AssessmentCategory.findOne.mockResolvedValue(null);
+      AssessmentCategory.sum.mockResolvedValue(50);
+
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Exam', weight: 60 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Category weights of 'Mathematics' would add up to 110%; at most 100% is allowed");
+      expect(AssessmentCategory.create).not.toHaveBeenCalled();
+    });
+
+    it('should add a weight sent as a string to the total as a number', async () => {
+      AssessmentCategory.findOne.mockResolvedValue(null);
+      AssessmentCategory.sum.mockResolvedValue(20);
+      AssessmentCategory.create.mockResolvedValue(buildCategory({ weight: 30 }));
+
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .type('form')
+        .send({ name: 'Exam', weight: '30' });
+
+      expect(response.status).toBe(201);
+      expect(AssessmentCategory.create).toHaveBeenCalledWith({ subject_id: subjectId, name: 'Exam', weight: 30 });
+    });
+
+    it('should reject a name already used in the subject', async () => {
+      AssessmentCategory.findOne.mockResolvedValue(buildCategory());
+
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Exam', weight: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Category 'Exam' already exists in 'Mathematics'");
+    });
+
+    it('should reject invalid weights', async () => {
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Exam', weight: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    it('should reject users without subjects:manage', async () => {
+      const response = await request(app)
+        .post(`/api/subjects/${subjectId}/categories`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Exam', weight: 60 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/subjects/:id/categories/:categoryId', () => {
+    it('should change the weight, leaving the category itself out of the total', async () => {
+      const category = buildCategory();
+      AssessmentCategory.findOne.mockResolvedValueOnce(category);
+      AssessmentCategory.sum.mockResolvedValue(40);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weight: 55 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.category.weight).toBe(55);
+      expect(AssessmentCategory.sum.mock.calls[0][1].where).toEqual({ subject_id: subjectId, id: { [Op.ne]: categoryId } });
+      expect(category.save).toHaveBeenCalled();
+    });
+
+    it('should accept a weight sent as a string', async () => {
+      const category = buildCategory();
+      AssessmentCategory.findOne.mockResolvedValueOnce(category);
+      AssessmentCategory.sum.mockResolvedValue(40);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weight: '55' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.category.weight).toBe(55);
+    });
+
+    it('should reject a weight pushing the total above 100', async () => {
+      const category = buildCategory();
+      AssessmentCategory.findOne.mockResolvedValueOnce(category);
+      AssessmentCategory.sum.mockResolvedValue(50);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weight: 60 });
+
+      expect(response.status).toBe(400);
+      expect(category.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a category of another subject', async () => {
+      AssessmentCategory.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Final exam' });
+
+      expect(response.status).toBe(404);
+      expect(AssessmentCategory.findOne.mock.calls[0][0].where).toEqual({ id: categoryId, subject_id: subjectId });
+    });
+  });
+
+  describe('DELETE /api/subjects/:id/categories/:categoryId', () => {
+    it('should delete a category without grades', async () => {
+      const category = buildCategory();
+      AssessmentCategory.findOne.mockResolvedValue(category);
+      Grade.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(category.destroy).toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a category with grades', async () => {
+      const category = buildCategory();
+      AssessmentCategory.findOne.mockResolvedValue(category);
+      Grade.count.mockResolvedValue(3);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Category has 3 grade(s). Move them to another category before deleting it.');
+      expect(category.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
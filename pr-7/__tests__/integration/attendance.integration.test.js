@@ -0,0 +1,291 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Attendance: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  Student: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+  },
+  Subject: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+  },
+  TeacherSubject: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { Attendance, Student, Subject, TeacherSubject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const attendanceId = '550e8400-e29b-41d4-a716-446655440070';
+const teacherId = '550e8400-e29b-41d4-a716-446655440010';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: teacherId, email: 'teacher@example.com', role: 'teacher' });
+const studentToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440011', email: 'student@example.com', role: 'student' });
+
+const mockSubject = { id: subjectId, subject_name: 'Mathematics', archived_at: null };
+const mockStudent = { id: 1, user_id: '550e8400-e29b-41d4-a716-446655440011', name: 'Ada', group: 101 };
+
+const buildRecord = (overrides = {}) => {
+  const record = {
+    id: attendanceId,
+    student_id: 1,
+    subject_id: subjectId,
+    date: '2026-10-05',
+    status: 'present',
+    note: null,
+    student: mockStudent,
+    subject: mockSubject,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: record.id,
+      student_id: record.student_id,
+      subject_id: record.subject_id,
+      date: record.date,
+      status: record.status,
+      note: record.note,
+    }),
+  };
+  return record;
+};
+
+describe('Attendance Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subject.findByPk.mockResolvedValue(mockSubject);
+    Student.findByPk.mockResolvedValue(mockStudent);
+    Student.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    TeacherSubject.findOne.mockResolvedValue({ id: 'assignment-1', group: 101 });
+    TeacherSubject.findAll.mockResolvedValue([{ group: 101 }]);
+  });
+
+  describe('POST /api/attendance/sessions', () => {
+    it('should mark a whole group for a session', async () => {
+      Attendance.findAll.mockResolvedValue([
+        buildRecord(),
+        buildRecord({ id: 'record-2', student_id: 2, status: 'absent' }),
+      ]);
+
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ subject_id: subjectId, group: 101, date: '2026-10-05', records: [{ student_id: 2, status: 'absent' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.summary).toMatchObject({ sessions: 2, present: 1, absent: 1, absence_rate: 50 });
+      expect(Attendance.bulkCreate.mock.calls[0][0].map(row => row.status)).toEqual(['present', 'absent']);
+      expect(Student.findAll.mock.calls[0][0].where).toEqual({ group: 101 });
+    });
+
+    it('should reject teachers not assigned to the subject and group', async () => {
+      TeacherSubject.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ subject_id: subjectId, group: 202, date: '2026-10-05' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("You are not assigned to teach 'Mathematics' to group 202");
+      expect(Attendance.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    it('should let admins mark any group', async () => {
+      Attendance.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_id: subjectId, group: 202, date: '2026-10-05', status: 'excused' });
+
+      expect(response.status).toBe(200);
+      expect(TeacherSubject.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject a student outside the group', async () => {
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ subject_id: subjectId, group: 101, date: '2026-10-05', records: [{ student_id: 9, status: 'late' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Student with id 9 is not in group 101');
+    });
+
+    it('should validate the status and date', async () => {
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ subject_id: subjectId, group: 101, date: '05/10/2026', status: 'asleep' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.path)).toEqual(['date', 'status']);
+    });
+
+    it('should reject students', async () => {
+      const response = await request(app)
+        .post('/api/attendance/sessions')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ subject_id: subjectId, group: 101, date: '2026-10-05' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/attendance/:id', () => {
+    it('should correct a record', async () => {
+      const record = buildRecord({ status: 'absent' });
+      Attendance.findByPk.mockResolvedValue(record);
+
+      const response = await request(app)
+        .patch(`/api/attendance/${attendanceId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ status: 'excused', note: 'Doctor\'s note' });
+
+      expect(response.status).toBe(200);
+      expect(record.status).toBe('excused');
+      expect(record.note).toBe('Doctor\'s note');
+      expect(record.recorded_by).toBe(teacherId);
+      expect(record.save).toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown record', async () => {
+      Attendance.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/attendance/${attendanceId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ status: 'late' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/attendance/absences', () => {
+    it('should list students above the configured threshold', async () => {
+      Attendance.findAll.mockResolvedValue([
+        { student_id: 1, status: 'absent', count: '1' },
+        { student_id: 1, status: 'present', count: '3' },
+        { student_id: 2, status: 'present', count: '4' },
+      ]);
+      Student.findAll.mockResolvedValue([mockStudent]);
+
+      const response = await request(app)
+        .get('/api/attendance/absences')
+        .query({ group: 101 })
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.threshold).toBe(20);
+      expect(response.body.students).toEqual([
+        { student_id: 1, name: 'Ada', group: 101, sessions: 4, present: 3, absent: 1, late: 0, excused: 0, absence_rate: 25 },
+      ]);
+    });
+
+    it('should take the threshold from the query', async () => {
+      Attendance.findAll.mockResolvedValue([
+        { student_id: 1, status: 'absent', count: '1' },
+        { student_id: 1, status: 'present', count: '3' },
+      ]);
+
+      const response = await request(app)
+        .get('/api/attendance/absences')
+        .query({ threshold: 30 })
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.threshold).toBe(30);
+      expect(response.body.count).toBe(0);
+    });
+
+    it('should reject a threshold above 100', async () => {
+      const response = await request(app)
+        .get('/api/attendance/absences')
+        .query({ threshold: 150 })
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/students/:id/attendance', () => {
+    it('should summarize the attendance of a student', async () => {
+      Attendance.findAll.mockResolvedValue([
+        { subject_id: subjectId, status: 'present', count: '9' },
+        { subject_id: subjectId, status: 'late', count: '1' },
+      ]);
+      Subject.findAll.mockResolvedValue([mockSubject]);
+
+      const response = await request(app)
+        .get('/api/students/1/attendance')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.overall).toEqual({ sessions: 10, present: 9, absent: 0, late: 1, excused: 0, absence_rate: 0 });
+      expect(response.body.subjects[0]).toMatchObject({ subject_name: 'Mathematics', sessions: 10 });
+    });
+
+    it('should hide other students from a student', async () => {
+      Student.findByPk.mockResolvedValue({ ...mockStudent, id: 2, user_id: '550e8400-e29b-41d4-a716-446655440012' });
+
+      const response = await request(app)
+        .get('/api/students/2/attendance')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(Attendance.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,813 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Grade: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+  GradeRevision: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn(),
+  },
+  Student: {
+    findByPk: jest.fn(),
+  },
+  Subject: {
+    findByPk: jest.fn(),
+  },
+  AssessmentCategory: {
+    findAll: jest.fn(),
+  },
+  GradingScale: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  TeacherSubject: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { Grade, GradeRevision, Student, Subject, AssessmentCategory, GradingScale, TeacherSubject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const gradeId = '550e8400-e29b-41d4-a716-446655440030';
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+const studentToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440011', email: 'student@example.com', role: 'student' });
+
+const mockSubject = { id: subjectId, subject_name: 'Mathematics', archived_at: null, toJSON() { return { id: this.id, subject_name: this.subject_name }; } };
+const examId = '550e8400-e29b-41d4-a716-446655440050';
+const homeworkId = '550e8400-e29b-41d4-a716-446655440051';
+const mockCategories = [
+  { id: examId, subject_id: subjectId, name: 'Exam', weight: 60 },
+  { id: homeworkId, subject_id: subjectId, name: 'Homework', weight: 40 },
+];
+const letterScale = {
+  id: '550e8400-e29b-41d4-a716-446655440060',
+  name: 'A-F',
+  is_default: true,
+  bands: [
+    { min: 90, label: 'A', points: 4 },
+    { min: 80, label: 'B', points: 3 },
+    { min: 70, label: 'C', points: 2 },
+    { min: 60, label: 'D', points: 1 },
+    { min: 0, label: 'F', points: 0 },
+  ],
+};
+const ectsScale = {
+  id: '550e8400-e29b-41d4-a716-446655440061',
+  name: 'ECTS',
+  is_default: false,
+  bands: [
+    { min: 0, label: 'F', points: 4 },
+    { min: 90, label: 'A', points: 1 },
+    { min: 80, label: 'B', points: 1.5 },
+  ],
+};
+const mockStudent = { id: 1, user_id: '550e8400-e29b-41d4-a716-446655440011', name: 'Ada', group: 101 };
+
+const buildGrade = (overrides = {}) => {
+  const grade = {
+    id: gradeId,
+    student_id: 1,
+    subject_id: subjectId,
+    category_id: null,
+    title: null,
+    grade: 87,
+    evaluated_at: new Date('2026-03-02T09:00:00Z'),
+    subject: mockSubject,
+    student: mockStudent,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: grade.id,
+      student_id: grade.student_id,
+      subject_id: grade.subject_id,
+      category_id: grade.category_id,
+      title: grade.title,
+      grade: grade.grade,
+      evaluated_at: grade.evaluated_at,
+    }),
+  };
+  return grade;
+};
+
+describe('Grade Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Student.findByPk.mockResolvedValue(mockStudent);
+    Subject.findByPk.mockResolvedValue(mockSubject);
+    TeacherSubject.findOne.mockResolvedValue({ id: 'assignment-1', group: null });
+    TeacherSubject.findAll.mockResolvedValue([{ group: 101 }]);
+    AssessmentCategory.findAll.mockResolvedValue([]);
+  });
+
+  describe('POST /api/grades', () => {
+    it('should record a grade as teacher', async () => {
+      Grade.create.mockImplementation(async values => buildGrade(values));
+
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 92, evaluated_at: '2026-03-05' });
+
+      expect(response.status).toBe(201);
+      expect(Grade.create).toHaveBeenCalledWith({
+        student_id: 1,
+        subject_id: subjectId,
+        category_id: null,
+        title: null,
+        grade: 92,
+        evaluated_at: new Date('2026-03-05'),
+      });
+      expect(response.body.grade.grade).toBe(92);
+    });
+
+    it('should store a grade sent as a string as a number', async () => {
+      Grade.create.mockImplementation(async values => buildGrade(values));
+
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: '92' });
+
+      expect(response.status).toBe(201);
+      expect(Grade.create.mock.calls[0][0].grade).toBe(92);
+    });
+
+    it('should record a grade in an assessment category', async () => {
+      AssessmentCategory.findAll.mockResolvedValue(mockCategories);
+      Grade.create.mockImplementation(async values => buildGrade(values));
+
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, category_id: examId, title: ' Midterm ', grade: 78 });
+
+      expect(response.status).toBe(201);
+      expect(Grade.create.mock.calls[0][0]).toMatchObject({ category_id: examId, title: 'Midterm', grade: 78 });
+    });
+
+    it('should require a category of the subject once the subject has categories', async () => {
+      AssessmentCategory.findAll.mockResolvedValue(mockCategories);
+
+      const missing = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 78 });
+      const foreign = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, category_id: gradeId, grade: 78 });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe("Subject 'Mathematics' requires a category: Exam, Homework");
+      expect(foreign.status).toBe(400);
+      expect(foreign.body.error).toBe(`Category with id ${gradeId} not found in 'Mathematics'`);
+      expect(Grade.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject students', async () => {
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 100 });
+
+      expect(response.status).toBe(403);
+      expect(Grade.create).not.toHaveBeenCalled();
+    });
+
+    it('should validate the grade range and evaluation date', async () => {
+      const tooHigh = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 101 });
+      const future = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 50, evaluated_at: '2999-01-01' });
+
+      expect(tooHigh.status).toBe(400);
+      expect(tooHigh.body.details[0].msg).toBe('Grade must be an integer between 0 and 100');
+      expect(future.status).toBe(400);
+      expect(future.body.details[0].msg).toBe('Evaluation date cannot be in the future');
+    });
+
+    it('should reject unknown students and archived subjects', async () => {
+      Student.findByPk.mockResolvedValueOnce(null);
+      Subject.findByPk.mockResolvedValue({ ...mockSubject, archived_at: new Date() });
+
+      const unknownStudent = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 99, subject_id: subjectId, grade: 50 });
+      const archived = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 50 });
+
+      expect(unknownStudent.status).toBe(400);
+      expect(unknownStudent.body.error).toBe('Student with id 99 not found');
+      expect(archived.status).toBe(400);
+      expect(archived.body.error).toBe("Subject 'Mathematics' is archived");
+      expect(Grade.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject teachers not assigned to the subject and group', async () => {
+      TeacherSubject.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 92 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("You are not assigned to teach 'Mathematics' to group 101");
+      expect(TeacherSubject.findOne).toHaveBeenCalledWith({
+        where: {
+          teacher_id: '550e8400-e29b-41d4-a716-446655440010',
+          subject_id: subjectId,
+          group: { [Op.or]: [null, 101] },
+        },
+      });
+      expect(Grade.create).not.toHaveBeenCalled();
+    });
+
+    it('should let admins record grades without an assignment', async () => {
+      TeacherSubject.findOne.mockResolvedValue(null);
+      Grade.create.mockImplementation(async values => buildGrade(values));
+
+      const response = await request(app)
+        .post('/api/grades')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ student_id: 1, subject_id: subjectId, grade: 92 });
+
+      expect(response.status).toBe(201);
+      expect(TeacherSubject.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/grades/:id', () => {
+    beforeEach(() => {
+      GradeRevision.create.mockImplementation(async values => ({ id: 'revision-1', ...values }));
+    });
+
+    it('should change a grade and record the revision', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: 90, reason: 'Re-marked after exam review' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.grade.grade).toBe(90);
+      expect(response.body.revision_id).toBe('revision-1');
+      expect(GradeRevision.create).toHaveBeenCalledWith({
+        grade_id: gradeId,
+        student_id: 1,
+        subject_id: subjectId,
+        action: 'update',
+        old_grade: 87,
+        new_grade: 90,
+        old_evaluated_at: new Date('2026-03-02T09:00:00Z'),
+        new_evaluated_at: new Date('2026-03-02T09:00:00Z'),
+        old_category_id: null,
+        new_category_id: null,
+        old_title: null,
+        new_title: null,
+        reason: 'Re-marked after exam review',
+        editor_id: '550e8400-e29b-41d4-a716-446655440010',
+        editor: 'teacher@example.com',
+        impersonated_by: null,
+      }, { transaction: { id: 'transaction' } });
+      expect(grade.save).toHaveBeenCalledWith({ transaction: { id: 'transaction' } });
+    });
+
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: 90, reason: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe('A reason for the change is required');
+      expect(Grade.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should not record a revision when nothing changes', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: 87, evaluated_at: '2026-03-02T09:00:00Z', reason: 'No-op' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Grade unchanged');
+      expect(GradeRevision.create).not.toHaveBeenCalled();
+      expect(grade.save).not.toHaveBeenCalled();
+    });
+
+    it('should not record a revision when the unchanged grade is sent as a string', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: '87', reason: 'No-op' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Grade unchanged');
+      expect(GradeRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a field to change', async () => {
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ reason: 'Typo' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe('At least one of grade, evaluated_at, category_id or title is required');
+    });
+
+    it('should move a grade to another category and record it', async () => {
+      AssessmentCategory.findAll.mockResolvedValue(mockCategories);
+      GradeRevision.create.mockImplementation(async values => ({ id: 'revision-3', ...values }));
+      const grade = buildGrade({ category_id: homeworkId });
+      Grade.findByPk.mockResolvedValue(grade);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ category_id: examId, reason: 'Was the exam, not homework' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.grade.category_id).toBe(examId);
+      expect(GradeRevision.create.mock.calls[0][0]).toMatchObject({
+        old_grade: 87,
+        new_grade: 87,
+        old_category_id: homeworkId,
+        new_category_id: examId,
+      });
+    });
+
+    it('should reject a category of another subject', async () => {
+      AssessmentCategory.findAll.mockResolvedValue(mockCategories);
+      const grade = buildGrade({ category_id: homeworkId });
+      Grade.findByPk.mockResolvedValue(grade);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ category_id: gradeId, reason: 'Typo' });
+
+      expect(response.status).toBe(400);
+      expect(grade.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown grade', async () => {
+      Grade.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: 90, reason: 'Typo' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject teachers not assigned to the grade\'s subject and group', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+      TeacherSubject.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ grade: 90, reason: 'Re-marked' });
+
+      expect(response.status).toBe(403);
+      expect(GradeRevision.create).not.toHaveBeenCalled();
+      expect(grade.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/grades/:id', () => {
+    it('should delete a grade and keep its values in the history', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+      GradeRevision.create.mockImplementation(async values => ({ id: 'revision-2', ...values }));
+
+      const response = await request(app)
+        .delete(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ reason: 'Recorded for the wrong student' });
+
+      expect(response.status).toBe(200);
+      expect(grade.destroy).toHaveBeenCalledWith({ transaction: { id: 'transaction' } });
+      expect(response.body.grade.id).toBe(gradeId);
+      expect(GradeRevision.create.mock.calls[0][0]).toMatchObject({
+        action: 'delete',
+        old_grade: 87,
+        new_grade: null,
+        reason: 'Recorded for the wrong student',
+      });
+    });
+
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .delete(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe('A reason for the deletion is required');
+    });
+
+    it('should reject teachers not assigned to the grade\'s subject and group', async () => {
+      const grade = buildGrade();
+      Grade.findByPk.mockResolvedValue(grade);
+      TeacherSubject.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/grades/${gradeId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ reason: 'Wrong student' });
+
+      expect(response.status).toBe(403);
+      expect(grade.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/grades/:id/history', () => {
+    const revision = { id: 'revision-1', grade_id: gradeId, action: 'update', old_grade: 80, new_grade: 87, reason: 'Re-marked' };
+
+    it('should return the revisions of a grade', async () => {
+      Grade.findByPk.mockResolvedValue(buildGrade());
+      GradeRevision.findAll.mockResolvedValue([{ toJSON: () => revision }]);
+
+      const response = await request(app)
+        .get(`/api/grades/${gradeId}/history`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revisions).toEqual([revision]);
+      expect(GradeRevision.findAll).toHaveBeenCalledWith({ where: { grade_id: gradeId }, order: [['created_at', 'ASC']] });
+    });
+
+    it('should keep the history of a deleted grade', async () => {
+      Grade.findByPk.mockResolvedValue(null);
+      GradeRevision.findAll.mockResolvedValue([{ student_id: 1, toJSON: () => ({ ...revision, action: 'delete', new_grade: null }) }]);
+
+      const response = await request(app)
+        .get(`/api/grades/${gradeId}/history`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.grade).toBeNull();
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should return 404 when there is neither grade nor history', async () => {
+      Grade.findByPk.mockResolvedValue(null);
+      GradeRevision.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get(`/api/grades/${gradeId}/history`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should hide the history of another student\'s deleted grade', async () => {
+      Grade.findByPk.mockResolvedValue(null);
+      GradeRevision.findAll.mockResolvedValue([{ student_id: 2, toJSON: () => ({ ...revision, student_id: 2 }) }]);
+      Student.findByPk.mockResolvedValue({ ...mockStudent, id: 2, user_id: '550e8400-e29b-41d4-a716-446655440012' });
+
+      const response = await request(app)
+        .get(`/api/grades/${gradeId}/history`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(Student.findByPk).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('GET /api/admin/grade-amendments', () => {
+    it('should list amendments in a date range for admins', async () => {
+      GradeRevision.findAndCountAll.mockResolvedValue({ count: 1, rows: [{ toJSON: () => ({ id: 'revision-1' }) }] });
+
+      const response = await request(app)
+        .get('/api/admin/grade-amendments')
+        .query({ from: '2026-03-01', to: '2026-03-31', limit: 10 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ page: 1, limit: 10, total: 1, amendments: [{ id: 'revision-1' }] });
+      const options = GradeRevision.findAndCountAll.mock.calls[0][0];
+      expect(options.where).toEqual({
+        created_at: {
+          [Op.gte]: new Date('2026-03-01'),
+          [Op.lte]: new Date('2026-03-31T23:59:59.999Z'),
+        },
+      });
+      expect(options.order).toEqual([['created_at', 'DESC']]);
+    });
+
+    it('should reject teachers', async () => {
+      const response = await request(app)
+        .get('/api/admin/grade-amendments')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/students/:id/grades', () => {
+    it('should list the grades of a student with subject and date filters', async () => {
+      Grade.findAll.mockResolvedValue([buildGrade()]);
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ subject_id: subjectId, from: '2026-03-01', to: '2026-03-31' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      const { where, order } = Grade.findAll.mock.calls[0][0];
+      expect(where).toEqual({
+        student_id: 1,
+        subject_id: subjectId,
+        evaluated_at: {
+          [Op.gte]: new Date('2026-03-01'),
+          [Op.lte]: new Date('2026-03-31T23:59:59.999Z'),
+        },
+      });
+      expect(order).toEqual([['evaluated_at', 'DESC']]);
+    });
+
+    it('should convert grades on a named scale', async () => {
+      Grade.findAll.mockResolvedValue([buildGrade({ grade: 87 }), buildGrade({ grade: 42 })]);
+      GradingScale.findOne.mockResolvedValue(letterScale);
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ scale: 'A-F' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(GradingScale.findOne).toHaveBeenCalledWith({ where: { name: 'A-F' } });
+      expect(response.body.grades.map(grade => grade.converted)).toEqual([
+        { scale: 'A-F', label: 'B', points: 3 },
+        { scale: 'A-F', label: 'F', points: 0 },
+      ]);
+    });
+
+    it("should convert with the subject's scale, falling back to the default scale", async () => {
+      const physics = { id: 'physics', subject_name: 'Physics', grading_scale_id: ectsScale.id };
+      Grade.findAll.mockResolvedValue([buildGrade({ grade: 87 }), buildGrade({ grade: 87, subject: physics })]);
+      GradingScale.findAll.mockResolvedValue([letterScale, ectsScale]);
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ scale: 'default' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.grades.map(grade => grade.converted)).toEqual([
+        { scale: 'A-F', label: 'B', points: 3 },
+        { scale: 'ECTS', label: 'B', points: 1.5 },
+      ]);
+    });
+
+    it('should leave grades unconverted without a default scale', async () => {
+      Grade.findAll.mockResolvedValue([buildGrade()]);
+      GradingScale.findAll.mockResolvedValue([{ ...letterScale, is_default: false }]);
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ scale: 'default' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.grades[0].converted).toBeNull();
+    });
+
+    it('should reject an unknown scale', async () => {
+      Grade.findAll.mockResolvedValue([buildGrade()]);
+      GradingScale.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ scale: '20-point' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Grading scale '20-point' not found");
+    });
+
+    it('should reject a range that ends before it starts', async () => {
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .query({ from: '2026-03-31', to: '2026-03-01' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe('To must not be before from');
+    });
+
+    it('should return 404 for an unknown student', async () => {
+      Student.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/students/99/grades')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(Grade.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should hide other students from a student', async () => {
+      Student.findByPk.mockResolvedValue({ ...mockStudent, id: 2, user_id: '550e8400-e29b-41d4-a716-446655440012' });
+
+      const response = await request(app)
+        .get('/api/students/2/grades')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(Grade.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should hide students outside the groups a teacher teaches', async () => {
+      Student.findByPk.mockResolvedValue({ ...mockStudent, group: 202 });
+
+      const response = await request(app)
+        .get('/api/students/1/grades')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(404);
+      expect(TeacherSubject.findAll).toHaveBeenCalledWith({
+        where: { teacher_id: '550e8400-e29b-41d4-a716-446655440010' },
+        attributes: ['group'],
+      });
+    });
+  });
+
+  describe('GET /api/subjects/:id/grades', () => {
+    it('should list the grades of a subject filtered by group', async () => {
+      Grade.findAll.mockResolvedValue([buildGrade()]);
+
+      const response = await request(app)
+        .get(`/api/subjects/${subjectId}/grades`)
+        .query({ group: 101 })
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subject.subject_name).toBe('Mathematics');
+      const { where, include } = Grade.findAll.mock.calls[0][0];
+      expect(where).toEqual({ subject_id: subjectId });
+      expect(include.find(model => model.as === 'student').where).toEqual({
+        [Op.or]: [
+          { user_id: '550e8400-e29b-41d4-a716-446655440010' },
+          { group: { [Op.in]: [101] } },
+        ],
+        group: 101,
+      });
+    });
+
+    it('should list only their own grades to a student', async () => {
+      Grade.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get(`/api/subjects/${subjectId}/grades`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(TeacherSubject.findAll).not.toHaveBeenCalled();
+      const { include } = Grade.findAll.mock.calls[0][0];
+      expect(include.find(model => model.as === 'student').where).toEqual({ [Op.or]: [{ user_id: '550e8400-e29b-41d4-a716-446655440011' }] });
+    });
+
+    it('should not limit admins', async () => {
+      Grade.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get(`/api/subjects/${subjectId}/grades`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const { include } = Grade.findAll.mock.calls[0][0];
+      expect(include.find(model => model.as === 'student').where).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/students/:id/transcript', () => {
+    beforeEach(() => {
+      Grade.findAll.mockResolvedValue([
+        buildGrade({ grade: 90, subject: { subject_name: 'Mathematics', credits: 6 } }),
+        buildGrade({ grade: 80, subject: { subject_name: 'Mathematics', credits: 6 } }),
+      ]);
+    });
+
+    it('should return averages and the GPA', async () => {
+      const response = await request(app)
+        .get('/api/students/1/transcript')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.transcript).toMatchObject({
+        student: { id: 1, name: 'Ada', group: 101 },
+        gpa_scale: '4.0',
+        subjects: [{ subject_name: 'Mathematics', grade_count: 2, final_score: 85, complete: true, grade_points: 3.0 }],
+        overall_average: 85,
+        gpa: 3,
+        total_credits: 6,
+      });
+    });
+
+    it('should render printable HTML on another scale', async () => {
+      const response = await request(app)
+        .get('/api/students/1/transcript')
+        .query({ format: 'html', gpa_scale: '5' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('text/html');
+      expect(response.text).toContain('Academic Transcript');
+      expect(response.text).toContain('GPA 4 / 5');
+    });
+
+    it('should reject an unknown scale', async () => {
+      const response = await request(app)
+        .get('/api/students/1/transcript')
+        .query({ gpa_scale: '12' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown student', async () => {
+      Student.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/students/99/transcript')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  GradingScale: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    build: jest.fn(),
+    update: jest.fn(),
+  },
+  Subject: {
+    count: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { GradingScale, Subject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const scaleId = '550e8400-e29b-41d4-a716-446655440060';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+
+const bands = [
+  { min: 0, label: 'F', points: 0 },
+  { min: 90, label: 'A', points: 4 },
+  { min: 75, label: 'B', points: 3 },
+];
+
+const buildScale = (overrides = {}) => {
+  const scale = {
+    id: scaleId,
+    name: 'Letters',
+    description: null,
+    bands,
+    is_default: false,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: scale.id,
+      name: scale.name,
+      description: scale.description,
+      bands: scale.bands,
+      is_default: scale.is_default,
+    }),
+  };
+  return scale;
+};
+
+describe('Grading Scale Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GradingScale.findOne.mockResolvedValue(null);
+  });
+
+  describe('GET /api/grading-scales', () => {
+    it('should list scales to any authenticated user', async () => {
+      GradingScale.findAll.mockResolvedValue([buildScale()]);
+
+      const response = await request(app)
+        .get('/api/grading-scales')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(GradingScale.findAll).toHaveBeenCalledWith({ order: [['name', 'ASC']] });
+    });
+  });
+
+  describe('POST /api/grading-scales', () => {
+    it('should create a scale with its bands sorted', async () => {
+      GradingScale.build.mockImplementation(values => buildScale({ id: undefined, ...values }));
+
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Letters', bands });
+
+      expect(response.status).toBe(201);
+      expect(GradingScale.build).toHaveBeenCalledWith({
+        name: 'Letters',
+        description: null,
+        bands: [
+          { min: 90, label: 'A', points: 4 },
+          { min: 75, label: 'B', points: 3 },
+          { min: 0, label: 'F', points: 0 },
+        ],
+        is_default: false,
+      });
+      expect(GradingScale.update).not.toHaveBeenCalled();
+    });
+
+    it('should replace the previous default scale', async () => {
+      const scale = buildScale({ id: undefined, is_default: true });
+      GradingScale.build.mockReturnValue(scale);
+
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Letters', bands, is_default: true });
+
+      expect(response.status).toBe(201);
+      expect(GradingScale.update).toHaveBeenCalledWith(
+        { is_default: false },
+        { where: { is_default: true }, transaction: { id: 'transaction' } }
+      );
+      expect(scale.save).toHaveBeenCalledWith({ transaction: { id: 'transaction' } });
+    });
+
+    it('should reject bands that leave grades unconverted', async () => {
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Letters', bands: [{ min: 50, label: 'Pass', points: 1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe('One band must start at 0');
+    });
+
+    it('should reserve the name default', async () => {
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Default', bands });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].msg).toBe("'default' is reserved for ?scale=default");
+    });
+
+    it('should reject a duplicate name', async () => {
+      GradingScale.findOne.mockResolvedValue(buildScale());
+
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Letters', bands });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Grading scale 'Letters' already exists");
+    });
+
+    it('should reject users without grading_scales:manage', async () => {
+      const response = await request(app)
+        .post('/api/grading-scales')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Letters', bands });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/grading-scales/:id', () => {
+    it('should make a scale the default', async () => {
+      const scale = buildScale();
+      GradingScale.findByPk.mockResolvedValue(scale);
+
+      const response = await request(app)
+        .patch(`/api/grading-scales/${scaleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ is_default: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.scale.is_default).toBe(true);
+      expect(GradingScale.update).toHaveBeenCalledWith(
+        { is_default: false },
+        { where: { is_default: true, id: { [Op.ne]: scaleId } }, transaction: { id: 'transaction' } }
+      );
+    });
+
+    it('should return 404 for an unknown scale', async () => {
+      GradingScale.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/grading-scales/${scaleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ description: 'Letter grades' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/grading-scales/:id', () => {
+    it('should delete a scale no subject uses', async () => {
+      const scale = buildScale();
+      GradingScale.findByPk.mockResolvedValue(scale);
+      Subject.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .delete(`/api/grading-scales/${scaleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(scale.destroy).toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a scale assigned to subjects', async () => {
+      const scale = buildScale();
+      GradingScale.findByPk.mockResolvedValue(scale);
+      Subject.count.mockResolvedValue(2);
+
+      const response = await request(app)
+        .delete(`/api/grading-scales/${scaleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(Subject.count).toHaveBeenCalledWith({ where: { grading_scale_id: scaleId } });
+      expect(scale.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  User: {
+    findByPk: jest.fn(),
+  },
+  Role: {},
+  Student: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  TeacherSubject: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  revokeAccessToken: jest.fn(),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { User } = require('../../models');
+const tokenService = require('../../services/tokenService');
+const { generateToken } = require('../../middleware/auth');
+const { secret: JWT_SECRET } = require('../../config/jwt');
+const logger = require('../../utils/logger');
+const app = require('../../index');
+
+const admin = { id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin', name: 'Admin', surname: 'User' };
+const teacher = {
+  id: '550e8400-e29b-41d4-a716-446655440010',
+  name: 'Jane',
+  surname: 'Teacher',
+  email: 'jane.teacher@example.com',
+  is_active: true,
+  role: { id: 'teacher-role', role_name: 'teacher' },
+};
+const adminToken = generateToken(admin);
+
+const impersonate = (userId, token = adminToken) => request(app)
+  .post(`/api/admin/impersonate/${userId}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ reason: 'Ticket #4711' });
+
+describe('Impersonation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue(teacher);
+  });
+
+  describe('POST /api/admin/impersonate/:userId', () => {
+    it('should issue a token of the user that names the admin', async () => {
+      const response = await impersonate(teacher.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toMatchObject({ id: teacher.id, role: 'teacher' });
+      expect(response.body.refresh_token).toBeUndefined();
+
+      const decoded = jwt.verify(response.body.token, JWT_SECRET);
+      expect(decoded).toMatchObject({
+        id: teacher.id,
+        email: teacher.email,
+        role: 'teacher',
+        act: { sub: admin.id, email: admin.email },
+      });
+      expect(decoded.exp - decoded.iat).toBe(30 * 60);
+      expect(decoded.sid).toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledWith(
+        `Impersonation started: ${admin.email} as ${teacher.email}`,
+        expect.objectContaining({ actorId: admin.id, userId: teacher.id, reason: 'Ticket #4711' })
+      );
+    });
+
+    it('should require users:impersonate', async () => {
+      const teacherToken = generateToken({ id: teacher.id, email: teacher.email, role: 'teacher' });
+
+      const response = await impersonate('550e8400-e29b-41d4-a716-446655440011', teacherToken);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should refuse users who can impersonate themselves', async () => {
+      User.findByPk.mockResolvedValue({ ...teacher, role: { id: 'admin-role', role_name: 'admin' } });
+
+      const response = await impersonate(teacher.id);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Users who can impersonate others cannot be impersonated');
+    });
+
+    it('should refuse deactivated users and the admin themselves', async () => {
+      User.findByPk.mockResolvedValue({ ...teacher, is_active: false });
+
+      expect((await impersonate(teacher.id)).status).toBe(400);
+      expect((await impersonate(admin.id)).status).toBe(400);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      const response = await impersonate(teacher.id);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('while impersonating', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = (await impersonate(teacher.id)).body.token;
+      jest.clearAllMocks();
+    });
+
+    it('should see the app as the user and log both identities', async () => {
+      const response = await request(app)
+        .get('/api/students')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(logger.info).toHaveBeenCalledWith('Impersonated request: GET /api/students', expect.objectContaining({
+        userId: teacher.id,
+        email: teacher.email,
+        actorId: admin.id,
+        actorEmail: admin.email,
+      }));
+    });
+
+    it.each([
+      ['post', '/api/auth/change-password'],
+      ['post', '/api/auth/logout'],
+      ['post', '/api/auth/2fa/disable'],
+      ['delete', `/api/users/${teacher.id}`],
+      ['get', '/api/api-keys'],
+      ['post', `/api/admin/impersonate/${teacher.id}`],
+    ])('should block %s %s', async (method, url) => {
+      const response = await request(app)[method](url)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ current_password: 'password123', new_password: 'newpassword123', code: '123456' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This action is not allowed while impersonating a user.');
+    });
+
+    it('should revoke the impersonation token when stopping', async () => {
+      const response = await request(app)
+        .post('/api/admin/impersonate/stop')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(tokenService.revokeAccessToken).toHaveBeenCalledWith(expect.objectContaining({
+        id: teacher.id,
+        act: { sub: admin.id, email: admin.email },
+      }));
+    });
+  });
+
+  it('should only stop impersonation tokens', async () => {
+    const response = await request(app)
+      .post('/api/admin/impersonate/stop')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+    expect(tokenService.revokeAccessToken).not.toHaveBeenCalled();
+  });
+});
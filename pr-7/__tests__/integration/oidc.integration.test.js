@@ -0,0 +1,380 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { fn, col, where } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  User: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Role: {
+    findOne: jest.fn(),
+  },
+  TwoFactor: {
+    findByPk: jest.fn(),
+  },
+  Session: {
+    create: jest.fn(async data => ({ id: '550e8400-e29b-41d4-a716-446655440700', ...data })),
+  },
+  // In-memory login states
+  OidcLoginState: {
+    create: jest.fn(async (data) => {
+      const row = { id: `state-${mockLoginStates.size + 1}-${Date.now()}`, ...data };
+      mockLoginStates.set(row.id, row);
+      return row;
+    }),
+    findOne: jest.fn(async ({ where }) => [...mockLoginStates.values()].find(row => row.state_hash === where.state_hash) || null),
+    destroy: jest.fn(async ({ where }) => (where.id && mockLoginStates.delete(where.id) ? 1 : 0)),
+  },
+}));
+
+const mockLoginStates = new Map();
+
+jest.mock('../../services/tokenService', () => ({
+  issueRefreshToken: jest.fn().mockResolvedValue({ token: 'mock-refresh-token' }),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+  REFRESH_TOKEN_TTL_DAYS: 7,
+}));
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { User, Role, OidcLoginState } = require('../../models');
+const { secret: JWT_SECRET } = require('../../config/jwt');
+const oidcConfig = require('../../config/oidc');
+const { resetOidcCache } = require('../../services/oidcService');
+const app = require('../../index');
+
+const CLIENT_ID = 'student-api';
+
+// Minimal OpenID provider: discovery, authorization endpoint, token endpoint with PKCE check, JWKS.
+// `nextUser` holds the claims of the person who "logs in" at the provider.
+const startMockProvider = () => new Promise((resolve) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  const idp = express();
+  const provider = { nextUser: null, codes };
+
+  idp.get('/.well-known/openid-configuration', (req, res) => res.json({
+    issuer: provider.issuer,
+    authorization_endpoint: `${provider.issuer}/authorize`,
+    token_endpoint: `${provider.issuer}/token`,
+    jwks_uri: `${provider.issuer}/jwks`,
+  }));
+
+  idp.get('/jwks', (req, res) => res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }],
+  }));
+
+  idp.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = req.query;
+    if (clientId !== CLIENT_ID || req.query.code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { challenge: req.query.code_challenge, nonce, redirectUri, user: provider.nextUser });
+    res.redirect(302, `${redirectUri}?${new URLSearchParams({ code, state })}`);
+  });
+
+  idp.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.challenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer: provider.issuer, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  provider.server = idp.listen(0, '127.0.0.1', () => {
+    provider.issuer = `http://127.0.0.1:${provider.server.address().port}`;
+    resolve(provider);
+  });
+});
+
+const studentRole = { id: '550e8400-e29b-41d4-a716-446655440001', role_name: 'student' };
+
+const buildUser = (overrides = {}) => ({
+  id: '550e8400-e29b-41d4-a716-446655440000',
+  name: 'Ada',
+  surname: 'Lovelace',
+  email: 'ada@example.com',
+  is_active: true,
+  email_verified_at: new Date('2025-01-01T00:00:00Z'),
+  role: studentRole,
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe('OIDC Login', () => {
+  let provider;
+
+  // The oidc_login cookie the login response set, as a Cookie header value
+  const browserCookie = response => response.headers['set-cookie'][0].split(';')[0];
+
+  // Starts a login and lets the provider redirect back; returns the callback query and the browser cookie
+  const startLogin = async () => {
+    const start = await request(app).get('/api/auth/oidc/login');
+    const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    return { query: Object.fromEntries(callback.searchParams), cookie: browserCookie(start) };
+  };
+
+  // Runs the browser part of the flow: our login redirect, then the provider's redirect back
+  const loginThroughProvider = async (claims) => {
+    provider.nextUser = { sub: 'idp-user-1', email_verified: true, ...claims };
+    const { query, cookie } = await startLogin();
+    return request(app)
+      .get('/api/auth/oidc/callback')
+      .set('Cookie', cookie)
+      .query(query);
+  };
+
+  beforeAll(async () => {
+    provider = await startMockProvider();
+    oidcConfig.issuer = provider.issuer;
+    oidcConfig.clientId = CLIENT_ID;
+    resetOidcCache();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => provider.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Role.findOne.mockResolvedValue(studentRole);
+  });
+
+  it('should redirect to the provider with a PKCE challenge', async () => {
+    const response = await request(app).get('/api/auth/oidc/login');
+
+    expect(response.status).toBe(302);
+    const location = new URL(response.headers.location);
+    expect(location.origin + location.pathname).toBe(`${provider.issuer}/authorize`);
+    expect(location.searchParams.get('client_id')).toBe(CLIENT_ID);
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(location.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(location.searchParams.get('scope')).toBe('openid email profile');
+  });
+
+  it('should keep the PKCE verifier on the server and bind the login to the browser', async () => {
+    const response = await request(app).get('/api/auth/oidc/login');
+
+    const stored = OidcLoginState.create.mock.calls[0][0];
+    const state = new URL(response.headers.location).searchParams.get('state');
+    expect(response.headers.location).not.toContain(stored.code_verifier);
+    expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(stored.state_hash).toBe(crypto.createHash('sha256').update(state).digest('hex'));
+    expect(response.headers['set-cookie'][0]).toMatch(/^oidc_login=[A-Za-z0-9_-]{43}; Max-Age=600; Path=\/api\/auth\/oidc; Expires=.*; HttpOnly; SameSite=Lax$/);
+  });
+
+  it('should return the authorization URL as JSON when asked to', async () => {
+    const response = await request(app).get('/api/auth/oidc/login').query({ redirect: 'false' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.authorization_url).toMatch(`${provider.issuer}/authorize?`);
+  });
+
+  it('should log in an existing user matched by email with a regular JWT', async () => {
+    User.findOne.mockResolvedValue(buildUser());
+
+    const response = await loginThroughProvider({ email: 'Ada@Example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Login successful');
+    expect(response.body.account_created).toBe(false);
+    expect(response.body.refresh_token).toBe('mock-refresh-token');
+    expect(User.findOne.mock.calls[0][0].where).toEqual(where(fn('lower', col('email')), 'ada@example.com'));
+
+    const decoded = jwt.verify(response.body.token, JWT_SECRET);
+    expect(decoded).toMatchObject({ id: buildUser().id, email: 'ada@example.com', role: 'student' });
+    expect(decoded.jti).toBeDefined();
+  });
+
+  it('should link a local account whose email was registered with different case', async () => {
+    User.findOne.mockResolvedValue(buildUser({ email: 'Ada@Example.com' }));
+
+    const response = await loginThroughProvider({ email: 'ada@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.account_created).toBe(false);
+    expect(response.body.user.email).toBe('Ada@Example.com');
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('should provision unknown users with the default role', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async data => ({ id: '550e8400-e29b-41d4-a716-446655440077', is_active: true, ...data }));
+
+    const response = await loginThroughProvider({
+      email: 'grace@example.com',
+      given_name: 'Grace',
+      family_name: 'Hopper',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.account_created).toBe(true);
+    expect(response.body.user).toMatchObject({ email: 'grace@example.com', role: 'student', email_verified: true });
+    expect(Role.findOne).toHaveBeenCalledWith({ where: { role_name: 'student' } });
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Grace',
+      surname: 'Hopper',
+      email: 'grace@example.com',
+      role_id: studentRole.id,
+    }));
+  });
+
+  it('should reject emails the provider has not verified', async () => {
+    const response = await loginThroughProvider({ email: 'ada@example.com', email_verified: false });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('OIDC login failed: The email address is not verified by the provider');
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should reject claims without email_verified instead of linking the account', async () => {
+    User.findOne.mockResolvedValue(buildUser({ email_verified_at: null }));
+
+    const response = await loginThroughProvider({ email: 'ada@example.com', email_verified: undefined });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('OIDC login failed: The email address is not verified by the provider');
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should reject email_verified values other than true', async () => {
+    const response = await loginThroughProvider({ email: 'ada@example.com', email_verified: 'true' });
+
+    expect(response.status).toBe(401);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should reject deactivated accounts', async () => {
+    User.findOne.mockResolvedValue(buildUser({ is_active: false }));
+
+    const response = await loginThroughProvider({ email: 'ada@example.com' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should ask admins for their second factor', async () => {
+    User.findOne.mockResolvedValue(buildUser({ role: { id: 'admin-role', role_name: 'admin' } }));
+
+    const response = await loginThroughProvider({ email: 'ada@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ mfa_required: true, mfa_enrollment_required: true });
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it('should reject a tampered state', async () => {
+    provider.nextUser = { sub: 'idp-user-1', email: 'ada@example.com', email_verified: true };
+    const { query, cookie } = await startLogin();
+
+    const response = await request(app)
+      .get('/api/auth/oidc/callback')
+      .set('Cookie', cookie)
+      .query({ code: query.code, state: `${query.state}x` });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('OIDC login failed: Invalid login state');
+  });
+
+  it('should accept a state only once', async () => {
+    User.findOne.mockResolvedValue(buildUser());
+    provider.nextUser = { sub: 'idp-user-1', email: 'ada@example.com', email_verified: true };
+    const { query, cookie } = await startLogin();
+
+    const first = await request(app).get('/api/auth/oidc/callback').set('Cookie', cookie).query(query);
+    const replay = await request(app).get('/api/auth/oidc/callback').set('Cookie', cookie).query(query);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('OIDC login failed: Invalid login state');
+  });
+
+  it('should reject a callback from a browser that did not start the login', async () => {
+    provider.nextUser = { sub: 'idp-user-1', email: 'ada@example.com', email_verified: true };
+    const victim = await startLogin();
+    const attacker = await startLogin();
+
+    const withoutCookie = await request(app).get('/api/auth/oidc/callback').query(attacker.query);
+    const wrongCookie = await request(app).get('/api/auth/oidc/callback').set('Cookie', attacker.cookie).query(victim.query);
+
+    for (const response of [withoutCookie, wrongCookie]) {
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('OIDC login failed: Login was started in another browser. Please start again.');
+    }
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the code was issued for another PKCE verifier', async () => {
+    provider.nextUser = { sub: 'idp-user-1', email: 'ada@example.com', email_verified: true };
+    const first = await request(app).get('/api/auth/oidc/login');
+    const second = await request(app).get('/api/auth/oidc/login');
+    const authorize = await fetch(first.headers.location, { redirect: 'manual' });
+    const code = new URL(authorize.headers.get('location')).searchParams.get('code');
+
+    const response = await request(app)
+      .get('/api/auth/oidc/callback')
+      .set('Cookie', browserCookie(second))
+      .query({ code, state: new URL(second.headers.location).searchParams.get('state') });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatch('Token exchange failed');
+  });
+
+  it('should report errors returned by the provider', async () => {
+    const response = await request(app)
+      .get('/api/auth/oidc/callback')
+      .query({ error: 'access_denied', error_description: 'User cancelled the login' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('OIDC login failed: User cancelled the login');
+  });
+
+  it('should return 404 when OIDC is not configured', async () => {
+    oidcConfig.issuer = null;
+    try {
+      const response = await request(app).get('/api/auth/oidc/login');
+
+      expect(response.status).toBe(404);
+    } finally {
+      oidcConfig.issuer = provider.issuer;
+    }
+  });
+});
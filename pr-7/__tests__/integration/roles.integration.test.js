@@ -0,0 +1,166 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Role: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Permission: {
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { Role, Permission } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const { clearPermissionCache } = require('../../services/permissionService');
+const app = require('../../index');
+
+const roleId = '550e8400-e29b-41d4-a716-446655440005';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+
+const buildRole = (roleName, permissionNames = []) => {
+  const role = {
+    id: roleId,
+    role_name: roleName,
+    permissions: permissionNames.map(name => ({ name })),
+    setPermissions: jest.fn(async (permissions) => {
+      role.permissions = permissions;
+    }),
+    reload: jest.fn().mockResolvedValue(undefined),
+  };
+  return role;
+};
+
+const permissionRecords = (names) => names.map(name => ({ id: `id-${name}`, name }));
+
+describe('Role Management Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should reject users without roles:manage', async () => {
+    const response = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should list roles with permission names', async () => {
+    Role.findAll.mockResolvedValue([buildRole('teacher', ['students:write', 'grades:write'])]);
+
+    const response = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.roles[0]).toEqual({
+      id: roleId,
+      role_name: 'teacher',
+      permissions: ['grades:write', 'students:write'],
+    });
+  });
+
+  it('should create a new role with permissions', async () => {
+    const role = buildRole('assistant');
+    Role.findOne.mockResolvedValue(null);
+    Role.create.mockResolvedValue(role);
+    Permission.findAll.mockResolvedValue(permissionRecords(['students:read', 'grades:read']));
+
+    const response = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role_name: 'assistant', permissions: ['students:read', 'grades:read'] });
+
+    expect(response.status).toBe(201);
+    expect(Role.create).toHaveBeenCalledWith({ role_name: 'assistant' });
+    expect(response.body.role.permissions).toEqual(['grades:read', 'students:read']);
+  });
+
+  it('should replace the permissions of a role and clear the cache', async () => {
+    const role = buildRole('assistant', ['students:read']);
+    Role.findByPk.mockResolvedValue(role);
+    Permission.findAll.mockResolvedValue(permissionRecords(['students:read', 'students:write']));
+
+    const response = await request(app)
+      .put(`/api/roles/${roleId}/permissions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['students:read', 'students:write'] });
+
+    expect(response.status).toBe(200);
+    expect(role.setPermissions).toHaveBeenCalledWith(permissionRecords(['students:read', 'students:write']));
+    expect(clearPermissionCache).toHaveBeenCalled();
+    expect(response.body.role.permissions).toEqual(['students:read', 'students:write']);
+  });
+
+  it('should reject unknown permission names', async () => {
+    Role.findByPk.mockResolvedValue(buildRole('assistant'));
+    Permission.findAll.mockResolvedValue(permissionRecords(['students:read']));
+
+    const response = await request(app)
+      .put(`/api/roles/${roleId}/permissions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['students:read', 'students:fly'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unknown permissions: students:fly');
+  });
+
+  it('should not let the admin role lose roles:manage', async () => {
+    const role = buildRole('admin', ['roles:manage']);
+    Role.findByPk.mockResolvedValue(role);
+
+    const response = await request(app)
+      .put(`/api/roles/${roleId}/permissions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['students:read'] });
+
+    expect(response.status).toBe(400);
+    expect(role.setPermissions).not.toHaveBeenCalled();
+  });
+});
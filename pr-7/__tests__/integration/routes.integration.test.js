@@ -1,6 +1,10 @@
 const request = require('supertest');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Op } = require('sequelize');
 
 // Pre-compute hashed password outside of mock factory
 const mockHashedPassword = bcrypt.hashSync('password123', 10);
@@ -24,6 +28,7 @@ jest.mock('../../models', () => {
     email: 'john.doe@example.com',
     password: '', // Will be set below using require
     role_id: '550e8400-e29b-41d4-a716-446655440001',
+    email_verified_at: new Date('2025-01-01T00:00:00Z'),
   };
 
   const mockRole = {
@@ -59,6 +64,7 @@ jest.mock('../../models', () => {
       findByPk: jest.fn(),
       create: jest.fn(),
       findAll: jest.fn(),
+      update: jest.fn(),
     },
     Role: {
       findOne: jest.fn(),
@@ -70,6 +76,23 @@ jest.mock('../../models', () => {
       findOne: jest.fn(),
       create: jest.fn(),
     },
+    OneTimeToken: {
+      create: jest.fn(),
+      findOne: jest.fn(),
+      update: jest.fn(),
+    },
+    TwoFactor: {
+      findByPk: jest.fn(),
+    },
+    TeacherSubject: {
+      findAll: jest.fn(),
+    },
+    Session: {
+      create: jest.fn(async data => ({ id: '550e8400-e29b-41d4-a716-446655440700', ...data })),
+      findAll: jest.fn(),
+      findOne: jest.fn(),
+      update: jest.fn().mockResolvedValue([1]),
+    },
     mockUser,
     mockRole,
     mockStudent,
@@ -77,8 +100,35 @@ jest.mock('../../models', () => {
   };
 });
 
-const { mockUser, mockRole, mockStudent, mockStudentObject, User, Role, Student } = require('../../models');
+jest.mock('../../services/tokenService', () => ({
+  issueRefreshToken: jest.fn().mockResolvedValue({ token: 'mock-refresh-token' }),
+  rotateRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  revokeAccessToken: jest.fn(),
+  revokeRefreshFamily: jest.fn(),
+  revokeAllForUser: jest.fn(),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+  REFRESH_TOKEN_TTL_DAYS: 7,
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+const { mockUser, mockRole, mockStudent, mockStudentObject, User, Role, Student, OneTimeToken, TeacherSubject } = require('../../models');
 const { generateToken } = require('../../middleware/auth');
+const tokenService = require('../../services/tokenService');
+const { hashToken } = require('../../utils/tokenHash');
+const { FileTransport, setMailTransport } = require('../../services/mailService');
+const { LoginThrottle, MemoryAttemptStore, setLoginThrottle, setPasswordResetThrottle } = require('../../services/loginThrottle');
+const throttleConfig = require('../../config/loginThrottle');
+const { verifyPassword } = require('../../services/passwordService');
 
 // Set the password hash after mocking (needed for bcrypt.compare to work)
 mockUser.password = mockHashedPassword;
@@ -110,15 +160,29 @@ jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next
 const app = require('../../index');
 
 describe('Server Routes', () => {
+  let outboxDir;
+  let outbox;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    outbox = new FileTransport(outboxDir);
+    setMailTransport(outbox);
+    setLoginThrottle(new LoginThrottle(new MemoryAttemptStore()));
+    setPasswordResetThrottle(new LoginThrottle(new MemoryAttemptStore(), { ...throttleConfig, ...throttleConfig.passwordReset }, Date.now, 'password_reset:'));
+    // Teachers teach group 1, the group of mockStudent
+    TeacherSubject.findAll.mockResolvedValue([{ group: 1 }]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
   });
 
   describe('POST /api/auth/register', () => {
     it('should register a new user successfully', async () => {
       User.findOne.mockResolvedValue(null);
       Role.findOne.mockResolvedValue(mockRole);
-      User.create.mockResolvedValue(mockUser);
+      User.create.mockResolvedValue({ ...mockUser, email_verified_at: null, created_at: new Date() });
       Role.findByPk.mockResolvedValue(mockRole);
 
       const response = await request(app)
@@ -127,14 +191,97 @@ describe('Server Routes', () => {
           name: 'John',
           surname: 'Doe',
           email: 'john.doe@example.com',
-          password: 'password123',
+          password: 'correct-horse-battery',
         });
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('User registered successfully');
-      expect(response.body.token).toBeDefined();
+      expect(response.body.message).toMatch('User registered successfully');
       expect(response.body.user.email).toBe('john.doe@example.com');
+      expect(response.body.user.email_verified).toBe(false);
+    });
+
+    it('should send a verification email and withhold tokens until verified', async () => {
+      User.findOne.mockResolvedValue(null);
+      Role.findOne.mockResolvedValue(mockRole);
+      User.create.mockResolvedValue({ ...mockUser, email_verified_at: null, created_at: new Date() });
+      Role.findByPk.mockResolvedValue(mockRole);
+      OneTimeToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John',
+          surname: 'Doe',
+          email: 'john.doe@example.com',
+          password: 'correct-horse-battery',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.token).toBeUndefined();
+      expect(response.body.refresh_token).toBeUndefined();
+      expect(tokenService.issueRefreshToken).not.toHaveBeenCalled();
+
+      const messages = await outbox.list();
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe('john.doe@example.com');
+      expect(messages[0].text).toMatch('/api/auth/verify?token=');
+      expect(OneTimeToken.create.mock.calls[0][0].purpose).toBe('email_verification');
+    });
+
+    it('should reject role_id from anonymous callers', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Eve',
+          surname: 'Attacker',
+          email: 'eve@example.com',
+          password: 'correct-horse-battery',
+          role_id: '550e8400-e29b-41d4-a716-446655440003',
+        });
+
+      expect(response.status).toBe(403);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject role_id from non-admin users', async () => {
+      const token = generateToken({ id: mockUser.id, email: mockUser.email, role: 'teacher' });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Eve',
+          surname: 'Attacker',
+          email: 'eve@example.com',
+          password: 'correct-horse-battery',
+          role_id: '550e8400-e29b-41d4-a716-446655440003',
+        });
+
+      expect(response.status).toBe(403);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should let admins register a user with a role', async () => {
+      const token = generateToken({ id: mockUser.id, email: 'admin@example.com', role: 'admin' });
+      const teacherRole = { id: '550e8400-e29b-41d4-a716-446655440002', role_name: 'teacher' };
+      User.findOne.mockResolvedValue(null);
+      Role.findByPk.mockResolvedValue(teacherRole);
+      User.create.mockResolvedValue({ ...mockUser, email_verified_at: null, created_at: new Date() });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Jane',
+          surname: 'Teacher',
+          email: 'jane@example.com',
+          password: 'correct-horse-battery',
+          role_id: teacherRole.id,
+        });
+
+      expect(response.status).toBe(201);
+      expect(User.create.mock.calls[0][0].role_id).toBe(teacherRole.id);
     });
 
     it('should reject registration with existing email', async () => {
@@ -146,7 +293,7 @@ describe('Server Routes', () => {
           name: 'John',
           surname: 'Doe',
           email: 'john.doe@example.com',
-          password: 'password123',
+          password: 'correct-horse-battery',
         });
 
       expect(response.status).toBe(400);
@@ -161,7 +308,7 @@ describe('Server Routes', () => {
           name: 'John',
           surname: 'Doe',
           email: 'invalid-email',
-          password: 'password123',
+          password: 'correct-horse-battery',
         });
 
       expect(response.status).toBe(400);
@@ -203,6 +350,44 @@ describe('Server Routes', () => {
       expect(response.body.token).toBeDefined();
     });
 
+    it('should upgrade a bcrypt password hash to argon2id on login', async () => {
+      User.findOne.mockResolvedValue({
+        ...mockUser,
+        role: mockRole,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'john.doe@example.com',
+          password: 'password123',
+        });
+
+      expect(response.status).toBe(200);
+      const [update, options] = User.update.mock.calls[0];
+      expect(options).toEqual({ where: { id: mockUser.id } });
+      expect(update.password).toMatch(/^\$argon2id\$/);
+      expect(await verifyPassword('password123', update.password)).toBe(true);
+    });
+
+    it('should reject login for deactivated accounts', async () => {
+      User.findOne.mockResolvedValue({
+        ...mockUser,
+        is_active: false,
+        role: mockRole,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'john.doe@example.com',
+          password: 'password123',
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Account has been deactivated');
+    });
+
     it('should reject login with invalid email', async () => {
       User.findOne.mockResolvedValue(null);
 
@@ -235,6 +420,521 @@ describe('Server Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Invalid email or password');
     });
+
+    it('should send Retry-After once failed attempts are delayed and reject further attempts', async () => {
+      User.findOne.mockResolvedValue({
+        ...mockUser,
+        role: mockRole,
+      });
+      const login = password => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john.doe@example.com', password });
+
+      for (let i = 0; i < 4; i += 1) {
+        const response = await login('wrongpassword');
+        expect(response.status).toBe(401);
+        expect(response.headers['retry-after']).toBeUndefined();
+      }
+
+      const delayed = await login('wrongpassword');
+      expect(delayed.status).toBe(401);
+      expect(delayed.headers['retry-after']).toBe('1');
+
+      // Even the correct password is refused until the delay has passed
+      const throttled = await login('password123');
+      expect(throttled.status).toBe(429);
+      expect(throttled.headers['retry-after']).toBe('1');
+      expect(throttled.body.retry_after).toBe(1);
+    });
+
+    it('should return 429 while the account is locked', async () => {
+      const throttle = new LoginThrottle(new MemoryAttemptStore());
+      setLoginThrottle(throttle);
+      for (let i = 0; i < 10; i += 1) {
+        await throttle.registerFailure({ email: 'john.doe@example.com' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.error).toBe('Too many failed login attempts. The account is temporarily locked.');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(800);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Email verification', () => {
+    beforeEach(() => {
+      OneTimeToken.update.mockResolvedValue([1]);
+    });
+
+    it('should reject login for an unverified email', async () => {
+      User.findOne.mockResolvedValue({
+        ...mockUser,
+        email_verified_at: null,
+        created_at: new Date(),
+        role: mockRole,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'john.doe@example.com',
+          password: 'password123',
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatch('Email address has not been verified');
+      expect(response.body.token).toBeUndefined();
+    });
+
+    it('should verify the email with a valid token', async () => {
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: mockUser.id });
+
+      const response = await request(app)
+        .get('/api/auth/verify')
+        .query({ token: 'verification-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(OneTimeToken.findOne.mock.calls[0][0].where.purpose).toBe('email_verification');
+      expect(User.update).toHaveBeenCalledWith(
+        { email_verified_at: expect.any(Date) },
+        { where: { id: mockUser.id, email_verified_at: null } }
+      );
+    });
+
+    it('should reject an invalid verification token', async () => {
+      OneTimeToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/auth/verify')
+        .query({ token: 'bad-token' });
+
+      expect(response.status).toBe(400);
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should resend the verification email to unverified users only', async () => {
+      User.findOne.mockResolvedValueOnce({ ...mockUser, email_verified_at: null });
+      OneTimeToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: mockUser.email });
+
+      expect(response.status).toBe(200);
+      expect(await outbox.list()).toHaveLength(1);
+
+      User.findOne.mockResolvedValueOnce(mockUser);
+
+      const verifiedResponse = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: mockUser.email });
+
+      expect(verifiedResponse.status).toBe(200);
+      expect(await outbox.list()).toHaveLength(1);
+    });
+
+    it('should answer the same way when the verification email cannot be sent', async () => {
+      User.findOne.mockResolvedValue({ ...mockUser, email_verified_at: null });
+      OneTimeToken.create.mockResolvedValue({});
+      setMailTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP connection refused')) });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: mockUser.email });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If an unverified account with this email exists, a verification email has been sent');
+    });
+
+    it('should throttle resend requests per email whether or not the account exists', async () => {
+      User.findOne.mockResolvedValue(null);
+      const { freeAttempts } = throttleConfig.passwordReset.account;
+
+      for (let i = 0; i < freeAttempts; i += 1) {
+        const response = await request(app)
+          .post('/api/auth/resend-verification')
+          .send({ email: 'victim@example.com' });
+        expect(response.status).toBe(200);
+      }
+      const throttled = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'victim@example.com' });
+
+      expect(throttled.status).toBe(429);
+      expect(throttled.headers['retry-after']).toBe('1');
+      expect(User.findOne).toHaveBeenCalledTimes(freeAttempts);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should return new tokens for a valid refresh token', async () => {
+      tokenService.rotateRefreshToken.mockResolvedValue({ userId: mockUser.id, token: 'rotated-refresh-token' });
+      User.findByPk.mockResolvedValue({ ...mockUser, role: mockRole });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'mock-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refresh_token).toBe('rotated-refresh-token');
+      expect(tokenService.rotateRefreshToken).toHaveBeenCalledWith('mock-refresh-token');
+    });
+
+    it('should reject a revoked refresh token', async () => {
+      tokenService.rotateRefreshToken.mockResolvedValue({ error: 'Refresh token has been revoked', reused: true, userId: mockUser.id });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'old-refresh-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Refresh token has been revoked');
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(tokenService.rotateRefreshToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    const studentToken = () => generateToken({
+      id: mockUser.id,
+      email: mockUser.email,
+      role: 'student',
+      name: mockUser.name,
+      surname: mockUser.surname,
+    });
+
+    it('should revoke the access token and refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${studentToken()}`)
+        .send({ refresh_token: 'mock-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(tokenService.revokeAccessToken).toHaveBeenCalledWith(expect.objectContaining({ id: mockUser.id, jti: expect.any(String) }));
+      expect(tokenService.revokeRefreshToken).toHaveBeenCalledWith('mock-refresh-token', mockUser.id);
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('should revoke all tokens when all is set', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${studentToken()}`)
+        .send({ all: true });
+
+      expect(response.status).toBe(200);
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    it('should reject a revoked access token', async () => {
+      tokenService.checkAccessToken.mockResolvedValueOnce('Token has been revoked.');
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${studentToken()}`)
+        .send({});
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Token has been revoked.');
+    });
+  });
+
+  describe('Profile', () => {
+    const studentToken = () => generateToken({
+      id: mockUser.id,
+      email: mockUser.email,
+      role: 'student',
+      name: mockUser.name,
+      surname: mockUser.surname,
+    });
+
+    const profileUser = (overrides = {}) => ({
+      ...mockUser,
+      role: mockRole,
+      student: null,
+      save: jest.fn(),
+      ...overrides,
+    });
+
+    it('should return the current user with their student record', async () => {
+      User.findByPk.mockResolvedValue(profileUser({ student: mockStudentObject }));
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${studentToken()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toMatchObject({
+        id: mockUser.id,
+        email: mockUser.email,
+        role: 'student',
+        email_verified: true,
+        student: { id: mockStudentObject.id, group: mockStudentObject.group },
+      });
+      expect(response.body.user.password).toBeUndefined();
+      expect(User.findByPk.mock.calls[0][0]).toBe(mockUser.id);
+    });
+
+    it('should return null for users without a student record', async () => {
+      User.findByPk.mockResolvedValue(profileUser());
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${studentToken()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.student).toBeNull();
+    });
+
+    it('should update name and surname only', async () => {
+      const user = profileUser();
+      User.findByPk.mockResolvedValue(user);
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${studentToken()}`)
+        .send({ name: ' Johnny ', email: 'other@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toMatchObject({ name: 'Johnny', surname: mockUser.surname, email: mockUser.email });
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should require a field to update', async () => {
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${studentToken()}`)
+        .send({ email: 'other@example.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    describe('POST /api/auth/change-password', () => {
+      beforeEach(() => {
+        User.findByPk.mockResolvedValue(profileUser());
+      });
+
+      it('should change the password, revoke all tokens and start a new session', async () => {
+        const response = await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${studentToken()}`)
+          .send({ current_password: 'password123', new_password: 'newpassword123' });
+
+        expect(response.status).toBe(200);
+        const [update, options] = User.update.mock.calls[0];
+        expect(options).toEqual({ where: { id: mockUser.id } });
+        expect(await verifyPassword('newpassword123', update.password)).toBe(true);
+        expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(mockUser.id);
+        expect(response.body.token).toBeDefined();
+        expect(response.body.refresh_token).toBe('mock-refresh-token');
+      });
+
+      it('should reject a wrong current password', async () => {
+        const response = await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${studentToken()}`)
+          .send({ current_password: 'wrongpassword', new_password: 'newpassword123' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Current password is incorrect');
+        expect(User.update).not.toHaveBeenCalled();
+        expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+      });
+
+      it('should throttle repeated wrong passwords', async () => {
+        setLoginThrottle(new LoginThrottle(new MemoryAttemptStore(), {
+          ...throttleConfig,
+          account: { freeAttempts: 1, lockoutThreshold: 10 },
+        }));
+
+        await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${studentToken()}`)
+          .send({ current_password: 'wrongpassword', new_password: 'newpassword123' });
+        const response = await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${studentToken()}`)
+          .send({ current_password: 'password123', new_password: 'newpassword123' });
+
+        expect(response.status).toBe(429);
+        expect(response.headers['retry-after']).toBeDefined();
+      });
+
+      it('should reject reusing the current password', async () => {
+        const response = await request(app)
+          .post('/api/auth/change-password')
+          .set('Authorization', `Bearer ${studentToken()}`)
+          .send({ current_password: 'password123', new_password: 'password123' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0].msg).toBe('New password must differ from the current password');
+      });
+    });
+  });
+
+  describe('Password reset flow', () => {
+    beforeEach(() => {
+      OneTimeToken.update.mockResolvedValue([1]);
+    });
+
+    it('should email a reset token and accept it once', async () => {
+      User.findOne.mockResolvedValue(mockUser);
+      OneTimeToken.create.mockResolvedValue({});
+
+      const forgotResponse = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: mockUser.email });
+
+      expect(forgotResponse.status).toBe(200);
+      expect(forgotResponse.body.success).toBe(true);
+
+      const messages = await outbox.list();
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe(mockUser.email);
+      const token = messages[0].text.match(/Reset token: (\S+)/)[1];
+
+      // The stored hash must match the token that was emailed
+      const stored = OneTimeToken.create.mock.calls[0][0];
+      expect(stored.purpose).toBe('password_reset');
+      expect(stored.token_hash).toBe(hashToken(token));
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: mockUser.id });
+
+      const resetResponse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+
+      expect(resetResponse.status).toBe(200);
+      expect(resetResponse.body.success).toBe(true);
+      const [update, options] = User.update.mock.calls[0];
+      expect(options).toEqual({ where: { id: mockUser.id } });
+      expect(await verifyPassword('newpassword123', update.password)).toBe(true);
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(mockUser.id);
+    });
+
+    it('should answer the same way for unknown emails without sending mail', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(await outbox.list()).toHaveLength(0);
+      expect(OneTimeToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should answer the same way when the reset email cannot be sent', async () => {
+      User.findOne.mockResolvedValue(mockUser);
+      OneTimeToken.create.mockResolvedValue({});
+      setMailTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP connection refused')) });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: mockUser.email });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If an account with this email exists, a password reset email has been sent');
+    });
+
+    it('should throttle reset requests per email whether or not the account exists', async () => {
+      User.findOne.mockResolvedValue(null);
+      const { freeAttempts } = throttleConfig.passwordReset.account;
+
+      for (let i = 0; i < freeAttempts; i += 1) {
+        const response = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'Victim@example.com' });
+        expect(response.status).toBe(200);
+      }
+      const throttled = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'victim@example.com' });
+
+      expect(throttled.status).toBe(429);
+      expect(throttled.headers['retry-after']).toBeDefined();
+      expect(User.findOne).toHaveBeenCalledTimes(freeAttempts);
+
+      // Other addresses are not affected
+      const other = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'someone@example.com' });
+      expect(other.status).toBe(200);
+    });
+
+    it('should reject a token whose user no longer exists before checking the password', async () => {
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: mockUser.id });
+      User.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'orphaned-token', password: 'newpassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired token');
+      expect(OneTimeToken.update).not.toHaveBeenCalled();
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid or used token', async () => {
+      OneTimeToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'used-token', password: 'newpassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired token');
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token consumed by a concurrent request', async () => {
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: mockUser.id });
+      OneTimeToken.update.mockResolvedValue([0]);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'raced-token', password: 'newpassword123' });
+
+      expect(response.status).toBe(400);
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a password containing the name without using up the token', async () => {
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: mockUser.id });
+      User.findByPk.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'some-token', password: 'john-doe-2026' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Password must not contain your name or email address');
+      expect(OneTimeToken.update).not.toHaveBeenCalled();
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a short new password', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'some-token', password: '123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+    });
   });
 
   describe('GET /api/students', () => {
@@ -257,6 +957,19 @@ describe('Server Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.students).toBeDefined();
       expect(Array.isArray(response.body.students)).toBe(true);
+      expect(Student.findAll.mock.calls[0][0].where).toEqual({ [Op.or]: [{ user_id: mockUser.id }] });
+    });
+
+    it('should list every student to admins', async () => {
+      const token = generateToken({ id: mockUser.id, email: 'admin@example.com', role: 'admin' });
+      Student.findAll.mockResolvedValue([mockStudent]);
+
+      const response = await request(app)
+        .get('/api/students')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Student.findAll.mock.calls[0][0].where).toEqual({});
     });
 
     it('should reject request without token', async () => {
@@ -316,6 +1029,18 @@ describe('Server Routes', () => {
       expect(response.status).toBe(404);
       expect(response.body.success).toBe(false);
     });
+
+    it('should hide other students from a student', async () => {
+      const token = generateToken({ id: mockUser.id, email: mockUser.email, role: 'student' });
+      Student.findByPk.mockResolvedValue({ ...mockStudent, id: 2, user_id: '550e8400-e29b-41d4-a716-446655440009' });
+
+      const response = await request(app)
+        .get('/api/students/2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Student with id 2 not found');
+    });
   });
 
   describe('POST /api/students', () => {
@@ -433,6 +1158,34 @@ describe('Server Routes', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it('should reject teachers moving a student to a group they do not teach', async () => {
+      const token = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+      const save = jest.fn();
+      Student.findByPk.mockResolvedValue({ ...mockStudent, save });
+
+      const response = await request(app)
+        .put('/api/students/1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'John', age: 20, group: 2 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You do not teach group 2');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should let teachers move a student between groups they teach', async () => {
+      const token = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+      TeacherSubject.findAll.mockResolvedValue([{ group: 1 }, { group: 2 }]);
+      Student.findByPk.mockResolvedValue({ ...mockStudent, save: jest.fn() });
+
+      const response = await request(app)
+        .put('/api/students/1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'John', age: 20, group: 2 });
+
+      expect(response.status).toBe(200);
+    });
+
     it('should return 404 for non-existent student on update', async () => {
       const token = generateToken({
         id: mockUser.id,
@@ -694,6 +1447,19 @@ describe('Server Routes', () => {
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
     });
+
+    it('should reject teachers creating a student in a group they do not teach', async () => {
+      const token = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+
+      const response = await request(app)
+        .post('/api/students')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'John', age: 20, group: 7, user_id: mockUser.id });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You do not teach group 7');
+      expect(Student.create).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /status - Status Monitor', () => {
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  User: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+  },
+  Role: {},
+  TwoFactor: {
+    findByPk: jest.fn(),
+  },
+  Session: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  issueRefreshToken: jest.fn().mockResolvedValue({ token: 'mock-refresh-token' }),
+  rotateRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  revokeRefreshFamily: jest.fn(),
+  revokeAccessToken: jest.fn(),
+  revokeAllForUser: jest.fn(),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+  REFRESH_TOKEN_TTL_DAYS: 7,
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { User, Session } = require('../../models');
+const tokenService = require('../../services/tokenService');
+const { generateToken } = require('../../middleware/auth');
+const { secret: JWT_SECRET } = require('../../config/jwt');
+const { LoginThrottle, MemoryAttemptStore, setLoginThrottle } = require('../../services/loginThrottle');
+const app = require('../../index');
+
+const userId = '550e8400-e29b-41d4-a716-446655440000';
+const otherUserId = '550e8400-e29b-41d4-a716-446655440001';
+const currentSessionId = '550e8400-e29b-41d4-a716-446655440700';
+const otherSessionId = '550e8400-e29b-41d4-a716-446655440701';
+const firefox = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const user = {
+  id: userId,
+  name: 'John',
+  surname: 'Doe',
+  email: 'john.doe@example.com',
+  password: bcrypt.hashSync('password123', 4),
+  is_active: true,
+  email_verified_at: new Date('2025-01-01T00:00:00Z'),
+  role: { id: 'student-role', role_name: 'student' },
+};
+
+const studentToken = generateToken(
+  { id: userId, email: user.email, role: 'student', name: 'John', surname: 'Doe' },
+  { sessionId: currentSessionId }
+);
+const adminToken = generateToken({ id: otherUserId, email: 'admin@example.com', role: 'admin', name: 'Admin', surname: 'User' });
+
+// Mimics a Sequelize instance of Session
+const buildSession = (data) => {
+  const values = {
+    user_id: userId,
+    device: 'Firefox on Linux',
+    ip: '203.0.113.7',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    last_seen_at: new Date('2026-01-02T00:00:00Z'),
+    revoked_at: null,
+    ...data,
+  };
+  return { ...values, toJSON: () => values };
+};
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setLoginThrottle(new LoginThrottle(new MemoryAttemptStore()));
+    Session.create.mockImplementation(async data => ({ id: currentSessionId, ...data }));
+    Session.update.mockResolvedValue([1]);
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should record a session and tie the tokens to it', async () => {
+      User.findOne.mockResolvedValue(user);
+      User.findByPk.mockResolvedValue(user);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', firefox)
+        .send({ email: user.email, password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: userId,
+        device: 'Firefox on Linux',
+        user_agent: firefox,
+        ip: expect.any(String),
+      }));
+      expect(tokenService.issueRefreshToken).toHaveBeenCalledWith(userId, currentSessionId);
+      expect(jwt.verify(response.body.token, JWT_SECRET).sid).toBe(currentSessionId);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should keep the session of the refresh token', async () => {
+      tokenService.rotateRefreshToken.mockResolvedValue({ userId, sessionId: currentSessionId, token: 'rotated-refresh-token' });
+      User.findByPk.mockResolvedValue(user);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'mock-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(jwt.verify(response.body.token, JWT_SECRET).sid).toBe(currentSessionId);
+      expect(Session.update).toHaveBeenCalledWith(
+        expect.objectContaining({ last_seen_at: expect.any(Date), expires_at: expect.any(Date) }),
+        { where: { id: currentSessionId, revoked_at: null } }
+      );
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      tokenService.rotateRefreshToken.mockResolvedValue({
+        error: 'Refresh token has been revoked',
+        reused: true,
+        userId,
+        sessionId: currentSessionId,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'old-refresh-token' });
+
+      expect(response.status).toBe(401);
+      expect(Session.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { id: currentSessionId, revoked_at: null } }
+      );
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list the active sessions and mark the current one', async () => {
+      Session.findAll.mockResolvedValue([
+        buildSession({ id: currentSessionId }),
+        buildSession({ id: otherSessionId, device: 'Safari on iOS' }),
+      ]);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.sessions.map(session => [session.id, session.current])).toEqual([
+        [currentSessionId, true],
+        [otherSessionId, false],
+      ]);
+      expect(Session.findAll.mock.calls[0][0].where.user_id).toBe(userId);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/auth/sessions');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke one of the user\'s sessions', async () => {
+      Session.findOne.mockResolvedValue(buildSession({ id: otherSessionId }));
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${otherSessionId}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Session.findOne.mock.calls[0][0].where).toEqual({ id: otherSessionId, user_id: userId });
+      expect(tokenService.revokeRefreshFamily).toHaveBeenCalledWith(otherSessionId);
+    });
+
+    it('should not reveal sessions of other users', async () => {
+      Session.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${otherSessionId}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(Session.update).not.toHaveBeenCalled();
+    });
+
+    it('should validate the session id', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions/not-a-uuid')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should end the current session', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(tokenService.revokeRefreshFamily).toHaveBeenCalledWith(currentSessionId);
+    });
+  });
+
+  describe('DELETE /api/users/:id/sessions', () => {
+    it('should sign the user out everywhere', async () => {
+      User.findByPk.mockResolvedValue({ ...user, toJSON: () => ({ id: userId }) });
+
+      const response = await request(app)
+        .delete(`/api/users/${userId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(userId);
+    });
+
+    it('should require users:manage', async () => {
+      const response = await request(app)
+        .delete(`/api/users/${otherUserId}/sessions`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    query: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Subject: {
+    findByPk: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { sequelize } = require('../../config/database');
+const { Subject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+const studentToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440011', email: 'student@example.com', role: 'student' });
+
+const summaryRow = (overrides = {}) => ({
+  is_total: false,
+  count: 3,
+  mean: 70,
+  median: 72,
+  stddev: 8.16,
+  min: 60,
+  max: 78,
+  pass_rate: 100,
+  ...overrides,
+});
+
+describe('Statistics Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subject.findByPk.mockResolvedValue({ id: subjectId, subject_name: 'Mathematics' });
+  });
+
+  it('should reject students', async () => {
+    const response = await request(app)
+      .get(`/api/stats/subjects/${subjectId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(403);
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+
+  it('should return subject statistics with a per-group breakdown', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([summaryRow({ is_total: true, group: null }), summaryRow({ group: 101 })])
+      .mockResolvedValueOnce([{ bucket: 3, count: 3 }]);
+
+    const response = await request(app)
+      .get(`/api/stats/subjects/${subjectId}`)
+      .query({ pass_threshold: 60, bucket_size: 20 })
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      subject: { id: subjectId, subject_name: 'Mathematics' },
+      pass_threshold: 60,
+      bucket_size: 20,
+      stats: { count: 3, mean: 70, median: 72, pass_rate: 100 },
+      groups: [{ group: 101, count: 3 }],
+    });
+    expect(response.body.histogram).toEqual([
+      { from: 0, to: 19, count: 0 },
+      { from: 20, to: 39, count: 0 },
+      { from: 40, to: 59, count: 0 },
+      { from: 60, to: 79, count: 3 },
+      { from: 80, to: 100, count: 0 },
+    ]);
+  });
+
+  it('should return 404 for an unknown subject', async () => {
+    Subject.findByPk.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get(`/api/stats/subjects/${subjectId}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return group statistics with a per-subject breakdown', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([
+        summaryRow({ is_total: true }),
+        summaryRow({ subject_id: subjectId, subject_name: 'Mathematics' }),
+      ])
+      .mockResolvedValueOnce([]);
+
+    const response = await request(app)
+      .get('/api/stats/groups/101')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.group).toBe(101);
+    expect(response.body.subjects).toEqual([expect.objectContaining({ subject_name: 'Mathematics', count: 3 })]);
+    expect(sequelize.query.mock.calls[0][1].replacements).toEqual({ group: 101, passThreshold: 50 });
+  });
+
+  it('should validate the options', async () => {
+    const response = await request(app)
+      .get('/api/stats/groups/101')
+      .query({ bucket_size: 0, pass_threshold: 120 })
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.path)).toEqual(['pass_threshold', 'bucket_size']);
+  });
+});
@@ -0,0 +1,457 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Subject: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Grade: {
+    count: jest.fn(),
+    findAll: jest.fn(),
+    destroy: jest.fn(),
+  },
+  GradeRevision: {
+    bulkCreate: jest.fn(),
+  },
+  TeacherSubject: {
+    destroy: jest.fn(),
+  },
+  GradingScale: {
+    findByPk: jest.fn(),
+  },
+  Attendance: {
+    count: jest.fn(),
+    destroy: jest.fn(),
+  },
+  Lesson: {
+    count: jest.fn(),
+  },
+  AssessmentCategory: {
+    destroy: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { Subject, Grade, GradeRevision, TeacherSubject, AssessmentCategory, GradingScale, Attendance, Lesson } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const scaleId = '550e8400-e29b-41d4-a716-446655440060';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' });
+const studentToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440011', email: 'student@example.com', role: 'student' });
+
+const buildSubject = (overrides = {}) => {
+  const subject = {
+    id: subjectId,
+    subject_name: 'Mathematics',
+    archived_at: null,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({ id: subject.id, subject_name: subject.subject_name, archived_at: subject.archived_at }),
+  };
+  return subject;
+};
+
+describe('Subject Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app).get('/api/subjects');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should list active subjects to any authenticated user', async () => {
+    Subject.findAll.mockResolvedValue([buildSubject()]);
+
+    const response = await request(app)
+      .get('/api/subjects')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.subjects[0].subject_name).toBe('Mathematics');
+    expect(Subject.findAll.mock.calls[0][0].where).toEqual({ archived_at: null });
+  });
+
+  it('should include archived subjects when asked to', async () => {
+    Subject.findAll.mockResolvedValue([]);
+
+    await request(app)
+      .get('/api/subjects?include_archived=true')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(Subject.findAll.mock.calls[0][0].where).toEqual({});
+  });
+
+  it('should return a subject by id or 404', async () => {
+    Subject.findByPk.mockResolvedValueOnce(buildSubject()).mockResolvedValueOnce(null);
+
+    const found = await request(app)
+      .get(`/api/subjects/${subjectId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    const missing = await request(app)
+      .get(`/api/subjects/${subjectId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(found.status).toBe(200);
+    expect(found.body.subject.id).toBe(subjectId);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should reject an invalid subject id', async () => {
+    const response = await request(app)
+      .get('/api/subjects/not-a-uuid')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation failed');
+  });
+
+  describe('POST /api/subjects', () => {
+    it('should create a subject as admin', async () => {
+      Subject.findOne.mockResolvedValue(null);
+      Subject.create.mockResolvedValue(buildSubject({ subject_name: 'Physics' }));
+
+      const response = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: '  Physics ' });
+
+      expect(response.status).toBe(201);
+      expect(Subject.create).toHaveBeenCalledWith({ subject_name: 'Physics', credits: null, grading_scale_id: null });
+      expect(response.body.subject.subject_name).toBe('Physics');
+    });
+
+    it('should reject teachers and students', async () => {
+      const teacher = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ subject_name: 'Physics' });
+      const student = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ subject_name: 'Physics' });
+
+      expect(teacher.status).toBe(403);
+      expect(student.status).toBe(403);
+      expect(Subject.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a duplicate or empty name', async () => {
+      Subject.findOne.mockResolvedValue(buildSubject());
+
+      const duplicate = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: 'Mathematics' });
+      const empty = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: '   ' });
+
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.error).toBe("Subject 'Mathematics' already exists");
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('PATCH /api/subjects/:id', () => {
+    it('should change the credits of a subject', async () => {
+      const subject = buildSubject({ credits: null });
+      Subject.findByPk.mockResolvedValue(subject);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ credits: 6 });
+
+      expect(response.status).toBe(200);
+      expect(subject.credits).toBe(6);
+      expect(subject.subject_name).toBe('Mathematics');
+      expect(Subject.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should assign a grading scale', async () => {
+      const subject = buildSubject({ grading_scale_id: null });
+      Subject.findByPk.mockResolvedValue(subject);
+      GradingScale.findByPk.mockResolvedValue({ id: scaleId, name: 'ECTS' });
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ grading_scale_id: scaleId });
+
+      expect(response.status).toBe(200);
+      expect(subject.grading_scale_id).toBe(scaleId);
+    });
+
+    it('should reject an unknown grading scale', async () => {
+      const subject = buildSubject({ grading_scale_id: null });
+      Subject.findByPk.mockResolvedValue(subject);
+      GradingScale.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ grading_scale_id: scaleId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(`Grading scale with id ${scaleId} not found`);
+      expect(subject.save).not.toHaveBeenCalled();
+    });
+
+    it('should unassign a grading scale with null', async () => {
+      const subject = buildSubject({ grading_scale_id: scaleId });
+      Subject.findByPk.mockResolvedValue(subject);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ grading_scale_id: null });
+
+      expect(response.status).toBe(200);
+      expect(subject.grading_scale_id).toBeNull();
+      expect(GradingScale.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should require a field to change', async () => {
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should rename a subject', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Subject.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: 'Algebra' });
+
+      expect(response.status).toBe(200);
+      expect(subject.save).toHaveBeenCalled();
+      expect(response.body.subject.subject_name).toBe('Algebra');
+    });
+
+    it('should not rename onto another subject', async () => {
+      Subject.findByPk.mockResolvedValue(buildSubject());
+      Subject.findOne.mockResolvedValue(buildSubject({ id: 'other', subject_name: 'Physics' }));
+
+      const response = await request(app)
+        .patch(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: 'Physics' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/subjects/:id', () => {
+    beforeEach(() => {
+      Attendance.count.mockResolvedValue(0);
+      Lesson.count.mockResolvedValue(0);
+    });
+
+    it('should delete a subject without grades', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(0);
+      Grade.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(subject.destroy).toHaveBeenCalled();
+      expect(Grade.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a subject with grades', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(3);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch('Subject has 3 grade(s)');
+      expect(subject.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a subject with attendance records', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(0);
+      Attendance.count.mockResolvedValue(12);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch('12 attendance record(s)');
+      expect(Attendance.destroy).not.toHaveBeenCalled();
+      expect(subject.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should delete attendance records without a reason with mode=cascade', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(0);
+      Grade.findAll.mockResolvedValue([]);
+      Attendance.count.mockResolvedValue(12);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=cascade`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Attendance.destroy).toHaveBeenCalledWith({ where: { subject_id: subjectId }, transaction: { id: 'transaction' } });
+      expect(subject.destroy).toHaveBeenCalled();
+    });
+
+    it('should delete the grades too with mode=cascade, recording a revision for each', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(2);
+      Grade.findAll.mockResolvedValue([
+        { id: 'grade-1', student_id: 1, subject_id: subjectId, grade: 80, evaluated_at: '2026-09-01T00:00:00.000Z', category_id: null, title: null },
+        { id: 'grade-2', student_id: 2, subject_id: subjectId, grade: 65, evaluated_at: '2026-09-02T00:00:00.000Z', category_id: null, title: 'Quiz' },
+      ]);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=cascade`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Subject created by mistake' });
+
+      const transaction = { transaction: { id: 'transaction' } };
+      expect(response.status).toBe(200);
+      expect(response.body.deleted_grades).toBe(2);
+      const revisions = GradeRevision.bulkCreate.mock.calls[0][0];
+      expect(revisions.map(revision => [revision.grade_id, revision.action, revision.old_grade, revision.reason])).toEqual([
+        ['grade-1', 'delete', 80, 'Subject created by mistake'],
+        ['grade-2', 'delete', 65, 'Subject created by mistake'],
+      ]);
+      expect(revisions[0].editor).toBe('admin@example.com');
+      expect(GradeRevision.bulkCreate.mock.calls[0][1]).toEqual(transaction);
+      expect(Grade.destroy).toHaveBeenCalledWith({ where: { subject_id: subjectId }, ...transaction });
+      expect(AssessmentCategory.destroy).toHaveBeenCalledWith({ where: { subject_id: subjectId }, ...transaction });
+      expect(TeacherSubject.destroy).toHaveBeenCalledWith({ where: { subject_id: subjectId }, ...transaction });
+      expect(Attendance.destroy).toHaveBeenCalledWith({ where: { subject_id: subjectId }, ...transaction });
+      expect(subject.destroy).toHaveBeenCalledWith(transaction);
+    });
+
+    it('should require a reason to delete grades with mode=cascade', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Grade.count.mockResolvedValue(3);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=cascade`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A reason is required to delete the grades of the subject');
+      expect(Grade.destroy).not.toHaveBeenCalled();
+      expect(subject.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a subject with scheduled lessons, also with mode=cascade', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+      Lesson.count.mockResolvedValue(2);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=cascade`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Subject created by mistake' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch('Subject has 2 scheduled lesson(s)');
+      expect(Grade.destroy).not.toHaveBeenCalled();
+      expect(subject.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should archive instead of deleting with mode=archive', async () => {
+      const subject = buildSubject();
+      Subject.findByPk.mockResolvedValue(subject);
+
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=archive`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Subject archived successfully');
+      expect(response.body.subject.archived_at).toBeTruthy();
+      expect(subject.destroy).not.toHaveBeenCalled();
+      expect(Grade.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown mode', async () => {
+      const response = await request(app)
+        .delete(`/api/subjects/${subjectId}?mode=purge`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  TeacherSubject: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+  User: {
+    findByPk: jest.fn(),
+  },
+  Role: {},
+  Subject: {
+    findByPk: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { TeacherSubject, User, Subject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const assignmentId = '550e8400-e29b-41d4-a716-446655440040';
+const teacherId = '550e8400-e29b-41d4-a716-446655440010';
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: teacherId, email: 'teacher@example.com', role: 'teacher' });
+
+const mockTeacher = { id: teacherId, email: 'teacher@example.com', role_id: 2, role: { id: 2, role_name: 'teacher' } };
+const mockSubject = { id: subjectId, subject_name: 'Mathematics', archived_at: null };
+
+const buildAssignment = (overrides = {}) => {
+  const assignment = {
+    id: assignmentId,
+    teacher_id: teacherId,
+    subject_id: subjectId,
+    group: 101,
+    ...overrides,
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: assignment.id,
+      teacher_id: assignment.teacher_id,
+      subject_id: assignment.subject_id,
+      group: assignment.group,
+    }),
+  };
+  return assignment;
+};
+
+describe('Teacher Subject Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue(mockTeacher);
+    Subject.findByPk.mockResolvedValue(mockSubject);
+    TeacherSubject.findOne.mockResolvedValue(null);
+  });
+
+  describe('GET /api/teacher-subjects', () => {
+    it('should list assignments filtered by teacher and group', async () => {
+      TeacherSubject.findAll.mockResolvedValue([buildAssignment()]);
+
+      const response = await request(app)
+        .get('/api/teacher-subjects')
+        .query({ teacher_id: teacherId, group: 101 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(TeacherSubject.findAll.mock.calls[0][0].where).toEqual({ teacher_id: teacherId, group: 101 });
+    });
+
+    it('should reject teachers', async () => {
+      const response = await request(app)
+        .get('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/teacher-subjects', () => {
+    it('should assign a teacher to a subject for one group', async () => {
+      TeacherSubject.create.mockImplementation(async values => buildAssignment(values));
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId, group: 101 });
+
+      expect(response.status).toBe(201);
+      expect(TeacherSubject.create).toHaveBeenCalledWith({ teacher_id: teacherId, subject_id: subjectId, group: 101 });
+      expect(User.findByPk.mock.calls[0][1].include[0]).toMatchObject({ as: 'role' });
+      expect(TeacherSubject.findOne).toHaveBeenCalledWith({
+        where: { teacher_id: teacherId, subject_id: subjectId, group: { [Op.or]: [null, 101] } },
+      });
+    });
+
+    it('should assign a teacher to all groups when no group is given', async () => {
+      TeacherSubject.create.mockImplementation(async values => buildAssignment(values));
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId });
+
+      expect(response.status).toBe(201);
+      expect(response.body.assignment.group).toBeNull();
+      expect(TeacherSubject.findOne).toHaveBeenCalledWith({ where: { teacher_id: teacherId, subject_id: subjectId } });
+    });
+
+    it('should reject overlapping assignments', async () => {
+      TeacherSubject.findOne.mockResolvedValue(buildAssignment({ group: null }));
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId, group: 101 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("teacher@example.com already teaches 'Mathematics' to all groups");
+      expect(TeacherSubject.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject users whose role cannot record grades', async () => {
+      User.findByPk.mockResolvedValue({ ...mockTeacher, role_id: 3, role: { id: 3, role_name: 'student' } });
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Role 'student' cannot record grades");
+    });
+
+    it('should reject users without a role', async () => {
+      User.findByPk.mockResolvedValue({ ...mockTeacher, role_id: null, role: null });
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('User teacher@example.com has no role');
+    });
+
+    it('should reject archived subjects', async () => {
+      Subject.findByPk.mockResolvedValue({ ...mockSubject, archived_at: new Date() });
+
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: teacherId, subject_id: subjectId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Subject 'Mathematics' is archived");
+    });
+
+    it('should validate the request body', async () => {
+      const response = await request(app)
+        .post('/api/teacher-subjects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: 'nope', subject_id: subjectId, group: 'A' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.msg)).toEqual([
+        'Teacher ID must be a valid UUID',
+        'Group must be an integer',
+      ]);
+    });
+  });
+
+  describe('DELETE /api/teacher-subjects/:id', () => {
+    it('should remove an assignment', async () => {
+      const assignment = buildAssignment();
+      TeacherSubject.findByPk.mockResolvedValue(assignment);
+
+      const response = await request(app)
+        .delete(`/api/teacher-subjects/${assignmentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(assignment.destroy).toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown assignment', async () => {
+      TeacherSubject.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/teacher-subjects/${assignmentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(`Assignment with id ${assignmentId} not found`);
+    });
+  });
+});
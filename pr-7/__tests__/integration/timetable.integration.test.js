@@ -0,0 +1,476 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    query: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Lesson: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+  },
+  Room: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+  Subject: {
+    findByPk: jest.fn(),
+  },
+  User: {
+    findByPk: jest.fn(),
+  },
+  Role: {},
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { sequelize } = require('../../config/database');
+const { Lesson, Room, Subject, User } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const app = require('../../index');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+const teacherId = '550e8400-e29b-41d4-a716-446655440010';
+const roomId = '550e8400-e29b-41d4-a716-446655440080';
+const lessonId = '550e8400-e29b-41d4-a716-446655440090';
+const adminToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440099', email: 'admin@example.com', role: 'admin' });
+const teacherToken = generateToken({ id: teacherId, email: 'teacher@example.com', role: 'teacher' });
+const studentToken = generateToken({ id: '550e8400-e29b-41d4-a716-446655440011', email: 'student@example.com', role: 'student' });
+
+const mockSubject = { id: subjectId, subject_name: 'Physics', archived_at: null };
+const mockTeacher = { id: teacherId, name: 'Grace', surname: 'Hopper', email: 'teacher@example.com', role_id: 2, role: { id: 2, role_name: 'teacher' } };
+
+const buildRoom = (overrides = {}) => {
+  const room = {
+    id: roomId,
+    name: 'B-204',
+    capacity: 30,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({ id: room.id, name: room.name, capacity: room.capacity }),
+  };
+  return room;
+};
+
+const buildLesson = (overrides = {}) => {
+  const lesson = {
+    id: lessonId,
+    term: '2026-autumn',
+    group: 102,
+    subject_id: subjectId,
+    teacher_id: teacherId,
+    room_id: roomId,
+    weekday: 1,
+    starts_at: '09:00:00',
+    ends_at: '10:30:00',
+    subject: mockSubject,
+    teacher: mockTeacher,
+    room: { id: roomId, name: 'B-204' },
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    toJSON: () => ({
+      id: lesson.id,
+      term: lesson.term,
+      group: lesson.group,
+      room_id: lesson.room_id,
+      weekday: lesson.weekday,
+      starts_at: lesson.starts_at,
+      ends_at: lesson.ends_at,
+    }),
+  };
+  return lesson;
+};
+
+const newLesson = {
+  group: 101,
+  subject_id: subjectId,
+  teacher_id: teacherId,
+  room_id: roomId,
+  weekday: 1,
+  starts_at: '10:00',
+  ends_at: '11:30',
+  term: '2026-autumn',
+};
+
+describe('Timetable Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subject.findByPk.mockResolvedValue(mockSubject);
+    User.findByPk.mockResolvedValue(mockTeacher);
+    Room.findByPk.mockResolvedValue(buildRoom());
+    Lesson.findAll.mockResolvedValue([]);
+  });
+
+  describe('POST /api/timetable/lessons', () => {
+    it('should schedule a lesson without conflicts', async () => {
+      Lesson.create.mockResolvedValue({ id: 'lesson-new' });
+      Lesson.findByPk.mockResolvedValue(buildLesson({ id: 'lesson-new', group: 101, starts_at: '10:00:00', ends_at: '11:30:00' }));
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(201);
+      expect(response.body.lesson.id).toBe('lesson-new');
+      expect(Lesson.create).toHaveBeenCalledWith(newLesson, { transaction: { id: 'transaction' } });
+      expect(Lesson.findAll.mock.calls[0][0].transaction).toEqual({ id: 'transaction' });
+      expect(sequelize.query).toHaveBeenCalledWith(
+        'SELECT pg_advisory_xact_lock(hashtext(:key))',
+        { replacements: { key: `lesson:2026-autumn:room:${roomId}` }, transaction: { id: 'transaction' } }
+      );
+    });
+
+    it('should let only one of two concurrent bookings of the same slot through', async () => {
+      // Transactions holding the same locks run one after the other
+      let previous = Promise.resolve();
+      sequelize.transaction.mockImplementation((callback) => {
+        const run = previous.then(() => callback({ id: 'transaction' }));
+        previous = run.catch(() => {});
+        return run;
+      });
+      // A conflict check waits briefly for the other request's check, so unlocked checks overlap
+      const stored = [];
+      let checking = 0;
+      let bothChecking;
+      const overlap = new Promise((resolve) => { bothChecking = resolve; });
+      Lesson.findAll.mockImplementation(async () => {
+        checking += 1;
+        if (checking === 2) {
+          bothChecking();
+        }
+        await Promise.race([overlap, new Promise(resolve => setTimeout(resolve, 50))]);
+        return [...stored];
+      });
+      Lesson.create.mockImplementation(async (values) => {
+        const lesson = buildLesson({ ...values, id: 'lesson-new' });
+        stored.push(lesson);
+        return lesson;
+      });
+      Lesson.findByPk.mockImplementation(async () => stored[0]);
+
+      const book = group => request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newLesson, group });
+      const responses = await Promise.all([book(101), book(103)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      expect(responses.find(response => response.status === 409).body.conflicts[0].clashes_on).toEqual(['room', 'teacher']);
+      expect(Lesson.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a double-booked room and name the clashing lesson', async () => {
+      Lesson.findAll.mockResolvedValue([buildLesson({ teacher_id: 'teacher-2' })]);
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newLesson, teacher_id: '550e8400-e29b-41d4-a716-446655440012' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe(
+        `Room 'B-204' is already booked by lesson ${lessonId}: `
+        + 'Physics for group 102 with teacher@example.com in B-204, Monday 09:00–10:30 (term 2026-autumn)'
+      );
+      expect(response.body.conflicts).toEqual([{ lesson: expect.objectContaining({ id: lessonId }), clashes_on: ['room'] }]);
+      expect(Lesson.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a double-booked teacher', async () => {
+      Lesson.findAll.mockResolvedValue([buildLesson({ room_id: 'room-2', room: { id: 'room-2', name: 'A-101' } })]);
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain(`Teacher teacher@example.com is already booked by lesson ${lessonId}`);
+      expect(response.body.conflicts[0].clashes_on).toEqual(['teacher']);
+    });
+
+    it('should reject a double-booked group', async () => {
+      Lesson.findAll.mockResolvedValue([buildLesson({ group: 101, teacher_id: 'teacher-2', room_id: 'room-2' })]);
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain(`Group 101 is already booked by lesson ${lessonId}`);
+      expect(response.body.conflicts[0].clashes_on).toEqual(['group']);
+    });
+
+    it('should reject an end time before the start time', async () => {
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newLesson, ends_at: '09:30' });
+
+      expect(response.status).toBe(400);
+      expect(Lesson.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown rooms', async () => {
+      Room.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(`Room with id ${roomId} not found`);
+    });
+
+    it('should reject teachers whose role cannot teach', async () => {
+      User.findByPk.mockResolvedValue({ ...mockTeacher, role_id: 3, role: { id: 3, role_name: 'student' } });
+
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Role 'student' cannot teach lessons");
+    });
+
+    it('should require timetable:manage', async () => {
+      const response = await request(app)
+        .post('/api/timetable/lessons')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send(newLesson);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/timetable/lessons/:id', () => {
+    it('should check the moved lesson for conflicts, leaving out itself', async () => {
+      const lesson = buildLesson();
+      Lesson.findByPk.mockResolvedValueOnce(lesson).mockResolvedValueOnce(buildLesson({ weekday: 2 }));
+
+      const response = await request(app)
+        .patch(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weekday: 2 });
+
+      expect(response.status).toBe(200);
+      const { where } = Lesson.findAll.mock.calls[0][0];
+      expect(where).toMatchObject({ weekday: 2, starts_at: { [Op.lt]: '10:30:00' }, ends_at: { [Op.gt]: '09:00:00' } });
+      expect(where.id).toEqual({ [Op.ne]: lessonId });
+      expect(lesson.weekday).toBe(2);
+      expect(lesson.save).toHaveBeenCalled();
+    });
+
+    it('should check a new teacher when the teacher changes', async () => {
+      const lesson = buildLesson();
+      Lesson.findByPk.mockResolvedValueOnce(lesson).mockResolvedValueOnce(lesson);
+      const otherTeacherId = '550e8400-e29b-41d4-a716-446655440012';
+
+      const response = await request(app)
+        .patch(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacher_id: otherTeacherId });
+
+      expect(response.status).toBe(200);
+      expect(User.findByPk).toHaveBeenCalledWith(otherTeacherId, expect.objectContaining({ include: [expect.objectContaining({ as: 'role' })] }));
+      expect(lesson.teacher_id).toBe(otherTeacherId);
+    });
+
+    it('should reject a start time after the current end time', async () => {
+      Lesson.findByPk.mockResolvedValue(buildLesson());
+
+      const response = await request(app)
+        .patch(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ starts_at: '11:00' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('End time must be after the start time');
+    });
+
+    it('should reject moves onto a booked slot', async () => {
+      const lesson = buildLesson();
+      Lesson.findByPk.mockResolvedValue(lesson);
+      Lesson.findAll.mockResolvedValue([buildLesson({ id: 'lesson-2', group: 103, teacher_id: 'teacher-2', weekday: 2 })]);
+
+      const response = await request(app)
+        .patch(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weekday: 2 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain("Room 'B-204' is already booked by lesson lesson-2");
+      expect(lesson.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/timetable/lessons/:id', () => {
+    it('should delete the lesson', async () => {
+      const lesson = buildLesson();
+      Lesson.findByPk.mockResolvedValue(lesson);
+
+      const response = await request(app)
+        .delete(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(lesson.destroy).toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown lessons', async () => {
+      Lesson.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/timetable/lessons/${lessonId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(`Lesson with id ${lessonId} not found`);
+    });
+  });
+
+  describe('GET timetables', () => {
+    it('should return the timetable of a group by weekday', async () => {
+      Lesson.findAll.mockResolvedValue([buildLesson(), buildLesson({ id: 'lesson-2', weekday: 4 })]);
+
+      const response = await request(app)
+        .get('/api/timetable/groups/102?term=2026-autumn')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.days.map(day => day.name)).toEqual(['Monday', 'Thursday']);
+      expect(Lesson.findAll.mock.calls[0][0].where).toEqual({ group: 102, term: '2026-autumn' });
+    });
+
+    it('should return the timetable of a teacher', async () => {
+      const response = await request(app)
+        .get(`/api/timetable/teachers/${teacherId}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.teacher.email).toBe('teacher@example.com');
+      expect(Lesson.findAll.mock.calls[0][0].where).toEqual({ teacher_id: teacherId });
+    });
+
+    it('should return the timetable of a room', async () => {
+      const response = await request(app)
+        .get(`/api/timetable/rooms/${roomId}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.room.name).toBe('B-204');
+      expect(Lesson.findAll.mock.calls[0][0].where).toEqual({ room_id: roomId });
+    });
+
+    it('should return 404 for unknown rooms', async () => {
+      Room.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/timetable/rooms/${roomId}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Rooms', () => {
+    it('should create a room', async () => {
+      Room.findOne.mockResolvedValue(null);
+      Room.create.mockResolvedValue(buildRoom());
+
+      const response = await request(app)
+        .post('/api/rooms')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'B-204', capacity: 30 });
+
+      expect(response.status).toBe(201);
+      expect(Room.create).toHaveBeenCalledWith({ name: 'B-204', capacity: 30 });
+    });
+
+    it('should reject duplicate room names', async () => {
+      Room.findOne.mockResolvedValue(buildRoom());
+
+      const response = await request(app)
+        .post('/api/rooms')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'B-204' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Room 'B-204' already exists");
+    });
+
+    it('should refuse to delete rooms with lessons', async () => {
+      Lesson.count.mockResolvedValue(2);
+      const room = buildRoom();
+      Room.findByPk.mockResolvedValue(room);
+
+      const response = await request(app)
+        .delete(`/api/rooms/${roomId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(room.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should list rooms for any authenticated user', async () => {
+      Room.findAll.mockResolvedValue([buildRoom()]);
+
+      const response = await request(app)
+        .get('/api/rooms')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+    });
+  });
+});
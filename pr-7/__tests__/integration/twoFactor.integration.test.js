@@ -0,0 +1,402 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+
+const mockHashedPassword = bcrypt.hashSync('password123', 10);
+
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+// TwoFactor and RecoveryCode are small in-memory fakes so the real service runs end to end
+jest.mock('../../models', () => {
+  const buildUser = (id, email, roleName) => {
+    const user = {
+      id,
+      name: 'Test',
+      surname: 'User',
+      email,
+      password: '',
+      is_active: true,
+      email_verified_at: new Date('2025-01-01T00:00:00Z'),
+      role: { id: `${roleName}-role`, role_name: roleName },
+    };
+    user.toJSON = () => ({ id: user.id, email: user.email });
+    return user;
+  };
+
+  const mockUsers = [
+    buildUser('550e8400-e29b-41d4-a716-446655440001', 'student@example.com', 'student'),
+    buildUser('550e8400-e29b-41d4-a716-446655440002', 'admin@example.com', 'admin'),
+  ];
+
+  const mockTwoFactorRows = new Map();
+  const mockRecoveryRows = [];
+
+  const withUpdate = (row) => {
+    row.update = async (values) => Object.assign(row, values);
+    return row;
+  };
+
+  return {
+    User: {
+      findOne: jest.fn(async ({ where }) => mockUsers.find(user => user.email === where.email) || null),
+      findByPk: jest.fn(async id => mockUsers.find(user => user.id === id) || null),
+    },
+    Role: { findOne: jest.fn(), findByPk: jest.fn() },
+    Student: { findOne: jest.fn() },
+    TwoFactor: {
+      findByPk: jest.fn(async id => mockTwoFactorRows.get(id) || null),
+      create: jest.fn(async (data) => {
+        const row = withUpdate({ enabled_at: null, last_used_step: null, ...data });
+        mockTwoFactorRows.set(data.user_id, row);
+        return row;
+      }),
+      // Only used for the conditional last_used_step update
+      update: jest.fn(async (values, { where }) => {
+        const row = mockTwoFactorRows.get(where.user_id);
+        if (!row || (row.last_used_step !== null && row.last_used_step >= values.last_used_step)) {
+          return [0];
+        }
+        Object.assign(row, values);
+        return [1];
+      }),
+      destroy: jest.fn(async ({ where }) => (mockTwoFactorRows.delete(where.user_id) ? 1 : 0)),
+    },
+    RecoveryCode: {
+      bulkCreate: jest.fn(async (rows) => {
+        rows.forEach((row, index) => mockRecoveryRows.push({ id: `${row.user_id}-${index}`, used_at: null, ...row }));
+      }),
+      findOne: jest.fn(async ({ where }) => mockRecoveryRows.find(row => row.user_id === where.user_id
+        && row.code_hash === where.code_hash && row.used_at === null) || null),
+      update: jest.fn(async (values, { where }) => {
+        const row = mockRecoveryRows.find(candidate => candidate.id === where.id && candidate.used_at === null);
+        if (!row) {
+          return [0];
+        }
+        Object.assign(row, values);
+        return [1];
+      }),
+      destroy: jest.fn(async ({ where }) => {
+        for (let i = mockRecoveryRows.length - 1; i >= 0; i -= 1) {
+          if (mockRecoveryRows[i].user_id === where.user_id) {
+            mockRecoveryRows.splice(i, 1);
+          }
+        }
+      }),
+      count: jest.fn(async ({ where }) => mockRecoveryRows
+        .filter(row => row.user_id === where.user_id && row.used_at === null).length),
+    },
+    Session: {
+      create: jest.fn(async data => ({ id: '550e8400-e29b-41d4-a716-446655440700', ...data })),
+    },
+    mockUsers,
+    mockTwoFactorRows,
+    mockRecoveryRows,
+  };
+});
+
+jest.mock('../../services/tokenService', () => ({
+  issueRefreshToken: jest.fn().mockResolvedValue({ token: 'mock-refresh-token' }),
+  revokeAllForUser: jest.fn(),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+  REFRESH_TOKEN_TTL_DAYS: 7,
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { mockUsers, mockTwoFactorRows, mockRecoveryRows } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const { generateSecret, generateTotp } = require('../../utils/totp');
+const { LoginThrottle, MemoryAttemptStore, setLoginThrottle } = require('../../services/loginThrottle');
+const app = require('../../index');
+
+const [student, admin] = mockUsers;
+const accessToken = user => generateToken({
+  id: user.id,
+  email: user.email,
+  role: user.role.role_name,
+  name: user.name,
+  surname: user.surname,
+});
+
+const login = email => request(app)
+  .post('/api/auth/login')
+  .send({ email, password: 'password123' });
+
+// Enroll a user directly in the fake store
+const enroll = (user) => {
+  const secret = generateSecret();
+  mockTwoFactorRows.set(user.id, {
+    user_id: user.id,
+    secret,
+    enabled_at: new Date(),
+    last_used_step: null,
+    update: async function update(values) { return Object.assign(this, values); },
+  });
+  return secret;
+};
+
+describe('Two-Factor Authentication', () => {
+  beforeAll(() => {
+    mockUsers.forEach((user) => { user.password = mockHashedPassword; });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTwoFactorRows.clear();
+    mockRecoveryRows.length = 0;
+    setLoginThrottle(new LoginThrottle(new MemoryAttemptStore()));
+  });
+
+  it('should log in users without 2FA directly', async () => {
+    const response = await login(student.email);
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.mfa_required).toBeUndefined();
+  });
+
+  describe('enrollment', () => {
+    it('should let a user enroll with an access token', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken(student)}`);
+
+      expect(setup.status).toBe(200);
+      expect(setup.body.otpauth_uri).toContain(`secret=${setup.body.secret}`);
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken(student)}`)
+        .send({ code: generateTotp(setup.body.secret) });
+
+      expect(enable.status).toBe(200);
+      expect(enable.body.recovery_codes).toHaveLength(10);
+      expect(enable.body.token).toBeUndefined();
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${accessToken(student)}`);
+
+      expect(status.body.two_factor).toEqual({
+        enabled: true,
+        enrollment_pending: false,
+        recovery_codes_remaining: 10,
+        required: false,
+      });
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken(student)}`);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken(student)}`)
+        .send({ code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid two-factor code');
+    });
+
+    it('should force admins to enroll before the login completes', async () => {
+      const response = await login(admin.email);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ mfa_required: true, mfa_enrollment_required: true });
+      expect(response.body.token).toBeUndefined();
+
+      const { mfa_token: mfaToken } = response.body;
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ mfa_token: mfaToken });
+      expect(setup.status).toBe(200);
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({ mfa_token: mfaToken, code: generateTotp(setup.body.secret) });
+
+      expect(enable.status).toBe(200);
+      expect(enable.body.recovery_codes).toHaveLength(10);
+      expect(enable.body.token).toBeDefined();
+      expect(enable.body.user.role).toBe('admin');
+    });
+  });
+
+  describe('login with 2FA', () => {
+    it('should issue an mfa_pending token that does not work as an access token', async () => {
+      enroll(student);
+
+      const response = await login(student.email);
+      expect(response.body).toMatchObject({ mfa_required: true, mfa_enrollment_required: false });
+
+      const protectedResponse = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${response.body.mfa_token}`);
+      expect(protectedResponse.status).toBe(401);
+    });
+
+    it('should finish the login with a TOTP code, which cannot be replayed', async () => {
+      const secret = enroll(student);
+      const { mfa_token: mfaToken } = (await login(student.email)).body;
+      const code = generateTotp(secret);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, code });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refresh_token).toBe('mock-refresh-token');
+
+      const replay = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, code });
+      expect(replay.status).toBe(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      enroll(student);
+      const codesResponse = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${accessToken(student)}`)
+        .send({ code: generateTotp(mockTwoFactorRows.get(student.id).secret) });
+      const [recoveryCode] = codesResponse.body.recovery_codes;
+      const { mfa_token: mfaToken } = (await login(student.email)).body;
+
+      const first = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, recovery_code: recoveryCode.toUpperCase() });
+      const second = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, recovery_code: recoveryCode });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(401);
+    });
+
+    it('should count wrong codes towards the login throttle', async () => {
+      enroll(student);
+      const { mfa_token: mfaToken } = (await login(student.email)).body;
+
+      let response;
+      for (let i = 0; i < 5; i += 1) {
+        response = await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ mfa_token: mfaToken, code: '000000' });
+      }
+
+      expect(response.status).toBe(401);
+      expect(response.headers['retry-after']).toBe('1');
+
+      const throttled = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, code: '000000' });
+      expect(throttled.status).toBe(429);
+    });
+
+    it('should reject an enrollment token at the verify step', async () => {
+      const { mfa_token: mfaToken } = (await login(admin.email)).body;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: mfaToken, code: '123456' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid or expired MFA token.');
+    });
+
+    it('should require a code or recovery code', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfa_token: 'token' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('disabling and resetting', () => {
+    it('should let a student disable 2FA with a valid code', async () => {
+      const secret = enroll(student);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken(student)}`)
+        .send({ code: generateTotp(secret) });
+
+      expect(response.status).toBe(200);
+      expect(mockTwoFactorRows.has(student.id)).toBe(false);
+    });
+
+    it('should not let admins disable mandatory 2FA', async () => {
+      const secret = enroll(admin);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken(admin)}`)
+        .send({ code: generateTotp(secret) });
+
+      expect(response.status).toBe(403);
+      expect(mockTwoFactorRows.has(admin.id)).toBe(true);
+    });
+
+    it('should let an admin reset the 2FA of another user', async () => {
+      enroll(student);
+
+      const response = await request(app)
+        .delete(`/api/users/${student.id}/2fa`)
+        .set('Authorization', `Bearer ${accessToken(admin)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Two-factor authentication reset successfully');
+      expect(mockTwoFactorRows.has(student.id)).toBe(false);
+
+      const loginResponse = await login(student.email);
+      expect(loginResponse.body.token).toBeDefined();
+    });
+
+    it('should not let other roles reset 2FA', async () => {
+      enroll(admin);
+
+      const response = await request(app)
+        .delete(`/api/users/${admin.id}/2fa`)
+        .set('Authorization', `Bearer ${accessToken(student)}`);
+
+      expect(response.status).toBe(403);
+      expect(mockTwoFactorRows.has(admin.id)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,385 @@
+const request = require('supertest');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => {
+  const mockUserObject = {
+    id: '550e8400-e29b-41d4-a716-446655440010',
+    name: 'Jane',
+    surname: 'Teacher',
+    email: 'jane.teacher@example.com',
+    role_id: '550e8400-e29b-41d4-a716-446655440002',
+    is_active: true,
+    role: { id: '550e8400-e29b-41d4-a716-446655440002', role_name: 'teacher' },
+  };
+
+  return {
+    User: {
+      findOne: jest.fn(),
+      findByPk: jest.fn(),
+      findAndCountAll: jest.fn(),
+    },
+    Role: {
+      findOne: jest.fn(),
+    },
+    Student: {
+      findOne: jest.fn(),
+    },
+    RefreshToken: { destroy: jest.fn() },
+    RevokedToken: { destroy: jest.fn() },
+    OneTimeToken: { destroy: jest.fn() },
+    TwoFactor: { destroy: jest.fn() },
+    RecoveryCode: { destroy: jest.fn() },
+    Session: { findAll: jest.fn(), destroy: jest.fn() },
+    TeacherSubject: { destroy: jest.fn() },
+    Lesson: { count: jest.fn() },
+    mockUserObject,
+  };
+});
+
+jest.mock('../../services/tokenService', () => ({
+  issueRefreshToken: jest.fn(),
+  revokeAllForUser: jest.fn(),
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { User, Role, Student, RefreshToken, TwoFactor, TeacherSubject, Lesson, mockUserObject } = require('../../models');
+const { generateToken } = require('../../middleware/auth');
+const { revokeAllForUser } = require('../../services/tokenService');
+const { LoginThrottle, MemoryAttemptStore, setLoginThrottle } = require('../../services/loginThrottle');
+const app = require('../../index');
+
+const adminId = '550e8400-e29b-41d4-a716-446655440099';
+const adminToken = generateToken({ id: adminId, email: 'admin@example.com', role: 'admin', name: 'Admin', surname: 'User' });
+const teacherToken = generateToken({ id: mockUserObject.id, email: mockUserObject.email, role: 'teacher', name: 'Jane', surname: 'Teacher' });
+
+// Mimics a Sequelize instance loaded without the password column
+const buildUser = (overrides = {}) => {
+  const user = {
+    ...mockUserObject,
+    ...overrides,
+    save: jest.fn().mockResolvedValue(undefined),
+    reload: jest.fn().mockResolvedValue(undefined),
+    destroy: jest.fn().mockResolvedValue(undefined),
+  };
+  user.toJSON = jest.fn(() => {
+    const { save, reload, destroy, toJSON, ...data } = user;
+    return data;
+  });
+  return user;
+};
+
+describe('User Management Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('access control', () => {
+    it('should reject non-admin users', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(403);
+      expect(User.findAndCountAll).not.toHaveBeenCalled();
+    });
+
+    it('should reject unauthenticated requests', async () => {
+      const response = await request(app).get('/api/users');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should return a page of users without passwords', async () => {
+      User.findAndCountAll.mockResolvedValue({ count: 41, rows: [buildUser()] });
+
+      const response = await request(app)
+        .get('/api/users')
+        .query({ page: 3, limit: 20, role: 'teacher' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, page: 3, limit: 20, total: 41, count: 1 });
+      expect(response.body.users[0].password).toBeUndefined();
+
+      const options = User.findAndCountAll.mock.calls[0][0];
+      expect(options.attributes).toEqual({ exclude: ['password'] });
+      expect(options.offset).toBe(40);
+      expect(options.include[0].where).toEqual({ role_name: 'teacher' });
+    });
+
+    it('should reject a limit above 100', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .query({ limit: 500 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/users/:id', () => {
+    it('should return the user without the password column', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+
+      const response = await request(app)
+        .get(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.email).toBe(mockUserObject.email);
+      expect(User.findByPk.mock.calls[0][1].attributes).toEqual({ exclude: ['password'] });
+    });
+
+    it('should return 404 for unknown users', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/users/:id', () => {
+    it('should update name and surname', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+
+      const response = await request(app)
+        .patch(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Janet' });
+
+      expect(response.status).toBe(200);
+      expect(user.name).toBe('Janet');
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should reject an email that is already taken', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+      User.findOne.mockResolvedValue({ id: 'another-user' });
+
+      const response = await request(app)
+        .patch(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'taken@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('User with this email already exists');
+    });
+
+    it('should require at least one field', async () => {
+      const response = await request(app)
+        .patch(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/:id/deactivate', () => {
+    it('should deactivate the user and revoke their tokens', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+
+      const response = await request(app)
+        .post(`/api/users/${mockUserObject.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(user.is_active).toBe(false);
+      expect(revokeAllForUser).toHaveBeenCalledWith(mockUserObject.id);
+    });
+
+    it('should not let admins deactivate themselves', async () => {
+      const response = await request(app)
+        .post(`/api/users/${adminId}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/users/:id/unlock', () => {
+    it('should clear the failed login attempts of the account', async () => {
+      const throttle = new LoginThrottle(new MemoryAttemptStore());
+      setLoginThrottle(throttle);
+      for (let i = 0; i < 10; i += 1) {
+        await throttle.registerFailure({ email: mockUserObject.email });
+      }
+      User.findByPk.mockResolvedValue(buildUser());
+
+      const response = await request(app)
+        .post(`/api/users/${mockUserObject.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect((await throttle.check({ email: mockUserObject.email })).allowed).toBe(true);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post(`/api/users/${mockUserObject.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/users/unlock-ip', () => {
+    it('should clear the failed login attempts of the IP address', async () => {
+      const throttle = new LoginThrottle(new MemoryAttemptStore());
+      setLoginThrottle(throttle);
+      for (let i = 0; i < 100; i += 1) {
+        await throttle.registerFailure({ ip: '203.0.113.7' });
+      }
+      expect((await throttle.check({ ip: '203.0.113.7' })).allowed).toBe(false);
+
+      const response = await request(app)
+        .post('/api/users/unlock-ip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ip: '203.0.113.7' });
+
+      expect(response.status).toBe(200);
+      expect((await throttle.check({ ip: '203.0.113.7' })).allowed).toBe(true);
+    });
+
+    it('should reject an invalid address', async () => {
+      const response = await request(app)
+        .post('/api/users/unlock-ip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ip: 'not-an-ip' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('should change the role and revoke existing tokens', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+      Role.findOne.mockResolvedValue({ id: '550e8400-e29b-41d4-a716-446655440003', role_name: 'admin' });
+
+      const response = await request(app)
+        .put(`/api/users/${mockUserObject.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(200);
+      expect(user.role_id).toBe('550e8400-e29b-41d4-a716-446655440003');
+      expect(user.save).toHaveBeenCalled();
+      expect(revokeAllForUser).toHaveBeenCalledWith(mockUserObject.id);
+    });
+
+    it('should reject unknown roles', async () => {
+      Role.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put(`/api/users/${mockUserObject.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'janitor' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Role 'janitor' not found");
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    beforeEach(() => {
+      Lesson.count.mockResolvedValue(0);
+    });
+
+    it('should delete the user and their tokens in one transaction', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+      Student.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.id).toBe(mockUserObject.id);
+      const transaction = { transaction: { id: 'transaction' } };
+      expect(RefreshToken.destroy).toHaveBeenCalledWith({ where: { user_id: mockUserObject.id }, ...transaction });
+      expect(TwoFactor.destroy).toHaveBeenCalledWith({ where: { user_id: mockUserObject.id }, ...transaction });
+      expect(TeacherSubject.destroy).toHaveBeenCalledWith({ where: { teacher_id: mockUserObject.id }, ...transaction });
+      expect(user.destroy).toHaveBeenCalledWith(transaction);
+    });
+
+    it('should refuse to delete users with a student record', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+      Student.findOne.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .delete(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(user.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete users who teach scheduled lessons', async () => {
+      const user = buildUser();
+      User.findByPk.mockResolvedValue(user);
+      Student.findOne.mockResolvedValue(null);
+      Lesson.count.mockResolvedValue(4);
+
+      const response = await request(app)
+        .delete(`/api/users/${mockUserObject.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch('User teaches 4 scheduled lesson(s)');
+      expect(Lesson.count).toHaveBeenCalledWith({ where: { teacher_id: mockUserObject.id } });
+      expect(TeacherSubject.destroy).not.toHaveBeenCalled();
+      expect(user.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
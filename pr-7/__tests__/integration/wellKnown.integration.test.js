@@ -0,0 +1,124 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Mock the database and models
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    authenticate: jest.fn(),
+    close: jest.fn(),
+  },
+  testConnection: jest.fn(() => Promise.resolve(true)),
+}));
+
+jest.mock('../../models', () => ({
+  Student: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  TeacherSubject: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  User: {},
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  const getRolePermissions = jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || []));
+  return {
+    getRolePermissions,
+    hasPermission: jest.fn(async (role, permission) => (await getRolePermissions(role)).has(permission)),
+    clearPermissionCache: jest.fn(),
+  };
+});
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+}));
+
+jest.mock('swagger-ui-express', () => ({
+  serve: [jest.fn((req, res, next) => next())],
+  setup: jest.fn(() => jest.fn((req, res, next) => next())),
+}));
+
+jest.mock('express-status-monitor', () => jest.fn(() => (req, res, next) => next()));
+
+const { generateToken } = require('../../middleware/auth');
+const { secret: JWT_SECRET } = require('../../config/jwt');
+const { KeyStore, getKeyStore, setKeyStore } = require('../../services/keyStore');
+const app = require('../../index');
+
+const teacher = { id: '550e8400-e29b-41d4-a716-446655440010', email: 'teacher@example.com', role: 'teacher' };
+
+const privatePem = (type, options) => crypto.generateKeyPairSync(type, options).privateKey
+  .export({ type: 'pkcs8', format: 'pem' });
+
+describe('JWT signing keys', () => {
+  const defaultStore = getKeyStore();
+
+  afterEach(() => {
+    setKeyStore(defaultStore);
+  });
+
+  it('should publish an empty key set while tokens use the shared secret', async () => {
+    const response = await request(app).get('/.well-known/jwks.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ keys: [] });
+  });
+
+  describe('with asymmetric keys', () => {
+    const rsaPem = privatePem('rsa', { modulusLength: 2048 });
+    const ecPem = privatePem('ec', { namedCurve: 'P-256' });
+
+    beforeEach(() => {
+      setKeyStore(KeyStore.fromPem([{ kid: 'key-2026-01', pem: rsaPem }, { kid: 'key-2026-02', pem: ecPem }]));
+    });
+
+    it('should let other services verify tokens with the published keys', async () => {
+      const token = generateToken(teacher);
+
+      const response = await request(app).get('/.well-known/jwks.json');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      const { kid } = jwt.decode(token, { complete: true }).header;
+      const jwk = response.body.keys.find(key => key.kid === kid);
+      expect(jwk).toMatchObject({ kid: 'key-2026-02', alg: 'ES256', use: 'sig' });
+      const decoded = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [jwk.alg] });
+      expect(decoded.email).toBe(teacher.email);
+    });
+
+    it('should accept tokens of every key in the store', async () => {
+      const oldToken = KeyStore.fromPem([{ kid: 'key-2026-01', pem: rsaPem }])
+        .sign({ ...teacher }, { expiresIn: '5m', jwtid: crypto.randomUUID() });
+
+      const response = await request(app)
+        .get('/api/students')
+        .set('Authorization', `Bearer ${oldToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject tokens signed with the shared secret', async () => {
+      const token = jwt.sign({ ...teacher }, JWT_SECRET, { expiresIn: '5m' });
+
+      const response = await request(app)
+        .get('/api/students')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -1,5 +1,29 @@
 const jwt = require('jsonwebtoken');
-const { authenticate, authorize, generateToken, JWT_SECRET } = require('../../middleware/auth');
+
+jest.mock('../../services/tokenService', () => ({
+  checkAccessToken: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../services/permissionService', () => ({
+  getRolePermissions: jest.fn(),
+}));
+
+jest.mock('../../services/apiKeyService', () => ({
+  verifyApiKey: jest.fn(),
+  serviceAccountLabel: apiKey => `service-account:${apiKey.name}`,
+}));
+
+const { checkAccessToken } = require('../../services/tokenService');
+const { getRolePermissions } = require('../../services/permissionService');
+const { verifyApiKey } = require('../../services/apiKeyService');
+const {
+  authenticate,
+  authorize,
+  requirePermission,
+  requireUser,
+  generateToken,
+} = require('../../middleware/auth');
+const { secret: JWT_SECRET } = require('../../config/jwt');
 
 describe('Auth Middleware', () => {
   describe('generateToken', () => {
@@ -41,12 +65,24 @@ describe('Auth Middleware', () => {
       expect(decoded).toHaveProperty('name', user.name);
       expect(decoded).toHaveProperty('surname', user.surname);
     });
+
+    it('should issue short-lived tokens with a unique jti', () => {
+      const user = { id: '123', email: 'test@example.com', role: 'student' };
+
+      const first = jwt.verify(generateToken(user), JWT_SECRET);
+      const second = jwt.verify(generateToken(user), JWT_SECRET);
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+      expect(first.exp - first.iat).toBe(15 * 60);
+    });
   });
 
   describe('authenticate', () => {
     let req, res, next;
 
     beforeEach(() => {
+      jest.clearAllMocks();
       req = {
         headers: {},
       };
@@ -116,6 +152,73 @@ describe('Auth Middleware', () => {
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
+
+    it('should return 401 if token has been revoked', async () => {
+      const token = generateToken({ id: '123', email: 'test@example.com', role: 'student' });
+      req.headers.authorization = `Bearer ${token}`;
+      checkAccessToken.mockResolvedValueOnce('Token has been revoked.');
+
+      await authenticate(req, res, next);
+
+      expect(checkAccessToken).toHaveBeenCalledWith(expect.objectContaining({ id: '123' }));
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Token has been revoked.',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should authenticate a service account with an X-API-Key header', async () => {
+      const apiKey = { id: 'key-1', name: 'grading-import', scopes: ['grades:write'] };
+      verifyApiKey.mockResolvedValueOnce({ apiKey });
+      req.headers['x-api-key'] = 'sk_abcd1234_secret';
+
+      await authenticate(req, res, next);
+
+      expect(verifyApiKey).toHaveBeenCalledWith('sk_abcd1234_secret');
+      expect(req.user).toMatchObject({
+        id: 'key-1',
+        email: 'service-account:grading-import',
+        role: null,
+        serviceAccount: true,
+        scopes: ['grades:write'],
+      });
+      expect(req.apiKey).toBe(apiKey);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 for an invalid API key', async () => {
+      verifyApiKey.mockResolvedValueOnce({ error: 'API key has expired.' });
+      req.headers['x-api-key'] = 'sk_abcd1234_secret';
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'API key has expired.' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the Authorization header over X-API-Key', async () => {
+      req.headers.authorization = `Bearer ${generateToken({ id: '123', email: 'test@example.com', role: 'student' })}`;
+      req.headers['x-api-key'] = 'sk_abcd1234_secret';
+
+      await authenticate(req, res, next);
+
+      expect(verifyApiKey).not.toHaveBeenCalled();
+      expect(req.user.id).toBe('123');
+    });
+
+    it('should return 500 if revocation check fails', async () => {
+      const token = generateToken({ id: '123', email: 'test@example.com', role: 'student' });
+      req.headers.authorization = `Bearer ${token}`;
+      checkAccessToken.mockRejectedValueOnce(new Error('connection refused'));
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('authorize', () => {
@@ -186,4 +289,90 @@ describe('Auth Middleware', () => {
       expect(res.status).not.toHaveBeenCalled();
     });
   });
+
+  describe('requirePermission', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      req = {};
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+      };
+      next = jest.fn();
+      getRolePermissions.mockResolvedValue(new Set(['students:read', 'students:write']));
+    });
+
+    it('should return 401 if user is not authenticated', async () => {
+      await requirePermission('students:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should call next if the role grants every permission', async () => {
+      req.user = { id: '123', role: 'assistant' };
+
+      await requirePermission('students:read', 'students:write')(req, res, next);
+
+      expect(getRolePermissions).toHaveBeenCalledWith('assistant');
+      expect(next).toHaveBeenCalled();
+      expect(req.user.permissions).toEqual(['students:read', 'students:write']);
+    });
+
+    it('should return 403 if any permission is missing', async () => {
+      req.user = { id: '123', role: 'assistant' };
+
+      await requirePermission('students:read', 'students:delete')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Access denied. Insufficient permissions.',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should use the scopes of an API key instead of role permissions', async () => {
+      req.user = { id: 'key-1', role: null, serviceAccount: true, scopes: ['grades:read'] };
+
+      await requirePermission('grades:read')(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(getRolePermissions).not.toHaveBeenCalled();
+
+      await requirePermission('students:read')(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 500 if permissions cannot be loaded', async () => {
+      req.user = { id: '123', role: 'assistant' };
+      getRolePermissions.mockRejectedValueOnce(new Error('connection refused'));
+
+      await requirePermission('students:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireUser', () => {
+    it('should reject service accounts', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      requireUser({ user: { id: 'key-1', serviceAccount: true } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let users through', () => {
+      const next = jest.fn();
+
+      requireUser({ user: { id: '123', role: 'student' } }, {}, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
 });
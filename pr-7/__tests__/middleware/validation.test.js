@@ -28,7 +28,7 @@ describe('Validation Middleware', () => {
         name: 'John',
         surname: 'Doe',
         email: 'john.doe@example.com',
-        password: 'password123',
+        password: 'correct-horse-battery',
       };
 
       const response = await request(app)
@@ -44,7 +44,7 @@ describe('Validation Middleware', () => {
       const invalidData = {
         surname: 'Doe',
         email: 'john.doe@example.com',
-        password: 'password123',
+        password: 'correct-horse-battery',
       };
 
       const response = await request(app)
@@ -62,7 +62,7 @@ describe('Validation Middleware', () => {
         name: 'John',
         surname: 'Doe',
         email: 'invalid-email',
-        password: 'password123',
+        password: 'correct-horse-battery',
       };
 
       const response = await request(app)
@@ -79,7 +79,7 @@ describe('Validation Middleware', () => {
         name: 'John',
         surname: 'Doe',
         email: 'john.doe@example.com',
-        password: '12345', // Less than 6 characters
+        password: '1234567', // Less than 8 characters
       };
 
       const response = await request(app)
@@ -90,13 +90,26 @@ describe('Validation Middleware', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it('should reject common passwords and passwords containing the name', async () => {
+      const app = createTestApp(validateRegister);
+      const user = { name: 'John', surname: 'Doe', email: 'john.doe@example.com' };
+
+      const common = await request(app).post('/test').send({ ...user, password: 'password123' });
+      const personal = await request(app).post('/test').send({ ...user, password: 'JohnDoe-2026' });
+
+      expect(common.status).toBe(400);
+      expect(common.body.details[0].msg).toBe('Password is too common');
+      expect(personal.status).toBe(400);
+      expect(personal.body.details[0].msg).toBe('Password must not contain your name or email address');
+    });
+
     it('should accept optional valid role_id', async () => {
       const app = createTestApp(validateRegister);
       const validData = {
         name: 'John',
         surname: 'Doe',
         email: 'john.doe@example.com',
-        password: 'password123',
+        password: 'correct-horse-battery',
         role_id: '550e8400-e29b-41d4-a716-446655440000',
       };
 
@@ -114,7 +127,7 @@ describe('Validation Middleware', () => {
       const app = createTestApp(validateLogin);
       const validData = {
         email: 'john.doe@example.com',
-        password: 'password123',
+        password: 'correct-horse-battery',
       };
 
       const response = await request(app)
@@ -128,7 +141,7 @@ describe('Validation Middleware', () => {
     it('should reject missing email', async () => {
       const app = createTestApp(validateLogin);
       const invalidData = {
-        password: 'password123',
+        password: 'correct-horse-battery',
       };
 
       const response = await request(app)
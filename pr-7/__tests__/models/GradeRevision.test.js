@@ -0,0 +1,37 @@
+const { sequelize } = require('../../config/database');
+const GradeRevision = require('../../models/GradeRevision');
+
+describe('GradeRevision Model', () => {
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should have correct table name', () => {
+    expect(GradeRevision.tableName).toBe('grade_revisions');
+  });
+
+  it('should require a reason and an editor', () => {
+    const attributes = GradeRevision.rawAttributes;
+
+    expect(attributes.reason.allowNull).toBe(false);
+    expect(attributes.reason.validate).toEqual({ notEmpty: true });
+    expect(attributes.editor_id.allowNull).toBe(false);
+    expect(attributes.editor.allowNull).toBe(false);
+    expect(attributes.action.values).toEqual(['update', 'delete']);
+  });
+
+  it('should allow empty new values for deletions', () => {
+    expect(GradeRevision.rawAttributes.new_grade.allowNull).toBe(true);
+    expect(GradeRevision.rawAttributes.new_evaluated_at.allowNull).toBe(true);
+  });
+
+  it('should refuse updates and deletes before reaching the database', async () => {
+    await expect(GradeRevision.update({ reason: 'rewritten' }, { where: {} }))
+      .rejects.toThrow('Grade revisions are immutable');
+    await expect(GradeRevision.destroy({ where: {} }))
+      .rejects.toThrow('Grade revisions are immutable');
+
+    const revision = GradeRevision.build({ reason: 'original' }, { isNewRecord: false });
+    await expect(revision.destroy()).rejects.toThrow('Grade revisions are immutable');
+  });
+});
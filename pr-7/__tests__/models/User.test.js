@@ -77,6 +77,12 @@ describe('User Model', () => {
       expect(roleIdAttribute.type.constructor.name).toBe('UUID');
       expect(roleIdAttribute.allowNull).toBe(false);
     });
+
+    it('should be active by default', () => {
+      const isActiveAttribute = User.rawAttributes.is_active;
+      expect(isActiveAttribute.allowNull).toBe(false);
+      expect(isActiveAttribute.defaultValue).toBe(true);
+    });
   });
 
   describe('Validation', () => {
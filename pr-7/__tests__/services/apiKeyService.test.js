@@ -0,0 +1,77 @@
+jest.mock('../../models', () => ({
+  ApiKey: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+const { ApiKey } = require('../../models');
+const { hashToken } = require('../../utils/tokenHash');
+const { createApiKey, verifyApiKey, revokeApiKey } = require('../../services/apiKeyService');
+
+describe('API Key Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    ApiKey.create.mockImplementation(async data => ({ id: 'key-1', ...data }));
+  });
+
+  describe('createApiKey', () => {
+    it('should store only the hash and the public prefix of the key', async () => {
+      const { key, record } = await createApiKey({
+        name: 'grading-import',
+        scopes: ['grades:write', 'grades:write'],
+        createdBy: 'admin-1',
+      });
+
+      expect(key).toMatch(/^sk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+      expect(key.startsWith(`sk_${record.prefix}_`)).toBe(true);
+      expect(record.key_hash).toBe(hashToken(key));
+      expect(record.scopes).toEqual(['grades:write']);
+      expect(JSON.stringify(ApiKey.create.mock.calls[0][0])).not.toContain(key);
+    });
+  });
+
+  describe('verifyApiKey', () => {
+    it('should return the record of a valid key and record its use', async () => {
+      ApiKey.findOne.mockResolvedValue({ id: 'key-1', revoked_at: null, expires_at: null, last_used_at: null });
+
+      const result = await verifyApiKey('sk_abcd1234_secret');
+
+      expect(result.apiKey.id).toBe('key-1');
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ where: { key_hash: hashToken('sk_abcd1234_secret') } });
+      expect(ApiKey.update).toHaveBeenCalledWith({ last_used_at: expect.any(Date) }, { where: { id: 'key-1' } });
+    });
+
+    it('should not write last_used_at again within a minute', async () => {
+      ApiKey.findOne.mockResolvedValue({ id: 'key-1', revoked_at: null, expires_at: null, last_used_at: new Date(Date.now() - 1000) });
+
+      await verifyApiKey('sk_abcd1234_secret');
+
+      expect(ApiKey.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown, revoked and expired keys', async () => {
+      ApiKey.findOne.mockResolvedValueOnce(null);
+      expect(await verifyApiKey('nope')).toEqual({ error: 'Invalid API key.' });
+
+      ApiKey.findOne.mockResolvedValueOnce({ id: 'key-1', revoked_at: new Date() });
+      expect(await verifyApiKey('revoked')).toEqual({ error: 'API key has been revoked.' });
+
+      ApiKey.findOne.mockResolvedValueOnce({ id: 'key-1', revoked_at: null, expires_at: new Date(Date.now() - 1000) });
+      expect(await verifyApiKey('expired')).toEqual({ error: 'API key has expired.' });
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    it('should revoke only keys that are still active', async () => {
+      ApiKey.update.mockResolvedValue([0]);
+
+      expect(await revokeApiKey('key-1')).toBe(false);
+      expect(ApiKey.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { id: 'key-1', revoked_at: null } }
+      );
+    });
+  });
+});
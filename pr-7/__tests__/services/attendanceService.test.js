@@ -0,0 +1,154 @@
+jest.mock('../../models', () => ({
+  Attendance: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  Student: {
+    findAll: jest.fn(),
+  },
+  Subject: {
+    findAll: jest.fn(),
+  },
+  TeacherSubject: {},
+}));
+
+const { Op } = require('sequelize');
+const { Attendance, Student, Subject } = require('../../models');
+const {
+  summarize,
+  studentSummary,
+  absenceReport,
+  markSession,
+} = require('../../services/attendanceService');
+
+const math = { id: 'math', subject_name: 'Mathematics' };
+const teacher = { id: 'teacher-1', email: 'teacher@example.com' };
+
+// Grouped count rows as returned by the database
+const countRow = (key, id, status, count) => ({ [key]: id, status, count: String(count) });
+
+describe('Attendance Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarize', () => {
+    it('should count sessions per status and the absence rate', () => {
+      expect(summarize([
+        { status: 'present', count: 5 },
+        { status: 'absent', count: 2 },
+        { status: 'late', count: 1 },
+        { status: 'excused', count: 1 },
+      ])).toEqual({ sessions: 9, present: 5, absent: 2, late: 1, excused: 1, absence_rate: 22.22 });
+    });
+
+    it('should report no rate without sessions', () => {
+      expect(summarize([])).toEqual({ sessions: 0, present: 0, absent: 0, late: 0, excused: 0, absence_rate: null });
+    });
+  });
+
+  describe('studentSummary', () => {
+    it('should summarize a student overall and per subject', async () => {
+      Attendance.findAll.mockResolvedValue([
+        countRow('subject_id', 'math', 'present', 3),
+        countRow('subject_id', 'math', 'absent', 1),
+        countRow('subject_id', 'history', 'excused', 2),
+      ]);
+      Subject.findAll.mockResolvedValue([math, { id: 'history', subject_name: 'History' }]);
+
+      const summary = await studentSummary(7, { from: '2026-09-01', to: '2026-09-30' });
+
+      const query = Attendance.findAll.mock.calls[0][0];
+      expect(query.where).toEqual({ student_id: 7, date: { [Op.gte]: '2026-09-01', [Op.lte]: '2026-09-30' } });
+      expect(query.group).toEqual(['Attendance.subject_id', 'Attendance.status']);
+      expect(summary.overall).toEqual({ sessions: 6, present: 3, absent: 1, late: 0, excused: 2, absence_rate: 16.67 });
+      expect(summary.subjects.map(subject => [subject.subject_name, subject.absence_rate])).toEqual([
+        ['History', 0],
+        ['Mathematics', 25],
+      ]);
+    });
+  });
+
+  describe('absenceReport', () => {
+    it('should list students above the threshold, highest rate first', async () => {
+      Attendance.findAll.mockResolvedValue([
+        countRow('student_id', 1, 'present', 8),
+        countRow('student_id', 1, 'absent', 2),
+        countRow('student_id', 2, 'present', 1),
+        countRow('student_id', 2, 'absent', 3),
+        countRow('student_id', 3, 'present', 9),
+        countRow('student_id', 3, 'absent', 1),
+      ]);
+      Student.findAll.mockResolvedValue([
+        { id: 1, name: 'Ada', group: 101 },
+        { id: 2, name: 'Alan', group: 101 },
+      ]);
+
+      const students = await absenceReport({ group: 101, subjectId: 'math' }, 15);
+
+      const query = Attendance.findAll.mock.calls[0][0];
+      expect(query.where).toEqual({ subject_id: 'math' });
+      expect(query.include[0].where).toEqual({ group: 101 });
+      expect(Student.findAll.mock.calls[0][0].where).toEqual({ id: [1, 2] });
+      expect(students.map(student => [student.name, student.absence_rate])).toEqual([['Alan', 75], ['Ada', 20]]);
+    });
+
+    it('should limit the report to the caller\'s scope', async () => {
+      Attendance.findAll.mockResolvedValue([]);
+
+      const students = await absenceReport({ scope: { all: false, userId: 'user-1', groups: [] } });
+
+      expect(Attendance.findAll.mock.calls[0][0].include[0].where).toEqual({ [Op.or]: [{ user_id: 'user-1' }] });
+      expect(students).toEqual([]);
+      expect(Student.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markSession', () => {
+    it('should mark every student of the group, upserting the session', async () => {
+      Student.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      Attendance.findAll.mockResolvedValue([]);
+
+      const result = await markSession({
+        subject: math,
+        group: 101,
+        date: '2026-10-05',
+        records: [{ student_id: 2, status: 'absent', note: 'Sick' }],
+        user: teacher,
+      });
+
+      expect(result.error).toBeUndefined();
+      const [rows, options] = Attendance.bulkCreate.mock.calls[0];
+      expect(rows.map(row => [row.student_id, row.status, row.note])).toEqual([
+        [1, 'present', null],
+        [2, 'absent', 'Sick'],
+        [3, 'present', null],
+      ]);
+      expect(rows.every(row => row.subject_id === 'math' && row.date === '2026-10-05' && row.recorded_by === 'teacher-1')).toBe(true);
+      expect(options).toEqual({ updateOnDuplicate: ['status', 'note', 'recorded_by', 'updated_at'] });
+    });
+
+    it('should reject students outside the group', async () => {
+      Student.findAll.mockResolvedValue([{ id: 1 }]);
+
+      const result = await markSession({
+        subject: math,
+        group: 101,
+        date: '2026-10-05',
+        records: [{ student_id: 9, status: 'absent' }],
+        user: teacher,
+      });
+
+      expect(result).toEqual({ error: 'Student with id 9 is not in group 101' });
+      expect(Attendance.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty group', async () => {
+      Student.findAll.mockResolvedValue([]);
+
+      const result = await markSession({ subject: math, group: 999, date: '2026-10-05', user: teacher });
+
+      expect(result).toEqual({ error: 'Group 999 has no students' });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../../models', () => ({
+  User: {
+    update: jest.fn(),
+  },
+  OneTimeToken: {
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { User, OneTimeToken } = require('../../models');
+const { getVerificationError, verifyEmail } = require('../../services/emailVerificationService');
+
+describe('Email Verification Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('getVerificationError', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    it('should accept verified users in every mode', () => {
+      const user = { email_verified_at: new Date(), created_at: hoursAgo(1000) };
+
+      expect(getVerificationError(user, 'required')).toBeNull();
+      expect(getVerificationError(user, 'grace')).toBeNull();
+      expect(getVerificationError(user, 'off')).toBeNull();
+    });
+
+    it('should reject unverified users when verification is required', () => {
+      const user = { email_verified_at: null, created_at: new Date() };
+
+      expect(getVerificationError(user, 'required')).toMatch('Email address has not been verified');
+    });
+
+    it('should accept unverified users during the grace period only', () => {
+      expect(getVerificationError({ email_verified_at: null, created_at: hoursAgo(1) }, 'grace')).toBeNull();
+      expect(getVerificationError({ email_verified_at: null, created_at: hoursAgo(25) }, 'grace')).not.toBeNull();
+    });
+
+    it('should never reject when verification is off', () => {
+      expect(getVerificationError({ email_verified_at: null, created_at: hoursAgo(1000) }, 'off')).toBeNull();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the owner of a valid token as verified', async () => {
+      OneTimeToken.findOne.mockResolvedValue({ id: 'token-id', user_id: 'user-1' });
+      OneTimeToken.update.mockResolvedValue([1]);
+
+      const result = await verifyEmail('token');
+
+      expect(result).toEqual({ userId: 'user-1' });
+      expect(User.update).toHaveBeenCalledWith(
+        { email_verified_at: expect.any(Date) },
+        { where: { id: 'user-1', email_verified_at: null } }
+      );
+    });
+
+    it('should not verify anyone for an unknown token', async () => {
+      OneTimeToken.findOne.mockResolvedValue(null);
+
+      const result = await verifyEmail('token');
+
+      expect(result.error).toBe('Invalid or expired token');
+      expect(User.update).not.toHaveBeenCalled();
+    });
+  });
+});
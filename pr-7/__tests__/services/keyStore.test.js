@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { KeyStore, createKeyStore } = require('../../services/keyStore');
+
+const pemPair = (type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicPem: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+};
+
+const rsa = pemPair('rsa', { modulusLength: 2048 });
+const ec = pemPair('ec', { namedCurve: 'P-256' });
+
+describe('KeyStore', () => {
+  describe('with a shared secret', () => {
+    const store = KeyStore.fromSecret('test-secret');
+
+    it('should sign HS256 tokens without a kid', () => {
+      const token = store.sign({ id: 'user-1' }, { expiresIn: '1m' });
+
+      expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(store.verify(token).id).toBe('user-1');
+      expect(store.symmetric).toBe(true);
+    });
+
+    it('should not publish the secret', () => {
+      expect(store.jwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe('with asymmetric keys', () => {
+    const store = KeyStore.fromPem([
+      { kid: '2026-01-rsa', pem: rsa.privatePem },
+      { kid: '2026-02-ec', pem: ec.privatePem },
+    ]);
+
+    it('should sign with the last key and name it in the header', () => {
+      const token = store.sign({ id: 'user-1' });
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: '2026-02-ec' });
+      expect(store.verify(token).id).toBe('user-1');
+      expect(jwt.verify(token, ec.publicPem).id).toBe('user-1');
+    });
+
+    it('should keep accepting tokens of the other keys', () => {
+      const previous = KeyStore.fromPem([{ kid: '2026-01-rsa', pem: rsa.privatePem }]);
+      const token = previous.sign({ id: 'user-1' });
+
+      expect(jwt.decode(token, { complete: true }).header.alg).toBe('RS256');
+      expect(store.verify(token).id).toBe('user-1');
+    });
+
+    it('should sign with the configured active key', () => {
+      const pinned = KeyStore.fromPem([
+        { kid: '2026-01-rsa', pem: rsa.privatePem },
+        { kid: '2026-02-ec', pem: ec.privatePem },
+      ], '2026-01-rsa');
+
+      expect(jwt.decode(pinned.sign({}), { complete: true }).header.kid).toBe('2026-01-rsa');
+    });
+
+    it('should reject tokens of unknown keys', () => {
+      const token = jwt.sign({ id: 'user-1' }, pemPair('ec', { namedCurve: 'P-256' }).privatePem, { algorithm: 'ES256', keyid: 'other' });
+
+      expect(() => store.verify(token)).toThrow('Unknown signing key');
+    });
+
+    it('should reject HS256 tokens signed with a public key as the secret', () => {
+      const forged = jwt.sign({ id: 'admin' }, 'anything', { algorithm: 'HS256', keyid: '2026-01-rsa' });
+
+      expect(() => store.verify(forged)).toThrow('invalid algorithm');
+      expect(() => store.verify(jwt.sign({ id: 'admin' }, 'anything'))).toThrow('Unknown signing key');
+    });
+
+    it('should publish the public keys as a JWKS', () => {
+      const { keys } = store.jwks();
+
+      expect(keys.map(key => [key.kid, key.alg, key.kty, key.use])).toEqual([
+        ['2026-01-rsa', 'RS256', 'RSA', 'sig'],
+        ['2026-02-ec', 'ES256', 'EC', 'sig'],
+      ]);
+      expect(keys[0].d).toBeUndefined();
+      expect(keys[1].d).toBeUndefined();
+
+      const token = store.sign({ id: 'user-1' });
+      const publicKey = crypto.createPublicKey({ key: keys[1], format: 'jwk' });
+      expect(jwt.verify(token, publicKey).id).toBe('user-1');
+    });
+
+    it('should refuse an active key without a private key', () => {
+      expect(() => KeyStore.fromPem([{ kid: 'retired', pem: rsa.publicPem }]))
+        .toThrow("Signing key 'null' not found or has no private key");
+    });
+
+    it('should refuse unsupported key types', () => {
+      const ed = pemPair('ed25519');
+
+      expect(() => KeyStore.fromPem([{ kid: 'ed', pem: ed.privatePem }])).toThrow('Unsupported signing key type: ed25519');
+    });
+  });
+
+  describe('createKeyStore', () => {
+    let keysDir;
+
+    beforeEach(() => {
+      keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(keysDir, { recursive: true, force: true });
+    });
+
+    it('should load the keys in JWT_KEYS_DIR, including public keys of retired ones', () => {
+      fs.writeFileSync(path.join(keysDir, '2026-01.pem'), rsa.publicPem);
+      fs.writeFileSync(path.join(keysDir, '2026-02.pem'), ec.privatePem);
+      fs.writeFileSync(path.join(keysDir, 'README.txt'), 'not a key');
+
+      const store = createKeyStore({ keysDir, activeKid: null });
+
+      expect(store.jwks().keys.map(key => key.kid)).toEqual(['2026-01', '2026-02']);
+      expect(jwt.decode(store.sign({}), { complete: true }).header.kid).toBe('2026-02');
+    });
+
+    it('should fail when the directory has no keys', () => {
+      expect(() => createKeyStore({ keysDir, activeKid: null })).toThrow('No *.pem signing keys found');
+    });
+
+    it('should use the shared secret without a keys directory', () => {
+      expect(createKeyStore({ secret: 'test-secret', keysDir: null }).symmetric).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../../models', () => ({
+  LoginAttempt: {
+    findByPk: jest.fn(),
+    findOrCreate: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+  },
+}));
+
+const { LoginAttempt } = require('../../models');
+const {
+  MemoryAttemptStore,
+  DatabaseAttemptStore,
+  LoginThrottle,
+  createAttemptStore,
+} = require('../../services/loginThrottle');
+
+const options = {
+  backoffBaseSeconds: 1,
+  backoffMaxSeconds: 60,
+  lockoutSeconds: 900,
+  resetAfterSeconds: 3600,
+  account: { freeAttempts: 3, lockoutThreshold: 6 },
+  ip: { freeAttempts: 10, lockoutThreshold: 20 },
+};
+
+const identity = { email: 'John.Doe@example.com', ip: '203.0.113.7' };
+
+describe('Login Throttle', () => {
+  let now;
+  let throttle;
+
+  const fail = async (times, who = identity) => {
+    let result;
+    for (let i = 0; i < times; i += 1) {
+      result = await throttle.registerFailure(who);
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    now = 1_700_000_000_000;
+    throttle = new LoginThrottle(new MemoryAttemptStore(), options, () => now);
+  });
+
+  it('should allow attempts until the free attempts are used up', async () => {
+    const result = await fail(2);
+
+    expect(result.retryAfter).toBe(0);
+    expect(await throttle.check(identity)).toEqual({ allowed: true, retryAfter: 0, locked: false });
+  });
+
+  it('should back off exponentially after the free attempts', async () => {
+    expect((await fail(3)).retryAfter).toBe(1);
+    expect((await throttle.check(identity)).allowed).toBe(false);
+
+    now += 1000;
+    expect((await throttle.check(identity)).allowed).toBe(true);
+    expect((await fail(1)).retryAfter).toBe(2);
+
+    now += 2000;
+    expect((await fail(1)).retryAfter).toBe(4);
+  });
+
+  it('should lock the account after reaching the lockout threshold', async () => {
+    const result = await fail(6);
+
+    expect(result).toEqual({ retryAfter: 900, locked: true });
+    now += 600 * 1000;
+    expect(await throttle.check(identity)).toEqual({ allowed: false, retryAfter: 300, locked: true });
+
+    now += 300 * 1000;
+    expect((await throttle.check(identity)).allowed).toBe(true);
+  });
+
+  it('should track accounts case-insensitively and independently from other accounts', async () => {
+    await fail(3, { email: 'john.doe@example.com' });
+
+    expect((await throttle.check({ email: 'JOHN.DOE@example.com' })).allowed).toBe(false);
+    expect((await throttle.check({ email: 'jane@example.com' })).allowed).toBe(true);
+  });
+
+  it('should throttle an IP address guessing many accounts', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      await throttle.registerFailure({ email: `user${i}@example.com`, ip: identity.ip });
+    }
+
+    const status = await throttle.check({ email: 'someone-else@example.com', ip: identity.ip });
+    expect(status.allowed).toBe(false);
+    expect((await throttle.check({ email: 'someone-else@example.com', ip: '198.51.100.1' })).allowed).toBe(true);
+  });
+
+  it('should forget failures after the reset period', async () => {
+    await fail(3);
+    now += 3601 * 1000;
+
+    expect((await fail(1)).retryAfter).toBe(0);
+  });
+
+  it('should clear the account counter on success but keep the IP counter', async () => {
+    await fail(3, { email: identity.email, ip: identity.ip });
+    await throttle.registerSuccess(identity);
+
+    expect((await throttle.check({ email: identity.email })).allowed).toBe(true);
+    expect(await throttle.store.get(`ip:${identity.ip}`)).toMatchObject({ failures: 3 });
+  });
+
+  it('should lift a lockout when an admin unlocks the account', async () => {
+    await fail(6, { email: identity.email });
+    await throttle.unlockAccount('john.doe@example.com');
+
+    expect((await throttle.check({ email: identity.email })).allowed).toBe(true);
+  });
+
+  it('should keep namespaced counters apart in a shared store', async () => {
+    const resets = new LoginThrottle(throttle.store, options, () => now, 'password_reset:');
+    for (let i = 0; i < 3; i += 1) {
+      await resets.registerFailure({ email: identity.email });
+    }
+
+    expect((await resets.check({ email: identity.email })).allowed).toBe(false);
+    expect((await throttle.check({ email: identity.email })).allowed).toBe(true);
+    expect(await throttle.store.get('password_reset:account:john.doe@example.com')).toMatchObject({ failures: 3 });
+  });
+
+  describe('DatabaseAttemptStore', () => {
+    const store = new DatabaseAttemptStore();
+
+    it('should create a counter for the first failure', async () => {
+      LoginAttempt.findOrCreate.mockResolvedValue([{ failures: 1, last_failure_at: new Date(now), locked_until: null }, true]);
+
+      const entry = await store.recordFailure('account:a@example.com', now, 3600 * 1000);
+
+      expect(entry).toEqual({ failures: 1, lastFailureAt: now, lockedUntil: null });
+      expect(LoginAttempt.findOrCreate.mock.calls[0][0].where).toEqual({ key: 'account:a@example.com' });
+    });
+
+    it('should increment an existing counter in the database', async () => {
+      const row = {
+        failures: 2,
+        last_failure_at: new Date(now - 1000),
+        locked_until: null,
+        increment: jest.fn(async () => { row.failures += 1; }),
+        update: jest.fn(async (values) => Object.assign(row, values)),
+        reload: jest.fn(),
+      };
+      LoginAttempt.findOrCreate.mockResolvedValue([row, false]);
+
+      const entry = await store.recordFailure('account:a@example.com', now, 3600 * 1000);
+
+      expect(row.increment).toHaveBeenCalledWith('failures');
+      expect(entry).toEqual({ failures: 3, lastFailureAt: now, lockedUntil: null });
+    });
+
+    it('should restart a counter whose last failure is older than the reset period', async () => {
+      const row = {
+        failures: 8,
+        last_failure_at: new Date(now - 7200 * 1000),
+        locked_until: new Date(now - 3600 * 1000),
+        increment: jest.fn(),
+        update: jest.fn(async (values) => Object.assign(row, values)),
+      };
+      LoginAttempt.findOrCreate.mockResolvedValue([row, false]);
+
+      const entry = await store.recordFailure('ip:203.0.113.7', now, 3600 * 1000);
+
+      expect(row.increment).not.toHaveBeenCalled();
+      expect(entry).toEqual({ failures: 1, lastFailureAt: now, lockedUntil: null });
+    });
+
+    it('should delete the counter on reset', async () => {
+      await store.reset('account:a@example.com');
+
+      expect(LoginAttempt.destroy).toHaveBeenCalledWith({ where: { key: 'account:a@example.com' } });
+    });
+  });
+
+  describe('createAttemptStore', () => {
+    it('should create the configured store', () => {
+      expect(createAttemptStore('memory')).toBeInstanceOf(MemoryAttemptStore);
+      expect(createAttemptStore('database')).toBeInstanceOf(DatabaseAttemptStore);
+      expect(() => createAttemptStore('redis')).toThrow('Unknown login throttle store: redis');
+    });
+  });
+});
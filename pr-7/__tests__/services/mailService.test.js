@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('nodemailer', () => {
+  const sendMail = jest.fn().mockResolvedValue({ messageId: '<smtp-id@localhost>' });
+  return {
+    createTransport: jest.fn(() => ({ sendMail })),
+    mockSendMail: sendMail,
+  };
+});
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const nodemailer = require('nodemailer');
+const {
+  MailTransport,
+  SmtpTransport,
+  FileTransport,
+  createTransport,
+  setMailTransport,
+  sendMail,
+} = require('../../services/mailService');
+
+describe('Mail Service', () => {
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('FileTransport', () => {
+    it('should write each message to the outbox directory', async () => {
+      const transport = new FileTransport(outboxDir);
+
+      const result = await transport.send({ to: 'a@example.com', subject: 'First', text: 'Hello' });
+      await transport.send({ to: 'b@example.com', subject: 'Second', text: 'Hi' });
+
+      expect(fs.existsSync(result.path)).toBe(true);
+      const messages = await transport.list();
+      expect(messages).toHaveLength(2);
+      expect(messages[0]).toMatchObject({ id: result.id, to: 'a@example.com', subject: 'First', text: 'Hello' });
+      expect(messages[1].subject).toBe('Second');
+    });
+
+    it('should return an empty list when the outbox does not exist', async () => {
+      const transport = new FileTransport(path.join(outboxDir, 'missing'));
+
+      expect(await transport.list()).toEqual([]);
+    });
+  });
+
+  describe('SmtpTransport', () => {
+    it('should deliver through nodemailer', async () => {
+      const transport = new SmtpTransport({ host: 'smtp.example.com', port: 25 });
+
+      const result = await transport.send({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(nodemailer.createTransport).toHaveBeenCalledWith({ host: 'smtp.example.com', port: 25 });
+      expect(nodemailer.mockSendMail).toHaveBeenCalledWith({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+      expect(result.id).toBe('<smtp-id@localhost>');
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should create transports by name', () => {
+      expect(createTransport('file')).toBeInstanceOf(FileTransport);
+      expect(createTransport('smtp')).toBeInstanceOf(SmtpTransport);
+    });
+
+    it('should reject unknown transports', () => {
+      expect(() => createTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should send through the active transport with the configured sender', async () => {
+      const transport = new FileTransport(outboxDir);
+      setMailTransport(transport);
+
+      await sendMail({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+
+      const [message] = await transport.list();
+      expect(message.from).toBeDefined();
+      expect(message.to).toBe('a@example.com');
+    });
+
+    it('should fail for transports that do not implement send', async () => {
+      setMailTransport(new MailTransport());
+
+      await expect(sendMail({ to: 'a@example.com', subject: 'Hello' })).rejects.toThrow('does not implement send()');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const bcrypt = require('bcrypt');
+const passwordConfig = require('../../config/password');
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  checkPasswordPolicy,
+} = require('../../services/passwordService');
+
+describe('Password Service', () => {
+  describe('hashing', () => {
+    it('should hash with argon2id and the configured parameters', async () => {
+      const hash = await hashPassword('correct-horse-battery');
+
+      expect(hash).toMatch(/^\$argon2id\$v=19\$m=19456,t=2,p=1\$/);
+      expect(await verifyPassword('correct-horse-battery', hash)).toBe(true);
+      expect(await verifyPassword('wrong-horse-battery', hash)).toBe(false);
+      expect(needsRehash(hash)).toBe(false);
+    });
+
+    it('should still verify bcrypt hashes and ask for a rehash', async () => {
+      const hash = bcrypt.hashSync('correct-horse-battery', 4);
+
+      expect(await verifyPassword('correct-horse-battery', hash)).toBe(true);
+      expect(await verifyPassword('wrong-horse-battery', hash)).toBe(false);
+      expect(needsRehash(hash)).toBe(true);
+    });
+
+    it('should ask for a rehash when the argon2 parameters were raised', async () => {
+      const hash = await hashPassword('correct-horse-battery', {
+        ...passwordConfig,
+        argon2: { memoryCost: 8192, timeCost: 2, parallelism: 1 },
+      });
+
+      expect(needsRehash(hash)).toBe(true);
+    });
+
+    it('should support bcrypt as the configured algorithm', async () => {
+      const config = { ...passwordConfig, algorithm: 'bcrypt', bcryptRounds: 4 };
+      const hash = await hashPassword('correct-horse-battery', config);
+
+      expect(hash).toMatch(/^\$2b\$04\$/);
+      expect(needsRehash(hash, config)).toBe(false);
+      expect(needsRehash(hash, { ...config, bcryptRounds: 12 })).toBe(true);
+    });
+
+    it('should reject unknown algorithms and hash formats', async () => {
+      await expect(hashPassword('x', { ...passwordConfig, algorithm: 'md5' }))
+        .rejects.toThrow('Unknown password hash algorithm: md5');
+      expect(await verifyPassword('secret', '5ebe2294ecd0e0f08eab7690d2a6ee69')).toBe(false);
+      expect(await verifyPassword('secret', null)).toBe(false);
+    });
+  });
+
+  describe('checkPasswordPolicy', () => {
+    const user = { name: 'Ada', surname: 'Lovelace', email: 'ada.byron@example.com' };
+
+    it('should accept a reasonable password', () => {
+      expect(checkPasswordPolicy('correct-horse-battery', user)).toEqual([]);
+    });
+
+    it('should enforce the length limits', () => {
+      expect(checkPasswordPolicy('short', user)).toEqual(['Password must be at least 8 characters']);
+      expect(checkPasswordPolicy('x'.repeat(129), user)).toEqual(['Password must be at most 128 characters']);
+    });
+
+    it('should reject common passwords regardless of case', () => {
+      expect(checkPasswordPolicy('Password123')).toEqual(['Password is too common']);
+      expect(checkPasswordPolicy('QWERTYUIOP')).toEqual(['Password is too common']);
+    });
+
+    it('should reject passwords containing the name or email', () => {
+      const problem = 'Password must not contain your name or email address';
+
+      expect(checkPasswordPolicy('lovelace-1815', user)).toEqual([problem]);
+      expect(checkPasswordPolicy('ADA.BYRON!2026', user)).toEqual([problem]);
+      // Two-letter names are too short to be checked
+      expect(checkPasswordPolicy('olive-oil-press', { name: 'Li', surname: 'Wu' })).toEqual([]);
+    });
+
+    it('should work without a known account', () => {
+      expect(checkPasswordPolicy('lovelace-1815')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../../models', () => ({
+  Role: {
+    findOne: jest.fn(),
+  },
+  Permission: {},
+}));
+
+const { Role } = require('../../models');
+const { getRolePermissions, hasPermission, clearPermissionCache } = require('../../services/permissionService');
+
+describe('Permission Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    clearPermissionCache();
+  });
+
+  it('should return the permission names of a role', async () => {
+    Role.findOne.mockResolvedValue({
+      role_name: 'assistant',
+      permissions: [{ name: 'students:read' }, { name: 'grades:read' }],
+    });
+
+    const permissions = await getRolePermissions('assistant');
+
+    expect([...permissions].sort()).toEqual(['grades:read', 'students:read']);
+    expect(Role.findOne.mock.calls[0][0].where).toEqual({ role_name: 'assistant' });
+  });
+
+  it('should grant nothing to unknown roles', async () => {
+    Role.findOne.mockResolvedValue(null);
+
+    expect((await getRolePermissions('ghost')).size).toBe(0);
+    expect(await hasPermission('ghost', 'students:read')).toBe(false);
+  });
+
+  it('should cache permissions until the cache is cleared', async () => {
+    Role.findOne.mockResolvedValue({ role_name: 'teacher', permissions: [{ name: 'grades:write' }] });
+
+    expect(await hasPermission('teacher', 'grades:write')).toBe(true);
+    expect(await hasPermission('teacher', 'grades:write')).toBe(true);
+    expect(Role.findOne).toHaveBeenCalledTimes(1);
+
+    clearPermissionCache();
+    Role.findOne.mockResolvedValue({ role_name: 'teacher', permissions: [] });
+
+    expect(await hasPermission('teacher', 'grades:write')).toBe(false);
+    expect(Role.findOne).toHaveBeenCalledTimes(2);
+  });
+});
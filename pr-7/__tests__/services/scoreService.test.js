@@ -0,0 +1,103 @@
+jest.mock('../../models', () => ({
+  AssessmentCategory: {
+    findAll: jest.fn(),
+  },
+}));
+
+const { AssessmentCategory } = require('../../models');
+const { categoriesBySubject, finalScore } = require('../../services/scoreService');
+
+const exam = { id: 'exam', subject_id: 'math', name: 'Exam', weight: 50 };
+const homework = { id: 'homework', subject_id: 'math', name: 'Homework', weight: 30 };
+const project = { id: 'project', subject_id: 'math', name: 'Project', weight: 20 };
+
+const gradeOf = (value, categoryId = null) => ({ grade: value, category_id: categoryId });
+
+describe('Score Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('finalScore', () => {
+    it('should be the plain mean without categories', () => {
+      expect(finalScore([gradeOf(90), gradeOf(75), gradeOf(80)], [])).toEqual({
+        final_score: 81.67,
+        complete: true,
+        categories: [],
+        missing_categories: [],
+        uncategorized_count: 0,
+      });
+    });
+
+    it('should report no score without grades', () => {
+      expect(finalScore([], [])).toMatchObject({ final_score: null, complete: false });
+    });
+
+    it('should weight the category averages', () => {
+      const score = finalScore([
+        gradeOf(80, 'exam'),
+        gradeOf(100, 'exam'),
+        gradeOf(70, 'homework'),
+        gradeOf(50, 'project'),
+      ], [exam, homework, project]);
+
+      // (90 * 50 + 70 * 30 + 50 * 20) / 100
+      expect(score.final_score).toBe(76);
+      expect(score.complete).toBe(true);
+      expect(score.categories).toEqual([
+        { category_id: 'exam', name: 'Exam', weight: 50, grade_count: 2, average: 90 },
+        { category_id: 'homework', name: 'Homework', weight: 30, grade_count: 1, average: 70 },
+        { category_id: 'project', name: 'Project', weight: 20, grade_count: 1, average: 50 },
+      ]);
+    });
+
+    it('should leave out categories without grades by default', () => {
+      const score = finalScore([gradeOf(90, 'exam'), gradeOf(60, 'homework')], [exam, homework, project], { emptyCategories: 'exclude' });
+
+      // (90 * 50 + 60 * 30) / 80
+      expect(score.final_score).toBe(78.75);
+      expect(score.complete).toBe(false);
+      expect(score.missing_categories).toEqual(['Project']);
+    });
+
+    it('should count categories without grades as 0 under the zero policy', () => {
+      const score = finalScore([gradeOf(90, 'exam'), gradeOf(60, 'homework')], [exam, homework, project], { emptyCategories: 'zero' });
+
+      // (90 * 50 + 60 * 30) / 100
+      expect(score.final_score).toBe(63);
+      expect(score.missing_categories).toEqual(['Project']);
+    });
+
+    it('should not count uncategorized grades in subjects with categories', () => {
+      const score = finalScore([gradeOf(90, 'exam'), gradeOf(10)], [exam]);
+
+      expect(score.final_score).toBe(90);
+      expect(score.uncategorized_count).toBe(1);
+    });
+
+    it('should report no score when no category has grades', () => {
+      const score = finalScore([gradeOf(40)], [exam, homework]);
+
+      expect(score).toMatchObject({ final_score: null, complete: false, missing_categories: ['Exam', 'Homework'], uncategorized_count: 1 });
+    });
+  });
+
+  describe('categoriesBySubject', () => {
+    it('should group categories by subject and keep subjects without any', async () => {
+      AssessmentCategory.findAll.mockResolvedValue([exam, homework]);
+
+      const categories = await categoriesBySubject(['math', 'history']);
+
+      expect(AssessmentCategory.findAll.mock.calls[0][0].where).toEqual({ subject_id: ['math', 'history'] });
+      expect(categories.get('math')).toEqual([exam, homework]);
+      expect(categories.get('history')).toEqual([]);
+    });
+
+    it('should not query without subjects', async () => {
+      const categories = await categoriesBySubject([]);
+
+      expect(categories.size).toBe(0);
+      expect(AssessmentCategory.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../models', () => ({
+  Session: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  revokeRefreshFamily: jest.fn(),
+  REFRESH_TOKEN_TTL_DAYS: 7,
+}));
+
+const { Op } = require('sequelize');
+const { Session } = require('../../models');
+const { revokeRefreshFamily } = require('../../services/tokenService');
+const {
+  createSession,
+  renewSession,
+  listActiveSessions,
+  revokeSession,
+} = require('../../services/sessionService');
+
+const userId = '550e8400-e29b-41d4-a716-446655440000';
+const sessionId = '550e8400-e29b-41d4-a716-446655440700';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Session.create.mockImplementation(async data => ({ id: sessionId, ...data }));
+  });
+
+  describe('createSession', () => {
+    it('should record the device, user agent and IP', async () => {
+      const userAgent = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+      const session = await createSession(userId, { userAgent, ip: '203.0.113.7' });
+
+      expect(session).toMatchObject({
+        user_id: userId,
+        device: 'Firefox on Linux',
+        user_agent: userAgent,
+        ip: '203.0.113.7',
+      });
+      expect(session.expires_at.getTime() - Date.now()).toBeGreaterThan(7 * DAY_MS - 1000);
+    });
+
+    it('should truncate long user agents', async () => {
+      const session = await createSession(userId, { userAgent: `curl/${'1'.repeat(600)}` });
+
+      expect(session.user_agent).toHaveLength(512);
+    });
+  });
+
+  describe('renewSession', () => {
+    it('should extend an active session', async () => {
+      await renewSession(sessionId, { ip: '203.0.113.8' });
+
+      expect(Session.update).toHaveBeenCalledWith(
+        { last_seen_at: expect.any(Date), expires_at: expect.any(Date), ip: '203.0.113.8' },
+        { where: { id: sessionId, revoked_at: null } }
+      );
+    });
+  });
+
+  describe('listActiveSessions', () => {
+    it('should only return sessions that are neither revoked nor expired', async () => {
+      Session.findAll.mockResolvedValue([]);
+
+      await listActiveSessions(userId);
+
+      const { where } = Session.findAll.mock.calls[0][0];
+      expect(where.user_id).toBe(userId);
+      expect(where.revoked_at).toBeNull();
+      expect(where.expires_at[Op.gt]).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session and its refresh tokens', async () => {
+      Session.update.mockResolvedValue([1]);
+
+      expect(await revokeSession(sessionId)).toBe(true);
+      expect(Session.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { id: sessionId, revoked_at: null } }
+      );
+      expect(revokeRefreshFamily).toHaveBeenCalledWith(sessionId);
+    });
+
+    it('should report sessions that were already revoked', async () => {
+      Session.update.mockResolvedValue([0]);
+
+      expect(await revokeSession(sessionId)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../../models', () => ({}));
+
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { gradeStatistics } = require('../../services/statsService');
+
+const subjectId = '550e8400-e29b-41d4-a716-446655440020';
+
+const summaryRow = (overrides = {}) => ({
+  is_total: false,
+  count: 4,
+  mean: 71.25,
+  median: 72.5,
+  stddev: 11.88,
+  min: 55,
+  max: 85,
+  pass_rate: 75,
+  ...overrides,
+});
+
+describe('Stats Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should aggregate in SQL with one grouping set per breakdown value', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([
+        summaryRow({ is_total: true, group: null, count: 6 }),
+        summaryRow({ group: 101 }),
+        summaryRow({ group: 102, count: 2 }),
+      ])
+      .mockResolvedValueOnce([]);
+
+    const result = await gradeStatistics(
+      { subjectId, from: '2026-03-01', to: '2026-03-31' },
+      { breakdown: 'group', passThreshold: 60 }
+    );
+
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(sql).toMatch('PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY fs.score)');
+    expect(sql).toMatch('STDDEV_POP(fs.score)');
+    expect(sql).toMatch('COUNT(*) FILTER (WHERE fs.score >= :passThreshold)');
+    expect(sql).toMatch('JOIN students s ON s.id = g.student_id');
+    expect(sql).toMatch('SUM(ca.average * COALESCE(c.weight, 1)) / SUM(COALESCE(c.weight, 1))');
+    expect(sql).toMatch('WHERE c.id IS NOT NULL OR w.subject_id IS NULL');
+    expect(sql).toMatch('GROUP BY GROUPING SETS ((s."group"), ())');
+    expect(sql).toMatch('WHERE g.subject_id = :subjectId AND g.evaluated_at >= :start AND g.evaluated_at <= :end');
+    expect(options).toEqual({
+      replacements: {
+        subjectId,
+        start: new Date('2026-03-01'),
+        end: new Date('2026-03-31T23:59:59.999Z'),
+        passThreshold: 60,
+      },
+      type: QueryTypes.SELECT,
+    });
+
+    expect(result.pass_threshold).toBe(60);
+    expect(result.stats).toEqual({ count: 6, mean: 71.25, median: 72.5, stddev: 11.88, min: 55, max: 85, pass_rate: 75 });
+    expect(result.breakdown.map(row => [row.group, row.count])).toEqual([[101, 4], [102, 2]]);
+  });
+
+  it('should break a group down by subject', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([
+        summaryRow({ is_total: true, subject_id: null, subject_name: null }),
+        summaryRow({ subject_id: subjectId, subject_name: 'Mathematics' }),
+      ])
+      .mockResolvedValueOnce([]);
+
+    const result = await gradeStatistics({ group: 101 }, { breakdown: 'subject' });
+
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(sql).toMatch('GROUP BY GROUPING SETS ((fs.subject_id, sub.subject_name), ())');
+    expect(sql).toMatch('WHERE s."group" = :group');
+    expect(options.replacements).toEqual({ group: 101, passThreshold: 50 });
+    expect(result.breakdown).toEqual([{ subject_id: subjectId, subject_name: 'Mathematics', ...result.stats }]);
+  });
+
+  it('should divide by the weights of all categories under the zero policy', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([summaryRow({ is_total: true })])
+      .mockResolvedValueOnce([]);
+
+    await gradeStatistics({ subjectId }, { breakdown: 'group', emptyCategories: 'zero' });
+
+    const [summarySql] = sequelize.query.mock.calls[0];
+    const [histogramSql] = sequelize.query.mock.calls[1];
+    expect(summarySql).toMatch('/ COALESCE(MAX(w.total_weight), SUM(COALESCE(c.weight, 1)))');
+    expect(histogramSql).toMatch('/ COALESCE(MAX(w.total_weight), SUM(COALESCE(c.weight, 1)))');
+  });
+
+  it('should fill in empty histogram buckets and close the last one at 100', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([summaryRow({ is_total: true })])
+      .mockResolvedValueOnce([{ bucket: 1, count: 2 }, { bucket: 3, count: 1 }]);
+
+    const result = await gradeStatistics({ subjectId }, { breakdown: 'group', bucketSize: 30 });
+
+    const [sql, options] = sequelize.query.mock.calls[1];
+    expect(sql).toMatch('LEAST(FLOOR(fs.score / :bucketSize), :lastBucket)');
+    expect(options.replacements).toEqual({ subjectId, bucketSize: 30, lastBucket: 3 });
+    expect(result.histogram).toEqual([
+      { from: 0, to: 29, count: 0 },
+      { from: 30, to: 59, count: 2 },
+      { from: 60, to: 89, count: 0 },
+      { from: 90, to: 100, count: 1 },
+    ]);
+  });
+
+  it('should report empty statistics when nothing matches', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([summaryRow({ is_total: true, count: 0, mean: null, median: null, stddev: null, min: null, max: null, pass_rate: null })])
+      .mockResolvedValueOnce([]);
+
+    const result = await gradeStatistics({ group: 999 }, { breakdown: 'subject' });
+
+    expect(result.stats).toEqual({ count: 0, mean: null, median: null, stddev: null, min: null, max: null, pass_rate: null });
+    expect(result.breakdown).toEqual([]);
+    expect(result.histogram).toHaveLength(10);
+    expect(result.histogram.every(bucket => bucket.count === 0)).toBe(true);
+  });
+});
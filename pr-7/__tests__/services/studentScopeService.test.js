@@ -0,0 +1,60 @@
+jest.mock('../../models', () => ({
+  TeacherSubject: {
+    findAll: jest.fn(),
+  },
+}));
+
+const { Op } = require('sequelize');
+const { TeacherSubject } = require('../../models');
+const { resolveStudentScope, studentScopeWhere, canSeeStudent, canPlaceInGroup } = require('../../services/studentScopeService');
+
+const userId = '550e8400-e29b-41d4-a716-446655440010';
+
+describe('Student Scope Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should give students:read_all every student', async () => {
+    const scope = await resolveStudentScope({ id: userId, permissions: ['students:read', 'students:read_all'] });
+
+    expect(scope).toEqual({ all: true });
+    expect(studentScopeWhere(scope)).toEqual({});
+    expect(canSeeStudent(scope, null)).toBe(true);
+    expect(TeacherSubject.findAll).not.toHaveBeenCalled();
+  });
+
+  it('should limit teachers to their own record and assigned groups', async () => {
+    TeacherSubject.findAll.mockResolvedValue([{ group: 101 }, { group: 102 }, { group: 101 }]);
+
+    const scope = await resolveStudentScope({ id: userId, permissions: ['students:read', 'grades:write'] });
+
+    expect(scope).toEqual({ all: false, userId, groups: [101, 102] });
+    expect(studentScopeWhere(scope)).toEqual({
+      [Op.or]: [{ user_id: userId }, { group: { [Op.in]: [101, 102] } }],
+    });
+    expect(canSeeStudent(scope, { user_id: 'someone-else', group: 102 })).toBe(true);
+    expect(canSeeStudent(scope, { user_id: 'someone-else', group: 201 })).toBe(false);
+    expect(canPlaceInGroup(scope, 102)).toBe(true);
+    expect(canPlaceInGroup(scope, '101')).toBe(true);
+    expect(canPlaceInGroup(scope, 201)).toBe(false);
+  });
+
+  it('should treat an assignment without a group as every group', async () => {
+    TeacherSubject.findAll.mockResolvedValue([{ group: 101 }, { group: null }]);
+
+    const scope = await resolveStudentScope({ id: userId, permissions: ['grades:write'] });
+
+    expect(scope).toEqual({ all: true });
+  });
+
+  it('should limit everyone else to their own student record', async () => {
+    const scope = await resolveStudentScope({ id: userId, permissions: ['students:read'] });
+
+    expect(studentScopeWhere(scope)).toEqual({ [Op.or]: [{ user_id: userId }] });
+    expect(canSeeStudent(scope, { user_id: userId, group: 101 })).toBe(true);
+    expect(canSeeStudent(scope, null)).toBe(false);
+    expect(canPlaceInGroup(scope, 101)).toBe(false);
+    expect(TeacherSubject.findAll).not.toHaveBeenCalled();
+  });
+});
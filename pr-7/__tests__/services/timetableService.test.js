@@ -0,0 +1,231 @@
+jest.mock('../../config/database', () => ({
+  sequelize: {
+    query: jest.fn(),
+    transaction: jest.fn(async callback => callback({ id: 'transaction' })),
+  },
+}));
+
+jest.mock('../../models', () => ({
+  Lesson: {
+    findAll: jest.fn(),
+  },
+  Room: {
+    findByPk: jest.fn(),
+  },
+  Subject: {
+    findByPk: jest.fn(),
+  },
+  User: {
+    findByPk: jest.fn(),
+  },
+  Role: {},
+}));
+
+jest.mock('../../services/permissionService', () => {
+  const { DEFAULT_ROLE_PERMISSIONS } = jest.requireActual('../../config/permissions');
+  return {
+    getRolePermissions: jest.fn(async role => new Set(DEFAULT_ROLE_PERMISSIONS[role] || [])),
+  };
+});
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { Lesson, Room, Subject, User } = require('../../models');
+const {
+  checkLessonTargets,
+  findConflicts,
+  bookLesson,
+  conflictError,
+  buildTimetable,
+} = require('../../services/timetableService');
+
+const physics = { id: 'physics', subject_name: 'Physics', archived_at: null };
+const teacher = { id: 'teacher-1', email: 'teacher@example.com', role_id: 2, role: { id: 2, role_name: 'teacher' } };
+const room = { id: 'room-1', name: 'B-204' };
+
+const buildLesson = (overrides = {}) => {
+  const lesson = {
+    id: 'lesson-1',
+    term: '2026-autumn',
+    group: 102,
+    subject_id: physics.id,
+    teacher_id: teacher.id,
+    room_id: room.id,
+    weekday: 1,
+    starts_at: '09:00:00',
+    ends_at: '10:30:00',
+    subject: physics,
+    teacher,
+    room,
+    ...overrides,
+  };
+  lesson.toJSON = () => ({ id: lesson.id, weekday: lesson.weekday, starts_at: lesson.starts_at });
+  return lesson;
+};
+
+const newLesson = {
+  term: '2026-autumn',
+  group: 101,
+  subject_id: 'math',
+  teacher_id: 'teacher-2',
+  room_id: room.id,
+  weekday: 1,
+  starts_at: '10:00',
+  ends_at: '11:00',
+};
+
+describe('Timetable Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkLessonTargets', () => {
+    it('should return the subject, teacher and room', async () => {
+      Subject.findByPk.mockResolvedValue(physics);
+      User.findByPk.mockResolvedValue(teacher);
+      Room.findByPk.mockResolvedValue(room);
+
+      const targets = await checkLessonTargets({ subjectId: physics.id, teacherId: teacher.id, roomId: room.id });
+
+      expect(targets).toEqual({ subject: physics, teacher, room });
+      expect(User.findByPk.mock.calls[0][1].include[0]).toMatchObject({ as: 'role' });
+    });
+
+    it('should reject archived subjects', async () => {
+      Subject.findByPk.mockResolvedValue({ ...physics, archived_at: new Date() });
+
+      const targets = await checkLessonTargets({ subjectId: physics.id, teacherId: teacher.id, roomId: room.id });
+
+      expect(targets.error).toBe("Subject 'Physics' is archived");
+    });
+
+    it('should reject users whose role cannot teach', async () => {
+      Subject.findByPk.mockResolvedValue(physics);
+      User.findByPk.mockResolvedValue({ ...teacher, role_id: 3, role: { id: 3, role_name: 'student' } });
+
+      const targets = await checkLessonTargets({ subjectId: physics.id, teacherId: teacher.id, roomId: room.id });
+
+      expect(targets.error).toBe("Role 'student' cannot teach lessons");
+    });
+
+    it('should reject unknown rooms', async () => {
+      Subject.findByPk.mockResolvedValue(physics);
+      User.findByPk.mockResolvedValue(teacher);
+      Room.findByPk.mockResolvedValue(null);
+
+      const targets = await checkLessonTargets({ subjectId: physics.id, teacherId: teacher.id, roomId: 'room-9' });
+
+      expect(targets.error).toBe('Room with id room-9 not found');
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should look for overlapping lessons sharing the room, teacher or group', async () => {
+      Lesson.findAll.mockResolvedValue([]);
+
+      await findConflicts(newLesson);
+
+      const { where } = Lesson.findAll.mock.calls[0][0];
+      expect(where).toEqual({
+        term: '2026-autumn',
+        weekday: 1,
+        starts_at: { [Op.lt]: '11:00' },
+        ends_at: { [Op.gt]: '10:00' },
+        [Op.or]: [{ room_id: room.id }, { teacher_id: 'teacher-2' }, { group: 101 }],
+      });
+    });
+
+    it('should leave out the lesson being moved', async () => {
+      Lesson.findAll.mockResolvedValue([]);
+
+      await findConflicts({ ...newLesson, id: 'lesson-5' });
+
+      expect(Lesson.findAll.mock.calls[0][0].where.id).toEqual({ [Op.ne]: 'lesson-5' });
+    });
+
+    it('should report what each lesson clashes on', async () => {
+      Lesson.findAll.mockResolvedValue([
+        buildLesson(),
+        buildLesson({ id: 'lesson-2', group: 101, teacher_id: 'teacher-2', room_id: 'room-2' }),
+      ]);
+
+      const conflicts = await findConflicts(newLesson);
+
+      expect(conflicts.map(conflict => [conflict.lesson.id, conflict.clashes_on])).toEqual([
+        ['lesson-1', ['room']],
+        ['lesson-2', ['teacher', 'group']],
+      ]);
+    });
+  });
+
+  describe('bookLesson', () => {
+    it('should lock the room, teacher and group of the term before checking and writing', async () => {
+      Lesson.findAll.mockResolvedValue([]);
+      const write = jest.fn().mockResolvedValue('created');
+
+      const booked = await bookLesson(newLesson, write);
+
+      expect(booked).toEqual({ result: 'created' });
+      expect(sequelize.query.mock.calls.map(([, options]) => options.replacements.key)).toEqual([
+        '2026-autumn:group:101',
+        '2026-autumn:room:room-1',
+        '2026-autumn:teacher:teacher-2',
+      ].map(key => `lesson:${key}`));
+      expect(sequelize.query.mock.calls.every(([, options]) => options.transaction.id === 'transaction')).toBe(true);
+      expect(Lesson.findAll.mock.calls[0][0].transaction).toEqual({ id: 'transaction' });
+      expect(write).toHaveBeenCalledWith({ id: 'transaction' });
+    });
+
+    it('should not write a lesson with conflicts', async () => {
+      Lesson.findAll.mockResolvedValue([buildLesson()]);
+      const write = jest.fn();
+
+      const booked = await bookLesson(newLesson, write);
+
+      expect(booked.conflicts.map(conflict => conflict.clashes_on)).toEqual([['room']]);
+      expect(write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conflictError', () => {
+    it('should name the double-booked resources and the clashing lesson', () => {
+      const lesson = buildLesson();
+
+      expect(conflictError([{ lesson, clashes_on: ['room', 'teacher'] }])).toBe(
+        "Room 'B-204' and Teacher teacher@example.com are already booked by lesson lesson-1: "
+        + 'Physics for group 102 with teacher@example.com in B-204, Monday 09:00–10:30 (term 2026-autumn)'
+      );
+    });
+
+    it('should list every clashing lesson', () => {
+      const error = conflictError([
+        { lesson: buildLesson(), clashes_on: ['room'] },
+        { lesson: buildLesson({ id: 'lesson-2', weekday: 1, starts_at: '10:30:00', ends_at: '12:00:00' }), clashes_on: ['group'] },
+      ]);
+
+      expect(error).toContain("Room 'B-204' is already booked by lesson lesson-1");
+      expect(error).toContain('; Group 102 is already booked by lesson lesson-2');
+    });
+  });
+
+  describe('buildTimetable', () => {
+    it('should group lessons into weekdays', async () => {
+      Lesson.findAll.mockResolvedValue([
+        buildLesson(),
+        buildLesson({ id: 'lesson-2', starts_at: '11:00:00' }),
+        buildLesson({ id: 'lesson-3', weekday: 3 }),
+      ]);
+
+      const timetable = await buildTimetable({ group: 102 }, '2026-autumn');
+
+      const query = Lesson.findAll.mock.calls[0][0];
+      expect(query.where).toEqual({ group: 102, term: '2026-autumn' });
+      expect(query.order).toEqual([['weekday', 'ASC'], ['starts_at', 'ASC']]);
+      expect(timetable.count).toBe(3);
+      expect(timetable.days.map(day => [day.name, day.lessons.map(lesson => lesson.id)])).toEqual([
+        ['Monday', ['lesson-1', 'lesson-2']],
+        ['Wednesday', ['lesson-3']],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+jest.mock('../../models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    update: jest.fn(),
+  },
+  RefreshToken: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+  RevokedToken: {
+    findByPk: jest.fn(),
+    findOrCreate: jest.fn(),
+    destroy: jest.fn(),
+  },
+  Session: {
+    findByPk: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+const { User, RefreshToken, RevokedToken, Session } = require('../../models');
+const { hashToken } = require('../../utils/tokenHash');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForUser,
+  checkAccessToken,
+} = require('../../services/tokenService');
+
+const userId = '550e8400-e29b-41d4-a716-446655440000';
+const familyId = '550e8400-e29b-41d4-a716-446655440009';
+
+describe('Token Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    RefreshToken.create.mockImplementation(async (data) => ({ id: 'new-token-id', ...data }));
+  });
+
+  describe('issueRefreshToken', () => {
+    it('should store only the hash of the token', async () => {
+      const { token, expiresAt } = await issueRefreshToken(userId);
+
+      expect(typeof token).toBe('string');
+      expect(token.length).toBeGreaterThan(40);
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const stored = RefreshToken.create.mock.calls[0][0];
+      expect(stored.user_id).toBe(userId);
+      expect(stored.token_hash).toBe(hashToken(token));
+      expect(stored.token_hash).not.toBe(token);
+      expect(stored.family_id).toBeDefined();
+    });
+
+    it('should keep the family when given one', async () => {
+      await issueRefreshToken(userId, familyId);
+
+      expect(RefreshToken.create.mock.calls[0][0].family_id).toBe(familyId);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const activeToken = {
+      id: 'old-token-id',
+      user_id: userId,
+      family_id: familyId,
+      revoked_at: null,
+      expires_at: new Date(Date.now() + 60000),
+    };
+
+    it('should reject unknown tokens', async () => {
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const result = await rotateRefreshToken('unknown');
+
+      expect(result.error).toBe('Invalid refresh token');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired tokens', async () => {
+      RefreshToken.findOne.mockResolvedValue({ ...activeToken, expires_at: new Date(Date.now() - 1000) });
+
+      const result = await rotateRefreshToken('expired');
+
+      expect(result.error).toBe('Refresh token has expired');
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      RefreshToken.findOne.mockResolvedValue({ ...activeToken, revoked_at: new Date() });
+
+      const result = await rotateRefreshToken('reused');
+
+      expect(result.reused).toBe(true);
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { family_id: familyId, revoked_at: null } }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should issue a new token in the same family and revoke the old one', async () => {
+      RefreshToken.findOne.mockResolvedValue(activeToken);
+      RefreshToken.update.mockResolvedValue([1]);
+
+      const result = await rotateRefreshToken('valid');
+
+      expect(result.error).toBeUndefined();
+      expect(result.userId).toBe(userId);
+      expect(result.token).toBeDefined();
+      expect(RefreshToken.create.mock.calls[0][0].family_id).toBe(familyId);
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { id: 'old-token-id', revoked_at: null } }
+      );
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { replaced_by: 'new-token-id' },
+        { where: { id: 'old-token-id' } }
+      );
+    });
+
+    it('should treat a lost rotation race as reuse', async () => {
+      RefreshToken.findOne.mockResolvedValue(activeToken);
+      RefreshToken.update.mockResolvedValue([0]);
+
+      const result = await rotateRefreshToken('valid');
+
+      expect(result.reused).toBe(true);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeRefreshToken', () => {
+    it('should not revoke tokens of another user', async () => {
+      RefreshToken.findOne.mockResolvedValue({ user_id: 'someone-else', family_id: familyId });
+
+      expect(await revokeRefreshToken('token', userId)).toBe(false);
+      expect(RefreshToken.update).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the family of the owner', async () => {
+      RefreshToken.findOne.mockResolvedValue({ user_id: userId, family_id: familyId });
+
+      expect(await revokeRefreshToken('token', userId)).toBe(true);
+      expect(RefreshToken.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAccessToken', () => {
+    it('should denylist the jti until the token expires', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 900;
+
+      await revokeAccessToken({ id: userId, jti: 'jti-1', exp });
+
+      expect(RevokedToken.findOrCreate).toHaveBeenCalledWith({
+        where: { jti: 'jti-1' },
+        defaults: { jti: 'jti-1', user_id: userId, expires_at: new Date(exp * 1000) },
+      });
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('should revoke refresh tokens and sessions and mark the user', async () => {
+      await revokeAllForUser(userId);
+
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { user_id: userId, revoked_at: null } }
+      );
+      expect(Session.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        { where: { user_id: userId, revoked_at: null } }
+      );
+      expect(User.update).toHaveBeenCalledWith(
+        { tokens_revoked_at: expect.any(Date) },
+        { where: { id: userId } }
+      );
+    });
+  });
+
+  describe('checkAccessToken', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    it('should accept a token that is not revoked', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: null, email_verified_at: new Date() });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBeNull();
+    });
+
+    it('should reject tokens of deactivated users', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, is_active: false, email_verified_at: new Date() });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBe('Account has been deactivated.');
+    });
+
+    it('should reject tokens of unverified users', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: null, email_verified_at: null, created_at: new Date() });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toMatch('Email address has not been verified');
+    });
+
+    it('should reject a denylisted jti', async () => {
+      RevokedToken.findByPk.mockResolvedValue({ jti: 'jti-1' });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBe('Token has been revoked.');
+    });
+
+    it('should reject tokens of deleted users', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue(null);
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBe('User no longer exists.');
+    });
+
+    it('should reject tokens issued before a revoke-all', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: new Date() });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now - 60 })).toBe('Token has been revoked.');
+    });
+
+    it('should reject tokens without a session issued in the same second as a revoke-all', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: new Date(now * 1000 + 500) });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBe('Token has been revoked.');
+    });
+
+    it('should accept tokens issued after a revoke-all', async () => {
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: new Date(now * 1000 - 500), email_verified_at: new Date() });
+
+      expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now })).toBeNull();
+    });
+
+    it('should reject impersonation tokens issued in the same second as the admin\'s revoke-all', async () => {
+      const adminId = '550e8400-e29b-41d4-a716-446655440099';
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockImplementation(async id => (id === adminId
+        ? { id: adminId, tokens_revoked_at: new Date(now * 1000 + 500) }
+        : { id: userId, tokens_revoked_at: null, email_verified_at: new Date() }));
+
+      const decoded = { id: userId, jti: 'jti-1', iat: now, act: { sub: adminId, email: 'admin@example.com' } };
+      expect(await checkAccessToken(decoded)).toBe('Impersonation is no longer valid.');
+    });
+
+    it('should reject impersonation tokens once the admin is deactivated', async () => {
+      const adminId = '550e8400-e29b-41d4-a716-446655440099';
+      RevokedToken.findByPk.mockResolvedValue(null);
+      User.findByPk.mockImplementation(async id => (id === adminId
+        ? { id: adminId, is_active: false }
+        : { id: userId, tokens_revoked_at: null, email_verified_at: new Date() }));
+
+      const decoded = { id: userId, jti: 'jti-1', iat: now, act: { sub: adminId, email: 'admin@example.com' } };
+      expect(await checkAccessToken(decoded)).toBe('Impersonation is no longer valid.');
+    });
+
+    describe('with a session', () => {
+      const sessionId = '550e8400-e29b-41d4-a716-446655440700';
+
+      beforeEach(() => {
+        RevokedToken.findByPk.mockResolvedValue(null);
+        User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: null, email_verified_at: new Date() });
+      });
+
+      it('should reject tokens of a revoked session', async () => {
+        Session.findByPk.mockResolvedValue({ id: sessionId, revoked_at: new Date(), last_seen_at: new Date() });
+
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBe('Session has been revoked.');
+      });
+
+      it('should update last_seen_at at most once a minute', async () => {
+        Session.findByPk.mockResolvedValue({ id: sessionId, revoked_at: null, last_seen_at: new Date() });
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBeNull();
+        expect(Session.update).not.toHaveBeenCalled();
+
+        Session.findByPk.mockResolvedValue({ id: sessionId, revoked_at: null, last_seen_at: new Date(Date.now() - 5 * 60 * 1000) });
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBeNull();
+        expect(Session.update).toHaveBeenCalledWith({ last_seen_at: expect.any(Date) }, { where: { id: sessionId } });
+      });
+
+      it('should reject tokens of an older session issued in the same second as a revoke-all', async () => {
+        const revokedAt = new Date(now * 1000 + 500);
+        User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: revokedAt, email_verified_at: new Date() });
+        Session.findByPk.mockResolvedValue({
+          id: sessionId, revoked_at: null, created_at: new Date(now * 1000 + 200), last_seen_at: new Date(),
+        });
+
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBe('Token has been revoked.');
+      });
+
+      it('should accept tokens of a session started after a revoke-all in the same second', async () => {
+        const revokedAt = new Date(now * 1000 + 500);
+        User.findByPk.mockResolvedValue({ id: userId, tokens_revoked_at: revokedAt, email_verified_at: new Date() });
+        Session.findByPk.mockResolvedValue({
+          id: sessionId, revoked_at: null, created_at: new Date(now * 1000 + 700), last_seen_at: new Date(),
+        });
+
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBeNull();
+      });
+
+      it('should accept tokens whose session row does not exist', async () => {
+        Session.findByPk.mockResolvedValue(null);
+
+        expect(await checkAccessToken({ id: userId, jti: 'jti-1', iat: now, sid: sessionId })).toBeNull();
+      });
+    });
+  });
+});
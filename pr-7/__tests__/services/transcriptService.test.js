@@ -0,0 +1,174 @@
+jest.mock('../../models', () => ({
+  Student: {
+    findByPk: jest.fn(),
+  },
+  User: {},
+  AssessmentCategory: {
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/gradeService', () => ({
+  listGrades: jest.fn(),
+}));
+
+const gpaConfig = require('../../config/gpa');
+const { Student, AssessmentCategory } = require('../../models');
+const { listGrades } = require('../../services/gradeService');
+const {
+  gradePoints,
+  summarizeBySubject,
+  summarizeOverall,
+  buildTranscript,
+} = require('../../services/transcriptService');
+const { renderTranscriptHtml } = require('../../utils/transcriptHtml');
+
+const math = { id: 'math', subject_name: 'Mathematics', credits: 6 };
+const history = { id: 'history', subject_name: 'History', credits: 3 };
+
+const gradeOf = (subject, value, categoryId = null) => ({ subject_id: subject.id, subject, category_id: categoryId, grade: value });
+
+describe('Transcript Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('gradePoints', () => {
+    it('should map averages to the first band they reach', () => {
+      const scale = gpaConfig.scales['4.0'];
+
+      expect(gradePoints(100, scale)).toBe(4.0);
+      expect(gradePoints(92.5, scale)).toBe(3.7);
+      expect(gradePoints(60, scale)).toBe(0.7);
+      expect(gradePoints(59.99, scale)).toBe(0);
+      expect(gradePoints(76, gpaConfig.scales['5'])).toBe(4);
+    });
+  });
+
+  describe('summarizeBySubject', () => {
+    it('should average the grades of each subject', () => {
+      const subjects = summarizeBySubject([
+        gradeOf(math, 90),
+        gradeOf(history, 70),
+        gradeOf(math, 81),
+      ], gpaConfig.scales['4.0']);
+
+      expect(subjects).toEqual([
+        {
+          subject_id: 'history', subject_name: 'History', credits: 3, grade_count: 1,
+          final_score: 70, complete: true, categories: [], missing_categories: [], uncategorized_count: 0, grade_points: 1.7,
+        },
+        {
+          subject_id: 'math', subject_name: 'Mathematics', credits: 6, grade_count: 2,
+          final_score: 85.5, complete: true, categories: [], missing_categories: [], uncategorized_count: 0, grade_points: 3.0,
+        },
+      ]);
+    });
+
+    it('should weight the category averages of subjects with categories', () => {
+      const categories = new Map([['math', [
+        { id: 'exam', subject_id: 'math', name: 'Exam', weight: 60 },
+        { id: 'homework', subject_id: 'math', name: 'Homework', weight: 40 },
+      ]]]);
+
+      const [subject] = summarizeBySubject([
+        gradeOf(math, 90, 'exam'),
+        gradeOf(math, 70, 'exam'),
+        gradeOf(math, 100, 'homework'),
+      ], gpaConfig.scales['4.0'], categories);
+
+      expect(subject).toMatchObject({ grade_count: 3, final_score: 88, complete: true, grade_points: 3.3 });
+    });
+  });
+
+  describe('summarizeOverall', () => {
+    it('should weight subjects by credits', () => {
+      const overall = summarizeOverall([
+        { final_score: 70, grade_points: 1.7, credits: 3 },
+        { final_score: 85.5, grade_points: 3.0, credits: 6 },
+      ]);
+
+      expect(overall).toEqual({ weighting: 'credits', overall_average: 80.33, gpa: 2.57, total_credits: 9 });
+    });
+
+    it('should weight subjects equally when a subject has no credits', () => {
+      const overall = summarizeOverall([
+        { final_score: 70, grade_points: 1.7, credits: 3 },
+        { final_score: 85.5, grade_points: 3.0, credits: null },
+      ]);
+
+      expect(overall).toEqual({ weighting: 'equal', overall_average: 77.75, gpa: 2.35, total_credits: null });
+    });
+
+    it('should leave out subjects without a final score', () => {
+      const overall = summarizeOverall([
+        { final_score: 70, grade_points: 1.7, credits: 3 },
+        { final_score: null, grade_points: null, credits: 6 },
+      ]);
+
+      expect(overall).toEqual({ weighting: 'credits', overall_average: 70, gpa: 1.7, total_credits: 3 });
+    });
+
+    it('should report nothing without grades', () => {
+      expect(summarizeOverall([])).toEqual({ weighting: null, overall_average: null, gpa: null, total_credits: null });
+    });
+  });
+
+  describe('buildTranscript', () => {
+    it('should build the transcript of a student', async () => {
+      Student.findByPk.mockResolvedValue({ id: 7, name: 'Ada', group: 101, user: { surname: 'Lovelace' } });
+      listGrades.mockResolvedValue([gradeOf(math, 95), gradeOf(history, 88)]);
+      AssessmentCategory.findAll.mockResolvedValue([]);
+
+      const transcript = await buildTranscript(7, { scale: '5' });
+
+      expect(listGrades).toHaveBeenCalledWith({ studentId: 7 });
+      expect(AssessmentCategory.findAll.mock.calls[0][0].where).toEqual({ subject_id: ['math', 'history'] });
+      expect(transcript).toMatchObject({
+        student: { id: 7, name: 'Ada', surname: 'Lovelace', group: 101 },
+        gpa_scale: '5',
+        max_grade_points: 5,
+        weighting: 'credits',
+        gpa: 4.67,
+        total_credits: 9,
+      });
+      expect(transcript.subjects).toHaveLength(2);
+    });
+
+    it('should return null for an unknown student', async () => {
+      Student.findByPk.mockResolvedValue(null);
+
+      expect(await buildTranscript(99)).toBeNull();
+      expect(listGrades).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown scale', async () => {
+      await expect(buildTranscript(7, { scale: '7' })).rejects.toThrow('Unknown GPA scale: 7');
+    });
+  });
+
+  describe('renderTranscriptHtml', () => {
+    it('should render a printable page with escaped names', () => {
+      const html = renderTranscriptHtml({
+        student: { id: 7, name: '<Ada>', surname: 'Lovelace', group: 101 },
+        subjects: [
+          { subject_name: 'Maths & Logic', credits: 6, grade_count: 2, final_score: 85.5, complete: true, missing_categories: [], grade_points: 3 },
+          { subject_name: 'History', credits: 3, grade_count: 1, final_score: 70, complete: false, missing_categories: ['Essay'], grade_points: 1.7 },
+        ],
+        overall_average: 85.5,
+        gpa: 3,
+        max_grade_points: 4,
+        total_credits: 6,
+        generated_at: '2026-10-19T00:00:00.000Z',
+      });
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('&lt;Ada&gt; Lovelace');
+      expect(html).toContain('Maths &amp; Logic');
+      expect(html).toContain('GPA 3 / 4');
+      expect(html).toContain('70 *');
+      expect(html).toContain('* No grades yet in: History (Essay)');
+      expect(html).not.toContain('<Ada>');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../models', () => ({
+  TwoFactor: {
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+  },
+  RecoveryCode: {
+    findOne: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+    bulkCreate: jest.fn(),
+    count: jest.fn(),
+  },
+}));
+
+const { TwoFactor, RecoveryCode } = require('../../models');
+const { hashToken } = require('../../utils/tokenHash');
+const { generateSecret, generateTotp } = require('../../utils/totp');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+} = require('../../services/twoFactorService');
+
+const userId = '550e8400-e29b-41d4-a716-446655440000';
+
+describe('Two-Factor Service', () => {
+  let secret;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    secret = generateSecret();
+  });
+
+  it('should require 2FA for admins by default', () => {
+    expect(isTwoFactorRequired('admin')).toBe(true);
+    expect(isTwoFactorRequired('student')).toBe(false);
+  });
+
+  describe('startEnrollment', () => {
+    it('should store a new secret and return an otpauth URI', async () => {
+      TwoFactor.findByPk.mockResolvedValue(null);
+
+      const result = await startEnrollment({ id: userId, email: 'jane@example.com' });
+
+      expect(TwoFactor.create).toHaveBeenCalledWith({ user_id: userId, secret: result.secret });
+      expect(result.otpauthUri).toMatch(/^otpauth:\/\/totp\/.*jane%40example\.com\?secret=/);
+    });
+
+    it('should replace the secret of an unconfirmed enrollment', async () => {
+      const record = { enabled_at: null, update: jest.fn() };
+      TwoFactor.findByPk.mockResolvedValue(record);
+
+      const result = await startEnrollment({ id: userId, email: 'jane@example.com' });
+
+      expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ secret: result.secret }));
+      expect(TwoFactor.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when 2FA is already enabled', async () => {
+      TwoFactor.findByPk.mockResolvedValue({ enabled_at: new Date() });
+
+      const result = await startEnrollment({ id: userId, email: 'jane@example.com' });
+
+      expect(result.error).toBe('Two-factor authentication is already enabled');
+    });
+  });
+
+  describe('confirmEnrollment', () => {
+    it('should enable 2FA and return hashed-at-rest recovery codes', async () => {
+      const record = { user_id: userId, secret, enabled_at: null, update: jest.fn() };
+      TwoFactor.findByPk.mockResolvedValue(record);
+      TwoFactor.update.mockResolvedValue([1]);
+
+      const result = await confirmEnrollment(userId, generateTotp(secret));
+
+      expect(record.update).toHaveBeenCalledWith({ enabled_at: expect.any(Date) });
+      expect(result.recoveryCodes).toHaveLength(10);
+      expect(result.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+      const stored = RecoveryCode.bulkCreate.mock.calls[0][0];
+      expect(stored[0].code_hash).toBe(hashToken(result.recoveryCodes[0].replace('-', '')));
+      expect(JSON.stringify(stored)).not.toContain(result.recoveryCodes[0]);
+    });
+
+    it('should reject a wrong code', async () => {
+      TwoFactor.findByPk.mockResolvedValue({ user_id: userId, secret, enabled_at: null, update: jest.fn() });
+
+      const result = await confirmEnrollment(userId, '000000');
+
+      expect(result.error).toBe('Invalid two-factor code');
+      expect(RecoveryCode.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    it('should reject when no enrollment was started', async () => {
+      TwoFactor.findByPk.mockResolvedValue(null);
+
+      expect((await confirmEnrollment(userId, '123456')).error).toBe('Two-factor enrollment has not been started');
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    const enabledRecord = () => ({ user_id: userId, secret, enabled_at: new Date(), last_used_step: null });
+
+    it('should accept a current TOTP code once', async () => {
+      TwoFactor.findByPk.mockResolvedValue(enabledRecord());
+      TwoFactor.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+      const code = generateTotp(secret);
+
+      expect(await verifySecondFactor(userId, { code })).toEqual({ method: 'totp' });
+      // The conditional update matches no row the second time: the step was already used
+      expect(await verifySecondFactor(userId, { code })).toEqual({ error: 'Invalid two-factor code' });
+    });
+
+    it('should accept an unused recovery code regardless of formatting', async () => {
+      TwoFactor.findByPk.mockResolvedValue(enabledRecord());
+      RecoveryCode.findOne.mockResolvedValue({ id: 'code-id' });
+      RecoveryCode.update.mockResolvedValue([1]);
+
+      const result = await verifySecondFactor(userId, { recoveryCode: 'ABCDE-12345' });
+
+      expect(result).toEqual({ method: 'recovery_code' });
+      expect(RecoveryCode.findOne.mock.calls[0][0].where.code_hash).toBe(hashToken('abcde12345'));
+      expect(RecoveryCode.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { id: 'code-id', used_at: null } }
+      );
+    });
+
+    it('should reject unknown recovery codes', async () => {
+      TwoFactor.findByPk.mockResolvedValue(enabledRecord());
+      RecoveryCode.findOne.mockResolvedValue(null);
+
+      expect((await verifySecondFactor(userId, { recoveryCode: 'abcde-12345' })).error).toBe('Invalid two-factor code');
+    });
+
+    it('should reject users without 2FA', async () => {
+      TwoFactor.findByPk.mockResolvedValue(null);
+
+      expect((await verifySecondFactor(userId, { code: '123456' })).error).toBe('Two-factor authentication is not enabled');
+    });
+  });
+
+  it('should remove the enrollment and recovery codes on disable', async () => {
+    TwoFactor.destroy.mockResolvedValue(1);
+
+    expect(await disableTwoFactor(userId)).toBe(true);
+    expect(RecoveryCode.destroy).toHaveBeenCalledWith({ where: { user_id: userId } });
+  });
+});
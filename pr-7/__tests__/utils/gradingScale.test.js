@@ -0,0 +1,54 @@
+const { checkBands, normalizeBands, convertGrade } = require('../../utils/gradingScale');
+
+const bands = [
+  { min: 0, label: 'F', points: 0 },
+  { min: 90, label: 'A', points: 4 },
+  { min: 75, label: 'B', points: 3 },
+];
+
+describe('Grading scales', () => {
+  describe('checkBands', () => {
+    it('should accept bands covering 0–100', () => {
+      expect(checkBands(bands)).toBeNull();
+    });
+
+    it('should reject bands without one starting at 0', () => {
+      expect(checkBands([{ min: 50, label: 'Pass', points: 1 }])).toBe('One band must start at 0');
+    });
+
+    it('should reject bands sharing a min', () => {
+      expect(checkBands([...bands, { min: 90, label: 'A+', points: 4.3 }])).toBe('Bands must not share a min');
+    });
+
+    it('should reject malformed bands', () => {
+      expect(checkBands([])).toBe('Bands must be a non-empty array');
+      expect(checkBands('A-F')).toBe('Bands must be a non-empty array');
+      expect(checkBands([{ min: 101, label: 'A', points: 4 }])).toBe('Band min must be an integer between 0 and 100');
+      expect(checkBands([{ min: 0, label: ' ', points: 0 }])).toMatch('Band label');
+      expect(checkBands([{ min: 0, label: 'F', points: '0' }])).toBe('Band points must be a number');
+      expect(checkBands([null])).toBe('Band min must be an integer between 0 and 100');
+    });
+  });
+
+  describe('normalizeBands', () => {
+    it('should sort bands by min, highest first, and drop unknown fields', () => {
+      expect(normalizeBands([...bands, { min: 60, label: ' C ', points: 2, color: 'red' }])).toEqual([
+        { min: 90, label: 'A', points: 4 },
+        { min: 75, label: 'B', points: 3 },
+        { min: 60, label: 'C', points: 2 },
+        { min: 0, label: 'F', points: 0 },
+      ]);
+    });
+  });
+
+  describe('convertGrade', () => {
+    it('should use the highest band the grade reaches', () => {
+      const scale = { name: 'Letters', bands };
+
+      expect(convertGrade(100, scale)).toEqual({ scale: 'Letters', label: 'A', points: 4 });
+      expect(convertGrade(90, scale)).toEqual({ scale: 'Letters', label: 'A', points: 4 });
+      expect(convertGrade(89, scale)).toEqual({ scale: 'Letters', label: 'B', points: 3 });
+      expect(convertGrade(0, scale)).toEqual({ scale: 'Letters', label: 'F', points: 0 });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+} = require('../../utils/totp');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" (SHA1)
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(rfcSecret)).toEqual(bytes);
+    expect(base32Decode(rfcSecret.toLowerCase())).toEqual(bytes);
+  });
+
+  it('should reject invalid base32', () => {
+    expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character: 1');
+  });
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('should match the RFC 6238 test vector at %i', (seconds, code) => {
+    expect(generateTotp(rfcSecret, seconds * 1000)).toBe(code);
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1234567890 * 1000;
+
+    it('should return the time step of a valid code', () => {
+      expect(verifyTotp(rfcSecret, '005924', { time })).toBe(Math.floor(1234567890 / 30));
+    });
+
+    it('should accept codes from the neighbouring steps within the window', () => {
+      const previous = generateTotp(rfcSecret, time - 30 * 1000);
+
+      expect(verifyTotp(rfcSecret, previous, { time })).toBe(Math.floor(1234567890 / 30) - 1);
+      expect(verifyTotp(rfcSecret, previous, { time, window: 0 })).toBeNull();
+    });
+
+    it('should reject wrong and malformed codes', () => {
+      expect(verifyTotp(rfcSecret, '000000', { time })).toBeNull();
+      expect(verifyTotp(rfcSecret, '12345', { time })).toBeNull();
+      expect(verifyTotp(rfcSecret, 'abcdef', { time })).toBeNull();
+    });
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: rfcSecret, account: 'jane@example.com', issuer: 'Student API' });
+
+    expect(uri).toBe(`otpauth://totp/Student%20API%3Ajane%40example.com?secret=${rfcSecret}&issuer=Student+API&algorithm=SHA1&digits=6&period=30`);
+  });
+});
@@ -0,0 +1,12 @@
+// Attendance
+// A student's absence rate is the share of their sessions marked absent; late and excused do not
+// count as absences. ATTENDANCE_ABSENCE_THRESHOLD (percent, default 20) is the rate above which the
+// absence report lists a student.
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const config = {
+  statuses: STATUSES,
+  absenceThreshold: parseFloat(process.env.ATTENDANCE_ABSENCE_THRESHOLD) || 20,
+};
+
+module.exports = config;
@@ -0,0 +1,41 @@
+// GPA mapping for transcripts
+// Each scale maps a subject average (0–100) to grade points: the first band whose `min` the
+// average reaches applies. GPA_SCALE selects the default; GPA_CUSTOM_SCALE can add a scale named
+// "custom" as JSON, e.g. [{"min":85,"points":4},{"min":70,"points":3},{"min":0,"points":0}].
+const scales = {
+  // US 4.0 scale with plus/minus steps
+  '4.0': [
+    { min: 93, points: 4.0 },
+    { min: 90, points: 3.7 },
+    { min: 87, points: 3.3 },
+    { min: 83, points: 3.0 },
+    { min: 80, points: 2.7 },
+    { min: 77, points: 2.3 },
+    { min: 73, points: 2.0 },
+    { min: 70, points: 1.7 },
+    { min: 67, points: 1.3 },
+    { min: 63, points: 1.0 },
+    { min: 60, points: 0.7 },
+    { min: 0, points: 0.0 },
+  ],
+  // 5-point scale: 5 excellent, 4 good, 3 satisfactory, 2 fail
+  '5': [
+    { min: 90, points: 5 },
+    { min: 75, points: 4 },
+    { min: 60, points: 3 },
+    { min: 0, points: 2 },
+  ],
+};
+
+if (process.env.GPA_CUSTOM_SCALE) {
+  scales.custom = JSON.parse(process.env.GPA_CUSTOM_SCALE)
+    .map(({ min, points }) => ({ min: Number(min), points: Number(points) }))
+    .sort((a, b) => b.min - a.min);
+}
+
+const config = {
+  scales,
+  defaultScale: process.env.GPA_SCALE || '4.0',
+};
+
+module.exports = config;
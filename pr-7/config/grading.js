@@ -0,0 +1,14 @@
+// Final subject scores
+// Grades are averaged per assessment category and the category averages are weighted by the
+// category weights. GRADING_EMPTY_CATEGORIES decides what a category without grades counts as:
+// "exclude" (default) leaves it out and scales the other weights up, "zero" counts it as 0.
+const EMPTY_CATEGORY_POLICIES = ['exclude', 'zero'];
+
+const config = {
+  emptyCategoryPolicies: EMPTY_CATEGORY_POLICIES,
+  emptyCategories: EMPTY_CATEGORY_POLICIES.includes(process.env.GRADING_EMPTY_CATEGORIES)
+    ? process.env.GRADING_EMPTY_CATEGORIES
+    : 'exclude',
+};
+
+module.exports = config;
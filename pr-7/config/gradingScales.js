@@ -0,0 +1,41 @@
+// Grading scales seeded by the migration when no scale of the same name exists. Admins can
+// change or delete them through /api/grading-scales afterwards.
+const PRESET_SCALES = [
+  {
+    name: 'A-F',
+    description: 'Letter grades',
+    bands: [
+      { min: 90, label: 'A', points: 4 },
+      { min: 80, label: 'B', points: 3 },
+      { min: 70, label: 'C', points: 2 },
+      { min: 60, label: 'D', points: 1 },
+      { min: 0, label: 'F', points: 0 },
+    ],
+  },
+  {
+    name: 'ECTS',
+    description: 'ECTS grades; FX and F are fails',
+    bands: [
+      { min: 90, label: 'A', points: 1 },
+      { min: 80, label: 'B', points: 1.5 },
+      { min: 70, label: 'C', points: 2 },
+      { min: 60, label: 'D', points: 2.5 },
+      { min: 50, label: 'E', points: 3 },
+      { min: 40, label: 'FX', points: 4 },
+      { min: 0, label: 'F', points: 4 },
+    ],
+  },
+  {
+    name: '10-point',
+    description: 'National 10-point scale',
+    bands: [10, 9, 8, 7, 6, 5, 4, 3, 2, 1].map(points => ({
+      min: (points - 1) * 10,
+      label: String(points),
+      points,
+    })),
+  },
+];
+
+module.exports = {
+  PRESET_SCALES,
+};
@@ -0,0 +1,17 @@
+// Signing of access tokens
+// Without JWT_KEYS_DIR tokens are signed with HS256 and JWT_SECRET. With it, every *.pem file in the
+// directory is a key named after the file (the `kid`): RSA keys sign with RS256, P-256 keys with ES256.
+// New tokens are signed with JWT_ACTIVE_KID (default: the last private key by file name); all keys
+// in the directory are accepted and published at /.well-known/jwks.json. A public key on its own
+// keeps a retired key verifiable until its tokens have expired.
+const DEFAULT_SECRET = 'your-secret-key-change-in-production';
+
+const config = {
+  // Must be set in production unless keysDir is; the server refuses to start with the default
+  secret: process.env.JWT_SECRET || DEFAULT_SECRET,
+  keysDir: process.env.JWT_KEYS_DIR || null,
+  activeKid: process.env.JWT_ACTIVE_KID || null,
+  DEFAULT_SECRET,
+};
+
+module.exports = config;
@@ -0,0 +1,40 @@
+// Login brute-force protection
+// Failed logins are counted per account (email) and per client IP. After `freeAttempts`
+// failures every further attempt has to wait an exponentially growing delay
+// (backoffBaseSeconds * 2^n, capped at backoffMaxSeconds). Reaching `lockoutThreshold`
+// locks the key for lockoutSeconds. Counters are forgotten resetAfterSeconds after the
+// last failure. LOGIN_THROTTLE_STORE=database shares the counters between instances.
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const config = {
+  store: process.env.LOGIN_THROTTLE_STORE || 'memory',
+  backoffBaseSeconds: int(process.env.LOGIN_BACKOFF_BASE_SECONDS, 1),
+  backoffMaxSeconds: int(process.env.LOGIN_BACKOFF_MAX_SECONDS, 300),
+  lockoutSeconds: int(process.env.LOGIN_LOCKOUT_SECONDS, 900),
+  resetAfterSeconds: int(process.env.LOGIN_ATTEMPT_RESET_SECONDS, 3600),
+  account: {
+    freeAttempts: int(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 5),
+    lockoutThreshold: int(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD, 10),
+  },
+  ip: {
+    freeAttempts: int(process.env.LOGIN_IP_FREE_ATTEMPTS, 20),
+    lockoutThreshold: int(process.env.LOGIN_IP_LOCKOUT_THRESHOLD, 100),
+  },
+  // Password reset and verification emails use the same backoff and lockout, counting every
+  // request, whether or not the account exists, so the endpoints cannot be used to flood a mailbox
+  passwordReset: {
+    account: {
+      freeAttempts: int(process.env.PASSWORD_RESET_ACCOUNT_FREE_REQUESTS, 3),
+      lockoutThreshold: int(process.env.PASSWORD_RESET_ACCOUNT_LOCKOUT_THRESHOLD, 5),
+    },
+    ip: {
+      freeAttempts: int(process.env.PASSWORD_RESET_IP_FREE_REQUESTS, 10),
+      lockoutThreshold: int(process.env.PASSWORD_RESET_IP_LOCKOUT_THRESHOLD, 30),
+    },
+  },
+};
+
+module.exports = config;
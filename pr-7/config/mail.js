@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Mail configuration
+// MAIL_TRANSPORT selects the implementation: 'file' (default) writes messages to an outbox
+// directory instead of sending them, 'smtp' delivers them through an SMTP server
+const config = {
+  transport: process.env.MAIL_TRANSPORT || 'file',
+  from: process.env.MAIL_FROM || 'Student Management <no-reply@localhost>',
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  },
+  // Base URL used for links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+};
+
+module.exports = config;
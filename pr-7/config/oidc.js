@@ -0,0 +1,18 @@
+const mailConfig = require('./mail');
+
+// OpenID Connect login (authorization code flow with PKCE)
+// OIDC login is enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set. The provider endpoints are
+// read from <issuer>/.well-known/openid-configuration. New users are created with OIDC_DEFAULT_ROLE.
+const config = {
+  issuer: process.env.OIDC_ISSUER || null,
+  clientId: process.env.OIDC_CLIENT_ID || null,
+  // Optional: public clients rely on PKCE alone
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${mailConfig.appUrl}/api/auth/oidc/callback`,
+  scope: process.env.OIDC_SCOPE || 'openid email profile',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'student',
+  // How long a started login may take until the provider redirects back
+  stateTtlSeconds: parseInt(process.env.OIDC_STATE_TTL_SECONDS, 10) || 600,
+};
+
+module.exports = config;
@@ -0,0 +1,24 @@
+const path = require('path');
+
+// Password hashing and policy
+// New hashes use PASSWORD_HASH_ALGORITHM (argon2id by default, or bcrypt). Existing hashes of the
+// other algorithm, or with weaker parameters than configured, are upgraded at the next login.
+// Argon2 defaults follow the OWASP recommendation (19 MiB, 2 iterations, 1 lane).
+const config = {
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'argon2id',
+  argon2: {
+    memoryCost: parseInt(process.env.ARGON2_MEMORY_COST_KIB, 10) || 19456,
+    timeCost: parseInt(process.env.ARGON2_TIME_COST, 10) || 2,
+    parallelism: parseInt(process.env.ARGON2_PARALLELISM, 10) || 1,
+  },
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
+  policy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    // bcrypt ignores everything after 72 bytes; argon2 has no limit but hashing cost grows with length
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    // One password per line, compared case-insensitively
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'common-passwords.txt'),
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,38 @@
+// Permission catalog
+// Routes check permissions, never role names. Which role holds which permission is stored in the
+// role_permissions table and can be changed through /api/roles; the defaults below are only
+// used by the migration when a permission is seeded for the first time.
+const PERMISSIONS = {
+  'students:read': 'View students',
+  'students:read_all': 'View every student and their grades, not only your own record and the groups you teach',
+  'students:write': 'Create and update students',
+  'students:delete': 'Delete students',
+  'grades:read': 'View grades',
+  'grades:write': 'Record and change grades of assigned subjects and groups',
+  'grades:write_any': 'Record and change grades of any subject and group without an assignment',
+  'grades:stats': 'View grade statistics of subjects and groups',
+  'grades:audit': 'Review grade amendments across all students',
+  'attendance:read': 'View attendance records and absence summaries',
+  'attendance:write': 'Mark attendance of assigned subjects and groups',
+  'attendance:write_any': 'Mark attendance of any subject and group without an assignment',
+  'subjects:manage': 'Create, rename and delete subjects',
+  'grading_scales:manage': 'Define grading scales and choose the default scale',
+  'timetable:manage': 'Manage rooms and timetable lessons',
+  'assignments:manage': 'Assign teachers to the subjects and groups they grade',
+  'users:manage': 'Manage user accounts and assign roles',
+  'users:impersonate': 'Act as another user for support purposes',
+  'roles:manage': 'Manage roles and their permissions',
+  'status:read': 'View the status monitor',
+  'api_keys:manage': 'Create and revoke API keys for service accounts',
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  teacher: ['students:read', 'students:write', 'grades:read', 'grades:write', 'grades:stats', 'attendance:read', 'attendance:write', 'status:read'],
+  student: ['students:read', 'grades:read', 'attendance:read'],
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+};
@@ -0,0 +1,10 @@
+// Grade statistics
+// Defaults for /api/stats; both can be overridden per request (pass_threshold, bucket_size).
+const config = {
+  // Grades at or above the threshold count as passed
+  passThreshold: parseInt(process.env.STATS_PASS_THRESHOLD, 10) || 50,
+  // Width of the histogram buckets over the 0–100 range
+  bucketSize: parseInt(process.env.STATS_BUCKET_SIZE, 10) || 10,
+};
+
+module.exports = config;
@@ -0,0 +1,22 @@
+// Two-factor authentication (TOTP)
+// Users of the roles in TWO_FACTOR_REQUIRED_ROLES (comma separated, default admin) cannot finish
+// a login without a second factor and have to enroll at their next login.
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const config = {
+  issuer: process.env.TOTP_ISSUER || 'Student Management API',
+  requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+  // Lifetime of the token that links the password step to the code step
+  pendingTokenTtl: process.env.MFA_PENDING_TOKEN_TTL || '5m',
+  recoveryCodeCount: parseInt(process.env.RECOVERY_CODE_COUNT, 10) || 10,
+  // Accepted clock drift in 30 second steps; 0 accepts only the current step
+  window: int(process.env.TOTP_WINDOW, 1),
+};
+
+module.exports = config;
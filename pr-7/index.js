@@ -1,15 +1,45 @@
 const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
-const bcrypt = require('bcrypt');
 const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const expressStatusMonitor = require('express-status-monitor');
 const { sequelize, testConnection } = require('./config/database');
-const { authenticate, authorize, generateToken } = require('./middleware/auth');
-const { validateRegister, validateLogin, validateCreateStudent, validateUpdateStudent, validateStudentId, validateGroupId } = require('./middleware/validation');
+const { authenticate, optionalAuthenticate, requirePermission, scopeStudents } = require('./middleware/auth');
+const { validateRegister, validateLogin, validateCreateStudent, validateUpdateStudent, validateStudentId, validateGroupId, validateStudentGrades, validateTranscript, validateStudentAttendance } = require('./middleware/validation');
+const { hasPermission } = require('./services/permissionService');
+const { getVerificationError, sendVerificationEmail } = require('./services/emailVerificationService');
+const { getLoginThrottle } = require('./services/loginThrottle');
+const { isTwoFactorRequired } = require('./services/twoFactorService');
+const { hashPassword, verifyPassword, needsRehash } = require('./services/passwordService');
+const { getTwoFactorChallenge, startSession, buildLoginResponse } = require('./services/loginService');
+const { listGrades } = require('./services/gradeService');
+const { gradesToJSON } = require('./services/gradingScaleService');
+const { studentSummary } = require('./services/attendanceService');
+const { buildTranscript } = require('./services/transcriptService');
+const { studentScopeWhere, canSeeStudent, canPlaceInGroup } = require('./services/studentScopeService');
+const { renderTranscriptHtml } = require('./utils/transcriptHtml');
 const logger = require('./utils/logger');
 const swaggerSpec = require('./config/swagger');
+const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const adminRoutes = require('./routes/admin');
+const subjectRoutes = require('./routes/subjects');
+const assessmentCategoryRoutes = require('./routes/assessmentCategories');
+const gradeRoutes = require('./routes/grades');
+const statsRoutes = require('./routes/stats');
+const teacherSubjectRoutes = require('./routes/teacherSubjects');
+const gradingScaleRoutes = require('./routes/gradingScales');
+const attendanceRoutes = require('./routes/attendance');
+const roomRoutes = require('./routes/rooms');
+const timetableRoutes = require('./routes/timetable');
+const wellKnownRoutes = require('./routes/wellKnown');
+const { getKeyStore } = require('./services/keyStore');
+const jwtConfig = require('./config/jwt');
 
 // Import models (loads associations)
 const { Role, User, Student, Subject, Grade } = require('./models');
@@ -17,12 +47,19 @@ const { Role, User, Student, Subject, Grade } = require('./models');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise login throttling
+// would count every client as the proxy address (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Enable compression middleware
 app.use(compression());
 
-// Express Status Monitor - protected route for admin/teacher only
+// Express Status Monitor - protected route, requires the status:read permission
 // Mount status monitor with authentication and authorization middleware
-app.use('/status', authenticate, authorize('admin', 'teacher'), expressStatusMonitor());
+app.use('/status', authenticate, requirePermission('status:read'), expressStatusMonitor());
 
 // Enable CORS
 app.use(cors());
@@ -78,23 +115,34 @@ app.use((req, res, next) => {
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
+ *                 minLength: 8
  *               role_id:
  *                 type: string
  *                 format: uuid
- *                 description: Optional role ID (defaults to student role)
+ *                 description: Optional role ID (defaults to student role). Only admins may set it.
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. A verification email is sent; tokens are only returned when verification is not required.
  *       400:
  *         description: Validation error or user already exists
+ *       403:
+ *         description: role_id sent without an admin token
  *       500:
  *         description: Server error
  */
-app.post('/api/auth/register', validateRegister, async (req, res) => {
+app.post('/api/auth/register', optionalAuthenticate, validateRegister, async (req, res) => {
   try {
     const { name, surname, email, password, role_id } = req.body;
 
+    // Only user managers may choose the role; everyone else registers as a student
+    if (role_id && !(req.user && await hasPermission(req.user.role, 'users:manage'))) {
+      logger.warn(`Registration attempt with role_id by non-admin: ${email}`, { requestedBy: req.user?.email });
+      return res.status(403).json({
+        success: false,
+        error: 'Only administrators can assign a role during registration',
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
@@ -105,12 +153,19 @@ app.post('/api/auth/register', validateRegister, async (req, res) => {
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
 
     // Get default role (student) if not provided
     let userRoleId = role_id;
-    if (!userRoleId) {
+    if (userRoleId) {
+      const requestedRole = await Role.findByPk(userRoleId);
+      if (!requestedRole) {
+        return res.status(400).json({
+          success: false,
+          error: 'Role not found',
+        });
+      }
+    } else {
       const studentRole = await Role.findOne({ where: { role_name: 'student' } });
       if (!studentRole) {
         logger.error('Default student role not found in database');
@@ -134,28 +189,51 @@ app.post('/api/auth/register', validateRegister, async (req, res) => {
     // Get role for token
     const role = await Role.findByPk(userRoleId);
 
-    // Generate token
-    const token = generateToken({
+    // A failed email must not fail the registration; the user can request a new one
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Failed to send verification email', { error: mailError.message, userId: user.id });
+    }
+
+    logger.info(`User registered successfully: ${email}`, { userId: user.id, role: role.role_name });
+
+    const userData = {
       id: user.id,
-      email: user.email,
-      role: role.role_name,
       name: user.name,
       surname: user.surname,
-    });
+      email: user.email,
+      role: role.role_name,
+      email_verified: false,
+    };
 
-    logger.info(`User registered successfully: ${email}`, { userId: user.id, role: role.role_name });
+    // Without a verified email the account cannot be used yet, so no tokens are issued
+    if (getVerificationError(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please verify your email address before logging in.',
+        user: userData,
+      });
+    }
+
+    // Roles that require 2FA get their first tokens only after enrolling during login
+    if (isTwoFactorRequired(role.role_name)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Two-factor authentication must be set up at the first login.',
+        user: userData,
+      });
+    }
+
+    user.role = role;
+    const { token, refresh_token: refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: {
-        id: user.id,
-        name: user.name,
-        surname: user.surname,
-        email: user.email,
-        role: role.role_name,
-      },
+      refresh_token: refreshToken,
+      user: userData,
     });
   } catch (error) {
     logger.error('Registration error', { error: error.message, stack: error.stack });
@@ -190,15 +268,48 @@ app.post('/api/auth/register', validateRegister, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `mfa_required` with an `mfa_token` when a second factor is needed
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials. Carries a Retry-After header once further attempts are delayed.
+ *       403:
+ *         description: Account deactivated or email address not verified
+ *       429:
+ *         description: Too many failed attempts for this account or IP address. See the Retry-After header.
  *       500:
  *         description: Server error
  */
 app.post('/api/auth/login', validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const throttle = getLoginThrottle();
+    const identity = { email, ip: req.ip };
+
+    const status = await throttle.check(identity);
+    if (!status.allowed) {
+      logger.warn(`Throttled login attempt for email: ${email}`, { ip: req.ip, retryAfter: status.retryAfter, locked: status.locked });
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: status.locked
+          ? 'Too many failed login attempts. The account is temporarily locked.'
+          : 'Too many failed login attempts. Please try again later.',
+        retry_after: status.retryAfter,
+      });
+    }
+
+    const rejectCredentials = async () => {
+      const { retryAfter, locked } = await throttle.registerFailure(identity);
+      if (locked) {
+        logger.warn(`Login locked after repeated failures for email: ${email}`, { ip: req.ip, retryAfter });
+      }
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+      });
+    };
 
     // Find user
     const user = await User.findOne({
@@ -207,45 +318,62 @@ app.post('/api/auth/login', validateLogin, async (req, res) => {
     });
 
     if (!user) {
-      logger.warn(`Login attempt with invalid email: ${email}`);
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password',
-      });
+      logger.warn(`Login attempt with invalid email: ${email}`, { ip: req.ip });
+      return rejectCredentials();
     }
 
     // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await verifyPassword(password, user.password);
     if (!isPasswordValid) {
-      logger.warn(`Login attempt with invalid password for email: ${email}`);
-      return res.status(401).json({
+      logger.warn(`Login attempt with invalid password for email: ${email}`, { ip: req.ip });
+      return rejectCredentials();
+    }
+
+    // Old hashes (bcrypt, or weaker argon2 parameters) are upgraded while the plain password is at hand.
+    // A failure here must not prevent the login; the next one tries again.
+    if (needsRehash(user.password)) {
+      try {
+        await User.update({ password: await hashPassword(password) }, { where: { id: user.id } });
+        logger.info(`Password hash upgraded: ${email}`, { userId: user.id });
+      } catch (rehashError) {
+        logger.error('Failed to upgrade password hash', { error: rehashError.message, userId: user.id });
+      }
+    }
+
+    if (user.is_active === false) {
+      logger.warn(`Login attempt for deactivated account: ${email}`, { userId: user.id });
+      return res.status(403).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'Account has been deactivated',
       });
     }
 
-    // Generate token
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      role: user.role.role_name,
-      name: user.name,
-      surname: user.surname,
-    });
+    const verificationError = getVerificationError(user);
+    if (verificationError) {
+      logger.warn(`Login attempt with unverified email: ${email}`, { userId: user.id });
+      return res.status(403).json({
+        success: false,
+        error: verificationError,
+      });
+    }
+
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      logger.info(`Login awaiting second factor: ${email}`, { userId: user.id, enrollment: challenge.mfa_enrollment_required });
+      return res.status(200).json({
+        success: true,
+        ...challenge,
+      });
+    }
+
+    await throttle.registerSuccess(identity);
 
     logger.info(`User logged in successfully: ${email}`, { userId: user.id, role: user.role.role_name });
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        surname: user.surname,
-        email: user.email,
-        role: user.role.role_name,
-      },
+      ...await buildLoginResponse(user, req),
     });
   } catch (error) {
     logger.error('Login error', { error: error.message, stack: error.stack });
@@ -256,6 +384,24 @@ app.post('/api/auth/login', validateLogin, async (req, res) => {
   }
 });
 
+app.use('/.well-known', wellKnownRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/subjects/:id/categories', assessmentCategoryRoutes);
+app.use('/api/subjects', subjectRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/teacher-subjects', teacherSubjectRoutes);
+app.use('/api/grading-scales', gradingScaleRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/timetable', timetableRoutes);
+
 // Protected Routes - All require authentication
 
 // Test endpoint to trigger errors (for testing logging) - MUST be before 404 handler
@@ -300,21 +446,25 @@ if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_TEST_ENDPOINTS =
  * @swagger
  * /api/students:
  *   get:
- *     summary: Get all students
+ *     summary: Get the students visible to the caller
+ *     description: >
+ *       Everyone with students:read_all; otherwise the caller's own student record and the
+ *       students of the groups they are assigned to teach.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all students
+ *         description: List of students
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-app.get('/api/students', authenticate, async (req, res) => {
+app.get('/api/students', authenticate, requirePermission('students:read'), scopeStudents, async (req, res) => {
   try {
     const students = await Student.findAll({
+      where: studentScopeWhere(req.studentScope),
       include: [{ model: User, as: 'user', attributes: ['id', 'name', 'surname', 'email'] }],
     });
 
@@ -362,7 +512,7 @@ app.get('/api/students', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.get('/api/students/:id', authenticate, validateStudentId, async (req, res) => {
+app.get('/api/students/:id', authenticate, requirePermission('students:read'), validateStudentId, scopeStudents, async (req, res) => {
   try {
     const { id } = req.params;
     const studentId = parseInt(id);
@@ -371,7 +521,7 @@ app.get('/api/students/:id', authenticate, validateStudentId, async (req, res) =
       include: [{ model: User, as: 'user', attributes: ['id', 'name', 'surname', 'email'] }],
     });
 
-    if (student) {
+    if (student && canSeeStudent(req.studentScope, student)) {
       logger.debug(`Retrieved student ${studentId}`, { requestedBy: req.user.email });
       res.status(200).json({
         success: true,
@@ -393,6 +543,244 @@ app.get('/api/students/:id', authenticate, validateStudentId, async (req, res) =
   }
 });
 
+/**
+ * @swagger
+ * /api/students/{id}/grades:
+ *   get:
+ *     summary: Get the grades of a student (requires grades:read)
+ *     tags: [Students, Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *         description: Adds the label and grade points on this grading scale; "default" uses the subject's scale or the default scale
+ *     responses:
+ *       200:
+ *         description: Grades with their subjects, newest first
+ *       400:
+ *         description: Validation error or unknown grading scale
+ *       404:
+ *         description: Student not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/students/:id/grades', authenticate, requirePermission('grades:read'), validateStudentGrades, scopeStudents, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const studentId = parseInt(id);
+
+    const student = await Student.findByPk(studentId);
+    if (!student || !canSeeStudent(req.studentScope, student)) {
+      logger.warn(`Student not found: ${studentId}`, { requestedBy: req.user.email });
+      return res.status(404).json({
+        success: false,
+        error: `Student with id ${id} not found`,
+      });
+    }
+
+    const { subject_id, from, to, scale } = req.query;
+    const grades = await listGrades({ studentId, subjectId: subject_id, from, to });
+    const converted = await gradesToJSON(grades, scale);
+    if (converted.error) {
+      return res.status(400).json({
+        success: false,
+        error: converted.error,
+      });
+    }
+
+    logger.debug(`Retrieved ${grades.length} grades of student ${studentId}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      student_id: studentId,
+      count: grades.length,
+      grades: converted.grades,
+    });
+  } catch (error) {
+    logger.error('Error retrieving student grades', { error: error.message, stack: error.stack, studentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/transcript:
+ *   get:
+ *     summary: Get the transcript of a student (requires grades:read)
+ *     description: >
+ *       Per-subject final scores (assessment categories weighted, with the categories that have
+ *       no grades yet listed) and grade points, the overall average and the GPA. Subjects are
+ *       weighted by their credits when every graded subject has credits, otherwise equally.
+ *     tags: [Students, Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *       - in: query
+ *         name: gpa_scale
+ *         schema:
+ *           type: string
+ *           example: '4.0'
+ *         description: GPA scale from config/gpa.js (defaults to GPA_SCALE)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *         description: html returns a printable page
+ *     responses:
+ *       200:
+ *         description: Transcript
+ *       404:
+ *         description: Student not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/students/:id/transcript', authenticate, requirePermission('grades:read'), validateTranscript, scopeStudents, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const student = await Student.findByPk(parseInt(id));
+    const transcript = student && canSeeStudent(req.studentScope, student)
+      ? await buildTranscript(student.id, { scale: req.query.gpa_scale })
+      : null;
+    if (!transcript) {
+      logger.warn(`Student not found: ${id}`, { requestedBy: req.user.email });
+      return res.status(404).json({
+        success: false,
+        error: `Student with id ${id} not found`,
+      });
+    }
+
+    logger.debug(`Built transcript of student ${id}`, { requestedBy: req.user.email, format: req.query.format || 'json' });
+
+    if (req.query.format === 'html') {
+      return res.status(200).type('html').send(renderTranscriptHtml(transcript));
+    }
+    res.status(200).json({
+      success: true,
+      transcript,
+    });
+  } catch (error) {
+    logger.error('Error building transcript', { error: error.message, stack: error.stack, studentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/attendance:
+ *   get:
+ *     summary: Attendance summary of a student (requires attendance:read)
+ *     description: >
+ *       Sessions per status and the absence rate (percentage of sessions marked absent; late and
+ *       excused do not count), overall and per subject.
+ *     tags: [Students, Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Attendance summary
+ *       404:
+ *         description: Student not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/students/:id/attendance', authenticate, requirePermission('attendance:read'), validateStudentAttendance, scopeStudents, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const studentId = parseInt(id);
+
+    const student = await Student.findByPk(studentId);
+    if (!student || !canSeeStudent(req.studentScope, student)) {
+      logger.warn(`Student not found: ${studentId}`, { requestedBy: req.user.email });
+      return res.status(404).json({
+        success: false,
+        error: `Student with id ${id} not found`,
+      });
+    }
+
+    const { subject_id, from, to } = req.query;
+    const summary = await studentSummary(studentId, { subjectId: subject_id, from, to });
+
+    res.status(200).json({
+      success: true,
+      student_id: studentId,
+      ...summary,
+    });
+  } catch (error) {
+    logger.error('Error retrieving student attendance', { error: error.message, stack: error.stack, studentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/students/group/{id}:
@@ -416,13 +804,13 @@ app.get('/api/students/:id', authenticate, validateStudentId, async (req, res) =
  *       500:
  *         description: Server error
  */
-app.get('/api/students/group/:id', authenticate, validateGroupId, async (req, res) => {
+app.get('/api/students/group/:id', authenticate, requirePermission('students:read'), validateGroupId, scopeStudents, async (req, res) => {
   try {
     const { id } = req.params;
     const groupNum = parseInt(id);
 
     const students = await Student.findAll({
-      where: { group: groupNum },
+      where: { group: groupNum, ...studentScopeWhere(req.studentScope) },
       include: [{ model: User, as: 'user', attributes: ['id', 'name', 'surname', 'email'] }],
     });
 
@@ -450,7 +838,7 @@ app.get('/api/students/group/:id', authenticate, validateGroupId, async (req, re
  * @swagger
  * /api/students:
  *   post:
- *     summary: Add new student (Admin/Teacher only)
+ *     summary: Add new student (requires students:write)
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -486,16 +874,24 @@ app.get('/api/students/group/:id', authenticate, validateGroupId, async (req, re
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - insufficient permissions
+ *         description: Forbidden - insufficient permissions or a group the caller does not teach
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-app.post('/api/students', authenticate, authorize('admin', 'teacher'), validateCreateStudent, async (req, res) => {
+app.post('/api/students', authenticate, requirePermission('students:write'), validateCreateStudent, scopeStudents, async (req, res) => {
   try {
     const { name, age, group, user_id } = req.body;
 
+    if (!canPlaceInGroup(req.studentScope, group)) {
+      logger.warn(`Attempt to create student in a group not taught: ${group}`, { requestedBy: req.user.email });
+      return res.status(403).json({
+        success: false,
+        error: `You do not teach group ${group}`,
+      });
+    }
+
     // Verify user exists
     const user = await User.findByPk(user_id);
     if (!user) {
@@ -548,7 +944,7 @@ app.post('/api/students', authenticate, authorize('admin', 'teacher'), validateC
  * @swagger
  * /api/students/{id}:
  *   put:
- *     summary: Update student (Admin/Teacher only)
+ *     summary: Update student (requires students:write)
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -587,26 +983,34 @@ app.post('/api/students', authenticate, authorize('admin', 'teacher'), validateC
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - insufficient permissions
+ *         description: Forbidden - insufficient permissions or a group the caller does not teach
  *       404:
  *         description: Student not found
  *       500:
  *         description: Server error
  */
-app.put('/api/students/:id', authenticate, authorize('admin', 'teacher'), validateUpdateStudent, async (req, res) => {
+app.put('/api/students/:id', authenticate, requirePermission('students:write'), validateUpdateStudent, scopeStudents, async (req, res) => {
   try {
     const { id } = req.params;
     const studentId = parseInt(id);
     const { name, age, group } = req.body;
 
     const student = await Student.findByPk(studentId);
-    if (!student) {
+    if (!student || !canSeeStudent(req.studentScope, student)) {
       logger.warn(`Attempt to update non-existent student: ${studentId}`, { requestedBy: req.user.email });
       return res.status(404).json({
         success: false,
         error: `Student with id ${id} not found`,
       });
     }
+    // Moving a student is placing them in the new group
+    if (Number(group) !== student.group && !canPlaceInGroup(req.studentScope, group)) {
+      logger.warn(`Attempt to move student ${studentId} to a group not taught: ${group}`, { requestedBy: req.user.email });
+      return res.status(403).json({
+        success: false,
+        error: `You do not teach group ${group}`,
+      });
+    }
 
     student.name = name.trim();
     student.age = age;
@@ -638,7 +1042,7 @@ app.put('/api/students/:id', authenticate, authorize('admin', 'teacher'), valida
  * @swagger
  * /api/students/{id}:
  *   delete:
- *     summary: Delete student (Admin only)
+ *     summary: Delete student (requires students:delete)
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -661,7 +1065,7 @@ app.put('/api/students/:id', authenticate, authorize('admin', 'teacher'), valida
  *       500:
  *         description: Server error
  */
-app.delete('/api/students/:id', authenticate, authorize('admin'), validateStudentId, async (req, res) => {
+app.delete('/api/students/:id', authenticate, requirePermission('students:delete'), validateStudentId, scopeStudents, async (req, res) => {
   try {
     const { id } = req.params;
     const studentId = parseInt(id);
@@ -669,7 +1073,7 @@ app.delete('/api/students/:id', authenticate, authorize('admin'), validateStuden
     const student = await Student.findByPk(studentId, {
       include: [{ model: User, as: 'user', attributes: ['id', 'name', 'surname', 'email'] }],
     });
-    if (!student) {
+    if (!student || !canSeeStudent(req.studentScope, student)) {
       logger.warn(`Attempt to delete non-existent student: ${studentId}`, { requestedBy: req.user.email });
       return res.status(404).json({
         success: false,
@@ -739,6 +1143,15 @@ async function startServer() {
     console.log('═══════════════════════════════════════════════════');
     console.log('');
 
+    // The default secret is in the source code, so anyone could sign tokens with it. It is not
+    // used when JWT_KEYS_DIR provides the signing keys.
+    if (isProduction && !jwtConfig.keysDir && jwtConfig.secret === jwtConfig.DEFAULT_SECRET) {
+      logger.error('JWT_SECRET is not set. Refusing to start in production with the default secret.');
+      process.exit(1);
+    }
+    // Fail now rather than at the first login when a signing key is missing or unreadable
+    getKeyStore();
+
     // Test database connection
     const isConnected = await testConnection();
     if (!isConnected) {
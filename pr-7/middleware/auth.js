@@ -1,11 +1,54 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { checkAccessToken } = require('../services/tokenService');
+const { getRolePermissions } = require('../services/permissionService');
+const { resolveStudentScope } = require('../services/studentScopeService');
+const { verifyApiKey, serviceAccountLabel } = require('../services/apiKeyService');
+const { getKeyStore } = require('../services/keyStore');
+const twoFactorConfig = require('../config/twoFactor');
+const jwtConfig = require('../config/jwt');
+const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Impersonation tokens cannot be refreshed; support staff start a new impersonation when this runs out
+const IMPERSONATION_TOKEN_TTL = process.env.IMPERSONATION_TOKEN_TTL || '30m';
+// Issued after a correct password when a second factor is still missing; not accepted by authenticate
+const MFA_PENDING_TOKEN_TYPE = 'mfa_pending';
 
-// Middleware to verify JWT token
+// Service accounts send X-API-Key instead of a JWT. Their permissions are the key's scopes.
+const authenticateApiKey = async (req, res, next, key) => {
+  const { apiKey, error } = await verifyApiKey(key);
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error,
+    });
+  }
+
+  req.user = {
+    id: apiKey.id,
+    // Routes log `requestedBy: req.user.email`; this makes those entries name the service account
+    email: serviceAccountLabel(apiKey),
+    role: null,
+    name: apiKey.name,
+    surname: null,
+    serviceAccount: true,
+    scopes: apiKey.scopes,
+  };
+  req.apiKey = apiKey;
+
+  next();
+};
+
+// Middleware to verify JWT token (or an API key sent in X-API-Key)
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey && !authHeader) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
@@ -16,25 +59,55 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      
-      // Attach user info to request
-      req.user = {
-        id: decoded.id,
-        email: decoded.email,
-        role: decoded.role,
-        name: decoded.name,
-        surname: decoded.surname,
-      };
-
-      next();
+      decoded = getKeyStore().verify(token);
     } catch (error) {
       return res.status(401).json({
         success: false,
         error: 'Invalid or expired token.',
       });
     }
+
+    // Only access tokens carry no type; an mfa_pending token must not work as one
+    if (decoded.typ) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token.',
+      });
+    }
+
+    const rejectionReason = await checkAccessToken(decoded);
+    if (rejectionReason) {
+      return res.status(401).json({
+        success: false,
+        error: rejectionReason,
+      });
+    }
+
+    // Attach user info to request
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      role: decoded.role,
+      name: decoded.name,
+      surname: decoded.surname,
+    };
+    req.token = decoded;
+
+    // The `act` claim names the admin behind an impersonation token; every such request is audited
+    if (decoded.act) {
+      req.user.impersonator = { id: decoded.act.sub, email: decoded.act.email };
+      logger.info(`Impersonated request: ${req.method} ${req.originalUrl}`, {
+        userId: decoded.id,
+        email: decoded.email,
+        actorId: decoded.act.sub,
+        actorEmail: decoded.act.email,
+        ip: req.ip,
+      });
+    }
+
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -43,6 +116,14 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Like authenticate, but lets requests without an Authorization header through without req.user
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
 // Middleware to check if user has required role
 const authorize = (...allowedRoles) => {
   return (req, res, next) => {
@@ -64,24 +145,144 @@ const authorize = (...allowedRoles) => {
   };
 };
 
-// Helper function to generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
+// Middleware to check if the user's role grants all of the given permissions
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    try {
+      const granted = req.user.serviceAccount
+        ? new Set(req.user.scopes)
+        : await getRolePermissions(req.user.role);
+      if (!requiredPermissions.every(permission => granted.has(permission))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Insufficient permissions.',
+        });
+      }
+
+      req.user.permissions = [...granted];
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Authorization error',
+      });
+    }
+  };
+};
+
+// Middleware that resolves which students the caller may see into req.studentScope.
+// Use after requirePermission, which loads the caller's permissions.
+const scopeStudents = async (req, res, next) => {
+  try {
+    req.studentScope = await resolveStudentScope(req.user);
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Authorization error',
+    });
+  }
+};
+
+// Middleware for endpoints that act on the caller's own account (logout, 2FA), which service accounts do not have
+const requireUser = (req, res, next) => {
+  if (req.user && req.user.serviceAccount) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint is not available to API keys.',
+    });
+  }
+  next();
+};
+
+// Middleware for sensitive actions (passwords, 2FA, account management) that an admin
+// impersonating a user must not perform on their behalf
+const forbidImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not allowed while impersonating a user.',
+    });
+  }
+  next();
+};
+
+// Helper function to generate JWT token. `sessionId` ties the token to a login session (sid claim).
+const generateToken = (user, { sessionId } = {}) => {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    name: user.name,
+    surname: user.surname,
+  };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  return getKeyStore().sign(
+    payload,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+};
+
+// Access token of `user` for the admin `actor` (RFC 8693 `act` claim). It has no session and no
+// refresh token, so it expires after IMPERSONATION_TOKEN_TTL.
+const generateImpersonationToken = (user, actor) => {
+  return getKeyStore().sign(
     {
       id: user.id,
       email: user.email,
       role: user.role,
       name: user.name,
       surname: user.surname,
+      act: { sub: actor.id, email: actor.email },
     },
-    JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: IMPERSONATION_TOKEN_TTL, jwtid: crypto.randomUUID() }
   );
 };
 
+// Token proving the password step of a login. `enrollment` marks users who still have to set up 2FA.
+const generateMfaToken = (user, { enrollment = false } = {}) => {
+  return getKeyStore().sign(
+    {
+      id: user.id,
+      email: user.email,
+      typ: MFA_PENDING_TOKEN_TYPE,
+      enrollment,
+    },
+    { expiresIn: twoFactorConfig.pendingTokenTtl, jwtid: crypto.randomUUID() }
+  );
+};
+
+// Returns the decoded mfa_pending token, or null if it is invalid, expired or another kind of token
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = getKeyStore().verify(token);
+    return decoded.typ === MFA_PENDING_TOKEN_TYPE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
+  scopeStudents,
+  requireUser,
+  forbidImpersonation,
   generateToken,
-  JWT_SECRET,
+  generateImpersonationToken,
+  generateMfaToken,
+  verifyMfaToken,
+  ACCESS_TOKEN_TTL,
+  IMPERSONATION_TOKEN_TTL,
 };
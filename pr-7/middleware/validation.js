@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { checkPasswordPolicy } = require('../services/passwordService');
+const gpaConfig = require('../config/gpa');
+const attendanceConfig = require('../config/attendance');
+const { checkBands } = require('../utils/gradingScale');
 
 // Validation middleware to check for errors
 const handleValidationErrors = (req, res, next) => {
@@ -13,6 +17,33 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Custom validator for new passwords. `personalInfo(req)` gives the name and email the password
+// must not contain.
+const passwordPolicy = personalInfo => (value, { req }) => {
+  const [problem] = checkPasswordPolicy(value, personalInfo(req));
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+// Custom validator for the bands of a grading scale
+const gradingScaleBands = (value) => {
+  const problem = checkBands(value);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+// Optional ?scale= of grade responses: a grading scale name, or 'default' for each subject's scale
+const scaleSelection = () => query('scale')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Scale must be a grading scale name or default');
+
 // Validation rules for registration
 const validateRegister = [
   body('name')
@@ -36,8 +67,8 @@ const validateRegister = [
   body('password')
     .notEmpty()
     .withMessage('Password is required')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+    .bail()
+    .custom(passwordPolicy(req => req.body)),
   body('role_id')
     .optional()
     .isUUID()
@@ -59,6 +90,351 @@ const validateLogin = [
   handleValidationErrors,
 ];
 
+// Validation rules for refreshing an access token
+const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for logout
+const validateLogout = [
+  body('refresh_token')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('All must be a boolean'),
+  handleValidationErrors,
+];
+
+// Validation rules for requesting a password reset
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Email must be valid'),
+  handleValidationErrors,
+];
+
+// Validation rules for resetting a password
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  // The account is only known once the token is checked; the handler repeats the policy with it
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .bail()
+    .custom(passwordPolicy(() => ({}))),
+  handleValidationErrors,
+];
+
+// Validation rules for email verification link
+const validateVerifyEmail = [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for resending the verification email
+const validateResendVerification = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Email must be valid'),
+  handleValidationErrors,
+];
+
+// Validation rules for user ID parameter
+const validateUserId = [
+  param('id')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for lifting a login lockout of an IP address
+const validateUnlockIp = [
+  body('ip')
+    .isIP()
+    .withMessage('IP must be a valid IPv4 or IPv6 address'),
+  handleValidationErrors,
+];
+
+// Validation rules for listing users
+const validateListUsers = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role must be a non-empty string'),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean'),
+  query('search')
+    .optional()
+    .isString()
+    .trim(),
+  handleValidationErrors,
+];
+
+// Validation rules for updating a user (admin)
+const validateUpdateUser = [
+  param('id')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('surname')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Surname cannot be empty')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Surname must be between 1 and 255 characters'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Email must be valid'),
+  body()
+    .custom(value => ['name', 'surname', 'email'].some(field => value[field] !== undefined))
+    .withMessage('At least one of name, surname or email is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for starting an impersonation
+const validateImpersonate = [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for updating one's own profile
+const validateUpdateProfile = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('surname')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Surname cannot be empty')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Surname must be between 1 and 255 characters'),
+  body()
+    .custom(value => ['name', 'surname'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of name or surname is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for changing one's own password
+const validateChangePassword = [
+  body('current_password')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('new_password')
+    .notEmpty()
+    .withMessage('New password is required')
+    .bail()
+    .custom((value, { req }) => value !== req.body.current_password)
+    .withMessage('New password must differ from the current password')
+    .bail()
+    .custom(passwordPolicy(req => req.user)),
+  handleValidationErrors,
+];
+
+// Validation rules for changing a user's role
+const validateChangeRole = [
+  param('id')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('role')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for role ID parameter
+const validateRoleId = [
+  param('id')
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for creating a role
+const validateCreateRole = [
+  body('role_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Role name is required')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Role name must be between 1 and 50 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array of permission names'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission names must be strings'),
+  handleValidationErrors,
+];
+
+// Validation rules for replacing the permissions of a role
+const validateSetRolePermissions = [
+  param('id')
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array of permission names'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission names must be strings'),
+  handleValidationErrors,
+];
+
+// Validation rules for the OIDC provider redirect
+const validateOidcCallback = [
+  query('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  query('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for creating an API key
+const validateCreateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array of permission names'),
+  body('scopes.*')
+    .isString()
+    .withMessage('Scopes must be permission names'),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  handleValidationErrors,
+];
+
+// Validation rules for API key ID parameter
+const validateApiKeyId = [
+  param('id')
+    .isUUID()
+    .withMessage('API key ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+const validateSessionId = [
+  param('id')
+    .isUUID()
+    .withMessage('Session ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for endpoints that take a TOTP code
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  handleValidationErrors,
+];
+
+// Validation rules for enrollment; mfa_token is used instead of an access token during login
+const validateTwoFactorEnrollment = [
+  body('mfa_token')
+    .optional()
+    .isString()
+    .withMessage('MFA token must be a string'),
+  handleValidationErrors,
+];
+
+const validateTwoFactorEnable = [
+  ...validateTwoFactorEnrollment.slice(0, -1),
+  ...validateTwoFactorCode,
+];
+
+// Validation rules for the second login step
+const validateTwoFactorVerify = [
+  body('mfa_token')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recovery_code))
+    .withMessage('Either code or recovery_code is required'),
+  handleValidationErrors,
+];
+
 // Validation rules for creating a student
 const validateCreateStudent = [
   body('name')
@@ -115,12 +491,843 @@ const validateGroupId = [
   handleValidationErrors,
 ];
 
+// Validation rules for subject ID parameter
+const validateSubjectId = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for listing subjects
+const validateListSubjects = [
+  query('include_archived')
+    .optional()
+    .isBoolean()
+    .withMessage('include_archived must be a boolean'),
+  handleValidationErrors,
+];
+
+// Validation rules for creating a subject
+const validateCreateSubject = [
+  body('subject_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Subject name is required')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Subject name must be between 1 and 255 characters'),
+  body('credits')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Credits must be a non-negative integer'),
+  body('grading_scale_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Grading scale ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for renaming a subject or changing its credits
+const validateUpdateSubject = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  body('subject_name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Subject name cannot be empty')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Subject name must be between 1 and 255 characters'),
+  body('credits')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Credits must be a non-negative integer'),
+  body('grading_scale_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Grading scale ID must be a valid UUID'),
+  body()
+    .custom(value => ['subject_name', 'credits', 'grading_scale_id'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of subject_name, credits or grading_scale_id is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for deleting a subject
+const validateDeleteSubject = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('mode')
+    .optional()
+    .isIn(['cascade', 'archive'])
+    .withMessage('Mode must be cascade or archive'),
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason cannot be empty')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for adding an assessment category to a subject
+const validateCreateCategory = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  body('name')
+    .isString()
+    .withMessage('Category name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Category name is required')
+    .isLength({ max: 100 })
+    .withMessage('Category name must be at most 100 characters'),
+  body('weight')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Weight must be an integer between 1 and 100')
+    .toInt(),
+  handleValidationErrors,
+];
+
+// Validation rules for renaming an assessment category or changing its weight
+const validateUpdateCategory = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  param('categoryId')
+    .isUUID()
+    .withMessage('Category ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Category name cannot be empty')
+    .trim()
+    .notEmpty()
+    .withMessage('Category name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Category name must be at most 100 characters'),
+  body('weight')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Weight must be an integer between 1 and 100')
+    .toInt(),
+  body()
+    .custom(value => ['name', 'weight'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of name or weight is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for subject and category ID parameters
+const validateCategoryId = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  param('categoryId')
+    .isUUID()
+    .withMessage('Category ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for grade ID parameter
+const validateGradeId = [
+  param('id')
+    .isUUID()
+    .withMessage('Grade ID must be a valid UUID'),
+  scaleSelection(),
+  handleValidationErrors,
+];
+
+// Validation rules for recording a grade
+const validateCreateGrade = [
+  body('student_id')
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer'),
+  body('subject_id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  body('grade')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Grade must be an integer between 0 and 100')
+    .toInt(),
+  body('category_id')
+    .optional()
+    .isUUID()
+    .withMessage('Category ID must be a valid UUID'),
+  body('title')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Title must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Title must be at most 255 characters'),
+  body('evaluated_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Evaluation date must be an ISO 8601 date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Evaluation date cannot be in the future'),
+  handleValidationErrors,
+];
+
+// Validation rules for changing a grade
+const validateUpdateGrade = [
+  param('id')
+    .isUUID()
+    .withMessage('Grade ID must be a valid UUID'),
+  body('grade')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Grade must be an integer between 0 and 100')
+    .toInt(),
+  body('evaluated_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Evaluation date must be an ISO 8601 date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Evaluation date cannot be in the future'),
+  body('category_id')
+    .optional()
+    .isUUID()
+    .withMessage('Category ID must be a valid UUID'),
+  body('title')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Title must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Title must be at most 255 characters'),
+  body()
+    .custom(value => ['grade', 'evaluated_at', 'category_id', 'title'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of grade, evaluated_at, category_id or title is required'),
+  body('reason')
+    .isString()
+    .withMessage('A reason for the change is required')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for the change is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for deleting a grade
+const validateDeleteGrade = [
+  param('id')
+    .isUUID()
+    .withMessage('Grade ID must be a valid UUID'),
+  body('reason')
+    .isString()
+    .withMessage('A reason for the deletion is required')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for the deletion is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for listing grade amendments
+const validateListAmendments = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('To must not be before from'),
+  handleValidationErrors,
+];
+
+// Validation rules for listing the grades of a student
+const validateStudentGrades = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer'),
+  query('subject_id')
+    .optional()
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('To must not be before from'),
+  scaleSelection(),
+  handleValidationErrors,
+];
+
+// Validation rules for listing the grades of a subject
+const validateSubjectGrades = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('group')
+    .optional()
+    .isInt()
+    .withMessage('Group must be an integer'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('To must not be before from'),
+  scaleSelection(),
+  handleValidationErrors,
+];
+
+// Validation rules for a student transcript
+const validateTranscript = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer'),
+  query('gpa_scale')
+    .optional()
+    .isIn(Object.keys(gpaConfig.scales))
+    .withMessage(`GPA scale must be one of: ${Object.keys(gpaConfig.scales).join(', ')}`),
+  query('format')
+    .optional()
+    .isIn(['json', 'html'])
+    .withMessage('Format must be json or html'),
+  handleValidationErrors,
+];
+
+// Validation rules for the grade statistics of a subject
+const validateSubjectStats = [
+  param('id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('group')
+    .optional()
+    .isInt()
+    .withMessage('Group must be an integer'),
+  query('pass_threshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Pass threshold must be an integer between 0 and 100'),
+  query('bucket_size')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Bucket size must be an integer between 1 and 100'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('To must not be before from'),
+  handleValidationErrors,
+];
+
+// Validation rules for the grade statistics of a group
+const validateGroupStats = [
+  param('group')
+    .isInt()
+    .withMessage('Group must be an integer'),
+  query('subject_id')
+    .optional()
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('pass_threshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Pass threshold must be an integer between 0 and 100'),
+  query('bucket_size')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Bucket size must be an integer between 1 and 100'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('To must not be before from'),
+  handleValidationErrors,
+];
+
+// Validation rules for listing teaching assignments
+const validateListAssignments = [
+  query('teacher_id')
+    .optional()
+    .isUUID()
+    .withMessage('Teacher ID must be a valid UUID'),
+  query('subject_id')
+    .optional()
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('group')
+    .optional()
+    .isInt()
+    .withMessage('Group must be an integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for assigning a teacher to a subject, for one group or all groups
+const validateCreateAssignment = [
+  body('teacher_id')
+    .isUUID()
+    .withMessage('Teacher ID must be a valid UUID'),
+  body('subject_id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  body('group')
+    .optional({ values: 'null' })
+    .isInt()
+    .withMessage('Group must be an integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for teaching assignment ID parameter
+const validateAssignmentId = [
+  param('id')
+    .isUUID()
+    .withMessage('Assignment ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for grading scale ID parameter
+const validateGradingScaleId = [
+  param('id')
+    .isUUID()
+    .withMessage('Grading scale ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for defining a grading scale
+const validateCreateGradingScale = [
+  body('name')
+    .isString()
+    .withMessage('Scale name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Scale name is required')
+    .isLength({ max: 50 })
+    .withMessage('Scale name must be at most 50 characters')
+    .custom(value => value.toLowerCase() !== 'default')
+    .withMessage("'default' is reserved for ?scale=default"),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('bands')
+    .custom(gradingScaleBands),
+  body('is_default')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default must be a boolean')
+    .toBoolean(true),
+  handleValidationErrors,
+];
+
+// Validation rules for changing a grading scale
+const validateUpdateGradingScale = [
+  param('id')
+    .isUUID()
+    .withMessage('Grading scale ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Scale name cannot be empty')
+    .trim()
+    .notEmpty()
+    .withMessage('Scale name cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Scale name must be at most 50 characters')
+    .custom(value => value.toLowerCase() !== 'default')
+    .withMessage("'default' is reserved for ?scale=default"),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('bands')
+    .optional()
+    .custom(gradingScaleBands),
+  body('is_default')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default must be a boolean')
+    .toBoolean(true),
+  body()
+    .custom(value => ['name', 'description', 'bands', 'is_default'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of name, description, bands or is_default is required'),
+  handleValidationErrors,
+];
+
+const ATTENDANCE_STATUS_MESSAGE = `Status must be one of: ${attendanceConfig.statuses.join(', ')}`;
+
+// Validation rules for marking the attendance of a group for a session
+const validateMarkSession = [
+  body('subject_id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  body('group')
+    .isInt()
+    .withMessage('Group must be an integer')
+    .toInt(),
+  body('date')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Date must be a date (YYYY-MM-DD)')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Date cannot be in the future'),
+  body('status')
+    .optional()
+    .isIn(attendanceConfig.statuses)
+    .withMessage(ATTENDANCE_STATUS_MESSAGE),
+  body('records')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Records must be an array of at most 500 entries'),
+  body('records.*.student_id')
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer')
+    .toInt(),
+  body('records.*.status')
+    .isIn(attendanceConfig.statuses)
+    .withMessage(ATTENDANCE_STATUS_MESSAGE),
+  body('records.*.note')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for the records of a session
+const validateGetSession = [
+  query('subject_id')
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('group')
+    .isInt()
+    .withMessage('Group must be an integer'),
+  query('date')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Date must be a date (YYYY-MM-DD)'),
+  handleValidationErrors,
+];
+
+// Validation rules for correcting one attendance record
+const validateUpdateAttendance = [
+  param('id')
+    .isUUID()
+    .withMessage('Attendance ID must be a valid UUID'),
+  body('status')
+    .optional()
+    .isIn(attendanceConfig.statuses)
+    .withMessage(ATTENDANCE_STATUS_MESSAGE),
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  body()
+    .custom(value => ['status', 'note'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of status or note is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for the students above an absence threshold
+const validateAbsenceReport = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Threshold must be a percentage between 0 and 100'),
+  query('group')
+    .optional()
+    .isInt()
+    .withMessage('Group must be an integer'),
+  query('subject_id')
+    .optional()
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('To must be a date (YYYY-MM-DD)')
+    .custom((value, { req }) => !req.query.from || req.query.from <= value)
+    .withMessage('To must not be before from'),
+  handleValidationErrors,
+];
+
+// Validation rules for the attendance summary of a student
+const validateStudentAttendance = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer'),
+  query('subject_id')
+    .optional()
+    .isUUID()
+    .withMessage('Subject ID must be a valid UUID'),
+  query('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('To must be a date (YYYY-MM-DD)')
+    .custom((value, { req }) => !req.query.from || req.query.from <= value)
+    .withMessage('To must not be before from'),
+  handleValidationErrors,
+];
+
+// Validation rules for a room
+const validateRoomId = [
+  param('id')
+    .isUUID()
+    .withMessage('Room ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+// Validation rules for adding a room
+const validateCreateRoom = [
+  body('name')
+    .isString()
+    .withMessage('Room name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Room name is required')
+    .isLength({ max: 100 })
+    .withMessage('Room name must be at most 100 characters'),
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+    .toInt(),
+  handleValidationErrors,
+];
+
+// Validation rules for changing a room
+const validateUpdateRoom = [
+  param('id')
+    .isUUID()
+    .withMessage('Room ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Room name cannot be empty')
+    .trim()
+    .notEmpty()
+    .withMessage('Room name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Room name must be at most 100 characters'),
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+    .toInt(),
+  body()
+    .custom(value => ['name', 'capacity'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of name or capacity is required'),
+  handleValidationErrors,
+];
+
+const LESSON_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Rules for the fields of a lesson; `optional` makes every field optional for updates
+const lessonFields = (optional) => {
+  const field = chain => (optional ? chain.optional() : chain);
+  return [
+    field(body('group'))
+      .isInt()
+      .withMessage('Group must be an integer')
+      .toInt(),
+    field(body('subject_id'))
+      .isUUID()
+      .withMessage('Subject ID must be a valid UUID'),
+    field(body('teacher_id'))
+      .isUUID()
+      .withMessage('Teacher ID must be a valid UUID'),
+    field(body('room_id'))
+      .isUUID()
+      .withMessage('Room ID must be a valid UUID'),
+    field(body('weekday'))
+      .isInt({ min: 1, max: 7 })
+      .withMessage('Weekday must be between 1 (Monday) and 7 (Sunday)')
+      .toInt(),
+    field(body('starts_at'))
+      .matches(LESSON_TIME)
+      .withMessage('Start time must be a time (HH:MM)'),
+    field(body('ends_at'))
+      .matches(LESSON_TIME)
+      .withMessage('End time must be a time (HH:MM)')
+      .custom((value, { req }) => req.body.starts_at === undefined || req.body.starts_at < value)
+      .withMessage('End time must be after the start time'),
+    field(body('term'))
+      .isString()
+      .withMessage('Term is required')
+      .trim()
+      .notEmpty()
+      .withMessage('Term is required')
+      .isLength({ max: 20 })
+      .withMessage('Term must be at most 20 characters'),
+  ];
+};
+
+// Validation rules for scheduling a lesson
+const validateCreateLesson = [
+  ...lessonFields(false),
+  handleValidationErrors,
+];
+
+// Validation rules for moving or changing a lesson
+const validateUpdateLesson = [
+  param('id')
+    .isUUID()
+    .withMessage('Lesson ID must be a valid UUID'),
+  ...lessonFields(true),
+  body()
+    .custom(value => ['group', 'subject_id', 'teacher_id', 'room_id', 'weekday', 'starts_at', 'ends_at', 'term'].some(field => value?.[field] !== undefined))
+    .withMessage('At least one of group, subject_id, teacher_id, room_id, weekday, starts_at, ends_at or term is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for a lesson
+const validateLessonId = [
+  param('id')
+    .isUUID()
+    .withMessage('Lesson ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+const timetableTerm = () => query('term')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 20 })
+  .withMessage('Term must be 1 to 20 characters');
+
+// Validation rules for the timetable of a group
+const validateGroupTimetable = [
+  param('group')
+    .isInt()
+    .withMessage('Group must be an integer'),
+  timetableTerm(),
+  handleValidationErrors,
+];
+
+// Validation rules for the timetable of a teacher or a room
+const validateTimetable = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+  timetableTerm(),
+  handleValidationErrors,
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateUserId,
+  validateUnlockIp,
+  validateListUsers,
+  validateUpdateUser,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateImpersonate,
+  validateChangeRole,
+  validateRoleId,
+  validateCreateRole,
+  validateSetRolePermissions,
+  validateOidcCallback,
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorEnrollment,
+  validateTwoFactorEnable,
+  validateTwoFactorVerify,
   validateCreateStudent,
   validateUpdateStudent,
   validateStudentId,
   validateGroupId,
+  validateSubjectId,
+  validateListSubjects,
+  validateCreateSubject,
+  validateUpdateSubject,
+  validateDeleteSubject,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCategoryId,
+  validateGradeId,
+  validateCreateGrade,
+  validateUpdateGrade,
+  validateDeleteGrade,
+  validateListAmendments,
+  validateStudentGrades,
+  validateSubjectGrades,
+  validateTranscript,
+  validateSubjectStats,
+  validateGroupStats,
+  validateListAssignments,
+  validateCreateAssignment,
+  validateAssignmentId,
+  validateGradingScaleId,
+  validateCreateGradingScale,
+  validateUpdateGradingScale,
+  validateMarkSession,
+  validateGetSession,
+  validateUpdateAttendance,
+  validateAbsenceReport,
+  validateStudentAttendance,
+  validateRoomId,
+  validateCreateRoom,
+  validateUpdateRoom,
+  validateCreateLesson,
+  validateUpdateLesson,
+  validateLessonId,
+  validateGroupTimetable,
+  validateTimetable,
   handleValidationErrors,
 };
@@ -1,5 +1,7 @@
 const { sequelize } = require('../config/database');
-const { Role, User, Student, Subject, Grade } = require('../models');
+const { Role, User, Student, Subject, GradingScale, AssessmentCategory, Grade, GradeRevision, TeacherSubject, Attendance, Room, Lesson, RefreshToken, RevokedToken, OneTimeToken, Permission, RolePermission, LoginAttempt, OidcLoginState, TwoFactor, RecoveryCode, ApiKey, Session } = require('../models');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { PRESET_SCALES } = require('../config/gradingScales');
 
 async function runMigration() {
   try {
@@ -11,10 +13,36 @@ async function runMigration() {
     // Sync all models in correct order (due to foreign keys)
     await Role.sync({ alter: true });
     console.log('Roles table is ready.');
+
+    await Permission.sync({ alter: true });
+    console.log('Permissions table is ready.');
+
+    await RolePermission.sync({ alter: true });
+    console.log('Role permissions table is ready.');
     
+    // Users that existed before email verification was introduced are treated as verified
+    const [verifiedColumn] = await sequelize.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    `);
+    const [usersTable] = await sequelize.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'users'
+    `);
+
     await User.sync({ alter: true });
     console.log('Users table is ready.');
+
+    if (usersTable.length > 0 && verifiedColumn.length === 0) {
+      await sequelize.query('UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL');
+      console.log('Marked existing users as verified.');
+    }
     
+    await GradingScale.sync({ alter: true });
+    console.log('Grading scales table is ready.');
+
     await Subject.sync({ alter: true });
     console.log('Subjects table is ready.');
     
@@ -39,8 +67,49 @@ async function runMigration() {
     await Student.sync({ alter: true });
     console.log('Students table is ready.');
     
+    await AssessmentCategory.sync({ alter: true });
+    console.log('Assessment categories table is ready.');
+
     await Grade.sync({ alter: true });
     console.log('Grades table is ready.');
+
+    await GradeRevision.sync({ alter: true });
+    console.log('Grade revisions table is ready.');
+
+    await TeacherSubject.sync({ alter: true });
+    console.log('Teacher subjects table is ready.');
+
+    await Attendance.sync({ alter: true });
+    console.log('Attendance table is ready.');
+
+    await Room.sync({ alter: true });
+    await Lesson.sync({ alter: true });
+    console.log('Timetable tables are ready.');
+
+    await RefreshToken.sync({ alter: true });
+    console.log('Refresh tokens table is ready.');
+
+    await RevokedToken.sync({ alter: true });
+    console.log('Revoked tokens table is ready.');
+
+    await OneTimeToken.sync({ alter: true });
+    console.log('One-time tokens table is ready.');
+
+    await LoginAttempt.sync({ alter: true });
+    console.log('Login attempts table is ready.');
+
+    await OidcLoginState.sync({ alter: true });
+    console.log('OIDC login states table is ready.');
+
+    await TwoFactor.sync({ alter: true });
+    await RecoveryCode.sync({ alter: true });
+    console.log('Two-factor tables are ready.');
+
+    await ApiKey.sync({ alter: true });
+    console.log('API keys table is ready.');
+
+    await Session.sync({ alter: true });
+    console.log('Sessions table is ready.');
     
     // Create default roles if they don't exist
     const roles = ['admin', 'teacher', 'student'];
@@ -53,7 +122,43 @@ async function runMigration() {
         console.log(`Created default role: ${roleName}`);
       }
     }
+
+    // Seed the permission catalog. A permission is granted to its default roles only when it is
+    // created, so changes made by admins through /api/roles survive later migrations.
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      const [permission, created] = await Permission.findOrCreate({
+        where: { name },
+        defaults: { name, description },
+      });
+      if (!created) {
+        continue;
+      }
+      console.log(`Created permission: ${name}`);
+
+      for (const [roleName, permissionNames] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        if (!permissionNames.includes(name)) {
+          continue;
+        }
+        const role = await Role.findOne({ where: { role_name: roleName } });
+        if (role) {
+          await RolePermission.findOrCreate({
+            where: { role_id: role.id, permission_id: permission.id },
+          });
+        }
+      }
+    }
     
+    // Seed the preset grading scales; existing scales of the same name are left as admins set them
+    for (const preset of PRESET_SCALES) {
+      const [, created] = await GradingScale.findOrCreate({
+        where: { name: preset.name },
+        defaults: preset,
+      });
+      if (created) {
+        console.log(`Created grading scale: ${preset.name}`);
+      }
+    }
+
     console.log('Migration completed successfully!');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Credentials for service accounts (grading scripts, integrations), managed by admins
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  // First characters of the key, shown in listings so admins can tell keys apart
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+  },
+  // SHA-256 of the key; the raw value is returned only once, when the key is created
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  // Permission names the key grants, e.g. ['grades:write']
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'api_keys',
+  timestamps: false,
+});
+
+module.exports = ApiKey;
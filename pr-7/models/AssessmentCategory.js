@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Kind of assessment within a subject (exam, homework, ...). Weights are percentages; the
+// weights of one subject add up to at most 100.
+const AssessmentCategory = sequelize.define('AssessmentCategory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 100],
+    },
+  },
+  weight: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1,
+      max: 100,
+    },
+  },
+}, {
+  tableName: 'assessment_categories',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['subject_id', 'name'] },
+  ],
+});
+
+module.exports = AssessmentCategory;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const attendanceConfig = require('../config/attendance');
+
+// Attendance of one student at one session of a subject. A subject has at most one session per
+// day, so marking a session again replaces the previous record.
+const Attendance = sequelize.define('Attendance', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM(...attendanceConfig.statuses),
+    allowNull: false,
+  },
+  note: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  // User who marked the record last
+  recorded_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'attendance',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['student_id', 'subject_id', 'date'] },
+  ],
+});
+
+module.exports = Attendance;
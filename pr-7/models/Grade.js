@@ -16,6 +16,19 @@ const Grade = sequelize.define('Grade', {
     type: DataTypes.INTEGER,
     allowNull: false,
   },
+  // Required for subjects with assessment categories; grades recorded before a subject had
+  // categories have none
+  category_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      len: [0, 255],
+    },
+  },
   grade: {
     type: DataTypes.INTEGER,
     allowNull: false,
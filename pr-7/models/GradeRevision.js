@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const immutable = () => {
+  throw new Error('Grade revisions are immutable');
+};
+
+// One row per change to a grade, written together with the change. Rows are never updated or
+// deleted, and they outlive the grade itself, so grade_id is not a foreign key.
+const GradeRevision = sequelize.define('GradeRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  grade_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  action: {
+    type: DataTypes.ENUM('update', 'delete'),
+    allowNull: false,
+  },
+  old_grade: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Null when the grade was deleted
+  new_grade: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  old_evaluated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  new_evaluated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  old_category_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  new_category_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  old_title: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  new_title: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  // User or API key that made the change, and its email or service account label
+  editor_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  editor: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Email of the admin when the change was made while impersonating the editor
+  impersonated_by: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'grade_revisions',
+  timestamps: false,
+  indexes: [
+    { fields: ['grade_id'] },
+    { fields: ['created_at'] },
+  ],
+  hooks: {
+    beforeUpdate: immutable,
+    beforeBulkUpdate: immutable,
+    beforeDestroy: immutable,
+    beforeBulkDestroy: immutable,
+  },
+});
+
+module.exports = GradeRevision;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Conversion of 0–100 grades to labels and grade points (A–F, ECTS, ...). A scale is used for
+// the subjects it is assigned to; the scale marked `is_default` applies to all other subjects.
+const GradingScale = sequelize.define('GradingScale', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      len: [1, 50],
+    },
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // Bands sorted by `min`, highest first: [{ min: 90, label: 'A', points: 4 }, ...]. A grade gets
+  // the first band whose `min` it reaches; the last band starts at 0.
+  bands: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+}, {
+  tableName: 'grading_scales',
+  timestamps: false,
+});
+
+module.exports = GradingScale;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A weekly timetable slot: a group is taught a subject by a teacher in a room on a weekday
+// (1 = Monday ... 7 = Sunday) from `starts_at` to `ends_at`, during a term. Within a term and
+// weekday, lessons sharing a room, teacher or group must not overlap.
+const Lesson = sequelize.define('Lesson', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  term: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  group: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+    },
+  },
+  subject_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  teacher_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  weekday: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1,
+      max: 7,
+    },
+  },
+  starts_at: {
+    type: DataTypes.TIME,
+    allowNull: false,
+  },
+  ends_at: {
+    type: DataTypes.TIME,
+    allowNull: false,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'lessons',
+  timestamps: false,
+  indexes: [
+    { fields: ['term', 'weekday'] },
+  ],
+});
+
+module.exports = Lesson;
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Failed login counters shared between server instances (see services/loginThrottle.js)
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  // account:<email> or ip:<address>
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false,
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  last_failure_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'login_attempts',
+  timestamps: false,
+});
+
+module.exports = LoginAttempt;
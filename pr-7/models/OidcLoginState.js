@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A started OIDC login, kept on the server until the provider redirects back. The PKCE verifier and
+// nonce never leave the server; the row is deleted when the callback uses it, so each state works once.
+const OidcLoginState = sequelize.define('OidcLoginState', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  // SHA-256 of the `state` parameter sent to the provider
+  state_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  // SHA-256 of the cookie given to the browser that started the login
+  browser_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  code_verifier: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'oidc_login_states',
+  timestamps: false,
+});
+
+module.exports = OidcLoginState;
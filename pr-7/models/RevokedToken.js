@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Denylist of access tokens (by jti) that were revoked before they expired
+const RevokedToken = sequelize.define('RevokedToken', {
+  jti: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'revoked_tokens',
+  timestamps: false,
+});
+
+module.exports = RevokedToken;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per login. The id doubles as the family_id of the session's refresh tokens and as the
+// `sid` claim of its access tokens, so revoking the row signs that device out.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  // Human readable summary of the user agent, e.g. "Firefox on Linux"
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  user_agent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  // Moves forward with every refresh; past this point the session cannot be renewed
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'sessions',
+  timestamps: false,
+});
+
+module.exports = Session;
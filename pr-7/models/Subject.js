@@ -17,6 +17,25 @@ const Subject = sequelize.define('Subject', {
       len: [1, 255],
     },
   },
+  // Optional; weights the subject in transcript averages
+  credits: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      isInt: true,
+      min: 0,
+    },
+  },
+  // Grading scale used to convert the subject's grades; without one the default scale applies
+  grading_scale_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  // Archived subjects keep their grades but are hidden from the subject list
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 }, {
   tableName: 'subjects',
   timestamps: false,
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A teacher may grade a subject, either for every group (group is null) or for one group.
+// Users whose role holds grades:write_any (admins by default) need no assignment.
+const TeacherSubject = sequelize.define('TeacherSubject', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  teacher_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  group: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      isInt: true,
+    },
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'teacher_subjects',
+  timestamps: false,
+});
+
+module.exports = TeacherSubject;
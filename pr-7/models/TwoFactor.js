@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// TOTP enrollment of a user. A row with enabled_at = null is an enrollment that has not been confirmed yet.
+const TwoFactor = sequelize.define('TwoFactor', {
+  user_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+  },
+  // Base32 shared secret; authenticator apps need the raw value, so it cannot be hashed
+  secret: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  last_used_step: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'two_factor',
+  timestamps: false,
+});
+
+module.exports = TwoFactor;
@@ -44,6 +44,27 @@ const User = sequelize.define('User', {
     type: DataTypes.UUID,
     allowNull: false,
   },
+  // Deactivated users cannot log in and their tokens are rejected
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  // Access tokens issued before this moment are rejected by authenticate
+  tokens_revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Null until the user opens the link from the verification email
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
 }, {
   tableName: 'users',
   timestamps: false,
@@ -2,24 +2,110 @@ const Role = require('./Role');
 const User = require('./User');
 const Student = require('./Student');
 const Subject = require('./Subject');
+const GradingScale = require('./GradingScale');
+const AssessmentCategory = require('./AssessmentCategory');
 const Grade = require('./Grade');
+const GradeRevision = require('./GradeRevision');
+const TeacherSubject = require('./TeacherSubject');
+const Attendance = require('./Attendance');
+const Room = require('./Room');
+const Lesson = require('./Lesson');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const OneTimeToken = require('./OneTimeToken');
+const Permission = require('./Permission');
+const RolePermission = require('./RolePermission');
+const LoginAttempt = require('./LoginAttempt');
+const OidcLoginState = require('./OidcLoginState');
+const TwoFactor = require('./TwoFactor');
+const RecoveryCode = require('./RecoveryCode');
+const ApiKey = require('./ApiKey');
+const Session = require('./Session');
 
 // Define associations
 User.belongsTo(Role, { foreignKey: 'role_id', as: 'role' });
 Role.hasMany(User, { foreignKey: 'role_id', as: 'users' });
 
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id', as: 'permissions' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id', as: 'roles' });
+
 Student.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 User.hasOne(Student, { foreignKey: 'user_id', as: 'student' });
 
+Subject.belongsTo(GradingScale, { foreignKey: 'grading_scale_id', as: 'gradingScale' });
+GradingScale.hasMany(Subject, { foreignKey: 'grading_scale_id', as: 'subjects' });
+
+AssessmentCategory.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+Subject.hasMany(AssessmentCategory, { foreignKey: 'subject_id', as: 'categories' });
+
 Grade.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+Grade.belongsTo(AssessmentCategory, { foreignKey: 'category_id', as: 'category' });
+AssessmentCategory.hasMany(Grade, { foreignKey: 'category_id', as: 'grades' });
 Grade.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
 Subject.hasMany(Grade, { foreignKey: 'subject_id', as: 'grades' });
 Student.hasMany(Grade, { foreignKey: 'student_id', as: 'grades' });
 
+// Revisions are kept after their grade is deleted, so no database constraint
+GradeRevision.belongsTo(Grade, { foreignKey: 'grade_id', as: 'grade', constraints: false });
+Grade.hasMany(GradeRevision, { foreignKey: 'grade_id', as: 'revisions', constraints: false });
+GradeRevision.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject', constraints: false });
+
+Attendance.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+Attendance.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+Student.hasMany(Attendance, { foreignKey: 'student_id', as: 'attendance' });
+Subject.hasMany(Attendance, { foreignKey: 'subject_id', as: 'attendance' });
+
+Lesson.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+Lesson.belongsTo(User, { foreignKey: 'teacher_id', as: 'teacher' });
+Lesson.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+Subject.hasMany(Lesson, { foreignKey: 'subject_id', as: 'lessons' });
+User.hasMany(Lesson, { foreignKey: 'teacher_id', as: 'lessons' });
+Room.hasMany(Lesson, { foreignKey: 'room_id', as: 'lessons' });
+
+TeacherSubject.belongsTo(User, { foreignKey: 'teacher_id', as: 'teacher' });
+TeacherSubject.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+User.hasMany(TeacherSubject, { foreignKey: 'teacher_id', as: 'teachingAssignments' });
+Subject.hasMany(TeacherSubject, { foreignKey: 'subject_id', as: 'teacherAssignments' });
+
+RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(RefreshToken, { foreignKey: 'user_id', as: 'refreshTokens' });
+
+OneTimeToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(OneTimeToken, { foreignKey: 'user_id', as: 'oneTimeTokens' });
+
+TwoFactor.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasOne(TwoFactor, { foreignKey: 'user_id', as: 'twoFactor' });
+
+RecoveryCode.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(RecoveryCode, { foreignKey: 'user_id', as: 'recoveryCodes' });
+
+ApiKey.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions' });
+
 module.exports = {
   Role,
   User,
   Student,
   Subject,
+  GradingScale,
+  AssessmentCategory,
   Grade,
+  GradeRevision,
+  TeacherSubject,
+  Attendance,
+  Room,
+  Lesson,
+  RefreshToken,
+  RevokedToken,
+  OneTimeToken,
+  Permission,
+  RolePermission,
+  LoginAttempt,
+  OidcLoginState,
+  TwoFactor,
+  RecoveryCode,
+  ApiKey,
+  Session,
 };
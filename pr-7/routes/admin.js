@@ -0,0 +1,250 @@
+const express = require('express');
+const { User, Role } = require('../models');
+const {
+  authenticate,
+  requireUser,
+  requirePermission,
+  forbidImpersonation,
+  generateImpersonationToken,
+  IMPERSONATION_TOKEN_TTL,
+} = require('../middleware/auth');
+const { validateImpersonate, validateListAmendments } = require('../middleware/validation');
+const { revokeAccessToken } = require('../services/tokenService');
+const { listAmendments } = require('../services/gradeService');
+const { getRolePermissions } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/impersonate/stop:
+ *   post:
+ *     summary: Stop impersonating
+ *     description: Revokes the impersonation token used for this request. The admin's own token was never replaced and stays valid.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/impersonate/stop', authenticate, requireUser, async (req, res) => {
+  try {
+    if (!req.user.impersonator) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not impersonating a user',
+      });
+    }
+
+    await revokeAccessToken(req.token);
+
+    logger.info(`Impersonation stopped: ${req.user.impersonator.email} as ${req.user.email}`, {
+      actorId: req.user.impersonator.id,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    logger.error('Error stopping impersonation', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/impersonate/{userId}:
+ *   post:
+ *     summary: Act as another user (requires users:impersonate)
+ *     description: >
+ *       Returns a short-lived access token of the user with an `act` claim naming the admin. It cannot
+ *       be refreshed. Every request made with it is logged with both identities, and sensitive actions
+ *       (passwords, 2FA, sessions, user, role and API key management) are refused. Users who may
+ *       impersonate others themselves cannot be impersonated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the audit log, e.g. a support ticket number
+ *     responses:
+ *       200:
+ *         description: Impersonation token
+ *       400:
+ *         description: Validation error, own account or deactivated user
+ *       403:
+ *         description: Insufficient permissions, already impersonating, or the user cannot be impersonated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/impersonate/:userId',
+  authenticate,
+  requireUser,
+  forbidImpersonation,
+  requirePermission('users:impersonate'),
+  validateImpersonate,
+  async (req, res) => {
+    try {
+      if (req.params.userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot impersonate yourself',
+        });
+      }
+
+      const user = await User.findByPk(req.params.userId, {
+        include: [{ model: Role, as: 'role', attributes: ['id', 'role_name'] }],
+      });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: `User with id ${req.params.userId} not found`,
+        });
+      }
+      if (user.is_active === false) {
+        return res.status(400).json({
+          success: false,
+          error: 'Deactivated users cannot be impersonated',
+        });
+      }
+
+      // Keeps impersonation from being chained into another admin's account
+      const permissions = await getRolePermissions(user.role.role_name);
+      if (permissions.has('users:impersonate')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Users who can impersonate others cannot be impersonated',
+        });
+      }
+
+      const token = generateImpersonationToken({
+        id: user.id,
+        email: user.email,
+        role: user.role.role_name,
+        name: user.name,
+        surname: user.surname,
+      }, req.user);
+
+      logger.warn(`Impersonation started: ${req.user.email} as ${user.email}`, {
+        actorId: req.user.id,
+        userId: user.id,
+        reason: req.body?.reason || null,
+        ip: req.ip,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Impersonating ${user.email}`,
+        token,
+        expires_in: IMPERSONATION_TOKEN_TTL,
+        user: {
+          id: user.id,
+          name: user.name,
+          surname: user.surname,
+          email: user.email,
+          role: user.role.role_name,
+        },
+      });
+    } catch (error) {
+      logger.error('Error starting impersonation', { error: error.message, stack: error.stack, userId: req.params.userId, requestedBy: req.user?.email });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/grade-amendments:
+ *   get:
+ *     summary: List grade changes and deletions for academic-integrity review (requires grades:audit)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Page of revisions, newest first
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/grade-amendments', authenticate, requirePermission('grades:audit'), validateListAmendments, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const { from, to } = req.query;
+
+    const { count, rows } = await listAmendments({ from, to, page, limit });
+
+    res.status(200).json({
+      success: true,
+      page,
+      limit,
+      total: count,
+      count: rows.length,
+      amendments: rows.map(revision => revision.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving grade amendments', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { ApiKey } = require('../models');
+const { authenticate, requirePermission, requireUser, forbidImpersonation } = require('../middleware/auth');
+const { validateCreateApiKey, validateApiKeyId } = require('../middleware/validation');
+const { createApiKey, revokeApiKey } = require('../services/apiKeyService');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const API_KEY_ATTRIBUTES = { exclude: ['key_hash'] };
+
+const toApiKeyResponse = (apiKey) => {
+  const data = apiKey.toJSON();
+  delete data.key_hash;
+  return {
+    ...data,
+    active: !apiKey.revoked_at && (!apiKey.expires_at || new Date(apiKey.expires_at) > new Date()),
+  };
+};
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `API key with id ${id} not found`,
+});
+
+// Keys cannot manage other keys; only people with api_keys:manage can
+router.use(authenticate, requireUser, forbidImpersonation, requirePermission('api_keys:manage'));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys (requires api_keys:manage)
+ *     description: Secrets are never returned; keys are identified by name and prefix.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      attributes: API_KEY_ATTRIBUTES,
+      order: [['created_at', 'DESC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      api_keys: apiKeys.map(toApiKeyResponse),
+    });
+  } catch (error) {
+    logger.error('Error retrieving API keys', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key for a service account (requires api_keys:manage)
+ *     description: >
+ *       The key is returned only in this response. Scopes are permission names and may only
+ *       include permissions the creating user holds. Send the key in the X-API-Key header.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: grading-import
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [grades:read, grades:write]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error or unknown scope
+ *       403:
+ *         description: Scope not held by the creating user
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validateCreateApiKey, async (req, res) => {
+  try {
+    const { name, scopes, expires_at: expiresAt } = req.body;
+
+    const unknown = scopes.filter(scope => !PERMISSIONS[scope]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown scopes: ${unknown.join(', ')}`,
+      });
+    }
+
+    // requirePermission stored the caller's permissions on req.user
+    const notHeld = scopes.filter(scope => !req.user.permissions.includes(scope));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `You cannot grant scopes you do not hold: ${notHeld.join(', ')}`,
+      });
+    }
+
+    const { key, record } = await createApiKey({
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: req.user.id,
+    });
+
+    logger.info(`API key created: ${name}`, { requestedBy: req.user.email, apiKeyId: record.id, scopes });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the key now; it cannot be shown again.',
+      key,
+      api_key: toApiKeyResponse(record),
+    });
+  } catch (error) {
+    logger.error('Error creating API key', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key (requires api_keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key details including last use
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateApiKeyId, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id, { attributes: API_KEY_ATTRIBUTES });
+    if (!apiKey) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      api_key: toApiKeyResponse(apiKey),
+    });
+  } catch (error) {
+    logger.error('Error retrieving API key', { error: error.message, stack: error.stack, apiKeyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (requires api_keys:manage)
+ *     description: The key stops working immediately. The record is kept for auditing.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', validateApiKeyId, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id, { attributes: API_KEY_ATTRIBUTES });
+    if (!apiKey) {
+      return notFound(res, req.params.id);
+    }
+
+    const revoked = await revokeApiKey(apiKey.id);
+    await apiKey.reload();
+
+    logger.info(`API key revoked: ${apiKey.name}`, { requestedBy: req.user.email, apiKeyId: apiKey.id, alreadyRevoked: !revoked });
+
+    res.status(200).json({
+      success: true,
+      message: revoked ? 'API key revoked successfully' : 'API key was already revoked',
+      api_key: toApiKeyResponse(apiKey),
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', { error: error.message, stack: error.stack, apiKeyId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Subject, AssessmentCategory, Grade } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateSubjectId,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCategoryId,
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// Mounted at /api/subjects/:id/categories
+const router = express.Router({ mergeParams: true });
+
+const MAX_WEIGHT_TOTAL = 100;
+
+const subjectNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Subject with id ${id} not found`,
+});
+
+const categoryNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Category with id ${id} not found`,
+});
+
+// Category names are unique within a subject
+const nameTaken = async (subjectId, name, exceptId = null) => {
+  const where = { subject_id: subjectId, name };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+  return Boolean(await AssessmentCategory.findOne({ where }));
+};
+
+// Sum of the weights of a subject's categories, optionally leaving one out
+const weightTotal = async (subjectId, exceptId = null) => {
+  const where = { subject_id: subjectId };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+  return (await AssessmentCategory.sum('weight', { where })) || 0;
+};
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error,
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/subjects/{id}/categories:
+ *   get:
+ *     summary: List the assessment categories of a subject
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Categories sorted by name, with the total of their weights
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateSubjectId, async (req, res) => {
+  try {
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return subjectNotFound(res, req.params.id);
+    }
+
+    const categories = await AssessmentCategory.findAll({
+      where: { subject_id: subject.id },
+      order: [['name', 'ASC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      subject: { id: subject.id, subject_name: subject.subject_name },
+      weight_total: categories.reduce((sum, category) => sum + category.weight, 0),
+      count: categories.length,
+      categories: categories.map(category => category.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving assessment categories', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}/categories:
+ *   post:
+ *     summary: Add an assessment category to a subject (requires subjects:manage)
+ *     description: >
+ *       Weights are percentages and the weights of a subject add up to at most 100. Once a subject
+ *       has categories, new grades of the subject must name one.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - weight
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Exam
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 example: 50
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Validation error, name already used in the subject, or weights above 100
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission('subjects:manage'), validateCreateCategory, async (req, res) => {
+  try {
+    const { name, weight } = req.body;
+
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return subjectNotFound(res, req.params.id);
+    }
+    if (await nameTaken(subject.id, name)) {
+      return badRequest(res, `Category '${name}' already exists in '${subject.subject_name}'`);
+    }
+    const total = await weightTotal(subject.id) + weight;
+    if (total > MAX_WEIGHT_TOTAL) {
+      return badRequest(res, `Category weights of '${subject.subject_name}' would add up to ${total}%; at most ${MAX_WEIGHT_TOTAL}% is allowed`);
+    }
+
+    const category = await AssessmentCategory.create({ subject_id: subject.id, name, weight });
+
+    logger.info(`Assessment category created: ${name}`, { categoryId: category.id, subjectId: subject.id, weight, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category: category.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error creating assessment category', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}/categories/{categoryId}:
+ *   patch:
+ *     summary: Rename an assessment category or change its weight (requires subjects:manage)
+ *     description: Final scores that include the category change with its weight.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Validation error, name already used in the subject, or weights above 100
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject or category not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:categoryId', requirePermission('subjects:manage'), validateUpdateCategory, async (req, res) => {
+  try {
+    const { name, weight } = req.body;
+
+    const category = await AssessmentCategory.findOne({
+      where: { id: req.params.categoryId, subject_id: req.params.id },
+      include: [{ model: Subject, as: 'subject', attributes: ['id', 'subject_name'] }],
+    });
+    if (!category) {
+      return categoryNotFound(res, req.params.categoryId);
+    }
+    const subjectName = category.subject.subject_name;
+
+    if (name !== undefined && await nameTaken(category.subject_id, name, category.id)) {
+      return badRequest(res, `Category '${name}' already exists in '${subjectName}'`);
+    }
+    if (weight !== undefined) {
+      const total = await weightTotal(category.subject_id, category.id) + weight;
+      if (total > MAX_WEIGHT_TOTAL) {
+        return badRequest(res, `Category weights of '${subjectName}' would add up to ${total}%; at most ${MAX_WEIGHT_TOTAL}% is allowed`);
+      }
+    }
+
+    const previous = { name: category.name, weight: category.weight };
+    if (name !== undefined) {
+      category.name = name;
+    }
+    if (weight !== undefined) {
+      category.weight = weight;
+    }
+    await category.save();
+
+    logger.info(`Assessment category updated: ${category.name}`, { categoryId: category.id, subjectId: category.subject_id, previous, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      category: category.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating assessment category', { error: error.message, stack: error.stack, categoryId: req.params.categoryId, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}/categories/{categoryId}:
+ *   delete:
+ *     summary: Delete an assessment category (requires subjects:manage)
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject or category not found
+ *       409:
+ *         description: Grades are recorded in the category
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:categoryId', requirePermission('subjects:manage'), validateCategoryId, async (req, res) => {
+  try {
+    const category = await AssessmentCategory.findOne({
+      where: { id: req.params.categoryId, subject_id: req.params.id },
+    });
+    if (!category) {
+      return categoryNotFound(res, req.params.categoryId);
+    }
+
+    const gradeCount = await Grade.count({ where: { category_id: category.id } });
+    if (gradeCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Category has ${gradeCount} grade(s). Move them to another category before deleting it.`,
+      });
+    }
+
+    const categoryData = category.toJSON();
+    await category.destroy();
+
+    logger.info(`Assessment category deleted: ${categoryData.name}`, { categoryId: categoryData.id, subjectId: categoryData.subject_id, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      category: categoryData,
+    });
+  } catch (error) {
+    logger.error('Error deleting assessment category', { error: error.message, stack: error.stack, categoryId: req.params.categoryId, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const { Subject } = require('../models');
+const { authenticate, requirePermission, scopeStudents } = require('../middleware/auth');
+const {
+  validateMarkSession,
+  validateGetSession,
+  validateUpdateAttendance,
+  validateAbsenceReport,
+} = require('../middleware/validation');
+const {
+  summarize,
+  absenceReport,
+  listSession,
+  markSession,
+  findAttendance,
+} = require('../services/attendanceService');
+const { checkAttendanceAllowed } = require('../services/assignmentService');
+const attendanceConfig = require('../config/attendance');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error,
+});
+
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error,
+});
+
+// Summary of the records of one session
+const sessionSummary = records => summarize(attendanceConfig.statuses.map(status => ({
+  status,
+  count: records.filter(record => record.status === status).length,
+})));
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/attendance/sessions:
+ *   post:
+ *     summary: Mark the attendance of a group for a session (requires attendance:write)
+ *     description: >
+ *       Every student of the group gets `status` (default present) unless `records` gives a status
+ *       and note for them. Marking the same subject, group and date again replaces the records.
+ *       Teachers must be assigned to the subject for the group, unless they hold attendance:write_any.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject_id
+ *               - group
+ *               - date
+ *             properties:
+ *               subject_id:
+ *                 type: string
+ *                 format: uuid
+ *               group:
+ *                 type: integer
+ *                 example: 101
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *                 default: present
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     student_id:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, late, excused]
+ *                     note:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Records of the session with a summary
+ *       400:
+ *         description: Validation error, unknown or archived subject, empty group, or a student outside the group
+ *       403:
+ *         description: Forbidden - insufficient permissions or not assigned to the subject and group
+ *       500:
+ *         description: Server error
+ */
+router.post('/sessions', requirePermission('attendance:write'), validateMarkSession, async (req, res) => {
+  try {
+    const { subject_id, group, date, status, records } = req.body;
+
+    const subject = await Subject.findByPk(subject_id);
+    if (!subject) {
+      return badRequest(res, `Subject with id ${subject_id} not found`);
+    }
+    if (subject.archived_at) {
+      return badRequest(res, `Subject '${subject.subject_name}' is archived`);
+    }
+
+    const allowed = await checkAttendanceAllowed(req.user, { subject, group });
+    if (allowed.error) {
+      return forbidden(res, allowed.error);
+    }
+
+    const marked = await markSession({ subject, group, date, status, records, user: req.user });
+    if (marked.error) {
+      return badRequest(res, marked.error);
+    }
+
+    logger.info(`Attendance marked: ${subject.subject_name}, group ${group}, ${date}`, { subjectId: subject.id, group, date, count: marked.records.length, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance recorded successfully',
+      session: { subject_id: subject.id, subject_name: subject.subject_name, group, date },
+      summary: sessionSummary(marked.records),
+      count: marked.records.length,
+      records: marked.records.map(record => record.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error marking attendance', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/sessions:
+ *   get:
+ *     summary: Records of a session (requires attendance:read)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subject_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: group
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Records by student name, with a summary
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', requirePermission('attendance:read'), validateGetSession, scopeStudents, async (req, res) => {
+  try {
+    const { subject_id, date } = req.query;
+    const group = parseInt(req.query.group, 10);
+    const records = await listSession({ subjectId: subject_id, group, date, scope: req.studentScope });
+
+    res.status(200).json({
+      success: true,
+      session: { subject_id, group, date },
+      summary: sessionSummary(records),
+      count: records.length,
+      records: records.map(record => record.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving attendance session', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/absences:
+ *   get:
+ *     summary: Students above an absence threshold (requires attendance:read)
+ *     description: >
+ *       Absence rate is the percentage of a student's sessions marked absent; late and excused do
+ *       not count. Only students the caller may see are listed.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Percentage; students above it are listed (ATTENDANCE_ABSENCE_THRESHOLD by default)
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Students with their attendance summary, highest absence rate first
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Server error
+ */
+router.get('/absences', requirePermission('attendance:read'), validateAbsenceReport, scopeStudents, async (req, res) => {
+  try {
+    const { subject_id, from, to } = req.query;
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : attendanceConfig.absenceThreshold;
+    const group = req.query.group !== undefined ? parseInt(req.query.group, 10) : undefined;
+
+    const students = await absenceReport({ group, subjectId: subject_id, from, to, scope: req.studentScope }, threshold);
+
+    res.status(200).json({
+      success: true,
+      threshold,
+      count: students.length,
+      students,
+    });
+  } catch (error) {
+    logger.error('Error computing absence report', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/{id}:
+ *   patch:
+ *     summary: Correct one attendance record (requires attendance:write)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Record updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - insufficient permissions or not assigned to the subject and group
+ *       404:
+ *         description: Record not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission('attendance:write'), validateUpdateAttendance, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const record = await findAttendance(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Attendance record with id ${req.params.id} not found`,
+      });
+    }
+
+    const allowed = await checkAttendanceAllowed(req.user, { subject: record.subject, group: record.student.group });
+    if (allowed.error) {
+      return forbidden(res, allowed.error);
+    }
+
+    const previous = { status: record.status, note: record.note };
+    if (status !== undefined) {
+      record.status = status;
+    }
+    if (note !== undefined) {
+      record.note = note || null;
+    }
+    record.recorded_by = req.user.id;
+    record.updated_at = new Date();
+    await record.save();
+
+    logger.info(`Attendance updated: ${record.id}`, { previous, status: record.status, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance updated successfully',
+      record: record.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating attendance', { error: error.message, stack: error.stack, attendanceId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
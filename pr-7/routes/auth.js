@@ -0,0 +1,775 @@
+const express = require('express');
+const { User, Role, Student } = require('../models');
+const { authenticate, requireUser, forbidImpersonation, generateToken } = require('../middleware/auth');
+const {
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateSessionId,
+  validateUpdateProfile,
+  validateChangePassword,
+} = require('../middleware/validation');
+const {
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForUser,
+} = require('../services/tokenService');
+const {
+  renewSession,
+  listActiveSessions,
+  findUserSession,
+  revokeSession,
+} = require('../services/sessionService');
+const { startSession } = require('../services/loginService');
+const { getLoginThrottle, getPasswordResetThrottle } = require('../services/loginThrottle');
+const { hashPassword, verifyPassword, checkPasswordPolicy } = require('../services/passwordService');
+const {
+  PURPOSES,
+  createOneTimeToken,
+  peekOneTimeToken,
+  consumeOneTimeToken,
+} = require('../services/oneTimeTokenService');
+const { sendMail } = require('../services/mailService');
+const { sendVerificationEmail, verifyEmail } = require('../services/emailVerificationService');
+const mailConfig = require('../config/mail');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated; the old one stops working immediately.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refresh_token);
+
+    if (result.error) {
+      if (result.reused) {
+        // The token may have been stolen, so the access tokens of its session go as well
+        await revokeSession(result.sessionId);
+        logger.warn('Reuse of rotated refresh token detected, session revoked', { userId: result.userId, sessionId: result.sessionId, ip: req.ip });
+      }
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    const user = await User.findByPk(result.userId, {
+      include: [{ model: Role, as: 'role' }],
+    });
+    if (!user || user.is_active === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+      });
+    }
+
+    await renewSession(result.sessionId, { ip: req.ip });
+    const token = generateToken({
+      id: user.id,
+      email: user.email,
+      role: user.role.role_name,
+      name: user.name,
+      surname: user.surname,
+    }, { sessionId: result.sessionId });
+
+    logger.info(`Access token refreshed: ${user.email}`, { userId: user.id, sessionId: result.sessionId });
+
+    res.status(200).json({
+      success: true,
+      token,
+      refresh_token: result.token,
+    });
+  } catch (error) {
+    logger.error('Token refresh error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke tokens
+ *     description: >
+ *       Ends the current session, which revokes its access and refresh tokens. For tokens issued
+ *       without a session, the access token and the given refresh token are revoked. With `all`
+ *       set, every session of the user is ended.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *               all:
+ *                 type: boolean
+ *                 description: Sign out of all devices
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authenticate, requireUser, forbidImpersonation, validateLogout, async (req, res) => {
+  try {
+    const { refresh_token, all } = req.body || {};
+
+    if (all === true || all === 'true') {
+      await revokeAllForUser(req.user.id);
+    } else {
+      await revokeAccessToken(req.token);
+      if (req.token.sid) {
+        await revokeSession(req.token.sid);
+      }
+      if (refresh_token) {
+        await revokeRefreshToken(refresh_token, req.user.id);
+      }
+    }
+
+    logger.info(`User logged out: ${req.user.email}`, { userId: req.user.id, all: Boolean(all) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error('Logout error', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const toSessionResponse = (session, currentSessionId) => ({
+  ...session.toJSON(),
+  current: session.id === currentSessionId,
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     description: Active sessions only, most recently used first. `current` marks the session of the calling token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', authenticate, requireUser, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => toSessionResponse(session, req.token.sid)),
+    });
+  } catch (error) {
+    logger.error('Error listing sessions', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's devices
+ *     description: The session's refresh token stops working and its access tokens are rejected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', authenticate, requireUser, forbidImpersonation, validateSessionId, async (req, res) => {
+  try {
+    // Other users' sessions are reported as missing rather than forbidden
+    const session = await findUserSession(req.user.id, req.params.id);
+    if (!session || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    await revokeSession(session.id);
+
+    logger.info(`Session revoked by ${req.user.email}`, { userId: req.user.id, sessionId: session.id, device: session.device });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking session', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// The caller's account with role and, for students, their student record
+const findCurrentUser = (req) => User.findByPk(req.user.id, {
+  include: [
+    { model: Role, as: 'role', attributes: ['id', 'role_name'] },
+    { model: Student, as: 'student' },
+  ],
+});
+
+const toProfileResponse = (user) => ({
+  id: user.id,
+  name: user.name,
+  surname: user.surname,
+  email: user.email,
+  role: user.role.role_name,
+  email_verified: Boolean(user.email_verified_at),
+  created_at: user.created_at,
+  student: user.student || null,
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the profile of the current user
+ *     description: Includes the user's student record when there is one, otherwise `student` is null.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authenticate, requireUser, async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+
+    res.status(200).json({
+      success: true,
+      user: toProfileResponse(user),
+    });
+  } catch (error) {
+    logger.error('Error fetching profile', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update the name of the current user
+ *     description: >
+ *       Only name and surname can be changed here. The email address and role are managed by admins,
+ *       and the password through POST /api/auth/change-password. Existing access tokens keep the old
+ *       name until they are refreshed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.patch('/me', authenticate, requireUser, validateUpdateProfile, async (req, res) => {
+  try {
+    const { name, surname } = req.body;
+
+    const user = await findCurrentUser(req);
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (surname !== undefined) {
+      user.surname = surname;
+    }
+    await user.save();
+
+    logger.info(`Profile updated: ${user.email}`, { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: toProfileResponse(user),
+    });
+  } catch (error) {
+    logger.error('Error updating profile', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the current user
+ *     description: >
+ *       Requires the current password. All sessions and tokens of the user are revoked; the response
+ *       carries a new token pair for the device that made the change. Wrong current passwords count
+ *       towards the login throttling.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed, new tokens issued
+ *       400:
+ *         description: Validation error or wrong current password
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many failed attempts. See the Retry-After header.
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', authenticate, requireUser, forbidImpersonation, validateChangePassword, async (req, res) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body;
+    const throttle = getLoginThrottle();
+    const identity = { email: req.user.email, ip: req.ip };
+
+    const status = await throttle.check(identity);
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed password attempts. Please try again later.',
+        retry_after: status.retryAfter,
+      });
+    }
+
+    const user = await User.findByPk(req.user.id, {
+      include: [{ model: Role, as: 'role' }],
+    });
+    if (!await verifyPassword(currentPassword, user.password)) {
+      const { retryAfter } = await throttle.registerFailure(identity);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      logger.warn(`Password change with wrong current password: ${user.email}`, { userId: user.id, ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect',
+      });
+    }
+
+    await throttle.registerSuccess(identity);
+    const hashedPassword = await hashPassword(newPassword);
+    await User.update({ password: hashedPassword }, { where: { id: user.id } });
+    await revokeAllForUser(user.id);
+    const tokens = await startSession(user, req);
+
+    logger.info(`Password changed: ${user.email}`, { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been signed out.',
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('Change password error', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Always answers with the same message so it cannot be used to find out which emails are
+ *       registered, also when the email cannot be sent. Requests are throttled per email and per IP.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many reset requests. See the Retry-After header.
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+    const throttle = getPasswordResetThrottle();
+    const identity = { email, ip: req.ip };
+
+    const status = await throttle.check(identity);
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many password reset requests. Please try again later.',
+        retry_after: status.retryAfter,
+      });
+    }
+    // Counted whether or not the account exists, so the limit reveals nothing either
+    await throttle.registerFailure(identity);
+
+    const user = await User.findOne({ where: { email } });
+    if (user) {
+      const { token } = await createOneTimeToken(user.id, PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+      const resetUrl = `${mailConfig.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+      // A failed delivery must not answer differently from an unknown email
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Password reset',
+          text: `Hello ${user.name},\n\nUse the link below to choose a new password. It is valid for ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.\n\n${resetUrl}\n\nReset token: ${token}\n\nIf you did not request a password reset, you can ignore this email.`,
+          html: `<p>Use the link below to choose a new password. It is valid for ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request a password reset, you can ignore this email.</p>`,
+        });
+        logger.info(`Password reset requested: ${email}`, { userId: user.id });
+      } catch (error) {
+        logger.error('Failed to send password reset email', { error: error.message, stack: error.stack, userId: user.id });
+      }
+    } else {
+      logger.warn(`Password reset requested for unknown email: ${email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account with this email exists, a password reset email has been sent',
+    });
+  } catch (error) {
+    logger.error('Forgot password error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token can be used once. All existing sessions of the user are signed out.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const invalidToken = (error) => {
+      logger.warn('Password reset attempt with invalid token', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    };
+
+    // The password is checked against the account before the token is used up, so the user can retry
+    const pending = await peekOneTimeToken(token, PURPOSES.PASSWORD_RESET);
+    if (pending.error) {
+      return invalidToken(pending.error);
+    }
+    const user = await User.findByPk(pending.userId, { attributes: ['id', 'name', 'surname', 'email'] });
+    if (!user) {
+      return invalidToken('Invalid or expired token');
+    }
+    const [policyProblem] = checkPasswordPolicy(password, user);
+    if (policyProblem) {
+      return res.status(400).json({
+        success: false,
+        error: policyProblem,
+      });
+    }
+
+    const result = await consumeOneTimeToken(token, PURPOSES.PASSWORD_RESET);
+    if (result.error) {
+      return invalidToken(result.error);
+    }
+
+    const hashedPassword = await hashPassword(password);
+    await User.update({ password: hashedPassword }, { where: { id: result.userId } });
+    await revokeAllForUser(result.userId);
+
+    logger.info('Password reset completed', { userId: result.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    logger.error('Reset password error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify:
+ *   get:
+ *     summary: Verify email address
+ *     description: Target of the link in the verification email. The token can be used once.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.get('/verify', validateVerifyEmail, async (req, res) => {
+  try {
+    const result = await verifyEmail(req.query.token);
+    if (result.error) {
+      logger.warn('Email verification attempt with invalid token', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    logger.info('Email verified', { userId: result.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified. You can now log in.',
+    });
+  } catch (error) {
+    logger.error('Email verification error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     description: >
+ *       Previous verification links stop working. Always answers with the same message, also when
+ *       the email cannot be sent. Shares the per-email and per-IP limits of forgot-password.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests. See the Retry-After header.
+ *       500:
+ *         description: Server error
+ */
+router.post('/resend-verification', validateResendVerification, async (req, res) => {
+  try {
+    const { email } = req.body;
+    // Shares the password reset limits: both endpoints send mail to an address anyone can type
+    const throttle = getPasswordResetThrottle();
+    const identity = { email, ip: req.ip };
+
+    const status = await throttle.check(identity);
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many verification email requests. Please try again later.',
+        retry_after: status.retryAfter,
+      });
+    }
+    await throttle.registerFailure(identity);
+
+    const user = await User.findOne({ where: { email } });
+    if (user && !user.email_verified_at) {
+      // A failed delivery must not reveal that an unverified account exists
+      try {
+        await sendVerificationEmail(user);
+        logger.info(`Verification email resent: ${email}`, { userId: user.id });
+      } catch (error) {
+        logger.error('Failed to resend verification email', { error: error.message, stack: error.stack, userId: user.id });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account with this email exists, a verification email has been sent',
+    });
+  } catch (error) {
+    logger.error('Resend verification error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,423 @@
+const express = require('express');
+const { Grade, Student } = require('../models');
+const { authenticate, requirePermission, scopeStudents } = require('../middleware/auth');
+const {
+  validateGradeId,
+  validateCreateGrade,
+  validateUpdateGrade,
+  validateDeleteGrade,
+} = require('../middleware/validation');
+const {
+  findGrade,
+  checkGradeCategory,
+  checkGradeTargets,
+  amendGrade,
+  deleteGrade,
+  listRevisions,
+} = require('../services/gradeService');
+const { checkGradingAllowed } = require('../services/assignmentService');
+const { canSeeStudent } = require('../services/studentScopeService');
+const { gradesToJSON } = require('../services/gradingScaleService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Grade with id ${id} not found`,
+});
+
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error,
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/grades/{id}:
+ *   get:
+ *     summary: Get a grade by ID (requires grades:read)
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *         description: Adds the label and grade points on this grading scale; "default" uses the subject's scale or the default scale
+ *     responses:
+ *       200:
+ *         description: Grade with its subject and student
+ *       400:
+ *         description: Validation error or unknown grading scale
+ *       404:
+ *         description: Grade not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission('grades:read'), validateGradeId, scopeStudents, async (req, res) => {
+  try {
+    const grade = await findGrade(req.params.id);
+    if (!grade || !canSeeStudent(req.studentScope, grade.student)) {
+      return notFound(res, req.params.id);
+    }
+    const converted = await gradesToJSON([grade], req.query.scale);
+    if (converted.error) {
+      return res.status(400).json({
+        success: false,
+        error: converted.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      grade: converted.grades[0],
+    });
+  } catch (error) {
+    logger.error('Error retrieving grade', { error: error.message, stack: error.stack, gradeId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grades/{id}/history:
+ *   get:
+ *     summary: Revision history of a grade (requires grades:read)
+ *     description: Every change and the deletion, with old and new values, editor and reason. Still available after the grade was deleted.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Revisions, oldest first
+ *       404:
+ *         description: Grade not found and no history recorded
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history', requirePermission('grades:read'), validateGradeId, scopeStudents, async (req, res) => {
+  try {
+    const grade = await findGrade(req.params.id);
+    const revisions = await listRevisions(req.params.id);
+    if (!grade && revisions.length === 0) {
+      return notFound(res, req.params.id);
+    }
+    // A deleted grade is checked against the student its revisions name
+    const student = grade ? grade.student : await Student.findByPk(revisions[0].student_id);
+    if (!canSeeStudent(req.studentScope, student)) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      grade: grade ? grade.toJSON() : null,
+      count: revisions.length,
+      revisions: revisions.map(revision => revision.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving grade history', { error: error.message, stack: error.stack, gradeId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grades:
+ *   post:
+ *     summary: Record a grade (requires grades:write)
+ *     description: Teachers must be assigned to the subject for the student's group, unless they hold grades:write_any.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student_id
+ *               - subject_id
+ *               - grade
+ *             properties:
+ *               student_id:
+ *                 type: integer
+ *                 example: 1
+ *               subject_id:
+ *                 type: string
+ *                 format: uuid
+ *               category_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required when the subject has assessment categories
+ *               title:
+ *                 type: string
+ *                 example: Midterm exam
+ *               grade:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 87
+ *               evaluated_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       201:
+ *         description: Grade recorded
+ *       400:
+ *         description: Validation error, unknown student or subject, archived subject, or missing or unknown category
+ *       403:
+ *         description: Forbidden - insufficient permissions or not assigned to the subject and group
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission('grades:write'), validateCreateGrade, async (req, res) => {
+  try {
+    const { student_id, subject_id, category_id, title, grade, evaluated_at } = req.body;
+
+    const targets = await checkGradeTargets({ studentId: student_id, subjectId: subject_id, categoryId: category_id });
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        error: targets.error,
+      });
+    }
+
+    const allowed = await checkGradingAllowed(req.user, { subject: targets.subject, group: targets.student.group });
+    if (allowed.error) {
+      return forbidden(res, allowed.error);
+    }
+
+    const values = {
+      student_id,
+      subject_id,
+      category_id: targets.category ? targets.category.id : null,
+      title: title || null,
+      grade,
+    };
+    if (evaluated_at) {
+      values.evaluated_at = new Date(evaluated_at);
+    }
+    const created = await Grade.create(values);
+
+    logger.info(`Grade recorded: ${created.id}`, { studentId: student_id, subjectId: subject_id, grade, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Grade recorded successfully',
+      grade: created.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error recording grade', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grades/{id}:
+ *   patch:
+ *     summary: Change a grade, its evaluation date, category or title (requires grades:write)
+ *     description: The previous values, the editor and the reason are kept in the grade's history.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               grade:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               evaluated_at:
+ *                 type: string
+ *                 format: date-time
+ *               category_id:
+ *                 type: string
+ *                 format: uuid
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *                 example: Re-marked after exam review
+ *     responses:
+ *       200:
+ *         description: Grade updated, or unchanged when the values are the same
+ *       400:
+ *         description: Validation error, missing reason, or category of another subject
+ *       403:
+ *         description: Forbidden - insufficient permissions or not assigned to the subject and group
+ *       404:
+ *         description: Grade not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission('grades:write'), validateUpdateGrade, async (req, res) => {
+  try {
+    const { grade: value, evaluated_at, category_id, title, reason } = req.body;
+
+    const grade = await findGrade(req.params.id);
+    if (!grade) {
+      return notFound(res, req.params.id);
+    }
+
+    const allowed = await checkGradingAllowed(req.user, { subject: grade.subject, group: grade.student.group });
+    if (allowed.error) {
+      return forbidden(res, allowed.error);
+    }
+
+    if (category_id !== undefined) {
+      const { error } = await checkGradeCategory(grade.subject, category_id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+        });
+      }
+    }
+
+    const previous = { grade: grade.grade, evaluated_at: grade.evaluated_at, category_id: grade.category_id };
+    const revision = await amendGrade(grade, { grade: value, evaluated_at, category_id, title }, { reason, user: req.user });
+    if (!revision) {
+      return res.status(200).json({
+        success: true,
+        message: 'Grade unchanged',
+        grade: grade.toJSON(),
+      });
+    }
+
+    logger.info(`Grade updated: ${grade.id}`, { previous, grade: grade.grade, evaluatedAt: grade.evaluated_at, categoryId: grade.category_id, reason, revisionId: revision.id, requestedBy: req.user.email });
+
+    // Reloaded so the included category matches a changed category_id
+    const updated = await findGrade(grade.id);
+    res.status(200).json({
+      success: true,
+      message: 'Grade updated successfully',
+      grade: updated.toJSON(),
+      revision_id: revision.id,
+    });
+  } catch (error) {
+    logger.error('Error updating grade', { error: error.message, stack: error.stack, gradeId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grades/{id}:
+ *   delete:
+ *     summary: Delete a grade (requires grades:write)
+ *     description: The deleted values, the editor and the reason are kept in the grade's history.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Recorded for the wrong student
+ *     responses:
+ *       200:
+ *         description: Grade deleted
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Forbidden - insufficient permissions or not assigned to the subject and group
+ *       404:
+ *         description: Grade not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission('grades:write'), validateDeleteGrade, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const grade = await findGrade(req.params.id);
+    if (!grade) {
+      return notFound(res, req.params.id);
+    }
+
+    const allowed = await checkGradingAllowed(req.user, { subject: grade.subject, group: grade.student.group });
+    if (allowed.error) {
+      return forbidden(res, allowed.error);
+    }
+
+    const gradeData = grade.toJSON();
+    const revision = await deleteGrade(grade, { reason, user: req.user });
+
+    logger.info(`Grade deleted: ${gradeData.id}`, { studentId: gradeData.student_id, subjectId: gradeData.subject_id, grade: gradeData.grade, reason, revisionId: revision.id, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Grade deleted successfully',
+      grade: gradeData,
+      revision_id: revision.id,
+    });
+  } catch (error) {
+    logger.error('Error deleting grade', { error: error.message, stack: error.stack, gradeId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
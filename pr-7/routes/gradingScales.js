@@ -0,0 +1,363 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { GradingScale, Subject } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateGradingScaleId,
+  validateCreateGradingScale,
+  validateUpdateGradingScale,
+} = require('../middleware/validation');
+const { normalizeBands } = require('../utils/gradingScale');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Grading scale with id ${id} not found`,
+});
+
+// Scale names are unique
+const nameTaken = async (name, exceptId = null) => {
+  const where = { name };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+  return Boolean(await GradingScale.findOne({ where }));
+};
+
+const nameTakenResponse = (res, name) => res.status(400).json({
+  success: false,
+  error: `Grading scale '${name}' already exists`,
+});
+
+// Saves a scale; when it becomes the default, the previous default is unset in the same transaction
+const saveScale = (scale) => sequelize.transaction(async (transaction) => {
+  if (scale.is_default) {
+    const where = { is_default: true };
+    if (scale.id) {
+      where.id = { [Op.ne]: scale.id };
+    }
+    await GradingScale.update({ is_default: false }, { where, transaction });
+  }
+  await scale.save({ transaction });
+  return scale;
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/grading-scales:
+ *   get:
+ *     summary: List grading scales
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scales sorted by name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const scales = await GradingScale.findAll({ order: [['name', 'ASC']] });
+
+    res.status(200).json({
+      success: true,
+      count: scales.length,
+      scales: scales.map(scale => scale.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error listing grading scales', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grading-scales/{id}:
+ *   get:
+ *     summary: Get a grading scale by ID
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scale with its bands
+ *       404:
+ *         description: Scale not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateGradingScaleId, async (req, res) => {
+  try {
+    const scale = await GradingScale.findByPk(req.params.id);
+    if (!scale) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      scale: scale.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error retrieving grading scale', { error: error.message, stack: error.stack, scaleId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grading-scales:
+ *   post:
+ *     summary: Define a grading scale (requires grading_scales:manage)
+ *     description: >
+ *       Bands map 0–100 grades to a label and grade points; a grade gets the band with the highest
+ *       `min` it reaches, and one band must start at 0. With `is_default` the scale applies to every
+ *       subject without its own scale, replacing the previous default.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - bands
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: A-F
+ *               description:
+ *                 type: string
+ *               bands:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     min:
+ *                       type: integer
+ *                       example: 90
+ *                     label:
+ *                       type: string
+ *                       example: A
+ *                     points:
+ *                       type: number
+ *                       example: 4
+ *               is_default:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Scale created
+ *       400:
+ *         description: Validation error or name already in use
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission('grading_scales:manage'), validateCreateGradingScale, async (req, res) => {
+  try {
+    const { name, description = null, bands, is_default = false } = req.body;
+
+    if (await nameTaken(name)) {
+      return nameTakenResponse(res, name);
+    }
+
+    const scale = await saveScale(GradingScale.build({
+      name,
+      description,
+      bands: normalizeBands(bands),
+      is_default,
+    }));
+
+    logger.info(`Grading scale created: ${name}`, { scaleId: scale.id, isDefault: scale.is_default, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scale created successfully',
+      scale: scale.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error creating grading scale', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grading-scales/{id}:
+ *   patch:
+ *     summary: Change a grading scale or make it the default (requires grading_scales:manage)
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               bands:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               is_default:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Scale updated
+ *       400:
+ *         description: Validation error or name already in use
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Scale not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission('grading_scales:manage'), validateUpdateGradingScale, async (req, res) => {
+  try {
+    const { name, description, bands, is_default } = req.body;
+
+    const scale = await GradingScale.findByPk(req.params.id);
+    if (!scale) {
+      return notFound(res, req.params.id);
+    }
+
+    if (name !== undefined && await nameTaken(name, scale.id)) {
+      return nameTakenResponse(res, name);
+    }
+
+    const previous = { name: scale.name, is_default: scale.is_default };
+    if (name !== undefined) {
+      scale.name = name;
+    }
+    if (description !== undefined) {
+      scale.description = description;
+    }
+    if (bands !== undefined) {
+      scale.bands = normalizeBands(bands);
+    }
+    if (is_default !== undefined) {
+      scale.is_default = is_default;
+    }
+    await saveScale(scale);
+
+    logger.info(`Grading scale updated: ${scale.name}`, { scaleId: scale.id, previous, isDefault: scale.is_default, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scale updated successfully',
+      scale: scale.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating grading scale', { error: error.message, stack: error.stack, scaleId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/grading-scales/{id}:
+ *   delete:
+ *     summary: Delete a grading scale (requires grading_scales:manage)
+ *     description: Scales assigned to subjects cannot be deleted. Deleting the default scale leaves no default.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scale deleted
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Scale not found
+ *       409:
+ *         description: Scale is assigned to subjects
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission('grading_scales:manage'), validateGradingScaleId, async (req, res) => {
+  try {
+    const scale = await GradingScale.findByPk(req.params.id);
+    if (!scale) {
+      return notFound(res, req.params.id);
+    }
+
+    const subjectCount = await Subject.count({ where: { grading_scale_id: scale.id } });
+    if (subjectCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Grading scale is assigned to ${subjectCount} subject(s). Assign them another scale before deleting it.`,
+      });
+    }
+
+    const scaleData = scale.toJSON();
+    await scale.destroy();
+
+    logger.info(`Grading scale deleted: ${scaleData.name}`, { scaleId: scaleData.id, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scale deleted successfully',
+      scale: scaleData,
+    });
+  } catch (error) {
+    logger.error('Error deleting grading scale', { error: error.message, stack: error.stack, scaleId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
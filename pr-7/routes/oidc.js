@@ -0,0 +1,192 @@
+const express = require('express');
+const { validateOidcCallback } = require('../middleware/validation');
+const oidcConfig = require('../config/oidc');
+const {
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrProvisionUser,
+} = require('../services/oidcService');
+const { getTwoFactorChallenge, buildLoginResponse } = require('../services/loginService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: 'OIDC login is not configured',
+    });
+  }
+  next();
+});
+
+// Ties a started login to the browser that started it; only sent back to the OIDC routes
+const BROWSER_COOKIE = 'oidc_login';
+
+const browserCookieOptions = () => ({
+  httpOnly: true,
+  secure: oidcConfig.redirectUri.startsWith('https:'),
+  // The provider's redirect back is a cross-site top-level navigation, which lax still sends cookies on
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+});
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+const loginFailed = (res, error) => res.status(401).json({
+  success: false,
+  error: `OIDC login failed: ${error}`,
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start a login through the configured OpenID Connect provider
+ *     description: >
+ *       Redirects to the provider's login page (authorization code flow with PKCE). With
+ *       redirect=false the URL is returned as JSON instead, for clients that open it themselves.
+ *       Sets an httpOnly cookie the callback requires, so the login must finish in the same browser.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Authorization URL (redirect=false)
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: OIDC login is not configured
+ *       500:
+ *         description: Server error or provider unreachable
+ */
+router.get('/login', async (req, res) => {
+  try {
+    const { url, browserKey } = await createAuthorizationUrl();
+    res.cookie(BROWSER_COOKIE, browserKey, { ...browserCookieOptions(), maxAge: oidcConfig.stateTtlSeconds * 1000 });
+
+    if (req.query.redirect === 'false') {
+      return res.status(200).json({
+        success: true,
+        authorization_url: url,
+      });
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('Error starting OIDC login', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Redirect target of the OpenID Connect provider
+ *     description: >
+ *       Exchanges the authorization code, matches the user by email (creating an account with
+ *       the default role if needed) and responds like POST /api/auth/login.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or `mfa_required` with an `mfa_token` when a second factor is needed
+ *       401:
+ *         description: Provider error, invalid or already used state, login started in another browser, or invalid ID token
+ *       403:
+ *         description: Account deactivated
+ *       500:
+ *         description: Server error
+ */
+router.get('/callback', async (req, res, next) => {
+  // The provider reports failures (e.g. the user cancelled) through error parameters
+  if (req.query.error) {
+    logger.warn('OIDC provider returned an error', { error: req.query.error, description: req.query.error_description });
+    return loginFailed(res, req.query.error_description || req.query.error);
+  }
+  next();
+}, validateOidcCallback, async (req, res) => {
+  try {
+    const browserKey = readCookie(req, BROWSER_COOKIE);
+    res.clearCookie(BROWSER_COOKIE, browserCookieOptions());
+    const result = await completeAuthorization({ code: req.query.code, state: req.query.state, browserKey });
+    if (result.error) {
+      logger.warn(`OIDC login rejected: ${result.error}`);
+      return loginFailed(res, result.error);
+    }
+
+    const account = await findOrProvisionUser(result.claims);
+    if (account.error) {
+      logger.warn(`OIDC login rejected: ${account.error}`, { subject: result.claims.sub });
+      return loginFailed(res, account.error);
+    }
+
+    const { user, created } = account;
+    if (created) {
+      logger.info(`User provisioned through OIDC: ${user.email}`, { userId: user.id, role: user.role.role_name, subject: result.claims.sub });
+    }
+
+    if (user.is_active === false) {
+      logger.warn(`OIDC login attempt for deactivated account: ${user.email}`, { userId: user.id });
+      return res.status(403).json({
+        success: false,
+        error: 'Account has been deactivated',
+      });
+    }
+
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      logger.info(`OIDC login awaiting second factor: ${user.email}`, { userId: user.id, enrollment: challenge.mfa_enrollment_required });
+      return res.status(200).json({
+        success: true,
+        ...challenge,
+      });
+    }
+
+    logger.info(`User logged in through OIDC: ${user.email}`, { userId: user.id, role: user.role.role_name });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      account_created: created,
+      ...await buildLoginResponse(user, req),
+    });
+  } catch (error) {
+    logger.error('OIDC login error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const { Role, Permission } = require('../models');
+const { authenticate, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const {
+  validateRoleId,
+  validateCreateRole,
+  validateSetRolePermissions,
+} = require('../middleware/validation');
+const { clearPermissionCache } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const PERMISSIONS_INCLUDE = {
+  model: Permission,
+  as: 'permissions',
+  attributes: ['id', 'name', 'description'],
+  through: { attributes: [] },
+};
+
+const toRoleResponse = (role) => ({
+  id: role.id,
+  role_name: role.role_name,
+  permissions: (role.permissions || []).map(permission => permission.name).sort(),
+});
+
+// Resolve permission names to records; reports the names that do not exist
+const findPermissions = async (names) => {
+  const uniqueNames = [...new Set(names)];
+  const permissions = await Permission.findAll({ where: { name: uniqueNames } });
+  const found = new Set(permissions.map(permission => permission.name));
+  return {
+    permissions,
+    unknown: uniqueNames.filter(name => !found.has(name)),
+  };
+};
+
+const unknownPermissions = (res, unknown) => res.status(400).json({
+  success: false,
+  error: `Unknown permissions: ${unknown.join(', ')}`,
+});
+
+router.use(authenticate, forbidImpersonation, requirePermission('roles:manage'));
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles with their permissions (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles and permission names
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.findAll({
+      include: [PERMISSIONS_INCLUDE],
+      order: [['role_name', 'ASC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      roles: roles.map(toRoleResponse),
+    });
+  } catch (error) {
+    logger.error('Error retrieving roles', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List the permission catalog (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All known permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/permissions', async (req, res) => {
+  try {
+    const permissions = await Permission.findAll({
+      attributes: ['id', 'name', 'description'],
+      order: [['name', 'ASC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: permissions.length,
+      permissions: permissions.map(permission => permission.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving permissions', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_name
+ *             properties:
+ *               role_name:
+ *                 type: string
+ *                 example: assistant
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [students:read, grades:read]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error, role exists or unknown permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validateCreateRole, async (req, res) => {
+  try {
+    const { role_name, permissions: permissionNames = [] } = req.body;
+
+    const existingRole = await Role.findOne({ where: { role_name } });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        error: `Role '${role_name}' already exists`,
+      });
+    }
+
+    const { permissions, unknown } = await findPermissions(permissionNames);
+    if (unknown.length > 0) {
+      return unknownPermissions(res, unknown);
+    }
+
+    const role = await Role.create({ role_name });
+    await role.setPermissions(permissions);
+    await role.reload({ include: [PERMISSIONS_INCLUDE] });
+
+    logger.info(`Role created: ${role_name}`, { requestedBy: req.user.email, permissions: permissionNames });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role: toRoleResponse(role),
+    });
+  } catch (error) {
+    logger.error('Error creating role', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a role with its permissions (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateRoleId, async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.id, { include: [PERMISSIONS_INCLUDE] });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: `Role with id ${req.params.id} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      role: toRoleResponse(role),
+    });
+  } catch (error) {
+    logger.error('Error retrieving role', { error: error.message, stack: error.stack, roleId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   put:
+ *     summary: Replace the permissions of a role (requires roles:manage)
+ *     description: The admin role always keeps roles:manage so that it cannot lock itself out.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Validation error or unknown permission
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/permissions', validateSetRolePermissions, async (req, res) => {
+  try {
+    const permissionNames = req.body.permissions;
+
+    const role = await Role.findByPk(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: `Role with id ${req.params.id} not found`,
+      });
+    }
+
+    if (role.role_name === 'admin' && !permissionNames.includes('roles:manage')) {
+      return res.status(400).json({
+        success: false,
+        error: 'The admin role must keep the roles:manage permission',
+      });
+    }
+
+    const { permissions, unknown } = await findPermissions(permissionNames);
+    if (unknown.length > 0) {
+      return unknownPermissions(res, unknown);
+    }
+
+    await role.setPermissions(permissions);
+    clearPermissionCache();
+    await role.reload({ include: [PERMISSIONS_INCLUDE] });
+
+    logger.info(`Role permissions updated: ${role.role_name}`, { requestedBy: req.user.email, permissions: permissionNames });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      role: toRoleResponse(role),
+    });
+  } catch (error) {
+    logger.error('Error updating role permissions', { error: error.message, stack: error.stack, roleId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,311 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Room, Lesson } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateRoomId,
+  validateCreateRoom,
+  validateUpdateRoom,
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Room with id ${id} not found`,
+});
+
+// Room names are unique
+const nameTaken = async (name, exceptId = null) => {
+  const where = { name };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+  return Boolean(await Room.findOne({ where }));
+};
+
+const nameTakenResponse = (res, name) => res.status(400).json({
+  success: false,
+  error: `Room '${name}' already exists`,
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   get:
+ *     summary: List rooms
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rooms sorted by name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rooms = await Room.findAll({ order: [['name', 'ASC']] });
+
+    res.status(200).json({
+      success: true,
+      count: rooms.length,
+      rooms: rooms.map(room => room.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error listing rooms', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   get:
+ *     summary: Get a room by ID
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Room
+ *       404:
+ *         description: Room not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateRoomId, async (req, res) => {
+  try {
+    const room = await Room.findByPk(req.params.id);
+    if (!room) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      room: room.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error retrieving room', { error: error.message, stack: error.stack, roomId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   post:
+ *     summary: Add a room (requires timetable:manage)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: B-204
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 30
+ *     responses:
+ *       201:
+ *         description: Room created
+ *       400:
+ *         description: Validation error or name already in use
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission('timetable:manage'), validateCreateRoom, async (req, res) => {
+  try {
+    const { name, capacity = null } = req.body;
+
+    if (await nameTaken(name)) {
+      return nameTakenResponse(res, name);
+    }
+
+    const room = await Room.create({ name, capacity });
+
+    logger.info(`Room created: ${name}`, { roomId: room.id, capacity, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      room: room.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error creating room', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   patch:
+ *     summary: Rename a room or change its capacity (requires timetable:manage)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *       400:
+ *         description: Validation error or name already in use
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Room not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission('timetable:manage'), validateUpdateRoom, async (req, res) => {
+  try {
+    const { name, capacity } = req.body;
+
+    const room = await Room.findByPk(req.params.id);
+    if (!room) {
+      return notFound(res, req.params.id);
+    }
+
+    if (name !== undefined && await nameTaken(name, room.id)) {
+      return nameTakenResponse(res, name);
+    }
+
+    const previous = { name: room.name, capacity: room.capacity };
+    if (name !== undefined) {
+      room.name = name;
+    }
+    if (capacity !== undefined) {
+      room.capacity = capacity;
+    }
+    await room.save();
+
+    logger.info(`Room updated: ${room.name}`, { roomId: room.id, previous, capacity: room.capacity, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Room updated successfully',
+      room: room.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating room', { error: error.message, stack: error.stack, roomId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   delete:
+ *     summary: Delete a room (requires timetable:manage)
+ *     description: Rooms with scheduled lessons cannot be deleted.
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: Lessons are scheduled in the room
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission('timetable:manage'), validateRoomId, async (req, res) => {
+  try {
+    const room = await Room.findByPk(req.params.id);
+    if (!room) {
+      return notFound(res, req.params.id);
+    }
+
+    const lessonCount = await Lesson.count({ where: { room_id: room.id } });
+    if (lessonCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${lessonCount} lesson(s) are scheduled in room '${room.name}'. Move or delete them before deleting the room.`,
+      });
+    }
+
+    const roomData = room.toJSON();
+    await room.destroy();
+
+    logger.info(`Room deleted: ${roomData.name}`, { roomId: roomData.id, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Room deleted successfully',
+      room: roomData,
+    });
+  } catch (error) {
+    logger.error('Error deleting room', { error: error.message, stack: error.stack, roomId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const { Subject } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateSubjectStats, validateGroupStats } = require('../middleware/validation');
+const { gradeStatistics } = require('../services/statsService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const toInt = value => (value !== undefined ? parseInt(value, 10) : undefined);
+
+// Options shared by both endpoints; unset values fall back to config/stats.js
+const statisticsOptions = query => {
+  const options = {};
+  if (query.pass_threshold !== undefined) {
+    options.passThreshold = toInt(query.pass_threshold);
+  }
+  if (query.bucket_size !== undefined) {
+    options.bucketSize = toInt(query.bucket_size);
+  }
+  return options;
+};
+
+router.use(authenticate, requirePermission('grades:stats'));
+
+/**
+ * @swagger
+ * /api/stats/subjects/{id}:
+ *   get:
+ *     summary: Grade statistics of a subject, overall and per group (requires grades:stats)
+ *     description: >
+ *       Computed over the students' final scores (category-weighted averages of their grades in
+ *       the range): count, mean, median, population standard deviation, min, max, a histogram of
+ *       the 0–100 range and the pass rate (percentage of scores at or above the threshold).
+ *     tags: [Statistics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: integer
+ *         description: Only grades of this group
+ *       - in: query
+ *         name: pass_threshold
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: bucket_size
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Statistics with a per-group breakdown in `groups`
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/subjects/:id', validateSubjectStats, async (req, res) => {
+  try {
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: `Subject with id ${req.params.id} not found`,
+      });
+    }
+
+    const { from, to } = req.query;
+    const { breakdown, ...statistics } = await gradeStatistics(
+      { subjectId: subject.id, group: toInt(req.query.group), from, to },
+      { breakdown: 'group', ...statisticsOptions(req.query) }
+    );
+
+    res.status(200).json({
+      success: true,
+      subject: { id: subject.id, subject_name: subject.subject_name },
+      ...statistics,
+      groups: breakdown,
+    });
+  } catch (error) {
+    logger.error('Error computing subject statistics', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/groups/{group}:
+ *   get:
+ *     summary: Grade statistics of a group, overall and per subject (requires grades:stats)
+ *     description: Computed over the students' final scores per subject, like the subject statistics.
+ *     tags: [Statistics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only grades of this subject
+ *       - in: query
+ *         name: pass_threshold
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: bucket_size
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Statistics with a per-subject breakdown in `subjects`
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/groups/:group', validateGroupStats, async (req, res) => {
+  try {
+    const group = toInt(req.params.group);
+    const { subject_id, from, to } = req.query;
+    const { breakdown, ...statistics } = await gradeStatistics(
+      { subjectId: subject_id, group, from, to },
+      { breakdown: 'subject', ...statisticsOptions(req.query) }
+    );
+
+    res.status(200).json({
+      success: true,
+      group,
+      ...statistics,
+      subjects: breakdown,
+    });
+  } catch (error) {
+    logger.error('Error computing group statistics', { error: error.message, stack: error.stack, group: req.params.group, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,503 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Subject, GradingScale, AssessmentCategory, Grade, TeacherSubject, Attendance, Lesson } = require('../models');
+const { authenticate, requirePermission, scopeStudents } = require('../middleware/auth');
+const {
+  validateSubjectId,
+  validateListSubjects,
+  validateCreateSubject,
+  validateUpdateSubject,
+  validateDeleteSubject,
+  validateSubjectGrades,
+} = require('../middleware/validation');
+const { listGrades, deleteSubjectGrades } = require('../services/gradeService');
+const { gradesToJSON } = require('../services/gradingScaleService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Subject with id ${id} not found`,
+});
+
+// Subject names are unique, archived subjects included
+const nameTaken = async (subjectName, exceptId = null) => {
+  const where = { subject_name: subjectName };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+  return Boolean(await Subject.findOne({ where }));
+};
+
+const nameTakenResponse = (res, subjectName) => res.status(400).json({
+  success: false,
+  error: `Subject '${subjectName}' already exists`,
+});
+
+// A grading scale assigned to a subject must exist; null removes the assignment
+const scaleMissing = async (scaleId) => scaleId !== undefined && scaleId !== null
+  && !(await GradingScale.findByPk(scaleId));
+
+const scaleMissingResponse = (res, scaleId) => res.status(400).json({
+  success: false,
+  error: `Grading scale with id ${scaleId} not found`,
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/subjects:
+ *   get:
+ *     summary: List subjects
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Subjects sorted by name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateListSubjects, async (req, res) => {
+  try {
+    const includeArchived = req.query.include_archived === 'true';
+    const subjects = await Subject.findAll({
+      where: includeArchived ? {} : { archived_at: null },
+      order: [['subject_name', 'ASC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: subjects.length,
+      subjects: subjects.map(subject => subject.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving subjects', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}:
+ *   get:
+ *     summary: Get a subject by ID
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subject details, archived subjects included
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateSubjectId, async (req, res) => {
+  try {
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      subject: subject.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error retrieving subject', { error: error.message, stack: error.stack, subjectId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}/grades:
+ *   get:
+ *     summary: List the grades of a subject (requires grades:read)
+ *     tags: [Subjects, Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *         description: Adds the label and grade points on this grading scale; "default" uses the subject's scale or the default scale
+ *     responses:
+ *       200:
+ *         description: Grades, newest first
+ *       400:
+ *         description: Validation error or unknown grading scale
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/grades', requirePermission('grades:read'), validateSubjectGrades, scopeStudents, async (req, res) => {
+  try {
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return notFound(res, req.params.id);
+    }
+
+    const { group, from, to, scale } = req.query;
+    const grades = await listGrades({
+      subjectId: subject.id,
+      group: group !== undefined ? parseInt(group, 10) : undefined,
+      from,
+      to,
+      scope: req.studentScope,
+    });
+    const converted = await gradesToJSON(grades, scale);
+    if (converted.error) {
+      return res.status(400).json({
+        success: false,
+        error: converted.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      subject: subject.toJSON(),
+      count: grades.length,
+      grades: converted.grades,
+    });
+  } catch (error) {
+    logger.error('Error retrieving subject grades', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects:
+ *   post:
+ *     summary: Create a subject (requires subjects:manage)
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject_name
+ *             properties:
+ *               subject_name:
+ *                 type: string
+ *                 example: Mathematics
+ *               credits:
+ *                 type: integer
+ *                 example: 6
+ *                 description: Weight of the subject in transcript averages
+ *               grading_scale_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Scale converting the subject's grades; without one the default scale applies
+ *     responses:
+ *       201:
+ *         description: Subject created
+ *       400:
+ *         description: Validation error, subject exists or unknown grading scale
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission('subjects:manage'), validateCreateSubject, async (req, res) => {
+  try {
+    const { subject_name, credits = null, grading_scale_id = null } = req.body;
+
+    if (await nameTaken(subject_name)) {
+      return nameTakenResponse(res, subject_name);
+    }
+    if (await scaleMissing(grading_scale_id)) {
+      return scaleMissingResponse(res, grading_scale_id);
+    }
+
+    const subject = await Subject.create({ subject_name, credits, grading_scale_id });
+
+    logger.info(`Subject created: ${subject_name}`, { subjectId: subject.id, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subject created successfully',
+      subject: subject.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error creating subject', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}:
+ *   patch:
+ *     summary: Rename a subject or change its credits or grading scale (requires subjects:manage)
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject_name:
+ *                 type: string
+ *               credits:
+ *                 type: integer
+ *                 nullable: true
+ *               grading_scale_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Subject updated
+ *       400:
+ *         description: Validation error, name already in use or unknown grading scale
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission('subjects:manage'), validateUpdateSubject, async (req, res) => {
+  try {
+    const { subject_name, credits, grading_scale_id } = req.body;
+
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return notFound(res, req.params.id);
+    }
+
+    if (subject_name !== undefined && await nameTaken(subject_name, subject.id)) {
+      return nameTakenResponse(res, subject_name);
+    }
+    if (await scaleMissing(grading_scale_id)) {
+      return scaleMissingResponse(res, grading_scale_id);
+    }
+
+    const previous = { subject_name: subject.subject_name, credits: subject.credits, grading_scale_id: subject.grading_scale_id };
+    if (subject_name !== undefined) {
+      subject.subject_name = subject_name;
+    }
+    if (credits !== undefined) {
+      subject.credits = credits;
+    }
+    if (grading_scale_id !== undefined) {
+      subject.grading_scale_id = grading_scale_id;
+    }
+    await subject.save();
+
+    logger.info(`Subject updated: ${subject.subject_name}`, { subjectId: subject.id, previous, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subject updated successfully',
+      subject: subject.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating subject', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subjects/{id}:
+ *   delete:
+ *     summary: Delete or archive a subject (requires subjects:manage)
+ *     description: >
+ *       A subject with grades or attendance records is only removed when a mode is given.
+ *       mode=cascade deletes the subject together with its grades and attendance and needs a
+ *       `reason` when there are grades, which is recorded in a deletion revision of every grade;
+ *       mode=archive keeps everything and hides the subject from the list. A subject with
+ *       scheduled lessons can only be archived.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [cascade, archive]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Required with mode=cascade when the subject has grades
+ *                 example: Subject created by mistake
+ *     responses:
+ *       200:
+ *         description: Subject deleted or archived
+ *       400:
+ *         description: Validation error or missing reason for deleting grades
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subject not found
+ *       409:
+ *         description: Subject still has lessons, or grades or attendance records and no mode was given
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission('subjects:manage'), validateDeleteSubject, async (req, res) => {
+  try {
+    const { mode } = req.query;
+
+    const subject = await Subject.findByPk(req.params.id);
+    if (!subject) {
+      return notFound(res, req.params.id);
+    }
+
+    if (mode === 'archive') {
+      subject.archived_at = subject.archived_at || new Date();
+      await subject.save();
+
+      logger.info(`Subject archived: ${subject.subject_name}`, { subjectId: subject.id, requestedBy: req.user.email });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Subject archived successfully',
+        subject: subject.toJSON(),
+      });
+    }
+
+    // Lessons are never cascaded: a timetable entry has to be moved or removed on purpose
+    const lessonCount = await Lesson.count({ where: { subject_id: subject.id } });
+    if (lessonCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Subject has ${lessonCount} scheduled lesson(s). Delete them first or pass mode=archive to keep them.`,
+      });
+    }
+
+    const gradeCount = await Grade.count({ where: { subject_id: subject.id } });
+    const attendanceCount = await Attendance.count({ where: { subject_id: subject.id } });
+    if ((gradeCount > 0 || attendanceCount > 0) && mode !== 'cascade') {
+      return res.status(409).json({
+        success: false,
+        error: `Subject has ${gradeCount} grade(s) and ${attendanceCount} attendance record(s). Pass mode=cascade to delete them as well or mode=archive to keep them.`,
+      });
+    }
+
+    const reason = req.body?.reason;
+    if (gradeCount > 0 && !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to delete the grades of the subject',
+      });
+    }
+
+    // Grades leave a deletion revision each; everything goes or nothing does
+    const subjectData = subject.toJSON();
+    const deletedGrades = await sequelize.transaction(async (transaction) => {
+      const deleted = await deleteSubjectGrades(subject.id, { reason, user: req.user }, transaction);
+      const where = { subject_id: subject.id };
+      await AssessmentCategory.destroy({ where, transaction });
+      await TeacherSubject.destroy({ where, transaction });
+      await Attendance.destroy({ where, transaction });
+      await subject.destroy({ transaction });
+      return deleted;
+    });
+
+    logger.info(`Subject deleted: ${subjectData.subject_name}`, { subjectId: subjectData.id, deletedGrades, deletedAttendance: attendanceCount, reason, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subject deleted successfully',
+      deleted_grades: deletedGrades,
+      subject: subjectData,
+    });
+  } catch (error) {
+    logger.error('Error deleting subject', { error: error.message, stack: error.stack, subjectId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
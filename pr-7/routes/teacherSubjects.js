@@ -0,0 +1,199 @@
+const express = require('express');
+const { TeacherSubject } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateListAssignments,
+  validateCreateAssignment,
+  validateAssignmentId,
+} = require('../middleware/validation');
+const { listAssignments, checkAssignmentTargets } = require('../services/assignmentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('assignments:manage'));
+
+/**
+ * @swagger
+ * /api/teacher-subjects:
+ *   get:
+ *     summary: List teaching assignments (requires assignments:manage)
+ *     tags: [Teaching assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teacher_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Assignments with their teacher and subject, oldest first
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateListAssignments, async (req, res) => {
+  try {
+    const { teacher_id, subject_id, group } = req.query;
+    const assignments = await listAssignments({
+      teacherId: teacher_id,
+      subjectId: subject_id,
+      group: group !== undefined ? parseInt(group, 10) : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      assignments: assignments.map(assignment => assignment.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving teaching assignments', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teacher-subjects:
+ *   post:
+ *     summary: Assign a teacher to a subject (requires assignments:manage)
+ *     description: >
+ *       Without a group the teacher may grade the subject in every group. Only users whose role
+ *       grants grades:write can be assigned.
+ *     tags: [Teaching assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - teacher_id
+ *               - subject_id
+ *             properties:
+ *               teacher_id:
+ *                 type: string
+ *                 format: uuid
+ *               subject_id:
+ *                 type: string
+ *                 format: uuid
+ *               group:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 101
+ *     responses:
+ *       201:
+ *         description: Assignment created
+ *       400:
+ *         description: Validation error, unknown teacher or subject, role cannot grade, or archived subject
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       409:
+ *         description: The teacher already teaches the subject to that group or to all groups
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validateCreateAssignment, async (req, res) => {
+  try {
+    const { teacher_id, subject_id } = req.body;
+    const group = req.body.group !== undefined && req.body.group !== null ? parseInt(req.body.group, 10) : null;
+
+    const targets = await checkAssignmentTargets({ teacherId: teacher_id, subjectId: subject_id, group });
+    if (targets.error) {
+      return res.status(targets.status).json({
+        success: false,
+        error: targets.error,
+      });
+    }
+
+    const assignment = await TeacherSubject.create({ teacher_id, subject_id, group });
+
+    logger.info(`Teacher assigned: ${targets.teacher.email}`, { assignmentId: assignment.id, subjectId: subject_id, group, requestedBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Teacher assigned successfully',
+      assignment: assignment.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error assigning teacher', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teacher-subjects/{id}:
+ *   delete:
+ *     summary: Remove a teaching assignment (requires assignments:manage)
+ *     description: Grades the teacher already recorded are kept.
+ *     tags: [Teaching assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Assignment removed
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Assignment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', validateAssignmentId, async (req, res) => {
+  try {
+    const assignment = await TeacherSubject.findByPk(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: `Assignment with id ${req.params.id} not found`,
+      });
+    }
+
+    const assignmentData = assignment.toJSON();
+    await assignment.destroy();
+
+    logger.info(`Teacher assignment removed: ${assignmentData.id}`, { teacherId: assignmentData.teacher_id, subjectId: assignmentData.subject_id, group: assignmentData.group, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment removed successfully',
+      assignment: assignmentData,
+    });
+  } catch (error) {
+    logger.error('Error removing teaching assignment', { error: error.message, stack: error.stack, assignmentId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
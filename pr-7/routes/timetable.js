@@ -0,0 +1,495 @@
+const express = require('express');
+const { Lesson, Room, User } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateCreateLesson,
+  validateUpdateLesson,
+  validateLessonId,
+  validateGroupTimetable,
+  validateTimetable,
+} = require('../middleware/validation');
+const {
+  hhmm,
+  checkLessonTargets,
+  bookLesson,
+  conflictError,
+  buildTimetable,
+  findLesson,
+} = require('../services/timetableService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const LESSON_FIELDS = ['group', 'subject_id', 'teacher_id', 'room_id', 'weekday', 'starts_at', 'ends_at', 'term'];
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `Lesson with id ${id} not found`,
+});
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error,
+});
+
+// 409 naming every lesson the new or moved lesson clashes with
+const conflictResponse = (res, conflicts) => res.status(409).json({
+  success: false,
+  error: conflictError(conflicts),
+  conflicts: conflicts.map(({ lesson, clashes_on }) => ({ lesson: lesson.toJSON(), clashes_on })),
+});
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/timetable/lessons:
+ *   post:
+ *     summary: Schedule a lesson (requires timetable:manage)
+ *     description: >
+ *       Rejected with 409 when, in the same term and weekday, the time overlaps a lesson in the same
+ *       room, with the same teacher or for the same group. The error names each clashing lesson.
+ *       The teacher's role must be able to record grades.
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - group
+ *               - subject_id
+ *               - teacher_id
+ *               - room_id
+ *               - weekday
+ *               - starts_at
+ *               - ends_at
+ *               - term
+ *             properties:
+ *               group:
+ *                 type: integer
+ *                 example: 102
+ *               subject_id:
+ *                 type: string
+ *                 format: uuid
+ *               teacher_id:
+ *                 type: string
+ *                 format: uuid
+ *               room_id:
+ *                 type: string
+ *                 format: uuid
+ *               weekday:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 7
+ *                 description: 1 = Monday ... 7 = Sunday
+ *               starts_at:
+ *                 type: string
+ *                 example: "09:00"
+ *               ends_at:
+ *                 type: string
+ *                 example: "10:30"
+ *               term:
+ *                 type: string
+ *                 example: 2026-autumn
+ *     responses:
+ *       201:
+ *         description: Lesson scheduled
+ *       400:
+ *         description: Validation error, unknown subject, teacher or room, archived subject, or role that cannot teach
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       409:
+ *         description: Room, teacher or group already booked; `conflicts` lists the clashing lessons
+ *       500:
+ *         description: Server error
+ */
+router.post('/lessons', requirePermission('timetable:manage'), validateCreateLesson, async (req, res) => {
+  try {
+    const { group, subject_id, teacher_id, room_id, weekday, starts_at, ends_at, term } = req.body;
+
+    const targets = await checkLessonTargets({ subjectId: subject_id, teacherId: teacher_id, roomId: room_id });
+    if (targets.error) {
+      return badRequest(res, targets.error);
+    }
+
+    const values = { group, subject_id, teacher_id, room_id, weekday, starts_at, ends_at, term };
+    const { conflicts, result: created } = await bookLesson(values, transaction => Lesson.create(values, { transaction }));
+    if (conflicts) {
+      return conflictResponse(res, conflicts);
+    }
+
+    logger.info(`Lesson scheduled: ${created.id}`, { group, subjectId: subject_id, teacherId: teacher_id, roomId: room_id, weekday, startsAt: starts_at, endsAt: ends_at, term, requestedBy: req.user.email });
+
+    const lesson = await findLesson(created.id);
+    res.status(201).json({
+      success: true,
+      message: 'Lesson scheduled successfully',
+      lesson: lesson.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error scheduling lesson', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/lessons/{id}:
+ *   get:
+ *     summary: Get a lesson by ID
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lesson with its subject, teacher and room
+ *       404:
+ *         description: Lesson not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/lessons/:id', validateLessonId, async (req, res) => {
+  try {
+    const lesson = await findLesson(req.params.id);
+    if (!lesson) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      lesson: lesson.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error retrieving lesson', { error: error.message, stack: error.stack, lessonId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/lessons/{id}:
+ *   patch:
+ *     summary: Move or change a lesson (requires timetable:manage)
+ *     description: The changed lesson is checked for conflicts like a new one, leaving out the lesson itself.
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               group:
+ *                 type: integer
+ *               subject_id:
+ *                 type: string
+ *                 format: uuid
+ *               teacher_id:
+ *                 type: string
+ *                 format: uuid
+ *               room_id:
+ *                 type: string
+ *                 format: uuid
+ *               weekday:
+ *                 type: integer
+ *               starts_at:
+ *                 type: string
+ *               ends_at:
+ *                 type: string
+ *               term:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lesson updated
+ *       400:
+ *         description: Validation error, unknown subject, teacher or room, or end time not after the start time
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Lesson not found
+ *       409:
+ *         description: Room, teacher or group already booked; `conflicts` lists the clashing lessons
+ *       500:
+ *         description: Server error
+ */
+router.patch('/lessons/:id', requirePermission('timetable:manage'), validateUpdateLesson, async (req, res) => {
+  try {
+    const lesson = await Lesson.findByPk(req.params.id);
+    if (!lesson) {
+      return notFound(res, req.params.id);
+    }
+
+    const next = { id: lesson.id };
+    for (const field of LESSON_FIELDS) {
+      next[field] = req.body[field] !== undefined ? req.body[field] : lesson[field];
+    }
+    // Only one of the times may have been sent, so the order is checked on the merged values
+    if (hhmm(next.starts_at) >= hhmm(next.ends_at)) {
+      return badRequest(res, 'End time must be after the start time');
+    }
+
+    if (['subject_id', 'teacher_id', 'room_id'].some(field => req.body[field] !== undefined)) {
+      const targets = await checkLessonTargets({ subjectId: next.subject_id, teacherId: next.teacher_id, roomId: next.room_id });
+      if (targets.error) {
+        return badRequest(res, targets.error);
+      }
+    }
+
+    const previous = {};
+    const { conflicts } = await bookLesson(next, (transaction) => {
+      for (const field of LESSON_FIELDS) {
+        previous[field] = lesson[field];
+        lesson[field] = next[field];
+      }
+      return lesson.save({ transaction });
+    });
+    if (conflicts) {
+      return conflictResponse(res, conflicts);
+    }
+
+    logger.info(`Lesson updated: ${lesson.id}`, { previous, requestedBy: req.user.email });
+
+    const updated = await findLesson(lesson.id);
+    res.status(200).json({
+      success: true,
+      message: 'Lesson updated successfully',
+      lesson: updated.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating lesson', { error: error.message, stack: error.stack, lessonId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/lessons/{id}:
+ *   delete:
+ *     summary: Remove a lesson from the timetable (requires timetable:manage)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lesson deleted
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Lesson not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/lessons/:id', requirePermission('timetable:manage'), validateLessonId, async (req, res) => {
+  try {
+    const lesson = await Lesson.findByPk(req.params.id);
+    if (!lesson) {
+      return notFound(res, req.params.id);
+    }
+
+    const lessonData = lesson.toJSON();
+    await lesson.destroy();
+
+    logger.info(`Lesson deleted: ${lessonData.id}`, { group: lessonData.group, subjectId: lessonData.subject_id, roomId: lessonData.room_id, term: lessonData.term, requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson deleted successfully',
+      lesson: lessonData,
+    });
+  } catch (error) {
+    logger.error('Error deleting lesson', { error: error.message, stack: error.stack, lessonId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/groups/{group}:
+ *   get:
+ *     summary: Weekly timetable of a group
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *         description: Only lessons of this term
+ *     responses:
+ *       200:
+ *         description: Lessons by weekday and start time, grouped into `days`
+ *       500:
+ *         description: Server error
+ */
+router.get('/groups/:group', validateGroupTimetable, async (req, res) => {
+  try {
+    const group = parseInt(req.params.group, 10);
+    const timetable = await buildTimetable({ group }, req.query.term);
+
+    res.status(200).json({
+      success: true,
+      group,
+      term: req.query.term || null,
+      ...timetable,
+    });
+  } catch (error) {
+    logger.error('Error building group timetable', { error: error.message, stack: error.stack, group: req.params.group, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/teachers/{id}:
+ *   get:
+ *     summary: Weekly timetable of a teacher
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lessons by weekday and start time, grouped into `days`
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/teachers/:id', validateTimetable, async (req, res) => {
+  try {
+    const teacher = await User.findByPk(req.params.id);
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        error: `User with id ${req.params.id} not found`,
+      });
+    }
+    const timetable = await buildTimetable({ teacher_id: teacher.id }, req.query.term);
+
+    res.status(200).json({
+      success: true,
+      teacher: { id: teacher.id, name: teacher.name, surname: teacher.surname, email: teacher.email },
+      term: req.query.term || null,
+      ...timetable,
+    });
+  } catch (error) {
+    logger.error('Error building teacher timetable', { error: error.message, stack: error.stack, teacherId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/timetable/rooms/{id}:
+ *   get:
+ *     summary: Weekly timetable of a room
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lessons by weekday and start time, grouped into `days`
+ *       404:
+ *         description: Room not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/rooms/:id', validateTimetable, async (req, res) => {
+  try {
+    const room = await Room.findByPk(req.params.id);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: `Room with id ${req.params.id} not found`,
+      });
+    }
+    const timetable = await buildTimetable({ room_id: room.id }, req.query.term);
+
+    res.status(200).json({
+      success: true,
+      room: room.toJSON(),
+      term: req.query.term || null,
+      ...timetable,
+    });
+  } catch (error) {
+    logger.error('Error building room timetable', { error: error.message, stack: error.stack, roomId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
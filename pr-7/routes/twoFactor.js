@@ -0,0 +1,446 @@
+const express = require('express');
+const { User, Role } = require('../models');
+const { authenticate, requireUser, forbidImpersonation, verifyMfaToken } = require('../middleware/auth');
+const {
+  validateTwoFactorCode,
+  validateTwoFactorEnrollment,
+  validateTwoFactorEnable,
+  validateTwoFactorVerify,
+} = require('../middleware/validation');
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  generateRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+} = require('../services/twoFactorService');
+const { getLoginThrottle } = require('../services/loginThrottle');
+const { buildLoginResponse } = require('../services/loginService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const invalidMfaToken = res => res.status(401).json({
+  success: false,
+  error: 'Invalid or expired MFA token.',
+});
+
+// Enrollment works with a normal access token, or with the mfa_pending token that login hands out
+// to users who must set up 2FA before they can log in
+const authenticateForEnrollment = (req, res, next) => {
+  if (!req.body?.mfa_token) {
+    return authenticate(req, res, next);
+  }
+
+  const decoded = verifyMfaToken(req.body.mfa_token);
+  if (!decoded || !decoded.enrollment) {
+    return invalidMfaToken(res);
+  }
+  req.user = { id: decoded.id, email: decoded.email };
+  req.mfaPending = decoded;
+  next();
+};
+
+// Load the user who is finishing a login; null if the account can no longer log in
+const findLoginUser = async (id) => {
+  const user = await User.findByPk(id, { include: [{ model: Role, as: 'role' }] });
+  return user && user.is_active !== false ? user : null;
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor status of the current user
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required and how many recovery codes are left
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, requireUser, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      two_factor: {
+        ...status,
+        required: isTwoFactorRequired(req.user.role),
+      },
+    });
+  } catch (error) {
+    logger.error('Error retrieving two-factor status', { error: error.message, stack: error.stack, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment
+ *     description: >
+ *       Returns a new TOTP secret and an otpauth URI for authenticator apps. The secret is
+ *       used only after it has been confirmed with POST /api/auth/2fa/enable. Users who must
+ *       enroll during login send the mfa_token from the login response instead of a bearer token.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       400:
+ *         description: 2FA is already enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/setup', validateTwoFactorEnrollment, authenticateForEnrollment, requireUser, forbidImpersonation, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return invalidMfaToken(res);
+    }
+
+    const result = await startEnrollment(user);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    logger.info(`Two-factor enrollment started: ${user.email}`, { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the otpauth URI with an authenticator app, then confirm with a code',
+      secret: result.secret,
+      otpauth_uri: result.otpauthUri,
+    });
+  } catch (error) {
+    logger.error('Error starting two-factor enrollment', { error: error.message, stack: error.stack, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrollment with a code from the authenticator app
+ *     description: >
+ *       Returns one-time recovery codes, which are shown only once. When called with an
+ *       mfa_token the login is completed and access and refresh tokens are returned as well.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/enable', validateTwoFactorEnable, authenticateForEnrollment, requireUser, forbidImpersonation, async (req, res) => {
+  try {
+    const result = await confirmEnrollment(req.user.id, req.body.code);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    logger.info(`Two-factor authentication enabled: ${req.user.email}`, { userId: req.user.id });
+
+    if (!req.mfaPending) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recovery_codes: result.recoveryCodes,
+      });
+    }
+
+    const user = await findLoginUser(req.user.id);
+    if (!user) {
+      return invalidMfaToken(res);
+    }
+    await getLoginThrottle().registerSuccess({ email: user.email });
+
+    logger.info(`User logged in successfully: ${user.email}`, { userId: user.id, role: user.role.role_name });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Login successful',
+      recovery_codes: result.recoveryCodes,
+      ...await buildLoginResponse(user, req),
+    });
+  } catch (error) {
+    logger.error('Error enabling two-factor authentication', { error: error.message, stack: error.stack, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish a login with a TOTP code or a recovery code
+ *     tags: [Two-Factor Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recovery_code:
+ *                 type: string
+ *                 example: 'a1b2c-3d4e5'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or MFA token. Carries a Retry-After header once further attempts are delayed.
+ *       429:
+ *         description: Too many failed attempts. See the Retry-After header.
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify', validateTwoFactorVerify, async (req, res) => {
+  try {
+    const decoded = verifyMfaToken(req.body.mfa_token);
+    if (!decoded || decoded.enrollment) {
+      return invalidMfaToken(res);
+    }
+
+    // Wrong codes count towards the same limits as wrong passwords
+    const throttle = getLoginThrottle();
+    const identity = { email: decoded.email, ip: req.ip };
+    const status = await throttle.check(identity);
+    if (!status.allowed) {
+      logger.warn(`Throttled two-factor attempt for email: ${decoded.email}`, { ip: req.ip, retryAfter: status.retryAfter });
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        retry_after: status.retryAfter,
+      });
+    }
+
+    const user = await findLoginUser(decoded.id);
+    if (!user) {
+      return invalidMfaToken(res);
+    }
+
+    const result = await verifySecondFactor(user.id, {
+      code: req.body.code,
+      recoveryCode: req.body.recovery_code,
+    });
+    if (result.error) {
+      logger.warn(`Invalid two-factor code for email: ${user.email}`, { userId: user.id, ip: req.ip });
+      const { retryAfter } = await throttle.registerFailure(identity);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    await throttle.registerSuccess(identity);
+
+    logger.info(`User logged in successfully: ${user.email}`, { userId: user.id, role: user.role.role_name, secondFactor: result.method });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      ...await buildLoginResponse(user, req),
+    });
+  } catch (error) {
+    logger.error('Two-factor verification error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     description: Requires a current TOTP code. The previous recovery codes stop working.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/recovery-codes', authenticate, requireUser, forbidImpersonation, validateTwoFactorCode, async (req, res) => {
+  try {
+    const result = await verifySecondFactor(req.user.id, { code: req.body.code });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    logger.info(`Recovery codes regenerated: ${req.user.email}`, { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    logger.error('Error regenerating recovery codes', { error: error.message, stack: error.stack, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off 2FA for the current user
+ *     description: Requires a current TOTP code. Not allowed for roles where 2FA is mandatory.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       403:
+ *         description: 2FA is mandatory for the user's role
+ *       500:
+ *         description: Server error
+ */
+router.post('/disable', authenticate, requireUser, forbidImpersonation, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for your role',
+      });
+    }
+
+    const result = await verifySecondFactor(req.user.id, { code: req.body.code });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    logger.info(`Two-factor authentication disabled: ${req.user.email}`, { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    logger.error('Error disabling two-factor authentication', { error: error.message, stack: error.stack, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,781 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Role, Student, RefreshToken, RevokedToken, OneTimeToken, Session, TeacherSubject, Lesson } = require('../models');
+const { authenticate, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const {
+  validateUserId,
+  validateUnlockIp,
+  validateListUsers,
+  validateUpdateUser,
+  validateChangeRole,
+} = require('../middleware/validation');
+const { revokeAllForUser } = require('../services/tokenService');
+const { listActiveSessions } = require('../services/sessionService');
+const { getLoginThrottle } = require('../services/loginThrottle');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// The password hash never leaves the server
+const USER_ATTRIBUTES = { exclude: ['password'] };
+const ROLE_INCLUDE = { model: Role, as: 'role', attributes: ['id', 'role_name'] };
+
+const findUser = (id) => User.findByPk(id, {
+  attributes: USER_ATTRIBUTES,
+  include: [ROLE_INCLUDE],
+});
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `User with id ${id} not found`,
+});
+
+// Admins must not lock themselves out
+const rejectSelf = (req, res, action) => {
+  if (req.params.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      error: `You cannot ${action} your own account`,
+    });
+    return true;
+  }
+  return false;
+};
+
+router.use(authenticate, forbidImpersonation, requirePermission('users:manage'));
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role name
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on name, surname or email
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateListUsers, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { role, active, search } = req.query;
+
+    const where = {};
+    if (active !== undefined) {
+      where.is_active = active === 'true' || active === true;
+    }
+    if (search) {
+      where[Op.or] = ['name', 'surname', 'email'].map(field => ({
+        [field]: { [Op.iLike]: `%${search}%` },
+      }));
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: USER_ATTRIBUTES,
+      include: [role ? { ...ROLE_INCLUDE, where: { role_name: role } } : ROLE_INCLUDE],
+      order: [['surname', 'ASC'], ['name', 'ASC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    logger.debug(`Retrieved ${rows.length} users`, { requestedBy: req.user.email, page });
+
+    res.status(200).json({
+      success: true,
+      page,
+      limit,
+      total: count,
+      count: rows.length,
+      users: rows.map(user => user.toJSON()),
+    });
+  } catch (error) {
+    logger.error('Error retrieving users', { error: error.message, stack: error.stack, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error retrieving user', { error: error.message, stack: error.stack, userId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Update user details (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Validation error or email already in use
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', validateUpdateUser, async (req, res) => {
+  try {
+    const { name, surname, email } = req.body;
+
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    if (email !== undefined && email !== user.email) {
+      const existingUser = await User.findOne({ where: { email } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          error: 'User with this email already exists',
+        });
+      }
+      user.email = email;
+    }
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (surname !== undefined) {
+      user.surname = surname;
+    }
+    await user.save();
+
+    logger.info(`User updated: ${user.id}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error updating user', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user (requires users:manage)
+ *     description: The user can no longer log in and all of their tokens are revoked immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: Cannot deactivate yourself
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/deactivate', validateUserId, async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'deactivate')) {
+      return;
+    }
+
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    user.is_active = false;
+    await user.save();
+    await revokeAllForUser(user.id);
+
+    logger.info(`User deactivated: ${user.id}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error deactivating user', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/activate:
+ *   post:
+ *     summary: Reactivate a deactivated user (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User activated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/activate', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    user.is_active = true;
+    await user.save();
+
+    logger.info(`User activated: ${user.id}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'User activated successfully',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error activating user', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and lift a login lockout (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/unlock', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    await getLoginThrottle().unlockAccount(user.email);
+
+    logger.info(`User login unlocked: ${user.id}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error unlocking user', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/unlock-ip:
+ *   post:
+ *     summary: Clear failed login attempts and lift a login lockout of an IP address (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ip
+ *             properties:
+ *               ip:
+ *                 type: string
+ *                 description: The client address as it appears in the logs
+ *                 example: 203.0.113.7
+ *     responses:
+ *       200:
+ *         description: IP address unlocked
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Server error
+ */
+router.post('/unlock-ip', validateUnlockIp, async (req, res) => {
+  try {
+    const { ip } = req.body;
+
+    await getLoginThrottle().unlockIp(ip);
+
+    logger.info(`IP login unlocked: ${ip}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'IP address unlocked successfully',
+      ip,
+    });
+  } catch (error) {
+    logger.error('Error unlocking IP address', { error: error.message, stack: error.stack, ip: req.body?.ip, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/sessions', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    const sessions = await listActiveSessions(user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions,
+    });
+  } catch (error) {
+    logger.error('Error listing user sessions', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out everywhere (requires users:manage)
+ *     description: Ends all of the user's sessions and revokes every token issued so far. The account stays active.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User signed out everywhere
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/sessions', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    await revokeAllForUser(user.id);
+
+    logger.info(`User signed out everywhere: ${user.id}`, { requestedBy: req.user.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'User signed out of all sessions',
+    });
+  } catch (error) {
+    logger.error('Error revoking user sessions', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (requires users:manage)
+ *     description: >
+ *       Removes the TOTP secret and recovery codes, e.g. after the user lost their device.
+ *       Users whose role requires 2FA have to enroll again at their next login.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/2fa', validateUserId, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    const removed = await disableTwoFactor(user.id);
+
+    logger.info(`Two-factor authentication reset: ${user.id}`, { requestedBy: req.user.email, wasEnrolled: removed });
+
+    res.status(200).json({
+      success: true,
+      message: removed
+        ? 'Two-factor authentication reset successfully'
+        : 'User had no two-factor authentication set up',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error resetting two-factor authentication', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (requires users:manage)
+ *     description: Existing tokens of the user are revoked so the new role takes effect immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: teacher
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Validation error, unknown role or own account
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/role', validateChangeRole, async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'change the role of')) {
+      return;
+    }
+
+    const role = await Role.findOne({ where: { role_name: req.body.role } });
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        error: `Role '${req.body.role}' not found`,
+      });
+    }
+
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    const previousRole = user.role?.role_name;
+    user.role_id = role.id;
+    await user.save();
+    await revokeAllForUser(user.id);
+    await user.reload({ attributes: USER_ATTRIBUTES, include: [ROLE_INCLUDE] });
+
+    logger.info(`User role changed: ${user.id}`, { requestedBy: req.user.email, from: previousRole, to: role.role_name });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role changed successfully',
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Error changing user role', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user (requires users:manage)
+ *     description: >
+ *       Users that still have a student record or teach scheduled lessons must have those deleted
+ *       or reassigned first, or be deactivated instead.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Cannot delete yourself
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User still has a student record or scheduled lessons
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', validateUserId, async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'delete')) {
+      return;
+    }
+
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return notFound(res, req.params.id);
+    }
+
+    const student = await Student.findOne({ where: { user_id: user.id } });
+    if (student) {
+      return res.status(409).json({
+        success: false,
+        error: 'User has a student record. Delete the student first or deactivate the user instead.',
+      });
+    }
+
+    const lessonCount = await Lesson.count({ where: { teacher_id: user.id } });
+    if (lessonCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `User teaches ${lessonCount} scheduled lesson(s). Reassign or delete them first or deactivate the user instead.`,
+      });
+    }
+
+    const userData = user.toJSON();
+    await sequelize.transaction(async (transaction) => {
+      const where = { user_id: user.id };
+      await RefreshToken.destroy({ where, transaction });
+      await RevokedToken.destroy({ where, transaction });
+      await OneTimeToken.destroy({ where, transaction });
+      await Session.destroy({ where, transaction });
+      await TeacherSubject.destroy({ where: { teacher_id: user.id }, transaction });
+      await disableTwoFactor(user.id, transaction);
+      await user.destroy({ transaction });
+    });
+
+    logger.info(`User deleted: ${userData.id}`, { requestedBy: req.user.email, email: userData.email });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      user: userData,
+    });
+  } catch (error) {
+    logger.error('Error deleting user', { error: error.message, stack: error.stack, userId: req.params.id, requestedBy: req.user?.email });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
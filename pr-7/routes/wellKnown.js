@@ -0,0 +1,37 @@
+const express = require('express');
+const { getKeyStore } = require('../services/keyStore');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying access tokens
+ *     description: >
+ *       JSON Web Key Set with every key that signs or recently signed access tokens; match a token's
+ *       `kid` header against it. Empty while tokens are signed with the shared HS256 secret.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *       500:
+ *         description: Server error
+ */
+router.get('/jwks.json', (req, res) => {
+  try {
+    // Short cache so verifiers pick up a new key soon after rotation
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getKeyStore().jwks());
+  } catch (error) {
+    logger.error('Error serving JWKS', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
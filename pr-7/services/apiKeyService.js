@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { hashToken } = require('../utils/tokenHash');
+
+const KEY_PREFIX = 'sk';
+// last_used_at is written at most once per interval so busy scripts do not cause a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Create a key; the raw key is returned here only and never stored
+const createApiKey = async ({ name, scopes, expiresAt = null, createdBy = null }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await ApiKey.create({
+    name,
+    prefix,
+    key_hash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expires_at: expiresAt,
+    created_by: createdBy,
+  });
+
+  return { key, record };
+};
+
+// Resolve a raw key to its record. Returns { error } for unknown, revoked or expired keys.
+const verifyApiKey = async (key) => {
+  const record = await ApiKey.findOne({ where: { key_hash: hashToken(key) } });
+  if (!record) {
+    return { error: 'Invalid API key.' };
+  }
+  if (record.revoked_at) {
+    return { error: 'API key has been revoked.' };
+  }
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+    return { error: 'API key has expired.' };
+  }
+
+  const now = new Date();
+  if (!record.last_used_at || now - new Date(record.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+    await ApiKey.update({ last_used_at: now }, { where: { id: record.id } });
+    record.last_used_at = now;
+  }
+
+  return { apiKey: record };
+};
+
+// Revoked keys are kept (with revoked_at set) so that past requests stay attributable
+const revokeApiKey = async (id) => {
+  const [updated] = await ApiKey.update(
+    { revoked_at: new Date() },
+    { where: { id, revoked_at: null } }
+  );
+  return updated > 0;
+};
+
+// Label used as req.user.email for key requests, so log metadata names the service account
+const serviceAccountLabel = apiKey => `service-account:${apiKey.name}`;
+
+module.exports = {
+  createApiKey,
+  verifyApiKey,
+  revokeApiKey,
+  serviceAccountLabel,
+};
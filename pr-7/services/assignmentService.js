@@ -0,0 +1,103 @@
+const { Op } = require('sequelize');
+const { TeacherSubject, User, Role, Subject } = require('../models');
+const { getRolePermissions } = require('./permissionService');
+
+const TEACHER_INCLUDE = { model: User, as: 'teacher', attributes: ['id', 'name', 'surname', 'email'] };
+const SUBJECT_INCLUDE = { model: Subject, as: 'subject', attributes: ['id', 'subject_name'] };
+
+// Assignments, optionally filtered by teacher, subject or group
+const listAssignments = ({ teacherId, subjectId, group } = {}) => {
+  const where = {};
+  if (teacherId !== undefined) {
+    where.teacher_id = teacherId;
+  }
+  if (subjectId !== undefined) {
+    where.subject_id = subjectId;
+  }
+  if (group !== undefined) {
+    where.group = group;
+  }
+
+  return TeacherSubject.findAll({
+    where,
+    include: [TEACHER_INCLUDE, SUBJECT_INCLUDE],
+    order: [['created_at', 'ASC']],
+  });
+};
+
+// The teacher must be able to write grades and the subject must be open for grading.
+// An assignment for all groups (group null) and one for a single group never overlap.
+const checkAssignmentTargets = async ({ teacherId, subjectId, group = null }) => {
+  const teacher = await User.findByPk(teacherId, { include: [{ model: Role, as: 'role', attributes: ['id', 'role_name'] }] });
+  if (!teacher) {
+    return { status: 400, error: `User with id ${teacherId} not found` };
+  }
+  if (!teacher.role) {
+    return { status: 400, error: `User ${teacher.email} has no role` };
+  }
+  const permissions = await getRolePermissions(teacher.role.role_name);
+  if (!permissions.has('grades:write')) {
+    return { status: 400, error: `Role '${teacher.role.role_name}' cannot record grades` };
+  }
+  const subject = await Subject.findByPk(subjectId);
+  if (!subject) {
+    return { status: 400, error: `Subject with id ${subjectId} not found` };
+  }
+  if (subject.archived_at) {
+    return { status: 400, error: `Subject '${subject.subject_name}' is archived` };
+  }
+
+  const overlapping = await TeacherSubject.findOne({
+    where: {
+      teacher_id: teacherId,
+      subject_id: subjectId,
+      ...(group === null ? {} : { group: { [Op.or]: [null, group] } }),
+    },
+  });
+  if (overlapping) {
+    const target = `${teacher.email} already teaches '${subject.subject_name}'`;
+    if (overlapping.group === null) {
+      return { status: 409, error: `${target} to all groups` };
+    }
+    return {
+      status: 409,
+      error: group === null
+        ? `${target} to group ${overlapping.group}. Remove the group assignments first.`
+        : `${target} to group ${group}`,
+    };
+  }
+  return { teacher, subject };
+};
+
+// Whether `user` teaches a subject to a student group. Returns { error } when not;
+// `bypassPermission` skips the assignment check.
+const checkTeaching = async (user, { subject, group }, bypassPermission) => {
+  if ((user.permissions || []).includes(bypassPermission)) {
+    return {};
+  }
+
+  const assignment = await TeacherSubject.findOne({
+    where: {
+      teacher_id: user.id,
+      subject_id: subject.id,
+      group: { [Op.or]: [null, group] },
+    },
+  });
+  if (!assignment) {
+    return { error: `You are not assigned to teach '${subject.subject_name}' to group ${group}` };
+  }
+  return {};
+};
+
+// Whether `user` may record or change grades of the subject for the group
+const checkGradingAllowed = (user, target) => checkTeaching(user, target, 'grades:write_any');
+
+// Whether `user` may mark attendance of the subject for the group
+const checkAttendanceAllowed = (user, target) => checkTeaching(user, target, 'attendance:write_any');
+
+module.exports = {
+  listAssignments,
+  checkAssignmentTargets,
+  checkGradingAllowed,
+  checkAttendanceAllowed,
+};
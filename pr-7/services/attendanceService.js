@@ -0,0 +1,175 @@
+const { Op, fn, col } = require('sequelize');
+const { Attendance, Student, Subject } = require('../models');
+const attendanceConfig = require('../config/attendance');
+const { studentScopeWhere } = require('./studentScopeService');
+
+const STUDENT_INCLUDE = { model: Student, as: 'student', attributes: ['id', 'name', 'group', 'user_id'] };
+const SUBJECT_INCLUDE = { model: Subject, as: 'subject', attributes: ['id', 'subject_name'] };
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Sequelize condition on the attendance date for an optional from/to range (both inclusive)
+const dateCondition = (from, to) => {
+  const range = {};
+  if (from) {
+    range[Op.gte] = from;
+  }
+  if (to) {
+    range[Op.lte] = to;
+  }
+  return from || to ? range : null;
+};
+
+// Where clause of the attendance filters ({ studentId, subjectId, from, to })
+const buildWhere = ({ studentId, subjectId, from, to }) => {
+  const where = {};
+  if (studentId !== undefined) {
+    where.student_id = studentId;
+  }
+  if (subjectId !== undefined) {
+    where.subject_id = subjectId;
+  }
+  const date = dateCondition(from, to);
+  if (date) {
+    where.date = date;
+  }
+  return where;
+};
+
+// Student condition of the filters: the group and, when given, the caller's student scope
+const buildStudentWhere = ({ group, scope }) => {
+  const where = scope ? studentScopeWhere(scope) : {};
+  if (group !== undefined) {
+    where.group = group;
+  }
+  return where;
+};
+
+// Sessions per status with the absence rate, the percentage of sessions marked absent
+const summarize = (counts) => {
+  const summary = { sessions: 0 };
+  for (const status of attendanceConfig.statuses) {
+    summary[status] = 0;
+  }
+  for (const { status, count } of counts) {
+    summary[status] += count;
+    summary.sessions += count;
+  }
+  return {
+    ...summary,
+    absence_rate: summary.sessions > 0 ? round(100 * summary.absent / summary.sessions) : null,
+  };
+};
+
+// Records per `key` ('student_id' or 'subject_id') and status, counted in the database.
+// Returns a Map of key to [{ status, count }].
+const countByStatus = async (key, where, studentWhere = {}) => {
+  const rows = await Attendance.findAll({
+    attributes: [key, 'status', [fn('COUNT', col('Attendance.id')), 'count']],
+    where,
+    include: Reflect.ownKeys(studentWhere).length > 0
+      ? [{ model: Student, as: 'student', attributes: [], where: studentWhere }]
+      : [],
+    group: [`Attendance.${key}`, 'Attendance.status'],
+    raw: true,
+  });
+
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!byKey.has(row[key])) {
+      byKey.set(row[key], []);
+    }
+    byKey.get(row[key]).push({ status: row.status, count: Number(row.count) });
+  }
+  return byKey;
+};
+
+// Attendance summary of a student, overall and per subject (sorted by subject name).
+// Filters: subjectId, from, to.
+const studentSummary = async (studentId, { subjectId, from, to } = {}) => {
+  const bySubject = await countByStatus('subject_id', buildWhere({ studentId, subjectId, from, to }));
+  const subjects = bySubject.size > 0
+    ? await Subject.findAll({ where: { id: [...bySubject.keys()] }, attributes: ['id', 'subject_name'] })
+    : [];
+  const names = new Map(subjects.map(subject => [subject.id, subject.subject_name]));
+
+  return {
+    overall: summarize([...bySubject.values()].flat()),
+    subjects: [...bySubject.entries()]
+      .map(([id, counts]) => ({ subject_id: id, subject_name: names.get(id) || null, ...summarize(counts) }))
+      .sort((a, b) => String(a.subject_name).localeCompare(String(b.subject_name))),
+  };
+};
+
+// Students whose absence rate is above `threshold` percent, highest rate first.
+// Filters: group, subjectId, from, to, and `scope` (see studentScopeService).
+const absenceReport = async ({ group, subjectId, from, to, scope } = {}, threshold = attendanceConfig.absenceThreshold) => {
+  const byStudent = await countByStatus('student_id', buildWhere({ subjectId, from, to }), buildStudentWhere({ group, scope }));
+  const above = [...byStudent.entries()]
+    .map(([id, counts]) => ({ student_id: id, ...summarize(counts) }))
+    .filter(summary => summary.absence_rate > threshold);
+  if (above.length === 0) {
+    return [];
+  }
+
+  const students = await Student.findAll({
+    where: { id: above.map(summary => summary.student_id) },
+    attributes: ['id', 'name', 'group'],
+  });
+  const byId = new Map(students.map(student => [student.id, student]));
+  return above
+    .map(summary => ({
+      student_id: summary.student_id,
+      name: byId.get(summary.student_id)?.name ?? null,
+      group: byId.get(summary.student_id)?.group ?? null,
+      ...summary,
+    }))
+    .sort((a, b) => b.absence_rate - a.absence_rate || a.student_id - b.student_id);
+};
+
+// Records of one session (a subject on a date) for a group, by student name
+const listSession = ({ subjectId, group, date, scope }) => Attendance.findAll({
+  where: { subject_id: subjectId, date },
+  include: [{ ...STUDENT_INCLUDE, where: buildStudentWhere({ group, scope }) }],
+  order: [[{ model: Student, as: 'student' }, 'name', 'ASC']],
+});
+
+// Marks every student of `group` for a session of `subject` on `date`: `status` by default, or
+// the status and note given for a student in `records`. Marking a session again replaces its
+// records. Returns { error } when the group is empty or a record names a student outside it.
+const markSession = async ({ subject, group, date, status = 'present', records = [], user }) => {
+  const students = await Student.findAll({ where: { group }, attributes: ['id'] });
+  if (students.length === 0) {
+    return { error: `Group ${group} has no students` };
+  }
+  const inGroup = new Set(students.map(student => student.id));
+  const outsider = records.find(record => !inGroup.has(record.student_id));
+  if (outsider) {
+    return { error: `Student with id ${outsider.student_id} is not in group ${group}` };
+  }
+
+  const given = new Map(records.map(record => [record.student_id, record]));
+  const now = new Date();
+  await Attendance.bulkCreate(students.map(({ id }) => ({
+    student_id: id,
+    subject_id: subject.id,
+    date,
+    status: given.get(id)?.status || status,
+    note: given.get(id)?.note || null,
+    recorded_by: user.id,
+    updated_at: now,
+  })), { updateOnDuplicate: ['status', 'note', 'recorded_by', 'updated_at'] });
+
+  return { records: await listSession({ subjectId: subject.id, group, date }) };
+};
+
+const findAttendance = id => Attendance.findByPk(id, { include: [STUDENT_INCLUDE, SUBJECT_INCLUDE] });
+
+module.exports = {
+  summarize,
+  studentSummary,
+  absenceReport,
+  listSession,
+  markSession,
+  findAttendance,
+};
@@ -0,0 +1,60 @@
+const { User } = require('../models');
+const { PURPOSES, createOneTimeToken, consumeOneTimeToken } = require('./oneTimeTokenService');
+const { sendMail } = require('./mailService');
+const mailConfig = require('../config/mail');
+
+// 'required' - unverified accounts cannot log in or use their tokens
+// 'grace'    - unverified accounts work for EMAIL_VERIFICATION_GRACE_HOURS after registration
+// 'off'      - verification emails are still sent, but never enforced
+const VERIFICATION_MODES = ['required', 'grace', 'off'];
+const VERIFICATION_MODE = VERIFICATION_MODES.includes(process.env.EMAIL_VERIFICATION_MODE)
+  ? process.env.EMAIL_VERIFICATION_MODE
+  : 'required';
+const GRACE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_GRACE_HOURS, 10) || 24;
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const UNVERIFIED_ERROR = 'Email address has not been verified. Please check your inbox for the verification link.';
+
+// Returns an error message when the account may not be used because its email is unverified, otherwise null
+const getVerificationError = (user, mode = VERIFICATION_MODE) => {
+  if (mode === 'off' || user.email_verified_at) {
+    return null;
+  }
+  if (mode === 'grace' && user.created_at
+    && Date.now() - new Date(user.created_at).getTime() < GRACE_HOURS * 60 * 60 * 1000) {
+    return null;
+  }
+  return UNVERIFIED_ERROR;
+};
+
+const sendVerificationEmail = async (user) => {
+  const { token } = await createOneTimeToken(user.id, PURPOSES.EMAIL_VERIFICATION, VERIFICATION_TTL_HOURS * 60);
+  const verifyUrl = `${mailConfig.appUrl}/api/auth/verify?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below. It is valid for ${VERIFICATION_TTL_HOURS} hours.\n\n${verifyUrl}\n\nVerification token: ${token}`,
+    html: `<p>Please confirm your email address. The link is valid for ${VERIFICATION_TTL_HOURS} hours.</p><p><a href="${verifyUrl}">Verify email</a></p>`,
+  });
+};
+
+// Consume a verification token and mark the owner's email as verified
+const verifyEmail = async (token) => {
+  const result = await consumeOneTimeToken(token, PURPOSES.EMAIL_VERIFICATION);
+  if (result.error) {
+    return result;
+  }
+  await User.update(
+    { email_verified_at: new Date() },
+    { where: { id: result.userId, email_verified_at: null } }
+  );
+  return { userId: result.userId };
+};
+
+module.exports = {
+  VERIFICATION_MODE,
+  getVerificationError,
+  sendVerificationEmail,
+  verifyEmail,
+};
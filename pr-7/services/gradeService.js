@@ -0,0 +1,227 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Grade, GradeRevision, Student, Subject, AssessmentCategory } = require('../models');
+const { studentScopeWhere } = require('./studentScopeService');
+
+const SUBJECT_INCLUDE = { model: Subject, as: 'subject', attributes: ['id', 'subject_name', 'credits', 'grading_scale_id'] };
+const STUDENT_INCLUDE = { model: Student, as: 'student', attributes: ['id', 'name', 'group', 'user_id'] };
+const CATEGORY_INCLUDE = { model: AssessmentCategory, as: 'category', attributes: ['id', 'name', 'weight'] };
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bounds of an optional from/to range as dates. A plain date as `to` includes that whole day.
+const dateRangeBounds = (from, to) => ({
+  start: from ? new Date(from) : null,
+  end: to ? (DATE_ONLY.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to)) : null,
+});
+
+// Sequelize condition for a date column within an optional from/to range
+const dateCondition = (from, to) => {
+  const { start, end } = dateRangeBounds(from, to);
+  const range = {};
+  if (start) {
+    range[Op.gte] = start;
+  }
+  if (end) {
+    range[Op.lte] = end;
+  }
+  return start || end ? range : null;
+};
+
+// Grades of a student or a subject, newest first. Filters: subjectId, group, from, to.
+// `scope` (see studentScopeService) limits the result to students the caller may see.
+const listGrades = async ({ studentId, subjectId, group, from, to, scope } = {}) => {
+  const where = {};
+  if (studentId !== undefined) {
+    where.student_id = studentId;
+  }
+  if (subjectId !== undefined) {
+    where.subject_id = subjectId;
+  }
+  const evaluatedAt = dateCondition(from, to);
+  if (evaluatedAt) {
+    where.evaluated_at = evaluatedAt;
+  }
+  const studentWhere = scope ? studentScopeWhere(scope) : {};
+  if (group !== undefined) {
+    studentWhere.group = group;
+  }
+
+  return Grade.findAll({
+    where,
+    include: [
+      SUBJECT_INCLUDE,
+      CATEGORY_INCLUDE,
+      Reflect.ownKeys(studentWhere).length > 0 ? { ...STUDENT_INCLUDE, where: studentWhere } : STUDENT_INCLUDE,
+    ],
+    order: [['evaluated_at', 'DESC']],
+  });
+};
+
+const findGrade = (id) => Grade.findByPk(id, { include: [SUBJECT_INCLUDE, CATEGORY_INCLUDE, STUDENT_INCLUDE] });
+
+// Grades of a subject with assessment categories must name one of its categories
+const checkGradeCategory = async (subject, categoryId) => {
+  const categories = await AssessmentCategory.findAll({
+    where: { subject_id: subject.id },
+    order: [['name', 'ASC']],
+  });
+  if (categoryId === undefined || categoryId === null) {
+    if (categories.length > 0) {
+      return { error: `Subject '${subject.subject_name}' requires a category: ${categories.map(category => category.name).join(', ')}` };
+    }
+    return { category: null };
+  }
+  const category = categories.find(candidate => candidate.id === categoryId);
+  if (!category) {
+    return { error: `Category with id ${categoryId} not found in '${subject.subject_name}'` };
+  }
+  return { category };
+};
+
+// The student and subject a new grade refers to must exist, archived subjects take no new grades,
+// and the category must belong to the subject
+const checkGradeTargets = async ({ studentId, subjectId, categoryId }) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    return { error: `Student with id ${studentId} not found` };
+  }
+  const subject = await Subject.findByPk(subjectId);
+  if (!subject) {
+    return { error: `Subject with id ${subjectId} not found` };
+  }
+  if (subject.archived_at) {
+    return { error: `Subject '${subject.subject_name}' is archived` };
+  }
+  const { category, error } = await checkGradeCategory(subject, categoryId);
+  if (error) {
+    return { error };
+  }
+  return { student, subject, category };
+};
+
+// Who made a change, as recorded on revisions
+const editorOf = user => ({
+  editor_id: user.id,
+  editor: user.email,
+  impersonated_by: user.impersonator ? user.impersonator.email : null,
+});
+
+// Applies `changes` ({ grade, evaluated_at, category_id, title }) and records the revision in the
+// same transaction. Returns the revision, or null when nothing actually changed.
+const amendGrade = async (grade, changes, { reason, user }) => {
+  const next = {
+    grade: changes.grade !== undefined ? changes.grade : grade.grade,
+    evaluated_at: changes.evaluated_at !== undefined ? new Date(changes.evaluated_at) : grade.evaluated_at,
+    category_id: changes.category_id !== undefined ? changes.category_id : grade.category_id,
+    title: changes.title !== undefined ? changes.title || null : grade.title,
+  };
+  if (next.grade === grade.grade
+    && new Date(next.evaluated_at).getTime() === new Date(grade.evaluated_at).getTime()
+    && next.category_id === grade.category_id
+    && next.title === grade.title) {
+    return null;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const revision = await GradeRevision.create({
+      grade_id: grade.id,
+      student_id: grade.student_id,
+      subject_id: grade.subject_id,
+      action: 'update',
+      old_grade: grade.grade,
+      new_grade: next.grade,
+      old_evaluated_at: grade.evaluated_at,
+      new_evaluated_at: next.evaluated_at,
+      old_category_id: grade.category_id,
+      new_category_id: next.category_id,
+      old_title: grade.title,
+      new_title: next.title,
+      reason,
+      ...editorOf(user),
+    }, { transaction });
+
+    grade.grade = next.grade;
+    grade.evaluated_at = next.evaluated_at;
+    grade.category_id = next.category_id;
+    grade.title = next.title;
+    await grade.save({ transaction });
+    return revision;
+  });
+};
+
+// Revision recording the deletion of a grade with its last values
+const deletionRevision = (grade, { reason, user }) => ({
+  grade_id: grade.id,
+  student_id: grade.student_id,
+  subject_id: grade.subject_id,
+  action: 'delete',
+  old_grade: grade.grade,
+  new_grade: null,
+  old_evaluated_at: grade.evaluated_at,
+  new_evaluated_at: null,
+  old_category_id: grade.category_id,
+  new_category_id: null,
+  old_title: grade.title,
+  new_title: null,
+  reason,
+  ...editorOf(user),
+});
+
+// Deletes a grade; the revision keeps its last values
+const deleteGrade = async (grade, { reason, user }) => {
+  return sequelize.transaction(async (transaction) => {
+    const revision = await GradeRevision.create(deletionRevision(grade, { reason, user }), { transaction });
+
+    await grade.destroy({ transaction });
+    return revision;
+  });
+};
+
+// Deletes every grade of a subject inside the caller's transaction, recording a deletion revision
+// for each. Returns the number of grades deleted.
+const deleteSubjectGrades = async (subjectId, { reason, user }, transaction) => {
+  const grades = await Grade.findAll({ where: { subject_id: subjectId }, transaction });
+  if (grades.length === 0) {
+    return 0;
+  }
+  await GradeRevision.bulkCreate(grades.map(grade => deletionRevision(grade, { reason, user })), { transaction });
+  await Grade.destroy({ where: { subject_id: subjectId }, transaction });
+  return grades.length;
+};
+
+// Revisions of one grade, oldest first
+const listRevisions = (gradeId) => GradeRevision.findAll({
+  where: { grade_id: gradeId },
+  order: [['created_at', 'ASC']],
+});
+
+// All amendments made in an optional date range, newest first, for review
+const listAmendments = async ({ from, to, page = 1, limit = 50 } = {}) => {
+  const where = {};
+  const createdAt = dateCondition(from, to);
+  if (createdAt) {
+    where.created_at = createdAt;
+  }
+
+  return GradeRevision.findAndCountAll({
+    where,
+    include: [{ model: Subject, as: 'subject', attributes: ['id', 'subject_name'] }],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+  });
+};
+
+module.exports = {
+  dateRangeBounds,
+  listGrades,
+  findGrade,
+  checkGradeCategory,
+  checkGradeTargets,
+  amendGrade,
+  deleteGrade,
+  deleteSubjectGrades,
+  listRevisions,
+  listAmendments,
+};
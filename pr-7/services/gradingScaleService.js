@@ -0,0 +1,46 @@
+const { GradingScale } = require('../models');
+const { convertGrade } = require('../utils/gradingScale');
+
+// `?scale=default` converts each grade with its subject's scale, or the global default scale
+const DEFAULT_SELECTION = 'default';
+
+// Scale chosen with `?scale=`: a scale name or 'default'. Returns { error } for an unknown name,
+// otherwise { scaleFor(subject) }, which gives null when no scale applies to the subject.
+const selectScale = async (selection) => {
+  if (selection === DEFAULT_SELECTION) {
+    const scales = await GradingScale.findAll();
+    const byId = new Map(scales.map(scale => [scale.id, scale]));
+    const fallback = scales.find(scale => scale.is_default) || null;
+    return { scaleFor: subject => (subject && byId.get(subject.grading_scale_id)) || fallback };
+  }
+
+  const scale = await GradingScale.findOne({ where: { name: selection } });
+  if (!scale) {
+    return { error: `Grading scale '${selection}' not found` };
+  }
+  return { scaleFor: () => scale };
+};
+
+// Grades (with their subject included) as JSON. With a scale selection each grade also carries
+// `converted`: { scale, label, points }, or null when no scale applies.
+const gradesToJSON = async (grades, selection) => {
+  if (selection === undefined) {
+    return { grades: grades.map(grade => grade.toJSON()) };
+  }
+  const { scaleFor, error } = await selectScale(selection);
+  if (error) {
+    return { error };
+  }
+  return {
+    grades: grades.map((grade) => {
+      const scale = scaleFor(grade.subject);
+      return { ...grade.toJSON(), converted: scale ? convertGrade(grade.grade, scale) : null };
+    }),
+  };
+};
+
+module.exports = {
+  DEFAULT_SELECTION,
+  selectScale,
+  gradesToJSON,
+};
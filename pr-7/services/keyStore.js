@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwtConfig = require('../config/jwt');
+
+const algorithmFor = (keyObject) => {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`Unsupported signing key type: ${keyObject.asymmetricKeyType}. Use RSA or EC P-256 keys.`);
+};
+
+// PEM text of a private key (signs and verifies) or of a public key (only verifies)
+const parseKey = (kid, pem) => {
+  let privateKey = null;
+  let publicKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } catch (error) {
+    publicKey = crypto.createPublicKey(pem);
+  }
+  return { kid, algorithm: algorithmFor(publicKey), signingKey: privateKey, verificationKey: publicKey };
+};
+
+// Keys that sign and verify JWTs. Tokens name their key in the `kid` header, and each key only
+// accepts its own algorithm, so an HS256 token can never be checked against a public key.
+class KeyStore {
+  constructor(keys, activeKid) {
+    this.keys = new Map(keys.map(key => [key.kid, key]));
+    this.activeKey = this.keys.get(activeKid);
+    if (!this.activeKey || !this.activeKey.signingKey) {
+      throw new Error(`Signing key '${activeKid}' not found or has no private key`);
+    }
+  }
+
+  // Symmetric store: a single unnamed HS256 key
+  static fromSecret(secret) {
+    return new KeyStore([{ kid: null, algorithm: 'HS256', signingKey: secret, verificationKey: secret }], null);
+  }
+
+  // keys: [{ kid, pem }]. Without activeKid the last private key signs.
+  static fromPem(keys, activeKid = null) {
+    const parsed = keys.map(({ kid, pem }) => parseKey(kid, pem));
+    if (parsed.length === 0) {
+      throw new Error('No signing keys found');
+    }
+    const signing = parsed.filter(key => key.signingKey);
+    return new KeyStore(parsed, activeKid || (signing.length ? signing[signing.length - 1].kid : null));
+  }
+
+  static fromDirectory(dir, activeKid = null) {
+    const keys = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.pem'))
+      .sort()
+      .map(file => ({ kid: path.basename(file, '.pem'), pem: fs.readFileSync(path.join(dir, file), 'utf8') }));
+    if (keys.length === 0) {
+      throw new Error(`No *.pem signing keys found in ${dir}`);
+    }
+    return KeyStore.fromPem(keys, activeKid);
+  }
+
+  get symmetric() {
+    return this.activeKey.algorithm === 'HS256';
+  }
+
+  sign(payload, options = {}) {
+    const { kid, algorithm, signingKey } = this.activeKey;
+    const signOptions = { ...options, algorithm };
+    if (kid) {
+      signOptions.keyid = kid;
+    }
+    return jwt.sign(payload, signingKey, signOptions);
+  }
+
+  // Throws like jwt.verify when the token is invalid, expired or signed with an unknown key
+  verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.keys.get(decoded.header.kid ?? null);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+    return jwt.verify(token, key.verificationKey, { ...options, algorithms: [key.algorithm] });
+  }
+
+  // Public keys as a JSON Web Key Set. Empty for HS256, whose secret must never be published.
+  jwks() {
+    const keys = [...this.keys.values()]
+      .filter(key => key.algorithm !== 'HS256')
+      .map(key => ({
+        ...key.verificationKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig',
+      }));
+    return { keys };
+  }
+}
+
+const createKeyStore = (config = jwtConfig) => {
+  if (config.keysDir) {
+    return KeyStore.fromDirectory(config.keysDir, config.activeKid);
+  }
+  return KeyStore.fromSecret(config.secret);
+};
+
+let keyStore = null;
+
+const getKeyStore = () => {
+  if (!keyStore) {
+    keyStore = createKeyStore();
+  }
+  return keyStore;
+};
+
+// Replace the active key store (e.g. with generated keys in tests)
+const setKeyStore = (newKeyStore) => {
+  keyStore = newKeyStore;
+};
+
+module.exports = {
+  KeyStore,
+  createKeyStore,
+  getKeyStore,
+  setKeyStore,
+};
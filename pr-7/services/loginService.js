@@ -0,0 +1,60 @@
+const { generateToken, generateMfaToken } = require('../middleware/auth');
+const { issueRefreshToken } = require('./tokenService');
+const { createSession, requestContext } = require('./sessionService');
+const { isTwoFactorRequired, isTwoFactorEnabled } = require('./twoFactorService');
+
+// After the first factor (password or OIDC) succeeded: returns the response body that asks for the
+// second factor, or null when the login can be completed right away. The login is then finished by
+// POST /api/auth/2fa/verify, or POST /api/auth/2fa/enable for users who still have to enroll.
+const getTwoFactorChallenge = async (user) => {
+  const twoFactorEnabled = await isTwoFactorEnabled(user.id);
+  if (!twoFactorEnabled && !isTwoFactorRequired(user.role.role_name)) {
+    return null;
+  }
+
+  return {
+    message: twoFactorEnabled
+      ? 'Two-factor code required'
+      : 'Two-factor authentication must be set up before logging in',
+    mfa_required: true,
+    mfa_enrollment_required: !twoFactorEnabled,
+    mfa_token: generateMfaToken(user, { enrollment: !twoFactorEnabled }),
+  };
+};
+
+// Record a session for the device behind `req` and issue its first access and refresh token.
+// `user` must be loaded with its role.
+const startSession = async (user, req) => {
+  const session = await createSession(user.id, requestContext(req));
+  const token = generateToken({
+    id: user.id,
+    email: user.email,
+    role: user.role.role_name,
+    name: user.name,
+    surname: user.surname,
+  }, { sessionId: session.id });
+  const refreshToken = await issueRefreshToken(user.id, session.id);
+
+  return { token, refresh_token: refreshToken.token };
+};
+
+// Tokens and user summary returned by every completed login. `user` must be loaded with its role.
+const buildLoginResponse = async (user, req) => {
+  return {
+    ...await startSession(user, req),
+    user: {
+      id: user.id,
+      name: user.name,
+      surname: user.surname,
+      email: user.email,
+      role: user.role.role_name,
+      email_verified: Boolean(user.email_verified_at),
+    },
+  };
+};
+
+module.exports = {
+  getTwoFactorChallenge,
+  startSession,
+  buildLoginResponse,
+};
@@ -0,0 +1,243 @@
+const throttleConfig = require('../config/loginThrottle');
+const { LoginAttempt } = require('../models');
+
+// Attempt stores keep one counter per key: { failures, lastFailureAt, lockedUntil } (ms timestamps).
+// recordFailure() starts a new count when the previous failure is older than resetAfterMs.
+
+// Counters live in process memory; only suitable for a single server instance
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async recordFailure(key, now, resetAfterMs) {
+    const entry = this.entries.get(key);
+    const expired = !entry || now - entry.lastFailureAt > resetAfterMs;
+    const updated = {
+      failures: expired ? 1 : entry.failures + 1,
+      lastFailureAt: now,
+      lockedUntil: expired ? null : entry.lockedUntil,
+    };
+    this.entries.set(key, updated);
+    return updated;
+  }
+
+  async lock(key, until) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.lockedUntil = until;
+    }
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Counters live in the login_attempts table so that all instances share them
+class DatabaseAttemptStore {
+  constructor(model = LoginAttempt) {
+    this.model = model;
+  }
+
+  static toEntry(row) {
+    return {
+      failures: row.failures,
+      lastFailureAt: row.last_failure_at ? new Date(row.last_failure_at).getTime() : null,
+      lockedUntil: row.locked_until ? new Date(row.locked_until).getTime() : null,
+    };
+  }
+
+  async get(key) {
+    const row = await this.model.findByPk(key);
+    return row ? DatabaseAttemptStore.toEntry(row) : null;
+  }
+
+  async recordFailure(key, now, resetAfterMs) {
+    const [row, created] = await this.model.findOrCreate({
+      where: { key },
+      defaults: { failures: 1, last_failure_at: new Date(now) },
+    });
+    if (created) {
+      return DatabaseAttemptStore.toEntry(row);
+    }
+
+    const lastFailureAt = row.last_failure_at ? new Date(row.last_failure_at).getTime() : 0;
+    if (now - lastFailureAt > resetAfterMs) {
+      await row.update({ failures: 1, last_failure_at: new Date(now), locked_until: null });
+    } else {
+      // Increment in SQL so concurrent failures on other instances are not lost
+      await row.increment('failures');
+      await row.update({ last_failure_at: new Date(now) });
+      await row.reload();
+    }
+    return DatabaseAttemptStore.toEntry(row);
+  }
+
+  async lock(key, until) {
+    await this.model.update({ locked_until: new Date(until) }, { where: { key } });
+  }
+
+  async reset(key) {
+    await this.model.destroy({ where: { key } });
+  }
+}
+
+const accountKey = email => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = ip => `ip:${ip}`;
+
+class LoginThrottle {
+  // `namespace` prefixes the keys so throttles for different actions can share one store
+  constructor(store, options = throttleConfig, clock = Date.now, namespace = '') {
+    this.store = store;
+    this.options = options;
+    this.clock = clock;
+    this.namespace = namespace;
+  }
+
+  accountKey(email) {
+    return `${this.namespace}${accountKey(email)}`;
+  }
+
+  ipKey(ip) {
+    return `${this.namespace}${ipKey(ip)}`;
+  }
+
+  // Keys tracked for a login request, with the limits that apply to each
+  keysFor({ email, ip }) {
+    const keys = [];
+    if (email) {
+      keys.push({ key: this.accountKey(email), limits: this.options.account });
+    }
+    if (ip) {
+      keys.push({ key: this.ipKey(ip), limits: this.options.ip });
+    }
+    return keys;
+  }
+
+  // Time (ms) until the next attempt is allowed for an entry, 0 when allowed now
+  waitFor(entry, limits, now) {
+    if (!entry) {
+      return 0;
+    }
+    let blockedUntil = entry.lockedUntil || 0;
+    if (entry.failures >= limits.freeAttempts && entry.lastFailureAt) {
+      const exponent = entry.failures - limits.freeAttempts;
+      const delaySeconds = Math.min(
+        this.options.backoffBaseSeconds * 2 ** exponent,
+        this.options.backoffMaxSeconds
+      );
+      blockedUntil = Math.max(blockedUntil, entry.lastFailureAt + delaySeconds * 1000);
+    }
+    return Math.max(0, blockedUntil - now);
+  }
+
+  // Returns { allowed, retryAfter, locked } - retryAfter is in whole seconds
+  async check(identity) {
+    const now = this.clock();
+    let waitMs = 0;
+    let locked = false;
+    for (const { key, limits } of this.keysFor(identity)) {
+      const entry = await this.store.get(key);
+      const wait = this.waitFor(entry, limits, now);
+      if (wait > waitMs) {
+        waitMs = wait;
+      }
+      if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+        locked = true;
+      }
+    }
+    return { allowed: waitMs === 0, retryAfter: Math.ceil(waitMs / 1000), locked };
+  }
+
+  // Count a failed attempt; returns the delay before the next attempt is allowed
+  async registerFailure(identity) {
+    const now = this.clock();
+    const resetAfterMs = this.options.resetAfterSeconds * 1000;
+    let waitMs = 0;
+    let locked = false;
+    for (const { key, limits } of this.keysFor(identity)) {
+      const entry = await this.store.recordFailure(key, now, resetAfterMs);
+      if (entry.failures >= limits.lockoutThreshold) {
+        entry.lockedUntil = now + this.options.lockoutSeconds * 1000;
+        await this.store.lock(key, entry.lockedUntil);
+        locked = true;
+      }
+      waitMs = Math.max(waitMs, this.waitFor(entry, limits, now));
+    }
+    return { retryAfter: Math.ceil(waitMs / 1000), locked };
+  }
+
+  // A successful login clears the account counter; the IP counter keeps running so that
+  // one valid account cannot be used to reset the limit for guessing others
+  async registerSuccess({ email }) {
+    await this.store.reset(this.accountKey(email));
+  }
+
+  async unlockAccount(email) {
+    await this.store.reset(this.accountKey(email));
+  }
+
+  async unlockIp(ip) {
+    await this.store.reset(this.ipKey(ip));
+  }
+}
+
+const createAttemptStore = (type = throttleConfig.store) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryAttemptStore();
+    case 'database':
+      return new DatabaseAttemptStore();
+    default:
+      throw new Error(`Unknown login throttle store: ${type}`);
+  }
+};
+
+let throttle = null;
+
+const getLoginThrottle = () => {
+  if (!throttle) {
+    throttle = new LoginThrottle(createAttemptStore());
+  }
+  return throttle;
+};
+
+// Replace the active throttle (e.g. with a fresh in-memory store or a fake clock in tests)
+const setLoginThrottle = (newThrottle) => {
+  throttle = newThrottle;
+};
+
+let passwordResetThrottle = null;
+
+// Limits password reset emails per address and per IP; every request counts as an attempt
+const getPasswordResetThrottle = () => {
+  if (!passwordResetThrottle) {
+    passwordResetThrottle = new LoginThrottle(
+      createAttemptStore(),
+      { ...throttleConfig, ...throttleConfig.passwordReset },
+      Date.now,
+      'password_reset:'
+    );
+  }
+  return passwordResetThrottle;
+};
+
+const setPasswordResetThrottle = (newThrottle) => {
+  passwordResetThrottle = newThrottle;
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  DatabaseAttemptStore,
+  LoginThrottle,
+  createAttemptStore,
+  getLoginThrottle,
+  setLoginThrottle,
+  getPasswordResetThrottle,
+  setPasswordResetThrottle,
+};
@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+const logger = require('../utils/logger');
+
+// Base class for mail transports. Implementations receive { from, to, subject, text, html }.
+class MailTransport {
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
+
+// Delivers mail through an SMTP server
+class SmtpTransport extends MailTransport {
+  constructor(options = mailConfig.smtp) {
+    super();
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// Writes every message as a JSON file into an outbox directory instead of sending it.
+// Used for local development and tests.
+class FileTransport extends MailTransport {
+  constructor(outboxDir = mailConfig.outboxDir) {
+    super();
+    this.outboxDir = outboxDir;
+    this.sequence = 0;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    // The sequence keeps file names in send order when several messages share a millisecond
+    this.sequence += 1;
+    const id = `${Date.now()}-${String(this.sequence).padStart(6, '0')}-${crypto.randomUUID()}`;
+    const filePath = path.join(this.outboxDir, `${id}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { id, path: filePath };
+  }
+
+  // Messages in the outbox, oldest first
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.outboxDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.outboxDir, file), 'utf8')))
+    );
+    return messages;
+  }
+}
+
+const createTransport = (type = mailConfig.transport) => {
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport();
+    case 'file':
+      return new FileTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with a FileTransport pointing to a temp directory in tests)
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const result = await getMailTransport().send({ from: mailConfig.from, to, subject, text, html });
+  logger.info(`Mail sent: ${subject}`, { to, messageId: result.id });
+  return result;
+};
+
+module.exports = {
+  MailTransport,
+  SmtpTransport,
+  FileTransport,
+  createTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op, fn, col, where } = require('sequelize');
+const { User, Role, OidcLoginState } = require('../models');
+const oidcConfig = require('../config/oidc');
+const { hashPassword } = require('./passwordService');
+
+// Provider metadata and signing keys are fetched once per process
+let metadataPromise = null;
+let jwksCache = null;
+
+const isOidcEnabled = () => Boolean(oidcConfig.issuer && oidcConfig.clientId);
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || `HTTP ${response.status}`;
+    throw new Error(`Request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+const getProviderMetadata = () => {
+  if (!metadataPromise) {
+    const issuer = oidcConfig.issuer.replace(/\/$/, '');
+    metadataPromise = fetchJson(`${issuer}/.well-known/openid-configuration`).catch((error) => {
+      metadataPromise = null;
+      throw error;
+    });
+  }
+  return metadataPromise;
+};
+
+// Forget cached provider metadata and keys (after a configuration change, or between tests)
+const resetOidcCache = () => {
+  metadataPromise = null;
+  jwksCache = null;
+};
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Starts a login attempt. The PKCE verifier and nonce stay on the server; `state` only names the
+// attempt. `browserKey` goes into a cookie of the browser that started the login, so the provider's
+// redirect is only accepted there. Returns the provider's login URL and the browser key.
+const createAuthorizationUrl = async () => {
+  const metadata = await getProviderMetadata();
+  const state = crypto.randomBytes(32).toString('base64url');
+  const browserKey = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+
+  // Abandoned attempts are cleaned up as new ones start
+  await OidcLoginState.destroy({ where: { expires_at: { [Op.lt]: new Date() } } });
+  await OidcLoginState.create({
+    state_hash: sha256(state),
+    browser_hash: sha256(browserKey),
+    code_verifier: codeVerifier,
+    nonce,
+    expires_at: new Date(Date.now() + oidcConfig.stateTtlSeconds * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scope,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  });
+  return { url: `${metadata.authorization_endpoint}?${params.toString()}`, browserKey };
+};
+
+// Takes the login attempt named by `state` out of the store so it cannot be used again
+const consumeLoginState = async (state) => {
+  const pending = await OidcLoginState.findOne({ where: { state_hash: sha256(state) } });
+  if (!pending) {
+    return null;
+  }
+  // Of concurrent callbacks with the same state, only the one that deletes the row goes on
+  const deleted = await OidcLoginState.destroy({ where: { id: pending.id } });
+  return deleted > 0 ? pending : null;
+};
+
+const getSigningKey = async (kid) => {
+  const find = () => jwksCache && jwksCache.find(key => !kid || key.kid === kid);
+  if (!find()) {
+    // Unknown kid: the provider may have rotated its keys
+    const metadata = await getProviderMetadata();
+    jwksCache = (await fetchJson(metadata.jwks_uri)).keys || [];
+  }
+  const jwk = find();
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    return { error: 'Invalid ID token' };
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    return { error: 'ID token signed with an unknown key' };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: oidcConfig.issuer,
+      audience: oidcConfig.clientId,
+    });
+  } catch (error) {
+    return { error: `Invalid ID token: ${error.message}` };
+  }
+
+  if (claims.nonce !== nonce) {
+    return { error: 'ID token nonce does not match' };
+  }
+  return { claims };
+};
+
+// Exchange the authorization code from the provider's redirect for verified ID token claims.
+// `browserKey` is the cookie set when the login started.
+const completeAuthorization = async ({ code, state, browserKey }) => {
+  const pending = await consumeLoginState(state);
+  if (!pending) {
+    return { error: 'Invalid login state' };
+  }
+  if (new Date(pending.expires_at) < new Date()) {
+    return { error: 'Login attempt has expired. Please start again.' };
+  }
+  if (!browserKey || sha256(browserKey) !== pending.browser_hash) {
+    return { error: 'Login was started in another browser. Please start again.' };
+  }
+
+  const metadata = await getProviderMetadata();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: oidcConfig.redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: pending.code_verifier,
+  });
+  if (oidcConfig.clientSecret) {
+    form.set('client_secret', oidcConfig.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form.toString(),
+    });
+  } catch (error) {
+    return { error: `Token exchange failed: ${error.message}` };
+  }
+  if (!tokens.id_token) {
+    return { error: 'Provider did not return an ID token' };
+  }
+
+  return verifyIdToken(tokens.id_token, pending.nonce);
+};
+
+const splitName = (claims) => {
+  const [first, ...rest] = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+  const name = claims.given_name || first || claims.email.split('@')[0];
+  const surname = claims.family_name || rest.join(' ') || name;
+  return { name, surname };
+};
+
+// Find the local account for the claims by email, or create one with the default role
+const findOrProvisionUser = async (claims) => {
+  if (!claims.email) {
+    return { error: 'The provider did not share an email address' };
+  }
+  // A missing claim is not a verification: linking on it would hand existing accounts to anyone
+  // who can register the address at the provider
+  if (claims.email_verified !== true) {
+    return { error: 'The email address is not verified by the provider' };
+  }
+
+  // Local accounts keep the email as it was typed, so the match ignores case
+  const email = claims.email.toLowerCase();
+  const roleInclude = [{ model: Role, as: 'role' }];
+  const existing = await User.findOne({ where: where(fn('lower', col('email')), email), include: roleInclude });
+  if (existing) {
+    // The provider vouches for the address, which completes a pending email verification
+    if (!existing.email_verified_at) {
+      existing.email_verified_at = new Date();
+      await existing.save();
+    }
+    return { user: existing, created: false };
+  }
+
+  const role = await Role.findOne({ where: { role_name: oidcConfig.defaultRole } });
+  if (!role) {
+    throw new Error(`Default OIDC role '${oidcConfig.defaultRole}' not found. Please run migrations first.`);
+  }
+
+  // Provisioned users have no usable password until they set one through the password reset flow
+  const unusablePassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  const user = await User.create({
+    ...splitName(claims),
+    email,
+    password: unusablePassword,
+    role_id: role.id,
+    email_verified_at: new Date(),
+  });
+  user.role = role;
+  return { user, created: true };
+};
+
+module.exports = {
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrProvisionUser,
+  resetOidcCache,
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { OneTimeToken } = require('../models');
+const { hashToken } = require('../utils/tokenHash');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+// Create a token for the given purpose. Older unused tokens for the same purpose stop working.
+const createOneTimeToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await OneTimeToken.update(
+    { used_at: new Date() },
+    { where: { user_id: userId, purpose, used_at: null } }
+  );
+
+  await OneTimeToken.create({
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+  });
+
+  return { token, expiresAt };
+};
+
+const findUsableToken = (token, purpose) => OneTimeToken.findOne({
+  where: {
+    token_hash: hashToken(token),
+    purpose,
+    used_at: null,
+    expires_at: { [Op.gt]: new Date() },
+  },
+});
+
+// Owner of a usable token, without using it up (e.g. to validate input before consuming it)
+const peekOneTimeToken = async (token, purpose) => {
+  const record = await findUsableToken(token, purpose);
+  return record ? { userId: record.user_id } : { error: 'Invalid or expired token' };
+};
+
+// Mark a token as used and return its owner. Each token can be consumed exactly once.
+const consumeOneTimeToken = async (token, purpose) => {
+  const record = await findUsableToken(token, purpose);
+
+  if (!record) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  // Conditional update so the same token cannot be consumed by two concurrent requests
+  const [updated] = await OneTimeToken.update(
+    { used_at: new Date() },
+    { where: { id: record.id, used_at: null } }
+  );
+  if (updated === 0) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  return { userId: record.user_id };
+};
+
+module.exports = {
+  PURPOSES,
+  createOneTimeToken,
+  peekOneTimeToken,
+  consumeOneTimeToken,
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+const passwordConfig = require('../config/password');
+
+const ALGORITHMS = ['argon2id', 'bcrypt'];
+const BCRYPT_HASH = /^\$2[aby]\$(\d{2})\$/;
+
+let blocklist = null;
+
+const loadBlocklist = () => {
+  if (!blocklist) {
+    blocklist = new Set(fs.readFileSync(passwordConfig.policy.blocklistFile, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(Boolean));
+  }
+  return blocklist;
+};
+
+const algorithmOf = (hash) => {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+  if (hash.startsWith('$argon2id$')) {
+    return 'argon2id';
+  }
+  return BCRYPT_HASH.test(hash) ? 'bcrypt' : null;
+};
+
+const hashPassword = async (password, config = passwordConfig) => {
+  if (!ALGORITHMS.includes(config.algorithm)) {
+    throw new Error(`Unknown password hash algorithm: ${config.algorithm}`);
+  }
+  if (config.algorithm === 'bcrypt') {
+    return bcrypt.hash(password, config.bcryptRounds);
+  }
+  return argon2.hash(password, { type: argon2.argon2id, ...config.argon2 });
+};
+
+// Check a password against a stored argon2id or bcrypt hash. Unknown formats never match.
+const verifyPassword = async (password, hash) => {
+  switch (algorithmOf(hash)) {
+    case 'argon2id':
+      return argon2.verify(hash, password);
+    case 'bcrypt':
+      return bcrypt.compare(password, hash);
+    default:
+      return false;
+  }
+};
+
+// True when the hash was made with another algorithm or other parameters than configured now
+const needsRehash = (hash, config = passwordConfig) => {
+  const algorithm = algorithmOf(hash);
+  if (algorithm !== config.algorithm) {
+    return true;
+  }
+  if (algorithm === 'bcrypt') {
+    return Number(hash.match(BCRYPT_HASH)[1]) !== config.bcryptRounds;
+  }
+  return argon2.needsRehash(hash, config.argon2);
+};
+
+// Parts of the user's identity that must not appear in their password
+const personalTerms = ({ name, surname, email } = {}) => {
+  const terms = [name, surname];
+  if (email) {
+    terms.push(email, email.split('@')[0]);
+  }
+  // Very short names would reject too many unrelated passwords
+  return terms
+    .filter(Boolean)
+    .map(term => String(term).trim().toLowerCase())
+    .filter(term => term.length >= 3);
+};
+
+// Returns the policy violations of a password, an empty array when it is acceptable.
+// `user` ({ name, surname, email }) is optional where the account is not known yet.
+const checkPasswordPolicy = (password, user, policy = passwordConfig.policy) => {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+    return problems;
+  }
+  if (password.length > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+
+  const lowered = password.toLowerCase();
+  if (loadBlocklist().has(lowered)) {
+    problems.push('Password is too common');
+  }
+  if (personalTerms(user).some(term => lowered.includes(term))) {
+    problems.push('Password must not contain your name or email address');
+  }
+  return problems;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  checkPasswordPolicy,
+};
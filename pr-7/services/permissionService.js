@@ -0,0 +1,39 @@
+const { Role, Permission } = require('../models');
+
+// Role permissions are read on every protected request, so they are cached briefly.
+// Changes made through /api/roles clear the cache of this instance; other instances pick
+// them up once their entries expire.
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+const cache = new Map();
+
+// Set of permission names granted to a role. Unknown roles have no permissions.
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({
+    where: { role_name: roleName },
+    include: [{ model: Permission, as: 'permissions', attributes: ['name'], through: { attributes: [] } }],
+  });
+  const permissions = new Set(role ? role.permissions.map(permission => permission.name) : []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+const hasPermission = async (roleName, permission) => {
+  const permissions = await getRolePermissions(roleName);
+  return permissions.has(permission);
+};
+
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  clearPermissionCache,
+};
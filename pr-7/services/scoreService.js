@@ -0,0 +1,70 @@
+const { AssessmentCategory } = require('../models');
+const gradingConfig = require('../config/grading');
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Categories of the given subjects as a Map of subject id to categories, ordered by name
+const categoriesBySubject = async (subjectIds) => {
+  const bySubject = new Map(subjectIds.map(subjectId => [subjectId, []]));
+  if (subjectIds.length === 0) {
+    return bySubject;
+  }
+  const categories = await AssessmentCategory.findAll({
+    where: { subject_id: subjectIds },
+    order: [['name', 'ASC']],
+  });
+  for (const category of categories) {
+    bySubject.get(category.subject_id).push(category);
+  }
+  return bySubject;
+};
+
+// Final score of one student's grades in one subject.
+// Without categories it is the plain mean. With categories each category's grades are averaged
+// and the averages weighted; categories without grades are left out or count as 0 depending on
+// `emptyCategories`, and are listed in `missing_categories` either way. Grades without a category
+// in a subject that has categories do not count and are reported as `uncategorized_count`.
+const finalScore = (grades, categories, { emptyCategories = gradingConfig.emptyCategories } = {}) => {
+  if (categories.length === 0) {
+    return {
+      final_score: grades.length > 0 ? round(mean(grades.map(grade => grade.grade))) : null,
+      complete: grades.length > 0,
+      categories: [],
+      missing_categories: [],
+      uncategorized_count: 0,
+    };
+  }
+
+  const rows = categories.map((category) => {
+    const values = grades.filter(grade => grade.category_id === category.id).map(grade => grade.grade);
+    return {
+      category_id: category.id,
+      name: category.name,
+      weight: category.weight,
+      grade_count: values.length,
+      average: values.length > 0 ? mean(values) : null,
+    };
+  });
+  const graded = rows.filter(row => row.average !== null);
+  const counted = emptyCategories === 'zero' ? rows : graded;
+  const totalWeight = counted.reduce((sum, row) => sum + row.weight, 0);
+  const score = graded.length > 0
+    ? graded.reduce((sum, row) => sum + row.average * row.weight, 0) / totalWeight
+    : null;
+
+  const categoryIds = new Set(categories.map(category => category.id));
+  return {
+    final_score: round(score),
+    complete: graded.length === rows.length,
+    categories: rows.map(row => ({ ...row, average: round(row.average) })),
+    missing_categories: rows.filter(row => row.average === null).map(row => row.name),
+    uncategorized_count: grades.filter(grade => !categoryIds.has(grade.category_id)).length,
+  };
+};
+
+module.exports = {
+  categoriesBySubject,
+  finalScore,
+};
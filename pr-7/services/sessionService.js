@@ -0,0 +1,70 @@
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+const { revokeRefreshFamily, REFRESH_TOKEN_TTL_DAYS } = require('./tokenService');
+const { describeDevice } = require('../utils/userAgent');
+
+const SESSION_ATTRIBUTES = ['id', 'device', 'user_agent', 'ip', 'created_at', 'last_seen_at', 'expires_at'];
+
+// Client details of a request, as recorded on its session
+const requestContext = req => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null,
+});
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  return Session.create({
+    user_id: userId,
+    device: describeDevice(userAgent),
+    user_agent: userAgent ? userAgent.slice(0, 512) : null,
+    ip,
+    last_seen_at: new Date(),
+    expires_at: sessionExpiry(),
+  });
+};
+
+// Called when the session's refresh token is rotated
+const renewSession = async (sessionId, { ip } = {}) => {
+  const values = { last_seen_at: new Date(), expires_at: sessionExpiry() };
+  if (ip) {
+    values.ip = ip;
+  }
+  await Session.update(values, { where: { id: sessionId, revoked_at: null } });
+};
+
+// Sessions that can still be used, most recently active first
+const listActiveSessions = async (userId) => {
+  return Session.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    attributes: SESSION_ATTRIBUTES,
+    order: [['last_seen_at', 'DESC']],
+  });
+};
+
+const findUserSession = async (userId, sessionId) => {
+  return Session.findOne({ where: { id: sessionId, user_id: userId }, attributes: [...SESSION_ATTRIBUTES, 'revoked_at'] });
+};
+
+// Sign a single device out: its refresh tokens stop working and authenticate rejects its access tokens
+const revokeSession = async (sessionId) => {
+  const [updated] = await Session.update(
+    { revoked_at: new Date() },
+    { where: { id: sessionId, revoked_at: null } }
+  );
+  await revokeRefreshFamily(sessionId);
+  return updated > 0;
+};
+
+module.exports = {
+  requestContext,
+  createSession,
+  renewSession,
+  listActiveSessions,
+  findUserSession,
+  revokeSession,
+};
@@ -0,0 +1,170 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const statsConfig = require('../config/stats');
+const gradingConfig = require('../config/grading');
+const { dateRangeBounds } = require('./gradeService');
+
+const MAX_GRADE = 100;
+
+// Denominator of a final score: the weights of the graded categories, or with the "zero" policy
+// the weights of all categories of the subject. Subjects without categories have one implicit
+// category of weight 1, so their final score is the plain mean.
+const DENOMINATORS = {
+  exclude: 'SUM(COALESCE(c.weight, 1))',
+  zero: 'COALESCE(MAX(w.total_weight), SUM(COALESCE(c.weight, 1)))',
+};
+
+// Final score per student and subject, computed like scoreService.finalScore: grades are
+// averaged per category and the averages weighted. Grades without a category only count in
+// subjects that have no categories.
+const finalScores = (where, emptyCategories) => `
+  WITH category_averages AS (
+    SELECT g.student_id, g.subject_id, g.category_id, AVG(g.grade) AS average
+    FROM grades g
+    JOIN students s ON s.id = g.student_id
+    ${where}
+    GROUP BY g.student_id, g.subject_id, g.category_id
+  ),
+  final_scores AS (
+    SELECT ca.student_id, ca.subject_id,
+      (SUM(ca.average * COALESCE(c.weight, 1)) / ${DENOMINATORS[emptyCategories]})::float AS score
+    FROM category_averages ca
+    LEFT JOIN assessment_categories c ON c.id = ca.category_id
+    LEFT JOIN (
+      SELECT subject_id, SUM(weight) AS total_weight FROM assessment_categories GROUP BY subject_id
+    ) w ON w.subject_id = ca.subject_id
+    WHERE c.id IS NOT NULL OR w.subject_id IS NULL
+    GROUP BY ca.student_id, ca.subject_id
+  )`;
+
+const FROM_SCORES = `
+  FROM final_scores fs
+  JOIN students s ON s.id = fs.student_id
+  JOIN subjects sub ON sub.id = fs.subject_id`;
+
+// Aggregates of the selected final scores. The pass rate is a percentage; NULLIF keeps an empty
+// selection from dividing by zero.
+const SUMMARY_COLUMNS = `
+  COUNT(*)::int AS count,
+  ROUND(AVG(fs.score)::numeric, 2)::float AS mean,
+  ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY fs.score)::numeric, 2)::float AS median,
+  ROUND(STDDEV_POP(fs.score)::numeric, 2)::float AS stddev,
+  ROUND(MIN(fs.score)::numeric, 2)::float AS min,
+  ROUND(MAX(fs.score)::numeric, 2)::float AS max,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE fs.score >= :passThreshold) / NULLIF(COUNT(*), 0), 2)::float AS pass_rate`;
+
+// Columns a summary can be broken down by. These are fixed strings, never request input.
+const BREAKDOWNS = {
+  group: { key: 's."group"', columns: ['s."group"'], select: 's."group" AS "group"' },
+  subject: {
+    key: 'fs.subject_id',
+    columns: ['fs.subject_id', 'sub.subject_name'],
+    select: 'fs.subject_id AS subject_id, sub.subject_name AS subject_name',
+  },
+};
+
+// WHERE clause and replacements for the filters
+const buildFilter = ({ subjectId, group, from, to }) => {
+  const conditions = [];
+  const replacements = {};
+  if (subjectId !== undefined) {
+    conditions.push('g.subject_id = :subjectId');
+    replacements.subjectId = subjectId;
+  }
+  if (group !== undefined) {
+    conditions.push('s."group" = :group');
+    replacements.group = group;
+  }
+  const { start, end } = dateRangeBounds(from, to);
+  if (start) {
+    conditions.push('g.evaluated_at >= :start');
+    replacements.start = start;
+  }
+  if (end) {
+    conditions.push('g.evaluated_at <= :end');
+    replacements.end = end;
+  }
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    replacements,
+  };
+};
+
+const toSummary = ({ count, mean, median, stddev, min, max, pass_rate }) => ({
+  count,
+  mean,
+  median,
+  stddev,
+  min,
+  max,
+  pass_rate,
+});
+
+// Overall summary plus one row per breakdown value, in one pass through GROUPING SETS
+const querySummaries = async (filter, breakdown, passThreshold, emptyCategories) => {
+  const { key, columns, select } = BREAKDOWNS[breakdown];
+  const rows = await sequelize.query(`${finalScores(filter.where, emptyCategories)}
+    SELECT GROUPING(${key}) = 1 AS is_total, ${select}, ${SUMMARY_COLUMNS}
+    ${FROM_SCORES}
+    GROUP BY GROUPING SETS ((${columns.join(', ')}), ())
+    ORDER BY is_total DESC, ${columns[columns.length - 1]}`, {
+    replacements: { ...filter.replacements, passThreshold },
+    type: QueryTypes.SELECT,
+  });
+
+  const total = rows.find(row => row.is_total);
+  return {
+    summary: toSummary(total || { count: 0, mean: null, median: null, stddev: null, min: null, max: null, pass_rate: null }),
+    breakdown: rows
+      .filter(row => !row.is_total)
+      .map(row => (breakdown === 'group'
+        ? { group: row.group, ...toSummary(row) }
+        : { subject_id: row.subject_id, subject_name: row.subject_name, ...toSummary(row) })),
+  };
+};
+
+// Bucket counts of final scores over 0–100; the last bucket also takes the maximum score.
+// Buckets without scores are filled in so the histogram always covers the whole range.
+const queryHistogram = async (filter, bucketSize, emptyCategories) => {
+  const lastBucket = Math.ceil(MAX_GRADE / bucketSize) - 1;
+  const rows = await sequelize.query(`${finalScores(filter.where, emptyCategories)}
+    SELECT LEAST(FLOOR(fs.score / :bucketSize), :lastBucket)::int AS bucket, COUNT(*)::int AS count
+    FROM final_scores fs
+    GROUP BY 1
+    ORDER BY 1`, {
+    replacements: { ...filter.replacements, bucketSize, lastBucket },
+    type: QueryTypes.SELECT,
+  });
+
+  const counts = new Map(rows.map(row => [row.bucket, row.count]));
+  return Array.from({ length: lastBucket + 1 }, (_, bucket) => ({
+    from: bucket * bucketSize,
+    to: bucket === lastBucket ? MAX_GRADE : (bucket + 1) * bucketSize - 1,
+    count: counts.get(bucket) || 0,
+  }));
+};
+
+// Statistics of the students' final subject scores over the grades matching `filters`
+// ({ subjectId, group, from, to }), broken down by 'group' or 'subject'
+const gradeStatistics = async (filters, {
+  breakdown,
+  passThreshold = statsConfig.passThreshold,
+  bucketSize = statsConfig.bucketSize,
+  emptyCategories = gradingConfig.emptyCategories,
+} = {}) => {
+  const filter = buildFilter(filters);
+  const { summary, breakdown: rows } = await querySummaries(filter, breakdown, passThreshold, emptyCategories);
+  const histogram = await queryHistogram(filter, bucketSize, emptyCategories);
+
+  return {
+    pass_threshold: passThreshold,
+    bucket_size: bucketSize,
+    stats: summary,
+    histogram,
+    breakdown: rows,
+  };
+};
+
+module.exports = {
+  gradeStatistics,
+};
@@ -0,0 +1,58 @@
+const { Op } = require('sequelize');
+const { TeacherSubject } = require('../models');
+
+// Which students a caller may see. students:read_all sees everyone; anyone else sees their own
+// student record (through user_id) and the groups they are assigned to teach. An assignment
+// without a group covers every group. Only callers who can write grades hold assignments.
+const resolveStudentScope = async (user) => {
+  const permissions = user.permissions || [];
+  if (permissions.includes('students:read_all')) {
+    return { all: true };
+  }
+
+  const assignments = permissions.includes('grades:write')
+    ? await TeacherSubject.findAll({ where: { teacher_id: user.id }, attributes: ['group'] })
+    : [];
+  if (assignments.some(assignment => assignment.group === null)) {
+    return { all: true };
+  }
+  return {
+    all: false,
+    userId: user.id,
+    groups: [...new Set(assignments.map(assignment => assignment.group))],
+  };
+};
+
+// Sequelize condition on Student limiting a query to the scope
+const studentScopeWhere = (scope) => {
+  if (scope.all) {
+    return {};
+  }
+  const visible = [{ user_id: scope.userId }];
+  if (scope.groups.length > 0) {
+    visible.push({ group: { [Op.in]: scope.groups } });
+  }
+  return { [Op.or]: visible };
+};
+
+// Same rule for a student that is already loaded; null (e.g. deleted) is only visible to full scopes
+const canSeeStudent = (scope, student) => {
+  if (scope.all) {
+    return true;
+  }
+  if (!student) {
+    return false;
+  }
+  return student.user_id === scope.userId || scope.groups.includes(student.group);
+};
+
+// Whether the scope may put students into `group` when creating or moving them. Unlike seeing a
+// student, the caller's own record does not count here, only the groups they teach.
+const canPlaceInGroup = (scope, group) => scope.all || scope.groups.includes(Number(group));
+
+module.exports = {
+  resolveStudentScope,
+  studentScopeWhere,
+  canSeeStudent,
+  canPlaceInGroup,
+};
@@ -0,0 +1,153 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Lesson, Room, Subject, User, Role } = require('../models');
+const { getRolePermissions } = require('./permissionService');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const LESSON_INCLUDE = [
+  { model: Subject, as: 'subject', attributes: ['id', 'subject_name'] },
+  { model: User, as: 'teacher', attributes: ['id', 'name', 'surname', 'email'] },
+  { model: Room, as: 'room', attributes: ['id', 'name'] },
+];
+
+// Times come back from the database as HH:MM:SS
+const hhmm = time => String(time).slice(0, 5);
+
+const slotOf = lesson => `${WEEKDAYS[lesson.weekday - 1]} ${hhmm(lesson.starts_at)}–${hhmm(lesson.ends_at)}`;
+
+// One-line description of a lesson loaded with LESSON_INCLUDE
+const describeLesson = lesson => `${lesson.subject ? lesson.subject.subject_name : lesson.subject_id} for group ${lesson.group}`
+  + ` with ${lesson.teacher ? lesson.teacher.email : lesson.teacher_id}`
+  + ` in ${lesson.room ? lesson.room.name : lesson.room_id}, ${slotOf(lesson)} (term ${lesson.term})`;
+
+// The subject must be open, the teacher's role able to teach (grades:write) and the room known
+const checkLessonTargets = async ({ subjectId, teacherId, roomId }) => {
+  const subject = await Subject.findByPk(subjectId);
+  if (!subject) {
+    return { error: `Subject with id ${subjectId} not found` };
+  }
+  if (subject.archived_at) {
+    return { error: `Subject '${subject.subject_name}' is archived` };
+  }
+  const teacher = await User.findByPk(teacherId, { include: [{ model: Role, as: 'role', attributes: ['id', 'role_name'] }] });
+  if (!teacher) {
+    return { error: `User with id ${teacherId} not found` };
+  }
+  if (!teacher.role) {
+    return { error: `User ${teacher.email} has no role` };
+  }
+  const permissions = await getRolePermissions(teacher.role.role_name);
+  if (!permissions.has('grades:write')) {
+    return { error: `Role '${teacher.role.role_name}' cannot teach lessons` };
+  }
+  const room = await Room.findByPk(roomId);
+  if (!room) {
+    return { error: `Room with id ${roomId} not found` };
+  }
+  return { subject, teacher, room };
+};
+
+// Lessons of the same term and weekday whose time overlaps `lesson` and that share its room,
+// teacher or group. Each conflict lists what it clashes on. `lesson.id`, when set, is left out so
+// a lesson does not clash with itself when it is moved.
+const findConflicts = async (lesson, transaction) => {
+  const where = {
+    term: lesson.term,
+    weekday: lesson.weekday,
+    starts_at: { [Op.lt]: lesson.ends_at },
+    ends_at: { [Op.gt]: lesson.starts_at },
+    [Op.or]: [
+      { room_id: lesson.room_id },
+      { teacher_id: lesson.teacher_id },
+      { group: lesson.group },
+    ],
+  };
+  if (lesson.id) {
+    where.id = { [Op.ne]: lesson.id };
+  }
+
+  const clashing = await Lesson.findAll({ where, include: LESSON_INCLUDE, order: [['starts_at', 'ASC']], transaction });
+  return clashing.map(other => ({
+    lesson: other,
+    clashes_on: [
+      other.room_id === lesson.room_id && 'room',
+      other.teacher_id === lesson.teacher_id && 'teacher',
+      other.group === lesson.group && 'group',
+    ].filter(Boolean),
+  }));
+};
+
+// Takes transaction-scoped advisory locks on the term's room, teacher and group of `lesson`, so
+// bookings that could clash wait for each other. Taken in a fixed order to rule out deadlocks.
+const lockLessonResources = async (lesson, transaction) => {
+  const keys = [
+    `lesson:${lesson.term}:room:${lesson.room_id}`,
+    `lesson:${lesson.term}:teacher:${lesson.teacher_id}`,
+    `lesson:${lesson.term}:group:${lesson.group}`,
+  ].sort();
+  for (const key of keys) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', { replacements: { key }, transaction });
+  }
+};
+
+// Checks `lesson` for conflicts and, when there are none, runs `write(transaction)` to store it.
+// Both happen in one transaction under the locks of lockLessonResources, so two concurrent
+// requests cannot both pass the check. Returns { conflicts } or { result }.
+const bookLesson = (lesson, write) => sequelize.transaction(async (transaction) => {
+  await lockLessonResources(lesson, transaction);
+  const conflicts = await findConflicts(lesson, transaction);
+  if (conflicts.length > 0) {
+    return { conflicts };
+  }
+  return { result: await write(transaction) };
+});
+
+// Names what is double-booked and the lesson it clashes with
+const describeConflict = ({ lesson, clashes_on: clashesOn }) => {
+  const names = {
+    room: `Room '${lesson.room ? lesson.room.name : lesson.room_id}'`,
+    teacher: `Teacher ${lesson.teacher ? lesson.teacher.email : lesson.teacher_id}`,
+    group: `Group ${lesson.group}`,
+  };
+  const resources = clashesOn.map(resource => names[resource]);
+  const booked = resources.length > 1
+    ? `${resources.slice(0, -1).join(', ')} and ${resources[resources.length - 1]} are`
+    : `${resources[0]} is`;
+  return `${booked} already booked by lesson ${lesson.id}: ${describeLesson(lesson)}`;
+};
+
+const conflictError = conflicts => conflicts.map(describeConflict).join('; ');
+
+// Lessons matching `where` (group, teacher_id or room_id) and an optional term, by weekday and
+// time, grouped into the days that have lessons
+const buildTimetable = async (where, term) => {
+  const lessons = await Lesson.findAll({
+    where: term ? { ...where, term } : where,
+    include: LESSON_INCLUDE,
+    order: [['weekday', 'ASC'], ['starts_at', 'ASC']],
+  });
+
+  const days = [];
+  for (const lesson of lessons) {
+    if (days.length === 0 || days[days.length - 1].weekday !== lesson.weekday) {
+      days.push({ weekday: lesson.weekday, name: WEEKDAYS[lesson.weekday - 1], lessons: [] });
+    }
+    days[days.length - 1].lessons.push(lesson.toJSON());
+  }
+  return { count: lessons.length, days };
+};
+
+const findLesson = id => Lesson.findByPk(id, { include: LESSON_INCLUDE });
+
+module.exports = {
+  WEEKDAYS,
+  hhmm,
+  describeLesson,
+  checkLessonTargets,
+  findConflicts,
+  bookLesson,
+  conflictError,
+  buildTimetable,
+  findLesson,
+};
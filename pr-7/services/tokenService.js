@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, RefreshToken, RevokedToken, Session } = require('../models');
+const { hashToken } = require('../utils/tokenHash');
+const { getVerificationError } = require('./emailVerificationService');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+// Session.last_seen_at is written at most once per interval, not on every request
+const SESSION_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Create a new opaque refresh token. The family is the login session; pass its id to continue it.
+const issueRefreshToken = async (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const record = await RefreshToken.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+    family_id: familyId,
+    expires_at: expiresAt,
+  });
+
+  return { token, record, expiresAt };
+};
+
+const revokeRefreshFamily = async (familyId) => {
+  await RefreshToken.update(
+    { revoked_at: new Date() },
+    { where: { family_id: familyId, revoked_at: null } }
+  );
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting an already rotated token is treated as theft and kills the whole family.
+const rotateRefreshToken = async (token) => {
+  const current = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+
+  if (!current) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (current.revoked_at) {
+    await revokeRefreshFamily(current.family_id);
+    return { error: 'Refresh token has been revoked', reused: true, userId: current.user_id, sessionId: current.family_id };
+  }
+
+  if (new Date(current.expires_at) <= new Date()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const [updated] = await RefreshToken.update(
+    { revoked_at: new Date() },
+    { where: { id: current.id, revoked_at: null } }
+  );
+  if (updated === 0) {
+    await revokeRefreshFamily(current.family_id);
+    return { error: 'Refresh token has been revoked', reused: true, userId: current.user_id, sessionId: current.family_id };
+  }
+
+  const next = await issueRefreshToken(current.user_id, current.family_id);
+  await RefreshToken.update({ replaced_by: next.record.id }, { where: { id: current.id } });
+
+  return { userId: current.user_id, sessionId: current.family_id, token: next.token, expiresAt: next.expiresAt };
+};
+
+// Revoke the family a refresh token belongs to. Only the owner may do this.
+const revokeRefreshToken = async (token, userId) => {
+  const current = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+  if (!current || current.user_id !== userId) {
+    return false;
+  }
+  await revokeRefreshFamily(current.family_id);
+  return true;
+};
+
+// Put a single access token on the denylist until it would have expired anyway
+const revokeAccessToken = async (decoded) => {
+  if (!decoded.jti) {
+    return;
+  }
+  await RevokedToken.destroy({ where: { expires_at: { [Op.lt]: new Date() } } });
+  await RevokedToken.findOrCreate({
+    where: { jti: decoded.jti },
+    defaults: {
+      jti: decoded.jti,
+      user_id: decoded.id,
+      expires_at: new Date(decoded.exp * 1000),
+    },
+  });
+};
+
+// Invalidate every token the user holds: all sessions, refresh tokens and any access token issued so far
+const revokeAllForUser = async (userId) => {
+  await RefreshToken.update(
+    { revoked_at: new Date() },
+    { where: { user_id: userId, revoked_at: null } }
+  );
+  await Session.update(
+    { revoked_at: new Date() },
+    { where: { user_id: userId, revoked_at: null } }
+  );
+  await User.update({ tokens_revoked_at: new Date() }, { where: { id: userId } });
+};
+
+// Whether a token was issued before `cutoff` (a tokens_revoked_at). iat has whole seconds, so a
+// token from the same second as the cutoff may be older or newer; it only counts as newer when its
+// session, still active, was started after the cutoff.
+const issuedBeforeCutoff = (decoded, cutoff, session) => {
+  if (!cutoff) {
+    return false;
+  }
+  const cutoffMs = new Date(cutoff).getTime();
+  const issuedMs = decoded.iat * 1000;
+  if (issuedMs > cutoffMs) {
+    return false;
+  }
+  if (issuedMs + 1000 <= cutoffMs) {
+    return true;
+  }
+  return !(session && !session.revoked_at && new Date(session.created_at).getTime() > cutoffMs);
+};
+
+// Returns a reason string when the access token must not be accepted, otherwise null.
+// Covers revocation as well as the state of the account the token belongs to.
+const checkAccessToken = async (decoded) => {
+  if (decoded.jti && await RevokedToken.findByPk(decoded.jti)) {
+    return 'Token has been revoked.';
+  }
+
+  const user = await User.findByPk(decoded.id, {
+    attributes: ['id', 'is_active', 'tokens_revoked_at', 'email_verified_at', 'created_at'],
+  });
+  if (!user) {
+    return 'User no longer exists.';
+  }
+  if (user.is_active === false) {
+    return 'Account has been deactivated.';
+  }
+
+  // Tokens issued before sessions were recorded have no sid and no session row; both are accepted
+  const session = decoded.sid
+    ? await Session.findByPk(decoded.sid, { attributes: ['id', 'revoked_at', 'created_at', 'last_seen_at'] })
+    : null;
+  if (issuedBeforeCutoff(decoded, user.tokens_revoked_at, session)) {
+    return 'Token has been revoked.';
+  }
+  if (session && session.revoked_at) {
+    return 'Session has been revoked.';
+  }
+
+  // Impersonation tokens stop working as soon as the admin behind them could no longer log in
+  if (decoded.act) {
+    const actor = await User.findByPk(decoded.act.sub, { attributes: ['id', 'is_active', 'tokens_revoked_at'] });
+    if (!actor || actor.is_active === false || issuedBeforeCutoff(decoded, actor.tokens_revoked_at, null)) {
+      return 'Impersonation is no longer valid.';
+    }
+  }
+
+  if (session && Date.now() - new Date(session.last_seen_at).getTime() >= SESSION_SEEN_RESOLUTION_MS) {
+    await Session.update({ last_seen_at: new Date() }, { where: { id: session.id } });
+  }
+
+  return getVerificationError(user);
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshFamily,
+  revokeAccessToken,
+  revokeAllForUser,
+  checkAccessToken,
+  REFRESH_TOKEN_TTL_DAYS,
+};
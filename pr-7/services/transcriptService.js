@@ -0,0 +1,103 @@
+const { Student, User } = require('../models');
+const gpaConfig = require('../config/gpa');
+const { listGrades } = require('./gradeService');
+const { categoriesBySubject, finalScore } = require('./scoreService');
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Weighted mean of [{ value, weight }]
+const weightedMean = (items) => {
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  return items.reduce((sum, item) => sum + item.value * item.weight, 0) / totalWeight;
+};
+
+// Grade points of an average on a GPA scale (the first band whose `min` the average reaches)
+const gradePoints = (average, scale) => {
+  const band = scale.find(({ min }) => average >= min);
+  return band ? band.points : 0;
+};
+
+// Per-subject final scores (see scoreService.finalScore) and grade points of a student's grades,
+// sorted by subject name. `categories` maps subject ids to their assessment categories.
+const summarizeBySubject = (grades, scale, categories = new Map(), options = {}) => {
+  const bySubject = new Map();
+  for (const grade of grades) {
+    if (!bySubject.has(grade.subject_id)) {
+      bySubject.set(grade.subject_id, { subject: grade.subject, grades: [] });
+    }
+    bySubject.get(grade.subject_id).grades.push(grade);
+  }
+
+  return [...bySubject.entries()]
+    .map(([subjectId, { subject, grades: subjectGrades }]) => {
+      const score = finalScore(subjectGrades, categories.get(subjectId) || [], options);
+      return {
+        subject_id: subjectId,
+        subject_name: subject ? subject.subject_name : null,
+        credits: subject && subject.credits !== null && subject.credits !== undefined ? subject.credits : null,
+        grade_count: subjectGrades.length,
+        ...score,
+        grade_points: score.final_score === null ? null : gradePoints(score.final_score, scale),
+      };
+    })
+    .sort((a, b) => String(a.subject_name).localeCompare(String(b.subject_name)));
+};
+
+// Overall figures over the subjects that have a final score. Subjects are weighted by credits
+// when every such subject has credits, otherwise equally, so a missing credit value cannot
+// silently drop a subject.
+const summarizeOverall = (subjects) => {
+  const scored = subjects.filter(subject => subject.final_score !== null);
+  if (scored.length === 0) {
+    return { weighting: null, overall_average: null, gpa: null, total_credits: null };
+  }
+  const byCredits = scored.every(subject => subject.credits > 0);
+  const weightOf = subject => (byCredits ? subject.credits : 1);
+
+  return {
+    weighting: byCredits ? 'credits' : 'equal',
+    overall_average: round(weightedMean(scored.map(subject => ({ value: subject.final_score, weight: weightOf(subject) })))),
+    gpa: round(weightedMean(scored.map(subject => ({ value: subject.grade_points, weight: weightOf(subject) })))),
+    total_credits: byCredits ? scored.reduce((sum, subject) => sum + subject.credits, 0) : null,
+  };
+};
+
+// Transcript of a student, or null when the student does not exist
+const buildTranscript = async (studentId, { scale: scaleName = gpaConfig.defaultScale } = {}) => {
+  const scale = gpaConfig.scales[scaleName];
+  if (!scale) {
+    throw new Error(`Unknown GPA scale: ${scaleName}`);
+  }
+
+  const student = await Student.findByPk(studentId, {
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'surname', 'email'] }],
+  });
+  if (!student) {
+    return null;
+  }
+
+  const grades = await listGrades({ studentId });
+  const categories = await categoriesBySubject([...new Set(grades.map(grade => grade.subject_id))]);
+  const subjects = summarizeBySubject(grades, scale, categories);
+
+  return {
+    student: {
+      id: student.id,
+      name: student.name,
+      surname: student.user ? student.user.surname : null,
+      group: student.group,
+    },
+    gpa_scale: scaleName,
+    max_grade_points: scale[0].points,
+    subjects,
+    ...summarizeOverall(subjects),
+    generated_at: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  gradePoints,
+  summarizeBySubject,
+  summarizeOverall,
+  buildTranscript,
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { TwoFactor, RecoveryCode } = require('../models');
+const twoFactorConfig = require('../config/twoFactor');
+const { hashToken } = require('../utils/tokenHash');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const INVALID_CODE_ERROR = 'Invalid two-factor code';
+
+const isTwoFactorRequired = (roleName) => twoFactorConfig.requiredRoles.includes(roleName);
+
+const isTwoFactorEnabled = async (userId) => {
+  const record = await TwoFactor.findByPk(userId);
+  return Boolean(record && record.enabled_at);
+};
+
+const getTwoFactorStatus = async (userId) => {
+  const record = await TwoFactor.findByPk(userId);
+  const enabled = Boolean(record && record.enabled_at);
+  return {
+    enabled,
+    enrollment_pending: Boolean(record && !record.enabled_at),
+    recovery_codes_remaining: enabled
+      ? await RecoveryCode.count({ where: { user_id: userId, used_at: null } })
+      : 0,
+  };
+};
+
+// Normalized so that codes typed with or without the dash and in any case match
+const normalizeRecoveryCode = code => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Replace all recovery codes of the user; returns the raw codes, which are not stored
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await RecoveryCode.destroy({ where: { user_id: userId } });
+  await RecoveryCode.bulkCreate(codes.map(code => ({
+    user_id: userId,
+    code_hash: hashToken(normalizeRecoveryCode(code)),
+  })));
+
+  return codes;
+};
+
+// Create a new secret for the user. Until confirmEnrollment() succeeds the secret is not used for logins.
+const startEnrollment = async (user) => {
+  const existing = await TwoFactor.findByPk(user.id);
+  if (existing && existing.enabled_at) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = generateSecret();
+  if (existing) {
+    await existing.update({ secret, last_used_step: null, created_at: new Date() });
+  } else {
+    await TwoFactor.create({ user_id: user.id, secret });
+  }
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: twoFactorConfig.issuer }),
+  };
+};
+
+// Accept a TOTP code for the record, at most once per time step
+const acceptTotp = async (record, code) => {
+  const step = verifyTotp(record.secret, code, { window: twoFactorConfig.window });
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update so the same code cannot be used twice, even by concurrent requests
+  const [updated] = await TwoFactor.update(
+    { last_used_step: step },
+    {
+      where: {
+        user_id: record.user_id,
+        [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }],
+      },
+    }
+  );
+  return updated > 0;
+};
+
+// Enable 2FA once the user proves that the authenticator produces valid codes; returns recovery codes
+const confirmEnrollment = async (userId, code) => {
+  const record = await TwoFactor.findByPk(userId);
+  if (!record) {
+    return { error: 'Two-factor enrollment has not been started' };
+  }
+  if (record.enabled_at) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+  if (!await acceptTotp(record, code)) {
+    return { error: INVALID_CODE_ERROR };
+  }
+
+  await record.update({ enabled_at: new Date() });
+  const recoveryCodes = await generateRecoveryCodes(userId);
+  return { recoveryCodes };
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const record = await RecoveryCode.findOne({
+    where: {
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+      used_at: null,
+    },
+  });
+  if (!record) {
+    return false;
+  }
+
+  const [updated] = await RecoveryCode.update(
+    { used_at: new Date() },
+    { where: { id: record.id, used_at: null } }
+  );
+  return updated > 0;
+};
+
+// Check the second factor of an enrolled user: either a TOTP `code` or a `recoveryCode`
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const record = await TwoFactor.findByPk(userId);
+  if (!record || !record.enabled_at) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+
+  if (code && await acceptTotp(record, code)) {
+    return { method: 'totp' };
+  }
+  if (recoveryCode && await consumeRecoveryCode(userId, recoveryCode)) {
+    return { method: 'recovery_code' };
+  }
+  return { error: INVALID_CODE_ERROR };
+};
+
+// Remove the enrollment and recovery codes (user opt-out, admin reset or user deletion)
+const disableTwoFactor = async (userId, transaction) => {
+  await RecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  const removed = await TwoFactor.destroy({ where: { user_id: userId }, transaction });
+  return removed > 0;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  generateRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+};
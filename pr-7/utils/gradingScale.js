@@ -0,0 +1,54 @@
+const MAX_BANDS = 20;
+const MAX_LABEL_LENGTH = 20;
+
+// First problem with the bands of a grading scale, or null when they are usable: every band has
+// an integer `min` in 0–100, a label and numeric points, no two bands share a `min`, and one band
+// starts at 0 so every grade converts.
+const checkBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return 'Bands must be a non-empty array';
+  }
+  if (bands.length > MAX_BANDS) {
+    return `A scale has at most ${MAX_BANDS} bands`;
+  }
+  for (const band of bands) {
+    if (!Number.isInteger(band?.min) || band.min < 0 || band.min > 100) {
+      return 'Band min must be an integer between 0 and 100';
+    }
+    if (typeof band.label !== 'string' || band.label.trim() === '' || band.label.trim().length > MAX_LABEL_LENGTH) {
+      return `Band label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    if (typeof band.points !== 'number' || !Number.isFinite(band.points)) {
+      return 'Band points must be a number';
+    }
+  }
+  const mins = bands.map(band => band.min);
+  if (new Set(mins).size !== mins.length) {
+    return 'Bands must not share a min';
+  }
+  if (!mins.includes(0)) {
+    return 'One band must start at 0';
+  }
+  return null;
+};
+
+// Bands as stored: only the known fields, highest `min` first
+const normalizeBands = bands => bands
+  .map(({ min, label, points }) => ({ min, label: label.trim(), points }))
+  .sort((a, b) => b.min - a.min);
+
+// Label and points of a 0–100 grade on a scale
+const convertGrade = (grade, scale) => {
+  const band = normalizeBands(scale.bands).find(({ min }) => grade >= min);
+  return {
+    scale: scale.name,
+    label: band ? band.label : null,
+    points: band ? band.points : null,
+  };
+};
+
+module.exports = {
+  checkBands,
+  normalizeBands,
+  convertGrade,
+};
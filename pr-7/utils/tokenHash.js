@@ -0,0 +1,6 @@
+const crypto = require('crypto');
+
+// Tokens handed out to clients (refresh tokens, emailed links) are stored only as their SHA-256 hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { hashToken };
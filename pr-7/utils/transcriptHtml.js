@@ -0,0 +1,80 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const formatNumber = value => (value === null || value === undefined ? '–' : String(value));
+
+// Printable HTML page for a transcript built by transcriptService.buildTranscript
+const renderTranscriptHtml = (transcript) => {
+  const { student, subjects } = transcript;
+  const fullName = [student.name, student.surname].filter(Boolean).join(' ');
+
+  const rows = subjects.map(subject => `
+      <tr>
+        <td>${escapeHtml(subject.subject_name)}</td>
+        <td class="num">${formatNumber(subject.credits)}</td>
+        <td class="num">${subject.grade_count}</td>
+        <td class="num">${formatNumber(subject.final_score)}${subject.complete ? '' : ' *'}</td>
+        <td class="num">${formatNumber(subject.grade_points)}</td>
+      </tr>`).join('');
+
+  // Subjects whose final score leaves out assessment categories without grades are marked with *
+  const incomplete = subjects
+    .filter(subject => !subject.complete)
+    .map(subject => `${subject.subject_name} (${subject.missing_categories.join(', ')})`);
+  const footnote = incomplete.length > 0
+    ? `  <p class="meta">* No grades yet in: ${escapeHtml(incomplete.join('; '))}</p>\n`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Transcript – ${escapeHtml(fullName)}</title>
+  <style>
+    body { font-family: Georgia, serif; margin: 2cm; color: #000; }
+    h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1.5em; }
+    th, td { border-bottom: 1px solid #999; padding: 0.4em 0.6em; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { font-weight: bold; border-bottom: none; }
+    .meta { color: #444; }
+    @media print { body { margin: 1cm; } }
+  </style>
+</head>
+<body>
+  <h1>Academic Transcript</h1>
+  <p class="meta">${escapeHtml(fullName)} · Student ID ${escapeHtml(student.id)} · Group ${escapeHtml(student.group)}</p>
+  <table>
+    <thead>
+      <tr><th>Subject</th><th class="num">Credits</th><th class="num">Grades</th><th class="num">Final score</th><th class="num">Grade points</th></tr>
+    </thead>
+    <tbody>${rows || `
+      <tr><td colspan="5">No grades recorded</td></tr>`}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Overall</td>
+        <td class="num">${formatNumber(transcript.total_credits)}</td>
+        <td></td>
+        <td class="num">${formatNumber(transcript.overall_average)}</td>
+        <td class="num">GPA ${formatNumber(transcript.gpa)} / ${escapeHtml(transcript.max_grade_points)}</td>
+      </tr>
+    </tfoot>
+  </table>
+${footnote}  <p class="meta">Generated ${escapeHtml(transcript.generated_at)}</p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderTranscriptHtml,
+};
@@ -0,0 +1,35 @@
+// Short device description for the session list, e.g. "Chrome on Windows".
+// Only recognizes common clients; anything else is reported as-is by its first product token.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['curl', /^curl\//],
+  ['Postman', /^PostmanRuntime\//],
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /(iPhone|iPad|iPod)/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+  const browser = match(BROWSERS, userAgent) || userAgent.split(/[\s/]/)[0];
+  const platform = match(PLATFORMS, userAgent);
+  return (platform ? `${browser} on ${platform}` : browser).slice(0, 100);
+};
+
+module.exports = { describeDevice };